@@ -15,8 +15,12 @@ app.use(helmet());
 app.use(cors());
 
 // Body parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw bytes so webhook signatures can be verified over the exact payload
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Static landing page
 app.use(express.static('public'));
@@ -0,0 +1,41 @@
+-- ============================================
+-- PayVoice Conversation Binding Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 1: IDENTITY - Conversation sessions
+-- ============================================
+
+-- One row per conversation, minted by /api/conversation-init.
+-- Tool calls present the raw token; only its SHA-256 hash is stored.
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  caller_phone VARCHAR(32) NOT NULL,
+  call_sid VARCHAR(64),
+  conversation_id VARCHAR(64),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_call_sid ON conversation_sessions(call_sid);
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_expires ON conversation_sessions(expires_at);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE conversation_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on conversation_sessions" ON conversation_sessions FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,58 @@
+-- ============================================
+-- PayVoice Step-Up Verification Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 1: IDENTITY - Spoken PIN / passphrase
+-- ============================================
+
+-- One credential per user, stored as a scrypt hash with a per-user salt
+CREATE TABLE IF NOT EXISTS voice_credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE UNIQUE,
+  secret_hash VARCHAR(128) NOT NULL,
+  salt VARCHAR(32) NOT NULL,
+  failed_attempts INTEGER DEFAULT 0,
+  locked_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- When the caller last passed a PIN check on this conversation
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'conversation_sessions' AND column_name = 'step_up_verified_at') THEN
+    ALTER TABLE conversation_sessions ADD COLUMN step_up_verified_at TIMESTAMPTZ;
+  END IF;
+END $$;
+
+-- ============================================
+-- PILLAR 2: POLICIES - Step-up rules
+-- ============================================
+
+DO $$
+BEGIN
+  -- Require the PIN for sends above this amount (NULL = never)
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'user_policies' AND column_name = 'step_up_threshold') THEN
+    ALTER TABLE user_policies ADD COLUMN step_up_threshold DECIMAL(10,2) DEFAULT NULL;
+  END IF;
+
+  -- Require the PIN for the first payment to any contact
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'user_policies' AND column_name = 'step_up_new_contacts') THEN
+    ALTER TABLE user_policies ADD COLUMN step_up_new_contacts BOOLEAN DEFAULT FALSE;
+  END IF;
+END $$;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE voice_credentials ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on voice_credentials" ON voice_credentials FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
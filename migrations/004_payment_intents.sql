@@ -0,0 +1,44 @@
+-- ============================================
+-- PayVoice Payment Intents Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 3: GUARDRAILS - Server-side confirmation
+-- ============================================
+
+-- A send awaiting the user's "yes". /api/send/confirm executes exactly this
+-- amount and recipient once; /api/send/cancel discards it.
+-- status: pending -> executing -> completed | failed, or pending -> cancelled
+CREATE TABLE IF NOT EXISTS payment_intents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  contact_id UUID REFERENCES contacts(id) ON DELETE CASCADE,
+  recipient_name VARCHAR(100) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  reason TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  circle_tx_id VARCHAR(64),
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_payment_intents_user_status ON payment_intents(user_id, status);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE payment_intents ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on payment_intents" ON payment_intents FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,37 @@
+-- ============================================
+-- PayVoice Idempotency Keys Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 3: GUARDRAILS - Safe retries
+-- ============================================
+
+-- One row per (caller, route, key). The fingerprint is a hash of the request
+-- parameters; the stored response is replayed when the same request retries.
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  phone VARCHAR(32) NOT NULL,
+  route VARCHAR(100) NOT NULL,
+  idempotency_key VARCHAR(255) NOT NULL,
+  fingerprint VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'processing',
+  status_code INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  UNIQUE(phone, route, idempotency_key)
+);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on idempotency_keys" ON idempotency_keys FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,48 @@
+-- ============================================
+-- PayVoice Scheduled Payments Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 4: TREASURY - Scheduled & recurring payments
+-- ============================================
+
+-- frequency: once | weekly | monthly
+-- anchor_day: day of month of the first run (monthly runs clamp to month end)
+-- status: active | paused | cancelled | completed
+-- last_result: sent | skipped | failed
+CREATE TABLE IF NOT EXISTS scheduled_payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  contact_id UUID REFERENCES contacts(id) ON DELETE CASCADE,
+  recipient_name VARCHAR(100) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  frequency VARCHAR(10) NOT NULL,
+  anchor_day INTEGER NOT NULL,
+  next_run_at TIMESTAMPTZ NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active',
+  last_run_at TIMESTAMPTZ,
+  last_result VARCHAR(20),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_payments_due ON scheduled_payments(next_run_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_scheduled_payments_user ON scheduled_payments(user_id);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE scheduled_payments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on scheduled_payments" ON scheduled_payments FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,54 @@
+-- ============================================
+-- PayVoice Payment Requests Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PAYMENT REQUESTS
+-- ============================================
+
+-- One PayVoice user asking another for money.
+-- status: pending -> paid | declined | expired
+CREATE TABLE IF NOT EXISTS payment_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  requester_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  payer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  requester_name VARCHAR(100) NOT NULL,
+  payer_name VARCHAR(100) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  note TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  circle_tx_id VARCHAR(64),
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Link a confirmation intent to the request it pays
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'payment_request_id') THEN
+    ALTER TABLE payment_intents ADD COLUMN payment_request_id UUID REFERENCES payment_requests(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_payment_requests_payer_status ON payment_requests(payer_id, status);
+CREATE INDEX IF NOT EXISTS idx_payment_requests_requester_status ON payment_requests(requester_id, status);
+CREATE INDEX IF NOT EXISTS idx_payment_requests_expiry ON payment_requests(status, expires_at);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE payment_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on payment_requests" ON payment_requests FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
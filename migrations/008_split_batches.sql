@@ -0,0 +1,27 @@
+-- ============================================
+-- PayVoice Bill Split Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 3: GUARDRAILS - One confirmation per split
+-- ============================================
+
+-- Intents created by one bill split share a batch_id and are confirmed together
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'batch_id') THEN
+    ALTER TABLE payment_intents ADD COLUMN batch_id UUID;
+  END IF;
+END $$;
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_payment_intents_batch ON payment_intents(user_id, batch_id) WHERE batch_id IS NOT NULL;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
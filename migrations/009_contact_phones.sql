@@ -0,0 +1,38 @@
+-- ============================================
+-- PayVoice Phone Contacts Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- INTERNAL DIRECTORY - Pay PayVoice users by phone
+-- ============================================
+
+DO $$
+BEGIN
+  -- A contact can be saved with a PayVoice phone number instead of an address;
+  -- the address is looked up from users at send time
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'contacts' AND column_name = 'phone') THEN
+    ALTER TABLE contacts ADD COLUMN phone VARCHAR(20);
+  END IF;
+
+  -- Confirmation for a recipient paid by phone without saving them as a contact
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'recipient_phone') THEN
+    ALTER TABLE payment_intents ADD COLUMN recipient_phone VARCHAR(20);
+  END IF;
+END $$;
+
+-- Phone contacts have no stored address
+ALTER TABLE contacts ALTER COLUMN wallet_address DROP NOT NULL;
+
+-- Every contact needs some way to be paid
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'contacts_address_or_phone') THEN
+    ALTER TABLE contacts ADD CONSTRAINT contacts_address_or_phone CHECK (wallet_address IS NOT NULL OR phone IS NOT NULL);
+  END IF;
+END $$;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
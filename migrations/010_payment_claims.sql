@@ -0,0 +1,59 @@
+-- ============================================
+-- PayVoice Pay-Link Claims Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PAY-LINKS - Money for people not on PayVoice yet
+-- ============================================
+
+-- Funds held in the escrow wallet until the recipient's phone claims them
+-- with the one-time code (stored hashed), or refunded to the sender on expiry.
+-- status: pending -> claiming -> claimed, pending -> refunding -> refunded,
+--         or pending -> cancelled when the funding transfer failed
+CREATE TABLE IF NOT EXISTS payment_claims (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  sender_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  sender_name VARCHAR(100) NOT NULL,
+  recipient_phone VARCHAR(20) NOT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  failed_attempts INTEGER DEFAULT 0,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  funding_tx_id VARCHAR(64),
+  payout_tx_id VARCHAR(64),
+  refund_tx_id VARCHAR(64),
+  claimed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  claimed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- A confirmation intent that pays a pay-link goes to escrow, not a contact
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'is_pay_link') THEN
+    ALTER TABLE payment_intents ADD COLUMN is_pay_link BOOLEAN DEFAULT FALSE;
+  END IF;
+END $$;
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_payment_claims_phone_status ON payment_claims(recipient_phone, status);
+CREATE INDEX IF NOT EXISTS idx_payment_claims_expiry ON payment_claims(status, expires_at);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE payment_claims ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on payment_claims" ON payment_claims FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,56 @@
+-- ============================================
+-- PayVoice Batch Payouts Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PAYOUT BATCHES - Pay many recipients from one CSV/JSON list
+-- ============================================
+
+-- status: validated | invalid -> executing -> partial | completed
+CREATE TABLE IF NOT EXISTS payout_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'validated',
+  total DECIMAL(10,2) NOT NULL,
+  row_count INTEGER NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row of a batch; status: ready | invalid | submitted | failed
+CREATE TABLE IF NOT EXISTS payout_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id UUID REFERENCES payout_batches(id) ON DELETE CASCADE,
+  row_number INTEGER NOT NULL,
+  recipient_name VARCHAR(100),
+  wallet_address VARCHAR(42),
+  amount DECIMAL(10,2) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'ready',
+  error TEXT,
+  circle_tx_id VARCHAR(64),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_payout_batches_user ON payout_batches(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payout_items_batch ON payout_items(batch_id, row_number);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE payout_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on payout_batches" ON payout_batches FOR ALL USING (true);
+CREATE POLICY "Service role full access on payout_items" ON payout_items FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,44 @@
+-- ============================================
+-- PayVoice Undo Window Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 3: GUARDRAILS - Undo window for just-sent payments
+-- ============================================
+
+-- Seconds an approved send is held before it goes to Circle (0 = off)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'user_policies' AND column_name = 'undo_window_seconds') THEN
+    ALTER TABLE user_policies ADD COLUMN undo_window_seconds INTEGER DEFAULT 0;
+  END IF;
+END $$;
+
+-- Held sends are payment intents with status 'queued' until release_at:
+-- queued -> executing -> completed | failed, or queued -> cancelled (undone)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'release_at') THEN
+    ALTER TABLE payment_intents ADD COLUMN release_at TIMESTAMPTZ;
+  END IF;
+END $$;
+
+-- Whether policies approved the send without a confirmation
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'auto_approved') THEN
+    ALTER TABLE payment_intents ADD COLUMN auto_approved BOOLEAN DEFAULT FALSE;
+  END IF;
+END $$;
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_payment_intents_release ON payment_intents(status, release_at);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,29 @@
+-- ============================================
+-- PayVoice Network Fees Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 4: TREASURY - Fees paid per transfer
+-- ============================================
+
+-- Network fee Circle reported for the transfer (native token, tiny amounts)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'transactions' AND column_name = 'network_fee') THEN
+    ALTER TABLE transactions ADD COLUMN network_fee DECIMAL(20,10);
+  END IF;
+END $$;
+
+-- Fee level chosen at /api/send, applied when the intent is confirmed
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'fee_level') THEN
+    ALTER TABLE payment_intents ADD COLUMN fee_level VARCHAR(10);
+  END IF;
+END $$;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,41 @@
+-- ============================================
+-- PayVoice Memos & Categories Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 4: TREASURY - What the money was for
+-- ============================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'transactions' AND column_name = 'memo') THEN
+    ALTER TABLE transactions ADD COLUMN memo TEXT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'transactions' AND column_name = 'category') THEN
+    ALTER TABLE transactions ADD COLUMN category VARCHAR(40);
+  END IF;
+END $$;
+
+-- Carried by confirmation and undo-window intents onto the transaction
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'memo') THEN
+    ALTER TABLE payment_intents ADD COLUMN memo TEXT;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'category') THEN
+    ALTER TABLE payment_intents ADD COLUMN category VARCHAR(40);
+  END IF;
+END $$;
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_transactions_user_category ON transactions(user_id, category);
+CREATE INDEX IF NOT EXISTS idx_transactions_user_recipient ON transactions(user_id, recipient_name);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
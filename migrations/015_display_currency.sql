@@ -0,0 +1,21 @@
+-- ============================================
+-- PayVoice Display Currency Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 4: TREASURY - Amounts in the user's own currency
+-- ============================================
+
+-- NULL means "guess from the phone's country code"
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'display_currency') THEN
+    ALTER TABLE users ADD COLUMN display_currency VARCHAR(3);
+  END IF;
+END $$;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,38 @@
+-- ============================================
+-- PayVoice Contact Aliases Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- CONTACT ALIASES - "Mom", "Mama" and "Mother" for the same contact
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS contact_aliases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  contact_id UUID REFERENCES contacts(id) ON DELETE CASCADE,
+  alias VARCHAR(100) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- An alias can only point at one of the user's contacts
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_aliases_user_alias ON contact_aliases(user_id, LOWER(alias));
+
+-- ============================================
+-- INDEXES FOR PERFORMANCE
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_contact_aliases_contact ON contact_aliases(contact_id);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE contact_aliases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on contact_aliases" ON contact_aliases FOR ALL USING (true);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
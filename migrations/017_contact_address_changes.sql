@@ -0,0 +1,29 @@
+-- ============================================
+-- PayVoice Contact Address Changes Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 3: GUARDRAILS - Confirm the first send after a contact's address changes
+-- ============================================
+
+-- Set when a contact's wallet address or phone changes; cleared by a confirmed send
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'contacts' AND column_name = 'confirm_next_send') THEN
+    ALTER TABLE contacts ADD COLUMN confirm_next_send BOOLEAN DEFAULT false;
+  END IF;
+END $$;
+
+-- Pending intents and queued sends created before this are not sent
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'contacts' AND column_name = 'address_changed_at') THEN
+    ALTER TABLE contacts ADD COLUMN address_changed_at TIMESTAMPTZ;
+  END IF;
+END $$;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
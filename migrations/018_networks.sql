@@ -0,0 +1,32 @@
+-- ============================================
+-- PayVoice Networks Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- The network each wallet and transaction is on, for explorer links
+-- ============================================
+
+-- Circle blockchain code, e.g. 'ARC-TESTNET' (see CIRCLE_BLOCKCHAIN)
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'users' AND column_name = 'blockchain') THEN
+    ALTER TABLE users ADD COLUMN blockchain VARCHAR(30);
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'transactions' AND column_name = 'blockchain') THEN
+    ALTER TABLE transactions ADD COLUMN blockchain VARCHAR(30);
+  END IF;
+END $$;
+
+-- Everything before this migration was on Arc testnet
+UPDATE users SET blockchain = 'ARC-TESTNET' WHERE wallet_id IS NOT NULL AND blockchain IS NULL;
+UPDATE transactions SET blockchain = 'ARC-TESTNET' WHERE blockchain IS NULL;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,50 @@
+-- ============================================
+-- PayVoice Multi-Token Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- The token each transaction and payment intent moves
+-- ============================================
+
+-- Token symbol, e.g. 'USDC' or 'EURC'; amount is in this token
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'transactions' AND column_name = 'token') THEN
+    ALTER TABLE transactions ADD COLUMN token VARCHAR(20) NOT NULL DEFAULT 'USDC';
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payment_intents' AND column_name = 'token') THEN
+    ALTER TABLE payment_intents ADD COLUMN token VARCHAR(20) NOT NULL DEFAULT 'USDC';
+  END IF;
+END $$;
+
+-- ============================================
+-- Per-token spending limits and spending
+-- ============================================
+
+-- Limits for tokens other than USDC, e.g.
+-- {"EURC": {"auto_approve_limit": 20, "daily_spending_limit": 200, "weekly_spending_limit": 500}}
+-- Limits not set here follow the USDC columns at face value
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'user_policies' AND column_name = 'token_limits') THEN
+    ALTER TABLE user_policies ADD COLUMN token_limits JSONB NOT NULL DEFAULT '{}';
+  END IF;
+END $$;
+
+-- total_spent stays USDC; other tokens are totalled here, e.g. {"EURC": 40}
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'daily_spending' AND column_name = 'token_spending') THEN
+    ALTER TABLE daily_spending ADD COLUMN token_spending JSONB NOT NULL DEFAULT '{}';
+  END IF;
+END $$;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,25 @@
+-- ============================================
+-- PayVoice Phone Normalization Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 1: IDENTITY - One stored form per phone number
+-- ============================================
+
+-- Onboarding used to store the number as given ("+234 810-491-6815"), which
+-- caller lookups (digits, with or without +) never found. Strip the formatting,
+-- unless that would collide with a user already stored in the plain form.
+UPDATE users u
+SET phone = regexp_replace(u.phone, '[^0-9]', '', 'g')
+WHERE u.phone ~ '[^0-9+]'
+  AND NOT EXISTS (
+    SELECT 1 FROM users other
+    WHERE other.id <> u.id
+      AND regexp_replace(other.phone, '[^0-9]', '', 'g') = regexp_replace(u.phone, '[^0-9]', '', 'g')
+  );
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
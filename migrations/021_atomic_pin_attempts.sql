@@ -0,0 +1,42 @@
+-- ============================================
+-- PayVoice PIN Attempt Counting Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 1: IDENTITY - Count wrong PINs atomically
+-- ============================================
+
+-- Records one wrong PIN and locks the credential once p_max_attempts is reached.
+-- The UPDATE holds the row lock, so parallel guesses are each counted.
+-- A lock that has run out starts the count again.
+CREATE OR REPLACE FUNCTION record_failed_pin_attempt(p_user_id UUID, p_max_attempts INTEGER, p_lockout_minutes INTEGER)
+RETURNS voice_credentials AS $$
+DECLARE
+  credential voice_credentials;
+BEGIN
+  UPDATE voice_credentials
+  SET failed_attempts = CASE
+        WHEN locked_until IS NOT NULL AND locked_until <= NOW() THEN 1
+        ELSE COALESCE(failed_attempts, 0) + 1
+      END,
+      updated_at = NOW()
+  WHERE user_id = p_user_id
+  RETURNING * INTO credential;
+
+  IF credential.failed_attempts >= p_max_attempts
+     AND (credential.locked_until IS NULL OR credential.locked_until <= NOW()) THEN
+    UPDATE voice_credentials
+    SET locked_until = NOW() + make_interval(mins => p_lockout_minutes)
+    WHERE user_id = p_user_id
+    RETURNING * INTO credential;
+  END IF;
+
+  RETURN credential;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,26 @@
+-- ============================================
+-- PayVoice Payout Confirmations Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- Rows read back before a batch is paid
+-- ============================================
+
+-- Why a row is confirmed with the user first (a loose name match, or a
+-- contact whose address changed); NULL when it needs no confirmation
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payout_items' AND column_name = 'confirm_reason') THEN
+    ALTER TABLE payout_items ADD COLUMN confirm_reason TEXT;
+  END IF;
+END $$;
+
+-- Item status: ready | invalid | submitted -> paid | failed
+-- Batch status: validated | invalid -> executing -> partial | submitted | completed
+CREATE INDEX IF NOT EXISTS idx_payout_items_tx ON payout_items(circle_tx_id);
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -0,0 +1,39 @@
+-- ============================================
+-- PayVoice Contact History Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- Deleting a contact keeps what was paid to them
+-- ============================================
+
+-- Intents and schedules keep recipient_name, so they stay readable once the
+-- contact is gone; contact_id is cleared instead of the rows being deleted.
+-- A deleted contact's schedules are cancelled by the app first.
+ALTER TABLE payment_intents DROP CONSTRAINT IF EXISTS payment_intents_contact_id_fkey;
+ALTER TABLE payment_intents
+  ADD CONSTRAINT payment_intents_contact_id_fkey
+  FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL;
+
+ALTER TABLE scheduled_payments DROP CONSTRAINT IF EXISTS scheduled_payments_contact_id_fkey;
+ALTER TABLE scheduled_payments
+  ADD CONSTRAINT scheduled_payments_contact_id_fkey
+  FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE SET NULL;
+
+-- ============================================
+-- The contact each payout row pays
+-- ============================================
+
+-- NULL for rows paying a bare wallet address. Lets a batch notice an address
+-- change after its dry run, and a paid row clear contacts.confirm_next_send
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'payout_items' AND column_name = 'contact_id') THEN
+    ALTER TABLE payout_items ADD COLUMN contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL;
+  END IF;
+END $$;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
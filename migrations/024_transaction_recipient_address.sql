@@ -0,0 +1,36 @@
+-- ============================================
+-- PayVoice Transaction Recipient Address Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- ============================================
+-- PILLAR 1: IDENTITY - Who a send actually paid
+-- ============================================
+
+-- Wallet address a send paid, lowercased. The first-payment step-up check
+-- matches on it, so renaming a contact doesn't make them look new and a
+-- new contact given an old contact's name doesn't look known
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'transactions' AND column_name = 'recipient_address') THEN
+    ALTER TABLE transactions ADD COLUMN recipient_address VARCHAR(42);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_recipient_address ON transactions(user_id, recipient_address);
+
+-- Earlier sends only have the recipient's name; take the address of the
+-- contact that still has that name
+UPDATE transactions t
+SET recipient_address = LOWER(c.wallet_address)
+FROM contacts c
+WHERE t.type = 'send'
+  AND t.recipient_address IS NULL
+  AND c.user_id = t.user_id
+  AND c.name = t.recipient_name
+  AND c.wallet_address IS NOT NULL;
+
+-- ============================================
+-- DONE!
+-- ============================================
+SELECT 'Migration completed successfully!' as status;
@@ -17,8 +17,12 @@ app.use(helmet());
 app.use(cors());
 
 // Body parsing middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw bytes so webhook signatures can be verified over the exact payload
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Static landing page
 app.use(express.static('public'));
@@ -33,6 +37,9 @@ app.use((req, res, next) => {
     if (sanitizedBody.walletAddress) {
       sanitizedBody.walletAddress = sanitizedBody.walletAddress.substring(0, 10) + '...';
     }
+    if (sanitizedBody.sessionToken) {
+      sanitizedBody.sessionToken = '[redacted]';
+    }
     console.log(`  Body: ${JSON.stringify(sanitizedBody)}`);
   }
   next();
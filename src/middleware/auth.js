@@ -3,6 +3,10 @@
  * Industry-standard Bearer token authentication for tool endpoints
  */
 
+import { createHmac, verify as verifySignature } from 'crypto';
+import { getNotificationPublicKey } from '../services/circle.js';
+import { normalizePhone, resolveSession } from '../services/session.js';
+
 /**
  * Verify Bearer token for ElevenLabs tool calls
  * Tools must include Authorization header: "Bearer <API_KEY>"
@@ -52,6 +56,35 @@ export function authenticateToolRequest(req, res, next) {
   next();
 }
 
+/**
+ * Verify cron invocations (Vercel Cron sends "Authorization: Bearer <CRON_SECRET>")
+ * Unlike tool auth there is no passthrough: without CRON_SECRET the endpoint is closed.
+ */
+export function authenticateCronRequest(req, res, next) {
+  const expectedSecret = process.env.CRON_SECRET;
+
+  if (!expectedSecret) {
+    console.error('[Auth] CRON_SECRET not configured; rejecting cron request');
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: 'Cron endpoint is not configured'
+    });
+  }
+
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : '';
+
+  if (!secureCompare(token, expectedSecret)) {
+    console.warn(`[Auth] Invalid cron secret attempted for ${req.path}`);
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Invalid cron secret'
+    });
+  }
+
+  next();
+}
+
 /**
  * Constant-time string comparison to prevent timing attacks
  * @param {string} a - First string
@@ -75,6 +108,179 @@ function secureCompare(a, b) {
   return result === 0;
 }
 
+/**
+ * Verify ElevenLabs webhook signatures (conversation-init, post-call)
+ * Header format: "ElevenLabs-Signature: t=<unix seconds>,v0=<hex HMAC-SHA256>"
+ * where the HMAC is computed with ELEVENLABS_WEBHOOK_SECRET over "<t>.<raw body>".
+ * Signatures older than the tolerance window are rejected to stop replays.
+ */
+const ELEVENLABS_SIGNATURE_TOLERANCE_SECONDS = parseInt(
+  process.env.ELEVENLABS_SIGNATURE_TOLERANCE_SECONDS || '1800',
+  10
+);
+
+export function verifyElevenLabsSignature(req, res, next) {
+  const secret = process.env.ELEVENLABS_WEBHOOK_SECRET;
+
+  if (!secret) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('[Auth] ELEVENLABS_WEBHOOK_SECRET not configured in production');
+      return res.status(500).json({
+        error: 'Server misconfigured',
+        message: 'Webhook secret is not configured'
+      });
+    }
+    console.warn(`[Auth] WARNING: Skipping ElevenLabs signature check for ${req.path} (no secret configured)`);
+    return next();
+  }
+
+  const header = req.headers['elevenlabs-signature'];
+  if (!header || !req.rawBody) {
+    console.warn(`[Auth] Missing ElevenLabs signature for ${req.path}`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing webhook signature'
+    });
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => {
+      const [key, ...rest] = part.trim().split('=');
+      return [key, rest.join('=')];
+    })
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v0) {
+    console.warn(`[Auth] Malformed ElevenLabs signature for ${req.path}`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Malformed webhook signature'
+    });
+  }
+
+  const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+  if (ageSeconds > ELEVENLABS_SIGNATURE_TOLERANCE_SECONDS) {
+    console.warn(`[Auth] Stale ElevenLabs signature (${ageSeconds}s old) for ${req.path}`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Webhook signature has expired'
+    });
+  }
+
+  const expected = createHmac('sha256', secret)
+    .update(`${timestamp}.${req.rawBody.toString('utf8')}`)
+    .digest('hex');
+
+  if (!secureCompare(parts.v0, expected)) {
+    console.warn(`[Auth] Invalid ElevenLabs signature for ${req.path}`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Verify Circle webhook notification signatures
+ * Circle signs the raw body with ECDSA (SHA-256) and sends the base64
+ * signature in X-Circle-Signature plus the signing key's ID in X-Circle-Key-Id.
+ * The matching public key is fetched from Circle and cached.
+ */
+export async function verifyCircleSignature(req, res, next) {
+  const signature = req.headers['x-circle-signature'];
+  const keyId = req.headers['x-circle-key-id'];
+
+  if (!signature || !keyId || !req.rawBody) {
+    console.warn(`[Auth] Missing Circle signature headers for ${req.path}`);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Missing notification signature'
+    });
+  }
+
+  try {
+    const { publicKey } = await getNotificationPublicKey(keyId);
+
+    const isValid = verifySignature(
+      'sha256',
+      req.rawBody,
+      {
+        key: Buffer.from(publicKey, 'base64'),
+        format: 'der',
+        type: 'spki'
+      },
+      Buffer.from(signature, 'base64')
+    );
+
+    if (!isValid) {
+      console.warn(`[Auth] Invalid Circle signature (key ${keyId}) for ${req.path}`);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Invalid notification signature'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error(`[Auth] Circle signature verification failed: ${error.message}`);
+    res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Could not verify notification signature'
+    });
+  }
+}
+
+/**
+ * Bind a tool call to the conversation it belongs to
+ * Tools must pass the session token minted by /api/conversation-init as
+ * "sessionToken". The caller's phone is taken from that binding; a "phone"
+ * in the body that belongs to someone else is rejected. Downstream handlers
+ * keep reading req.body.phone, which is overwritten with the bound caller.
+ */
+export async function bindConversation(req, res, next) {
+  try {
+    const { sessionToken, phone } = req.body || {};
+
+    if (!sessionToken) {
+      console.warn(`[Auth] Missing session token for ${req.path}`);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Missing sessionToken. Tool calls must include the token from conversation start.'
+      });
+    }
+
+    const session = await resolveSession(sessionToken);
+    if (!session) {
+      console.warn(`[Auth] Unknown or expired session token for ${req.path}`);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'This conversation session is invalid or has expired'
+      });
+    }
+
+    if (phone && normalizePhone(phone) !== session.caller_phone) {
+      console.warn(`[Auth] Phone mismatch for conversation ${session.call_sid || session.id} on ${req.path}`);
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only act on the account of the person on this call'
+      });
+    }
+
+    req.conversation = session;
+    req.body.phone = session.caller_phone;
+    next();
+  } catch (error) {
+    console.error(`[Auth] Failed to resolve conversation session: ${error.message}`);
+    res.status(500).json({
+      error: 'Session lookup failed',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Rate limiting middleware (basic implementation)
  * Prevents abuse of payment endpoints
@@ -126,6 +332,18 @@ export function rateLimitByPhone(req, res, next) {
  */
 const DAILY_LIMIT_DEFAULT = 1000; // $1000 USDC default daily limit
 
+/**
+ * Check one payment against the single transaction limit
+ * Also applied to each row of a batch payout.
+ * @returns {string|null} Why it's refused, or null if it's within the limit
+ */
+export function checkTransactionLimit(amount) {
+  if (parseFloat(amount) > DAILY_LIMIT_DEFAULT) {
+    return `Single transactions over $${DAILY_LIMIT_DEFAULT} require additional verification. Please contact support.`;
+  }
+  return null;
+}
+
 export function validateTransactionLimits(req, res, next) {
   const { amount } = req.body;
 
@@ -136,11 +354,12 @@ export function validateTransactionLimits(req, res, next) {
   const amountNum = parseFloat(amount);
 
   // Single transaction limit
-  if (amountNum > DAILY_LIMIT_DEFAULT) {
+  const overLimit = checkTransactionLimit(amountNum);
+  if (overLimit) {
     console.warn(`[Limits] Large transaction attempted: $${amount}`);
     return res.status(400).json({
       error: 'Transaction Limit Exceeded',
-      message: `Single transactions over $${DAILY_LIMIT_DEFAULT} require additional verification. Please contact support.`
+      message: overLimit
     });
   }
 
@@ -154,6 +373,11 @@ export function validateTransactionLimits(req, res, next) {
 
 export default {
   authenticateToolRequest,
+  authenticateCronRequest,
+  verifyElevenLabsSignature,
+  verifyCircleSignature,
+  bindConversation,
   rateLimitByPhone,
+  checkTransactionLimit,
   validateTransactionLimits
 };
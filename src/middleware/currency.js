@@ -0,0 +1,179 @@
+/**
+ * PayVoice - Amount Middleware
+ * Lets tools take amounts the way people say them, in their own currency
+ *
+ * "ten bucks", "five thousand naira" or "half my balance" are parsed (see
+ * services/amounts.js) and converted to a plain USDC amount before limits are
+ * checked, so everything downstream keeps working in USDC. What was heard is
+ * kept on req.spokenAmounts so the handler can read it back, and an amount
+ * that could mean two things is sent back as a question instead of guessed.
+ *
+ * With a token other than USDC in req.body.token (EURC), amounts are in that
+ * token's own currency: "twenty" and "twenty euros" both mean 20 EURC. They
+ * aren't converted, so an amount in any other currency is refused.
+ */
+
+import * as amountsService from '../services/amounts.js';
+import * as circleService from '../services/circle.js';
+import * as currencyService from '../services/currency.js';
+import * as dbService from '../services/db.js';
+import * as networkService from '../services/network.js';
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Normalize amount fields in req.body to decimal strings in the token sent
+ * (USDC unless req.body.token names another). Must run before validateTransactionLimits.
+ *
+ * Sets req.spokenAmounts[field] = { input, amount, echo, ofBalance, local }
+ * where local = { amount, currency, usdc, rate, source, asOf, formatted } for
+ * amounts given in another currency.
+ *
+ * @param {string[]} fields - Body fields holding amounts
+ * @param {Object} [options]
+ * @param {boolean} [options.allowBalance=false] - Accept shares of the balance ("half my balance")
+ */
+export function normalizeAmounts(fields, { allowBalance = false } = {}) {
+  return async function (req, res, next) {
+    const { currency, phone } = req.body || {};
+    const present = fields.filter(field => !isBlank(req.body?.[field]));
+
+    if (present.length === 0) {
+      return next();
+    }
+
+    const token = networkService.getToken(req.body.token || networkService.DEFAULT_TOKEN);
+    if (!token) {
+      return res.status(400).json({
+        error: 'Unsupported token',
+        message: `I can't send ${req.body.token}. Supported tokens: ${Object.keys(networkService.TOKENS).join(', ')}`
+      });
+    }
+    const isUsdc = token.symbol === networkService.DEFAULT_TOKEN;
+
+    if (currency && !currencyService.isSupportedCurrency(currency)) {
+      return res.status(400).json({
+        error: 'Unsupported currency',
+        message: `I can't convert ${currency}. Supported currencies: ${Object.keys(currencyService.CURRENCIES).join(', ')}`
+      });
+    }
+
+    const defaultCurrency = currency ? currency.toUpperCase() : token.currency;
+    let user;
+    const getUser = async () => {
+      if (user === undefined) {
+        user = phone ? await dbService.getUserByPhone(phone) : null;
+      }
+      return user;
+    };
+
+    req.spokenAmounts = req.spokenAmounts || {};
+
+    try {
+      for (const field of present) {
+        const input = req.body[field];
+
+        // Only words like "shillings" need the caller's own currency to disambiguate
+        const preferredCurrency = !currency && typeof input === 'string' && /[^\d\s.,]/.test(input)
+          ? currencyService.currencyForUser(await getUser())
+          : defaultCurrency;
+
+        let parsed = amountsService.parseSpokenAmount(input, { currency: defaultCurrency, preferredCurrency, balanceCurrency: token.currency });
+
+        if (parsed?.balance) {
+          if (!allowBalance) {
+            return res.status(400).json({
+              error: 'Invalid amount',
+              message: 'Please give a fixed amount for that, not a share of your balance.'
+            });
+          }
+          const sender = await getUser();
+          if (!sender?.wallet_id) {
+            return res.status(400).json({
+              error: 'Invalid amount',
+              message: "I can't work that out without a wallet. Please say the amount in dollars."
+            });
+          }
+          parsed = amountsService.resolveBalanceAmount(
+            parsed,
+            await circleService.getBalance(sender.wallet_id, token.symbol),
+            token.currency
+          );
+          parsed.ofBalance = true;
+        }
+
+        if (!parsed) {
+          return res.status(400).json({
+            error: 'Invalid amount',
+            message: `I didn't catch the amount "${input}". How much is it, in dollars?`
+          });
+        }
+
+        if (parsed.question) {
+          console.log(`[Amounts] Asking to clarify "${input}": ${parsed.question}`);
+          return res.status(400).json({
+            error: 'Ambiguous amount',
+            needsClarification: true,
+            question: parsed.question,
+            message: parsed.question
+          });
+        }
+
+        if (!isUsdc && parsed.currency !== token.currency) {
+          const plural = currencyService.CURRENCIES[token.currency].plural;
+          return res.status(400).json({
+            error: 'Currency mismatch',
+            message: `${token.symbol} amounts are in ${plural}. How much is that in ${plural}?`
+          });
+        }
+
+        let local = null;
+        let amount = parsed.amount;
+        if (isUsdc && parsed.currency !== currencyService.BASE_CURRENCY) {
+          const quote = await currencyService.toUsdc(parsed.amount, parsed.currency);
+          local = { ...quote, formatted: parsed.echo };
+          amount = quote.usdc;
+          console.log(`[Currency] ${local.formatted} -> $${quote.usdc} at ${quote.rate} (${quote.source})`);
+        }
+
+        req.body[field] = String(amount);
+        req.spokenAmounts[field] = {
+          input,
+          amount,
+          echo: parsed.echo,
+          ofBalance: !!parsed.ofBalance,
+          local
+        };
+      }
+
+      next();
+    } catch (error) {
+      console.error(`[Amounts] Normalizing failed: ${error.message}`);
+      res.status(503).json({
+        error: 'Amount conversion unavailable',
+        message: "I couldn't work out that amount right now. Please say it in dollars."
+      });
+    }
+  };
+}
+
+/**
+ * Normalize req.body.amount for money-moving tools
+ * Shares of the balance are allowed. Also sets req.localAmount for amounts in
+ * another currency, so the handler can quote the rate back for confirmation.
+ */
+const normalizeSendAmount = normalizeAmounts(['amount'], { allowBalance: true });
+
+export function convertLocalAmount(req, res, next) {
+  return normalizeSendAmount(req, res, () => {
+    req.localAmount = req.spokenAmounts?.amount?.local || undefined;
+    next();
+  });
+}
+
+export default {
+  normalizeAmounts,
+  convertLocalAmount
+};
@@ -0,0 +1,128 @@
+/**
+ * PayVoice - Idempotency Middleware
+ * Makes money-moving tool calls safe to retry
+ *
+ * Voice agents retry tool calls when latency spikes, and a send can block for
+ * up to 30 seconds while we wait for the blockchain. A client-supplied
+ * idempotency key ("Idempotency-Key" header or "idempotencyKey" in the body)
+ * makes the retry return the original result instead of sending twice.
+ */
+
+import { createHash } from 'crypto';
+import * as dbService from '../services/db.js';
+
+// Body fields that don't change what the request does
+const NON_FINGERPRINT_FIELDS = ['idempotencyKey', 'sessionToken', 'phone'];
+
+/**
+ * Hash the parts of a request that determine its effect
+ * @param {string} route - Request path
+ * @param {Object} body - Request body
+ * @returns {string} Hex SHA-256 fingerprint
+ */
+function fingerprintRequest(route, body) {
+  const relevant = Object.keys(body || {})
+    .filter(field => !NON_FINGERPRINT_FIELDS.includes(field))
+    .sort()
+    .reduce((acc, field) => {
+      acc[field] = body[field];
+      return acc;
+    }, {});
+
+  return createHash('sha256')
+    .update(`${route}:${JSON.stringify(relevant)}`)
+    .digest('hex');
+}
+
+/**
+ * Idempotency middleware
+ * Must run after bindConversation so keys are scoped to the verified caller.
+ * - First use of a key: runs the handler and stores its final response (unless it's a 5xx)
+ * - Replay with the same parameters: returns the stored response
+ * - Replay while the first request is still running: 409
+ * - Reuse with different parameters: 422
+ * Sets req.idempotencyKey for handlers that pass it on (e.g. to Circle).
+ */
+export async function idempotent(req, res, next) {
+  const key = req.headers['idempotency-key'] || req.body?.idempotencyKey;
+
+  if (!key) {
+    return next();
+  }
+
+  if (typeof key !== 'string' || key.length > 255) {
+    return res.status(400).json({
+      error: 'Invalid idempotency key',
+      message: 'Idempotency key must be a string of at most 255 characters'
+    });
+  }
+
+  const route = req.baseUrl + req.path;
+  const fingerprint = fingerprintRequest(route, req.body);
+
+  try {
+    const { record, created } = await dbService.reserveIdempotencyKey({
+      phone: req.body.phone,
+      route,
+      key,
+      fingerprint
+    });
+
+    if (!created) {
+      if (record.fingerprint !== fingerprint) {
+        console.warn(`[Idempotency] Key reused with different parameters on ${route}`);
+        return res.status(422).json({
+          error: 'Idempotency key reused',
+          message: 'This request ID was already used for a different payment. Please start a new request.'
+        });
+      }
+
+      if (record.status !== 'completed') {
+        console.log(`[Idempotency] Request still in progress for key on ${route}`);
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'I am still working on that payment. Please hold on a moment.'
+        });
+      }
+
+      console.log(`[Idempotency] Replaying stored response for key on ${route}`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.status_code).json(record.response_body);
+    }
+
+    // Capture the handler's final response. Server errors aren't an answer to
+    // the request, so the key is freed for a retry instead of replaying them;
+    // sends derive their Circle idempotency key from it, so a retry can't pay twice.
+    let captured = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      captured = res.statusCode < 500;
+      if (captured) {
+        // Handlers set res.locals.replayBody to keep one-time secrets (e.g. a pay-link code) out of storage
+        const stored = res.locals.replayBody ? res.locals.replayBody(body) : body;
+        dbService.saveIdempotentResponse(record.id, res.statusCode, stored);
+      }
+      return originalJson(body);
+    };
+
+    // If the handler ended without a stored response, free the key for a retry
+    res.on('close', () => {
+      if (!captured) {
+        dbService.releaseIdempotencyKey(record.id);
+      }
+    });
+
+    req.idempotencyKey = key;
+    next();
+  } catch (error) {
+    console.error(`[Idempotency] Failed to process key: ${error.message}`);
+    res.status(500).json({
+      error: 'Idempotency check failed',
+      message: error.message
+    });
+  }
+}
+
+export default {
+  idempotent
+};
@@ -10,14 +10,37 @@
  */
 
 import express from 'express';
+import { randomUUID } from 'crypto';
+import * as addressbookService from '../services/addressbook.js';
+import * as addressesService from '../services/addresses.js';
+import * as categoriesService from '../services/categories.js';
 import * as circleService from '../services/circle.js';
+import * as claimsService from '../services/claims.js';
+import * as contactsService from '../services/contacts.js';
+import * as currencyService from '../services/currency.js';
 import * as dbService from '../services/db.js';
+import * as directoryService from '../services/directory.js';
+import * as networkService from '../services/network.js';
 import * as policyService from '../services/policy.js';
+import * as onboardingService from '../services/onboarding.js';
+import * as paymentsService from '../services/payments.js';
+import * as payoutsService from '../services/payouts.js';
+import * as requestsService from '../services/requests.js';
+import * as schedulesService from '../services/schedules.js';
+import * as splitsService from '../services/splits.js';
+import * as sessionService from '../services/session.js';
+import * as undoService from '../services/undo.js';
 import {
   authenticateToolRequest,
+  authenticateCronRequest,
+  verifyElevenLabsSignature,
+  verifyCircleSignature,
+  bindConversation,
   rateLimitByPhone,
   validateTransactionLimits
 } from '../middleware/auth.js';
+import { convertLocalAmount, normalizeAmounts } from '../middleware/currency.js';
+import { idempotent } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -35,17 +58,498 @@ function validateRequiredFields(body, requiredFields) {
   };
 }
 
+// Policy fields that take amounts, normalized from speech by normalizeAmounts
+const POLICY_AMOUNT_FIELDS = [
+  'auto_approve_limit',
+  'daily_spending_limit',
+  'weekly_spending_limit',
+  'low_balance_alert_threshold',
+  'step_up_threshold'
+];
+
+// Policy limits that can be set per token (user_policies.token_limits)
+const TOKEN_LIMIT_FIELDS = ['auto_approve_limit', 'daily_spending_limit', 'weekly_spending_limit'];
+
+// How each Circle fee level is described to the user
+const FEE_LEVEL_LABELS = {
+  LOW: 'slower',
+  MEDIUM: 'standard',
+  HIGH: 'fastest'
+};
+
+/**
+ * Say a network fee in plain words ("less than a cent", "about $0.02")
+ */
+function describeFee(networkFee) {
+  const fee = parseFloat(networkFee);
+  if (isNaN(fee)) {
+    return 'an unknown amount';
+  }
+  return fee < 0.01 ? 'less than a cent' : `about $${fee.toFixed(2)}`;
+}
+
+/**
+ * Read a feeLevel option from a request body
+ * @returns {Object} { feeLevel } (undefined when not given) or { error }
+ */
+function parseFeeLevel(value) {
+  if (value === undefined || value === null || value === '') {
+    return { feeLevel: undefined };
+  }
+  const feeLevel = String(value).toUpperCase();
+  if (!circleService.FEE_LEVELS.includes(feeLevel)) {
+    return { error: `Fee level must be one of ${circleService.FEE_LEVELS.join(', ')}` };
+  }
+  return { feeLevel };
+}
+
+/**
+ * Read a token option from a request body (USDC when not given)
+ * @returns {Object} { token } with the token's symbol, or { error }
+ */
+function parseToken(value) {
+  if (value === undefined || value === null || value === '') {
+    return { token: networkService.DEFAULT_TOKEN };
+  }
+  const token = networkService.getToken(value);
+  if (!token) {
+    return { error: `I can't send ${value}. Supported tokens: ${Object.keys(networkService.TOKENS).join(', ')}` };
+  }
+  return { token: token.symbol };
+}
+
+/**
+ * Respond for a recipient that didn't resolve to one payable contact
+ * When several contacts match the name, the candidates come back with a
+ * clarifying question ("Did you mean John Okafor or John Bello?")
+ * @param {Object} res - Express response
+ * @param {Object} resolved - Error result of directoryService.resolveRecipient or contactsService.describeUnresolved
+ */
+function sendUnresolvedRecipient(res, resolved) {
+  return res.status(resolved.status).json({
+    error: resolved.error,
+    message: resolved.message,
+    ...(resolved.needsClarification && { needsClarification: true, candidates: resolved.candidates })
+  });
+}
+
+/**
+ * Ask about a contact that only loosely matched the name heard
+ * @param {string} contactName - The contact's saved name
+ * @param {string} action - What happens once they're named exactly, e.g. 'change them'
+ * @returns {Object} An error in the shape sendUnresolvedRecipient takes
+ */
+function askAboutLooseMatch(contactName, action) {
+  return {
+    status: 400,
+    error: 'Ambiguous contact',
+    message: `Did you mean ${contactName}? Please say their name as saved to ${action}.`,
+    candidates: [contactName],
+    needsClarification: true
+  };
+}
+
+/**
+ * Resolve the contact a change or delete is about
+ * Changes can't be undone, so a fuzzy match ("Jon" for John) is asked about
+ * rather than acted on; the contact's exact name or an alias goes through.
+ * @param {string} [action='change them'] - What the change does, for the question
+ * @returns {Promise<Object>} { contact }, or an error in the shape sendUnresolvedRecipient takes
+ */
+async function resolveContactToChange(userId, contactName, action = 'change them') {
+  const match = await contactsService.resolveContactName(userId, contactName);
+  if (match.status !== 'match') {
+    return contactsService.describeUnresolved(contactName, match);
+  }
+  if (match.score < 1) {
+    return askAboutLooseMatch(match.contact.name, action);
+  }
+  return { contact: match.contact };
+}
+
+/**
+ * Build the spoken-ready response for an executed transfer
+ * Shared by /api/send (auto-approved) and /api/send/confirm
+ * @param {Object} res - Express response
+ * @param {Object} transfer - Result of paymentsService.executeTransfer
+ * @param {Object} context - { amount, token?, recipient, wasAutoApproved, approvalCheck, extra? }
+ *   token: the token sent (default USDC)
+ *   extra: fields merged into a successful response (e.g. pay-link claim details)
+ */
+function sendTransferResponse(res, transfer, {
+  amount,
+  token = networkService.DEFAULT_TOKEN,
+  recipient,
+  wasAutoApproved,
+  approvalCheck,
+  extra = {}
+}) {
+  const { txResult, newBalance, lowBalanceAlert } = transfer;
+  const amountNum = parseFloat(amount);
+
+  if (!transfer.success) {
+    return res.status(500).json({
+      error: 'Transaction failed',
+      message: txResult.errorReason || 'The transaction could not be completed',
+      transactionId: txResult.transactionId,
+      state: txResult.state
+    });
+  }
+
+  // Submitted but not settled: the agent can follow up with /api/transaction/status
+  if (transfer.pending) {
+    return res.json({
+      success: true,
+      pending: true,
+      autoApproved: wasAutoApproved,
+      transactionId: txResult.transactionId,
+      state: txResult.state,
+      amount: amount,
+      token,
+      recipient,
+      message: `I've sent ${networkService.formatTokenAmount(amount, token)} to ${recipient}. It's being confirmed on the blockchain now, I'll let you know once it lands.`,
+      ...extra
+    });
+  }
+
+  res.json({
+    success: true,
+    autoApproved: wasAutoApproved,
+    transactionId: txResult.transactionId,
+    txHash: txResult.txHash,
+    explorerUrl: transfer.explorerUrl || null,
+    blockHeight: txResult.blockHeight,
+    state: txResult.state,
+    amount: amount,
+    token,
+    recipient,
+    newBalance: newBalance,
+    confirmedAt: txResult.firstConfirmDate,
+    networkFee: txResult.networkFee || null,
+    // Include budget status for agent context
+    budgetStatus: {
+      dailyRemaining: approvalCheck.budgetStatus.remainingToday - amountNum,
+      weeklyRemaining: approvalCheck.budgetStatus.remainingWeek - amountNum
+    },
+    // Alert if balance is low
+    lowBalanceWarning: lowBalanceAlert ? lowBalanceAlert.message : null,
+    ...extra
+  });
+}
+
+/**
+ * Build the response for a send held in the user's undo window
+ * Shared by /api/send (auto-approved) and /api/send/confirm
+ * @param {Object} res - Express response
+ * @param {Object} intent - The queued intent
+ * @param {Object} context - { windowSeconds, wasAutoApproved, approvalCheck }
+ */
+function sendQueuedResponse(res, intent, { windowSeconds, wasAutoApproved, approvalCheck }) {
+  const amountNum = parseFloat(intent.amount);
+
+  res.json({
+    success: true,
+    queued: true,
+    autoApproved: wasAutoApproved,
+    intentId: intent.id,
+    releaseAt: intent.release_at,
+    undoWindowSeconds: windowSeconds,
+    amount: intent.amount,
+    token: intent.token || networkService.DEFAULT_TOKEN,
+    recipient: intent.recipient_name,
+    memo: intent.memo || null,
+    category: intent.category || null,
+    budgetStatus: {
+      dailyRemaining: approvalCheck.budgetStatus.remainingToday - amountNum,
+      weeklyRemaining: approvalCheck.budgetStatus.remainingWeek - amountNum
+    },
+    message: `Sending ${networkService.formatTokenAmount(intent.amount, intent.token)} to ${intent.recipient_name} in ${windowSeconds} seconds. Say "cancel that" if that's not right.`
+  });
+}
+
+/**
+ * Open the claim for a pay-link send before its escrow transfer, so money in
+ * escrow always has a claim behind it
+ * @returns {Promise<Object|null>} { claim, code, message }, or null if this isn't a pay-link
+ */
+async function openPayLinkClaim(sender, contact, amount) {
+  if (!contact.isPayLink) {
+    return null;
+  }
+  return claimsService.createClaim({ sender, recipientPhone: contact.phone, amount: parseFloat(amount) });
+}
+
+/**
+ * Link a pay-link's claim to its escrow transfer (cancelling it if nothing
+ * was sent) and describe it for the agent
+ * The code is read out on this call only: an idempotent replay of the
+ * response gets the pay-link without it.
+ * @returns {Promise<Object>} Response fields to merge, or {} if this wasn't a successful pay-link
+ */
+async function finishPayLinkClaim(res, payLink, contact, amount, transfer) {
+  if (!payLink) {
+    return {};
+  }
+
+  await claimsService.recordClaimFunding(payLink.claim.id, transfer?.success ? transfer.txResult.transactionId : null);
+  if (!transfer?.success) {
+    return {};
+  }
+
+  const { claim, code, message } = payLink;
+  const sent = `I've sent $${amount} to a pay-link for ${contact.name}, since they're not on PayVoice yet.`;
+
+  res.locals.replayBody = body => ({
+    ...body,
+    payLink: { claimId: claim.id, expiresAt: claim.expires_at },
+    message: `${sent} The claim code was read out when the payment was made, and I can't repeat it.`
+  });
+
+  return {
+    payLink: {
+      claimId: claim.id,
+      code,
+      expiresAt: claim.expires_at
+    },
+    message: `${sent} ${message}`
+  };
+}
+
+/**
+ * The transfer a failed executeTransfer call had already submitted to Circle,
+ * as a pending transfer, or null if nothing was sent
+ * A submitted transfer settles through finalizeTransfer like any pending
+ * send, so its claim, intent and payment request must not be undone.
+ */
+function submittedTransfer(transferError) {
+  if (!transferError.transactionId) {
+    return null;
+  }
+  console.error(`[Send] Transfer ${transferError.transactionId} was submitted but not fully recorded: ${transferError.message}`);
+  return { success: true, pending: true, txResult: { transactionId: transferError.transactionId, state: 'PENDING' } };
+}
+
+/**
+ * Run the send policy path for a resolved sender and contact:
+ * balance check, budget guardrails, step-up, then either a confirmation
+ * intent or an auto-approved transfer. Writes the response.
+ * Shared by /api/send and /api/request/accept
+ * @param {Object} req - Express request (for the conversation binding)
+ * @param {Object} res - Express response
+ * @param {Object} params - { sender, contact, amount, token?, asyncMode, idempotencyKey?, paymentRequest?, feeLevel?, memo?, category?, localAmount?, spokenAmount? }
+ *   token: what's being sent, USDC (default) or EURC; amount is in that token
+ *   localAmount: the local-currency conversion from convertLocalAmount; such sends are always
+ *   confirmed so the rate is read back first
+ *   spokenAmount: how the amount was heard (req.spokenAmounts.amount); shares of the balance
+ *   are always confirmed too, since the user never said the number
+ */
+async function processSend(req, res, {
+  sender,
+  contact,
+  amount,
+  token = networkService.DEFAULT_TOKEN,
+  asyncMode,
+  idempotencyKey,
+  paymentRequest = null,
+  feeLevel,
+  memo = null,
+  category = null,
+  localAmount = null,
+  spokenAmount = null,
+  heardName = null
+}) {
+  const amountNum = parseFloat(amount);
+
+  // Check sender has sufficient balance
+  const currentBalance = await circleService.getBalance(sender.wallet_id, token);
+  if (parseFloat(currentBalance) < amountNum) {
+    return res.status(400).json({
+      error: 'Insufficient balance',
+      message: `Your balance (${currentBalance} ${token}) is less than the transfer amount (${amount} ${token})`
+    });
+  }
+
+  // ============================================
+  // PILLAR 2 & 3: POLICY CHECK & GUARDRAILS
+  // ============================================
+  const approvalCheck = await policyService.checkAutoApproval(sender.id, contact.id, amount, token);
+
+  // If budget would be exceeded, block the transaction
+  if (approvalCheck.budgetExceeded) {
+    console.log(`[Send] BLOCKED: Budget exceeded - ${approvalCheck.reason}`);
+    return res.status(400).json({
+      error: 'Budget limit exceeded',
+      message: approvalCheck.reason,
+      budgetStatus: approvalCheck.budgetStatus,
+      requiresConfirmation: false,
+      blocked: true
+    });
+  }
+
+  // PILLAR 1: Step-up verification for large payments / new contacts
+  const stepUp = await policyService.checkStepUpRequired(sender.id, contact, amount, req.conversation, token);
+  if (stepUp.required) {
+    console.log(`[Send] Requires step-up: ${stepUp.reason}`);
+    const credential = await policyService.getVoiceCredential(sender.id);
+    return res.json({
+      success: false,
+      requiresStepUp: true,
+      pinEnrolled: !!credential,
+      reason: stepUp.reason,
+      message: credential
+        ? `${stepUp.reason} Please say your PIN, then I'll continue with the payment.`
+        : `${stepUp.reason} You haven't set a PIN yet. Tell me a PIN you'd like to use and I'll set it up first.`
+    });
+  }
+
+  // Confirmation required: persist exactly what the user is agreeing to
+  // A converted amount, a share of the balance or a loosely matched name is
+  // confirmed even when policies would auto-approve it
+  let quote = null;
+  if (localAmount) {
+    quote = `${localAmount.formatted} is $${amountNum.toFixed(2)} at ${currencyService.formatMoney(localAmount.rate, localAmount.currency)} per dollar.`;
+  } else if (spokenAmount?.ofBalance) {
+    quote = `That's ${spokenAmount.echo}.`;
+  }
+  const nameCheck = heardName ? `I found ${contact.name} for "${heardName}".` : null;
+  const notes = [nameCheck, quote].filter(Boolean).join(' ');
+
+  if (approvalCheck.requiresConfirmation || notes) {
+    const reason = approvalCheck.requiresConfirmation ? approvalCheck.reason : notes;
+    const intent = await paymentsService.createPaymentIntent({
+      userId: sender.id,
+      contact,
+      amount: amountNum,
+      token,
+      reason,
+      paymentRequestId: paymentRequest?.id,
+      feeLevel,
+      memo,
+      category
+    });
+
+    console.log(`[Send] Requires confirmation (intent ${intent.id}): ${reason}`);
+    return res.json({
+      success: false,
+      requiresConfirmation: true,
+      intentId: intent.id,
+      expiresAt: intent.expires_at,
+      reason,
+      budgetStatus: approvalCheck.budgetStatus,
+      token,
+      memo,
+      category,
+      amountEcho: spokenAmount?.echo,
+      ...(localAmount && {
+        localAmount: {
+          amount: localAmount.amount,
+          currency: localAmount.currency,
+          rate: localAmount.rate,
+          rateSource: localAmount.source
+        }
+      }),
+      message: `${notes ? `${notes} ` : ''}Please confirm: Send ${token === networkService.DEFAULT_TOKEN ? '$' : ''}${amount} ${token} to ${contact.name}?`
+    });
+  }
+
+  console.log(`[Send] AUTO-APPROVED: ${approvalCheck.reason}`);
+
+  // Claim the request before any money moves, so two accepts can't both pay it
+  if (paymentRequest && !await requestsService.claimRequest(paymentRequest.id)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Request not payable',
+      message: 'That request is already being paid.'
+    });
+  }
+
+  // Undo window: hold the send so "wait, cancel that" can still stop it.
+  // Pay-links skip it, their claim code has to be read out on this call.
+  const undoWindow = contact.isPayLink ? 0 : await undoService.getUndoWindow(sender.id);
+  if (undoWindow > 0) {
+    let intent;
+    try {
+      intent = await undoService.queueSend({
+        sender,
+        contact,
+        amount: amountNum,
+        token,
+        windowSeconds: undoWindow,
+        reason: approvalCheck.reason,
+        paymentRequestId: paymentRequest?.id,
+        feeLevel,
+        memo,
+        category
+      });
+    } catch (queueError) {
+      if (paymentRequest) await requestsService.releaseRequest(paymentRequest.id);
+      throw queueError;
+    }
+    return sendQueuedResponse(res, intent, { windowSeconds: undoWindow, wasAutoApproved: true, approvalCheck });
+  }
+
+  // ============================================
+  // EXECUTE TRANSFER WITH CONFIRMATION
+  // ============================================
+  console.log(`[Send] Executing transfer ${asyncMode ? 'asynchronously' : 'with confirmation polling'}...`);
+
+  // A pay-link pays the escrow wallet, which is only looked up (or created) now that the send runs
+  const payee = contact.isPayLink ? await claimsService.getEscrowRecipient(contact.phone) : contact;
+  const payLink = await openPayLinkClaim(sender, contact, amountNum);
+
+  let transfer;
+  try {
+    transfer = await paymentsService.executeTransfer({
+      sender,
+      contact: payee,
+      amount: amountNum,
+      token,
+      wasAutoApproved: true,
+      waitForConfirmation: !asyncMode,
+      idempotencyKey,
+      feeLevel,
+      memo,
+      category
+    });
+  } catch (transferError) {
+    transfer = submittedTransfer(transferError);
+    if (!transfer) {
+      if (paymentRequest) await requestsService.releaseRequest(paymentRequest.id);
+      await finishPayLinkClaim(res, payLink, contact, amount, null);
+      throw transferError;
+    }
+  }
+
+  // Paid once it settles; a pending send is finished by finalizeTransfer
+  if (paymentRequest) {
+    await requestsService.recordRequestTransfer(paymentRequest.id, transfer);
+  }
+
+  sendTransferResponse(res, transfer, {
+    amount,
+    token,
+    recipient: contact.name,
+    wasAutoApproved: true,
+    approvalCheck,
+    extra: { memo, category, ...await finishPayLinkClaim(res, payLink, contact, amount, transfer) }
+  });
+}
+
 /**
  * POST /api/verify
  * PILLAR 1: IDENTITY - Verify user identity
- * Can verify by phone + optional wallet address confirmation
- * Input: { phone: string, walletLast4?: string }
- * Output: { verified: boolean, user: object }
+ * Can verify by phone + optional wallet address confirmation, or step up with a spoken PIN
+ * Modes:
+ * - (default): phone + optional walletLast4 check
+ * - 'enroll': set the spoken PIN/passphrase (changing it requires currentPin)
+ * - 'pin': check the spoken PIN; success unlocks step-up sends for this call
+ * Input: { phone: string, mode?: 'enroll'|'pin', pin?: string, currentPin?: string, walletLast4?: string }
+ * Output: { verified: boolean, user: object } or { success: boolean, message: string }
  * Security: Bearer token required
  */
-router.post('/verify', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/verify', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
   try {
-    const { phone, walletLast4 } = req.body;
+    const { phone, walletLast4, mode, pin, currentPin } = req.body;
 
     const validation = validateRequiredFields(req.body, ['phone']);
     if (!validation.valid) {
@@ -67,6 +571,96 @@ router.post('/verify', authenticateToolRequest, rateLimitByPhone, async (req, re
       });
     }
 
+    if (mode === 'enroll') {
+      if (!pin) {
+        return res.status(400).json({
+          error: 'Missing PIN',
+          message: 'Please say the PIN or passphrase you want to use'
+        });
+      }
+
+      const invalid = policyService.validateVoiceSecret(pin);
+      if (invalid) {
+        return res.status(400).json({
+          error: 'Invalid PIN',
+          message: invalid
+        });
+      }
+
+      // Changing an existing PIN needs the old one, otherwise anyone on the
+      // line could replace it
+      const existing = await policyService.getVoiceCredential(user.id);
+      if (existing) {
+        const check = currentPin
+          ? await policyService.verifyVoiceCredential(user.id, currentPin)
+          : { verified: false, locked: false };
+
+        if (!check.verified) {
+          return res.json({
+            success: false,
+            locked: !!check.locked,
+            message: check.locked
+              ? 'Your PIN is locked after too many wrong attempts. Please try again later.'
+              : 'To change your PIN, please say your current PIN first.'
+          });
+        }
+      }
+
+      await policyService.enrollVoiceCredential(user.id, pin);
+      console.log(`[Verify] PIN ${existing ? 'changed' : 'enrolled'} for ${user.name || phone}`);
+
+      return res.json({
+        success: true,
+        message: existing ? 'Your PIN has been changed.' : 'Your PIN is set. I may ask for it before larger payments.'
+      });
+    }
+
+    if (mode === 'pin') {
+      if (!pin) {
+        return res.status(400).json({
+          error: 'Missing PIN',
+          message: 'Please say your PIN'
+        });
+      }
+
+      const result = await policyService.verifyVoiceCredential(user.id, pin);
+
+      if (!result.enrolled) {
+        return res.json({
+          verified: false,
+          enrolled: false,
+          message: "You haven't set a PIN yet. Would you like to set one now?"
+        });
+      }
+
+      if (result.locked) {
+        console.log(`[Verify] PIN locked for ${phone}`);
+        return res.json({
+          verified: false,
+          locked: true,
+          message: 'Your PIN is locked after too many wrong attempts. Please try again later.'
+        });
+      }
+
+      if (!result.verified) {
+        console.log(`[Verify] Wrong PIN for ${phone}, ${result.attemptsRemaining} attempts left`);
+        return res.json({
+          verified: false,
+          attemptsRemaining: result.attemptsRemaining,
+          message: `That PIN is not correct. You have ${result.attemptsRemaining} ${result.attemptsRemaining === 1 ? 'try' : 'tries'} left.`
+        });
+      }
+
+      await dbService.markConversationStepUp(req.conversation.id);
+      console.log(`[Verify] PIN verified for ${user.name || phone}`);
+
+      return res.json({
+        verified: true,
+        stepUpValidForMinutes: policyService.STEP_UP_VALIDITY_MINUTES,
+        message: 'Thanks, your PIN is verified.'
+      });
+    }
+
     // If wallet verification requested
     if (walletLast4 && user.wallet_address) {
       const actualLast4 = user.wallet_address.slice(-4).toLowerCase();
@@ -111,16 +705,120 @@ router.post('/verify', authenticateToolRequest, rateLimitByPhone, async (req, re
   }
 });
 
+/**
+ * POST /api/onboard
+ * PILLAR 1: IDENTITY - Self-service onboarding for new callers
+ * Creates the user, provisions a Circle wallet and seeds default policies.
+ * Idempotent: repeating the call for the same phone returns the same wallet.
+ * Input: { phone: string, name?: string }
+ * Output: { success: boolean, alreadyOnboarded: boolean, message: string, user: object }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/onboard', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, name } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    console.log(`[Onboard] Onboarding phone: ${phone}`);
+
+    const { user, policy, alreadyOnboarded, welcomeMessage } =
+      await onboardingService.onboardUser(phone, { name });
+
+    console.log(`[Onboard] ${alreadyOnboarded ? 'Already onboarded' : 'Onboarded'}: ${user.name || phone}`);
+
+    res.json({
+      success: true,
+      alreadyOnboarded,
+      message: welcomeMessage,
+      user: {
+        name: user.name || 'User',
+        hasWallet: !!user.wallet_id,
+        walletLast4: user.wallet_address ? user.wallet_address.slice(-4) : null
+      },
+      policy: {
+        autoApproveLimit: policy.auto_approve_limit,
+        dailyLimit: policy.daily_spending_limit
+      }
+    });
+  } catch (error) {
+    console.error(`[Onboard Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Onboarding failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/claim
+ * Claim money sent to this caller's number as a pay-link
+ * Onboards the caller if needed, then pays out from escrow to their wallet.
+ * The code only works from the phone number the link was sent to.
+ * Input: { phone: string, code: string }
+ * Output: { success: boolean, message: string, transactionId?: string, attemptsRemaining?: number }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/claim', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone', 'code']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    console.log(`[Claim] Claim attempt from ${phone}`);
+
+    const result = await claimsService.claimPayLink(phone, code);
+
+    if (!result.success) {
+      return res.status(result.locked ? 423 : 400).json({
+        success: false,
+        error: 'Claim failed',
+        message: result.message,
+        attemptsRemaining: result.attemptsRemaining
+      });
+    }
+
+    res.json({
+      success: true,
+      amount: parseFloat(result.claim.amount),
+      from: result.claim.sender_name,
+      transactionId: result.transactionId,
+      message: result.message
+    });
+  } catch (error) {
+    console.error(`[Claim Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to claim payment',
+      message: error.message
+    });
+  }
+});
+
 /**
  * POST /api/conversation-init
  * ElevenLabs Conversation Initiation Webhook
  * Called when a new conversation starts to fetch user context
- * Input: { caller_id: string, agent_id: string, called_number?: string, call_sid?: string }
+ * Security: ElevenLabs HMAC signature required
+ * Also mints the conversation-scoped session token (dynamic variable
+ * session_token) that every tool call must pass back as "sessionToken".
+ * Input: { caller_id: string, agent_id: string, called_number?: string, call_sid?: string, conversation_id?: string }
  * Output: { type: "conversation_initiation_client_data", dynamic_variables: {...} }
  */
-router.post('/conversation-init', async (req, res) => {
+router.post('/conversation-init', verifyElevenLabsSignature, async (req, res) => {
   try {
-    const { caller_id, agent_id } = req.body;
+    const { caller_id, agent_id, call_sid, conversation_id } = req.body;
 
     console.log(`[Conversation Init] New conversation from: ${caller_id}, agent: ${agent_id}`);
 
@@ -132,28 +830,49 @@ router.post('/conversation-init', async (req, res) => {
       user_name: 'there',
       account_balance: '0.00',
       recent_transaction: 'No recent transactions',
-      is_new_user: 'true'
+      is_new_user: 'true',
+      welcome_message: '',
+      pending_requests: 'None',
+      pending_pay_links: 'None',
+      display_currency: 'USD',
+      account_balance_local: '',
+      budget_remaining_today: '',
+      session_token: ''
     };
 
     if (normalizedPhone) {
       // Try to find user by phone
-      const user = await dbService.getUserByPhone(normalizedPhone);
+      let user = await dbService.getUserByPhone(normalizedPhone);
 
       if (user) {
         dynamicVariables.user_name = user.name || 'there';
         dynamicVariables.is_new_user = 'false';
 
+        const displayCurrency = currencyService.currencyForUser(user);
+        dynamicVariables.display_currency = displayCurrency;
+
         // Get balance if user has wallet
         if (user.wallet_id) {
           try {
             const balance = await circleService.getBalance(user.wallet_id);
             dynamicVariables.account_balance = balance || '0.00';
+            dynamicVariables.account_balance_local = await currencyService.describeDual(balance || 0, displayCurrency);
           } catch (balanceError) {
             console.error(`[Conversation Init] Failed to fetch balance: ${balanceError.message}`);
             dynamicVariables.account_balance = 'unavailable';
           }
         }
 
+        // What's left of today's budget, in both currencies
+        try {
+          const policy = await policyService.getUserPolicy(user.id);
+          const committed = await policyService.getTodaySpending(user.id) + await policyService.getQueuedSpending(user.id);
+          const remaining = Math.max(0, parseFloat(policy.daily_spending_limit) - committed);
+          dynamicVariables.budget_remaining_today = await currencyService.describeDual(remaining, displayCurrency);
+        } catch (budgetError) {
+          console.error(`[Conversation Init] Failed to fetch budget: ${budgetError.message}`);
+        }
+
         // Get most recent transaction
         try {
           const transactions = await dbService.getRecentTransactions(user.id, 1);
@@ -166,10 +885,44 @@ router.post('/conversation-init', async (req, res) => {
           console.error(`[Conversation Init] Failed to fetch transactions: ${txError.message}`);
         }
 
+        // Money other users have asked them for, so the agent can bring it up
+        const pendingRequests = await requestsService.getPendingRequestsForPayer(user.id);
+        if (pendingRequests.length > 0) {
+          dynamicVariables.pending_requests = pendingRequests.map(requestsService.describeRequest).join('; ');
+        }
+
         console.log(`[Conversation Init] Found user: ${user.name}, balance: ${dynamicVariables.account_balance}`);
-      } else {
-        console.log(`[Conversation Init] New user, phone: ${normalizedPhone}`);
       }
+
+      // New caller (or an onboarding that dropped before the wallet was stored):
+      // provision them now so balance/send work for the rest of the call
+      if (!user || !user.wallet_id) {
+        const isNewUser = !user;
+        console.log(`[Conversation Init] ${isNewUser ? 'New user' : 'User without a wallet'}, phone: ${normalizedPhone}`);
+        try {
+          const onboarding = await onboardingService.onboardUser(normalizedPhone);
+          user = onboarding.user;
+          dynamicVariables.user_name = onboarding.user.name || 'there';
+          dynamicVariables.is_new_user = isNewUser ? 'true' : 'false';
+          dynamicVariables.welcome_message = onboarding.welcomeMessage;
+        } catch (onboardError) {
+          console.error(`[Conversation Init] Failed to onboard: ${onboardError.message}`);
+        }
+      }
+
+      // Money sent to this number before they joined: the agent asks for the claim code
+      const pendingClaims = await claimsService.getPendingClaimsForPhone(normalizedPhone);
+      if (pendingClaims.length > 0) {
+        dynamicVariables.pending_pay_links = pendingClaims.map(claimsService.describeClaim).join('; ');
+      }
+
+      // Bind this conversation to the caller so tool calls can't act on other accounts
+      const session = await sessionService.mintSession(normalizedPhone, {
+        callSid: call_sid,
+        conversationId: conversation_id,
+        userId: user?.id
+      });
+      dynamicVariables.session_token = session.token;
     }
 
     // Return ElevenLabs conversation initiation format
@@ -187,7 +940,14 @@ router.post('/conversation-init', async (req, res) => {
         user_name: 'there',
         account_balance: '0.00',
         recent_transaction: 'No recent transactions',
-        is_new_user: 'true'
+        is_new_user: 'true',
+        welcome_message: '',
+        pending_requests: 'None',
+        pending_pay_links: 'None',
+        display_currency: 'USD',
+        account_balance_local: '',
+        budget_remaining_today: '',
+        session_token: ''
       }
     });
   }
@@ -198,8 +958,9 @@ router.post('/conversation-init', async (req, res) => {
  * ElevenLabs Post-Call Webhook
  * Receives conversation data after each call ends
  * Used for logging, analytics, and debugging
+ * Security: ElevenLabs HMAC signature required
  */
-router.post('/post-call', async (req, res) => {
+router.post('/post-call', verifyElevenLabsSignature, async (req, res) => {
   try {
     const { type, event_timestamp, data } = req.body;
 
@@ -260,12 +1021,14 @@ router.post('/post-call', async (req, res) => {
 
 /**
  * POST /api/balance
- * Get user's USDC balance
+ * Get user's USDC balance, also in their display currency, and every other token the wallet holds
  * Input: { phone: string }
- * Output: { balance: string, currency: "USDC" }
+ * Output: { balance: string, currency: "USDC", displayCurrency: string,
+ *           local: { currency, amount, formatted, rate, rateSource } | null,
+ *           balances: [{ symbol, name, amount, tokenId, blockchain }], message: string }
  * Security: Bearer token required, rate limited
  */
-router.post('/balance', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/balance', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
   try {
     const { phone } = req.body;
 
@@ -296,14 +1059,35 @@ router.post('/balance', authenticateToolRequest, rateLimitByPhone, async (req, r
       });
     }
 
-    // Get balance from Circle
-    const balance = await circleService.getBalance(user.wallet_id);
+    // Get balances from Circle
+    const wallet = await circleService.getWalletBalance(user.wallet_id);
+    const balance = wallet.usdcBalance;
+    const otherTokens = wallet.balances.filter(token => token.symbol && token.symbol !== networkService.DEFAULT_TOKEN && parseFloat(token.amount) > 0);
 
-    console.log(`[Balance] Retrieved balance: ${balance} USDC for phone: ${phone}`);
+    console.log(`[Balance] Retrieved balance: ${balance} USDC${otherTokens.map(token => `, ${token.amount} ${token.symbol}`).join('')} for phone: ${phone}`);
+
+    // Same balance in the user's own currency, when it isn't USD
+    const displayCurrency = currencyService.currencyForUser(user);
+    let local = null;
+    try {
+      local = await currencyService.toLocal(balance, displayCurrency);
+    } catch (rateError) {
+      console.error(`[Balance] No ${displayCurrency} rate: ${rateError.message}`);
+    }
+
+    const otherNote = otherTokens.length > 0
+      ? ` You also have ${otherTokens.map(token => `${parseFloat(token.amount).toFixed(2)} ${token.symbol}`).join(' and ')}.`
+      : '';
 
     res.json({
       balance: balance,
-      currency: 'USDC'
+      currency: 'USDC',
+      displayCurrency,
+      local,
+      balances: wallet.balances,
+      message: (local
+        ? `You have $${parseFloat(balance).toFixed(2)}, about ${local.formatted}.`
+        : `You have $${parseFloat(balance).toFixed(2)}.`) + otherNote
     });
   } catch (error) {
     console.error(`[Balance Error] ${error.message}`);
@@ -316,215 +1100,2114 @@ router.post('/balance', authenticateToolRequest, rateLimitByPhone, async (req, r
 
 /**
  * POST /api/send
- * Send USDC to a contact with AGENTIC features
- * Input: { phone: string, recipientName: string, amount: string, confirmed?: boolean }
- * Output: { success: boolean, txHash: string, newBalance: string, autoApproved: boolean, ... }
+ * Send USDC (or EURC) to a contact, or to another PayVoice user by phone number, with AGENTIC features
+ * Input: { phone: string, recipientName?: string, recipientPhone?: string, amount: string,
+ *          token?: 'USDC'|'EURC', currency?: string, saveContact?: boolean, feeLevel?: 'LOW'|'MEDIUM'|'HIGH',
+ *          memo?: string, category?: string, idempotencyKey?: string, async?: boolean }
+ *        (token defaults to USDC; a EURC amount is in euros, "twenty" or "twenty euros", and
+ *         is checked against the user's EURC limits. Pay-links only hold USDC)
+ *        (amount is parsed as spoken: "ten bucks", "five dollars fifty", "half my balance",
+ *         "everything except $5"; shares of the balance are read back in a confirmation,
+ *         and an ambiguous amount like "five fifty" returns 400 with a clarifying question)
+ *        (amount may be in a local currency, "5000 naira" or amount + currency: 'NGN'; it's
+ *         converted to USDC and the rate is read back in a confirmation)
+ *        (recipientName or recipientPhone; saveContact adds a phone recipient to contacts;
+ *         feeLevel defaults to MEDIUM, see /api/send/estimate; without a category one is
+ *         suggested from the memo or past sends to the recipient)
+ * Output: { success: boolean, txHash: string, explorerUrl: string, newBalance: string, autoApproved: boolean, ... }
+ *      or { requiresConfirmation: true, intentId: string, expiresAt: string, message: string }
+ *         when the user must confirm via /api/send/confirm or /api/send/cancel
+ *      or { success: true, pending: true, transactionId: string } in async mode
+ *         (async: true or SEND_MODE=async), finalized later by the Circle webhook
+ *      or { success: true, queued: true, intentId: string, releaseAt: string } when the
+ *         user has an undo window; /api/send/undo stops it until then
  *
  * AGENTIC FEATURES:
+ * - Pay PayVoice users by phone number, no wallet address needed
  * - Auto-approve for trusted contacts under limit
  * - Budget enforcement (daily/weekly limits)
  * - Returns blockchain txHash for verification
  * - Updates spending analytics
  * - Checks for low balance alerts
  *
- * Security: Bearer token required, rate limited, transaction limits enforced
+ * Security: Bearer token required, rate limited, idempotent, transaction limits enforced
+ */
+router.post('/send', authenticateToolRequest, bindConversation, rateLimitByPhone, idempotent, convertLocalAmount, validateTransactionLimits, async (req, res) => {
+  try {
+    const {
+      phone,
+      recipientName,
+      recipientPhone,
+      amount,
+      saveContact = false,
+      memo,
+      category,
+      async: asyncMode = paymentsService.isAsyncSendDefault()
+    } = req.body;
+
+    const { feeLevel, error: feeLevelError } = parseFeeLevel(req.body.feeLevel);
+    if (feeLevelError) {
+      return res.status(400).json({
+        error: 'Invalid fee level',
+        message: feeLevelError
+      });
+    }
+
+    const { token, error: tokenError } = parseToken(req.body.token);
+    if (tokenError) {
+      return res.status(400).json({
+        error: 'Unsupported token',
+        message: tokenError
+      });
+    }
+
+    // Validate required fields
+    const validation = validateRequiredFields(req.body, ['phone', 'amount']);
+    if (!validation.valid || (!recipientName && !recipientPhone)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.valid ? ['recipientName or recipientPhone'] : validation.missing
+      });
+    }
+
+    // Validate amount is a positive number
+    const amountNum = parseFloat(amount);
+    if (isNaN(amountNum) || amountNum <= 0) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    console.log(`[Send] Processing transfer: ${amount} ${token} from ${phone} to ${recipientName || 'phone recipient'}`);
+
+    // Get sender from database
+    const sender = await dbService.getUserByPhone(phone);
+    if (!sender) {
+      return res.status(404).json({
+        error: 'Sender not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    if (!sender.wallet_id) {
+      return res.status(400).json({
+        error: 'No wallet',
+        message: 'Sender does not have a wallet yet'
+      });
+    }
+
+    // Resolve the recipient: a saved contact, or a PayVoice user by phone
+    const recipient = await directoryService.resolveRecipient(sender, {
+      recipientName,
+      recipientPhone,
+      saveContact: saveContact === true || saveContact === 'true',
+      contactName: recipientPhone ? recipientName : undefined
+    });
+    // Not on PayVoice yet: send to escrow and give them a claim code instead
+    if (recipient.unknownPhone && token !== networkService.DEFAULT_TOKEN) {
+      return res.status(400).json({
+        error: 'Pay-link needs USDC',
+        message: `${recipientPhone} isn't on PayVoice yet, and pay-links can only hold USDC. Would you like to send it in USDC instead?`
+      });
+    }
+    if (recipient.unknownPhone) {
+      recipient.contact = claimsService.getPayLinkRecipient(recipientPhone);
+      console.log('[Send] Recipient not on PayVoice, using a pay-link');
+    } else if (recipient.error) {
+      return sendUnresolvedRecipient(res, recipient);
+    }
+
+    const { contact } = recipient;
+    if (recipient.savedContact) {
+      console.log(`[Send] Saved ${contact.name} to contacts`);
+    }
+
+    const details = await categoriesService.resolveSendCategory(sender.id, contact.name, { memo, category });
+    if (details.categorySuggested) {
+      console.log(`[Send] Suggested category ${details.category} for ${contact.name}`);
+    }
+
+    await processSend(req, res, {
+      sender,
+      contact,
+      amount,
+      token,
+      asyncMode,
+      feeLevel,
+      memo: details.memo,
+      category: details.category,
+      localAmount: req.localAmount,
+      spokenAmount: req.spokenAmounts?.amount,
+      heardName: recipient.fuzzy ? recipientName : null,
+      idempotencyKey: req.idempotencyKey
+        ? circleService.deriveIdempotencyKey('send', sender.id, req.idempotencyKey)
+        : undefined
+    });
+
+  } catch (error) {
+    console.error(`[Send Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to send USDC',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/send/confirm
+ * Execute a payment intent created by /api/send, exactly once
+ * Amount and recipient come from the stored intent, never from this request.
+ * Budget and balance are re-checked since they may have changed meanwhile.
+ * Input: { phone: string, intentId: string, idempotencyKey?: string, async?: boolean }
+ * Output: same as a successful /api/send
+ * Security: Bearer token required, rate limited
+ */
+router.post('/send/confirm', authenticateToolRequest, bindConversation, rateLimitByPhone, idempotent, async (req, res) => {
+  try {
+    const { phone, intentId, async: asyncMode = paymentsService.isAsyncSendDefault() } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone', 'intentId']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const sender = await dbService.getUserByPhone(phone);
+    if (!sender) {
+      return res.status(404).json({
+        error: 'Sender not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    if (!sender.wallet_id) {
+      return res.status(400).json({
+        error: 'No wallet',
+        message: 'Sender does not have a wallet yet'
+      });
+    }
+
+    // Claim the intent first so a concurrent or repeated confirm can't run it twice
+    const claim = await paymentsService.claimPaymentIntent(sender.id, intentId, 'executing');
+    if (claim.error) {
+      console.log(`[Send/Confirm] Intent ${intentId} unusable: ${claim.error}`);
+      return res.status(claim.intent ? 409 : 404).json({
+        success: false,
+        error: 'Payment not confirmable',
+        message: claim.error
+      });
+    }
+
+    const { intent } = claim;
+    const amountNum = parseFloat(intent.amount);
+    const token = intent.token || networkService.DEFAULT_TOKEN;
+
+    const contact = await directoryService.getIntentRecipient(sender, intent);
+    if (!contact) {
+      await paymentsService.completePaymentIntent(intent.id, 'failed');
+      return res.status(404).json({
+        success: false,
+        error: 'Contact not found',
+        message: `${intent.recipient_name} is no longer in your contacts, so I did not send the payment.`
+      });
+    }
+
+    if (directoryService.addressChangedSince(contact, intent.created_at)) {
+      await paymentsService.completePaymentIntent(intent.id, 'failed');
+      return res.status(409).json({
+        success: false,
+        error: 'Recipient address changed',
+        message: `${contact.name}'s payment address changed after you asked to pay them, so I did not send it. Please start the payment again to confirm the new address.`
+      });
+    }
+
+    const currentBalance = await circleService.getBalance(sender.wallet_id, token);
+    if (parseFloat(currentBalance) < amountNum) {
+      await paymentsService.completePaymentIntent(intent.id, 'failed');
+      return res.status(400).json({
+        success: false,
+        error: 'Insufficient balance',
+        message: `Your balance (${currentBalance} ${token}) is less than the transfer amount (${intent.amount} ${token})`
+      });
+    }
+
+    const approvalCheck = await policyService.checkAutoApproval(sender.id, contact.id, amountNum, token);
+    if (approvalCheck.budgetExceeded) {
+      await paymentsService.completePaymentIntent(intent.id, 'failed');
+      return res.status(400).json({
+        success: false,
+        error: 'Budget limit exceeded',
+        message: approvalCheck.reason,
+        budgetStatus: approvalCheck.budgetStatus,
+        blocked: true
+      });
+    }
+
+    // Claim the request it pays before any money moves, so it can't be paid twice
+    if (intent.payment_request_id && !await requestsService.claimRequest(intent.payment_request_id)) {
+      await paymentsService.completePaymentIntent(intent.id, 'failed');
+      return res.status(409).json({
+        success: false,
+        error: 'Request not payable',
+        message: `The request from ${contact.name} is already paid or no longer waiting, so I did not send this payment.`
+      });
+    }
+
+    const undoWindow = contact.isPayLink ? 0 : await undoService.getUndoWindow(sender.id);
+    if (undoWindow > 0) {
+      const queued = await undoService.queueConfirmedIntent(intent, undoWindow);
+      return sendQueuedResponse(res, queued, { windowSeconds: undoWindow, wasAutoApproved: false, approvalCheck });
+    }
+
+    console.log(`[Send/Confirm] Executing intent ${intent.id}: ${intent.amount} ${token} to ${contact.name}`);
+
+    const payLink = await openPayLinkClaim(sender, contact, intent.amount);
+
+    let transfer;
+    try {
+      transfer = await paymentsService.executeTransfer({
+        sender,
+        contact,
+        amount: amountNum,
+        token,
+        wasAutoApproved: false,
+        waitForConfirmation: !asyncMode,
+        feeLevel: intent.fee_level || undefined,
+        memo: intent.memo,
+        category: intent.category,
+        // One intent can only ever be one Circle transfer
+        idempotencyKey: circleService.deriveIdempotencyKey('intent', intent.id)
+      });
+    } catch (transferError) {
+      transfer = submittedTransfer(transferError);
+      if (!transfer) {
+        await paymentsService.completePaymentIntent(intent.id, 'failed');
+        if (intent.payment_request_id) await requestsService.releaseRequest(intent.payment_request_id);
+        await finishPayLinkClaim(res, payLink, contact, intent.amount, null);
+        throw transferError;
+      }
+    }
+
+    await paymentsService.recordIntentTransfer(intent.id, transfer);
+
+    if (intent.payment_request_id) {
+      await requestsService.recordRequestTransfer(intent.payment_request_id, transfer);
+    }
+
+    sendTransferResponse(res, transfer, {
+      amount: intent.amount,
+      token,
+      recipient: contact.name,
+      wasAutoApproved: false,
+      approvalCheck,
+      extra: {
+        memo: intent.memo || null,
+        category: intent.category || null,
+        ...await finishPayLinkClaim(res, payLink, contact, intent.amount, transfer)
+      }
+    });
+  } catch (error) {
+    console.error(`[Send/Confirm Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to send USDC',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/send/cancel
+ * Discard a pending payment intent
+ * Input: { phone: string, intentId: string }
+ * Output: { success: boolean, message: string }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/send/cancel', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, intentId } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone', 'intentId']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    const claim = await paymentsService.claimPaymentIntent(user.id, intentId, 'cancelled');
+    if (claim.error) {
+      return res.status(claim.intent ? 409 : 404).json({
+        success: false,
+        error: 'Payment not cancellable',
+        message: claim.error
+      });
+    }
+
+    console.log(`[Send/Cancel] Cancelled intent ${intentId} for ${phone}`);
+    res.json({
+      success: true,
+      message: `Okay, I cancelled the payment of ${networkService.formatTokenAmount(claim.intent.amount, claim.intent.token)} to ${claim.intent.recipient_name}.`
+    });
+  } catch (error) {
+    console.error(`[Send/Cancel Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to cancel payment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/send/undo
+ * Stop a send that's still in the user's undo window ("wait, cancel that")
+ * Without an intentId, the most recent queued send is undone. Its budget
+ * reservation is released.
+ * Input: { phone: string, intentId?: string }
+ * Output: { success: boolean, message: string }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/send/undo', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, intentId } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    const result = await undoService.undoQueuedSend(user.id, intentId);
+    if (result.error) {
+      console.log(`[Send/Undo] Nothing undone for ${phone}: ${result.error}`);
+      return res.status(409).json({
+        success: false,
+        error: 'Payment not undoable',
+        message: result.error
+      });
+    }
+
+    console.log(`[Send/Undo] Undid intent ${result.intent.id} for ${phone}`);
+    res.json({
+      success: true,
+      intentId: result.intent.id,
+      message: `Okay, I stopped the payment of ${networkService.formatTokenAmount(result.intent.amount, result.intent.token)} to ${result.intent.recipient_name}. Nothing was sent.`
+    });
+  } catch (error) {
+    console.error(`[Send/Undo Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to undo payment',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/send/estimate
+ * Estimate the network fee for a send at each fee level, in plain language
+ * Input: { phone: string, amount: string, recipientName?: string, recipientPhone?: string, token?: 'USDC'|'EURC' }
+ * Output: { options: [{ feeLevel, speed, networkFee, description }], message: string }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/send/estimate', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, recipientName, recipientPhone, amount } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone', 'amount']);
+    if (!validation.valid || (!recipientName && !recipientPhone)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.valid ? ['recipientName or recipientPhone'] : validation.missing
+      });
+    }
+
+    const amountNum = parseFloat(amount);
+    if (isNaN(amountNum) || amountNum <= 0) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    const { token, error: tokenError } = parseToken(req.body.token);
+    if (tokenError) {
+      return res.status(400).json({
+        error: 'Unsupported token',
+        message: tokenError
+      });
+    }
+
+    const sender = await dbService.getUserByPhone(phone);
+    if (!sender) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    if (!sender.wallet_id) {
+      return res.status(400).json({
+        error: 'No wallet',
+        message: 'Sender does not have a wallet yet'
+      });
+    }
+
+    const recipient = await directoryService.resolveRecipient(sender, { recipientName, recipientPhone });
+    if (recipient.unknownPhone) {
+      // A quote doesn't create the escrow wallet; until it exists, a transfer
+      // to the sender's own address costs the same
+      const escrow = await claimsService.getEscrowWallet({ create: false });
+      recipient.contact = {
+        ...claimsService.getPayLinkRecipient(recipientPhone),
+        wallet_address: escrow?.address || sender.wallet_address
+      };
+    } else if (recipient.error) {
+      return sendUnresolvedRecipient(res, recipient);
+    }
+
+    const { contact } = recipient;
+    const estimates = await circleService.estimateTransferFee(sender.wallet_id, contact.wallet_address, String(amount), token);
+
+    const options = circleService.FEE_LEVELS
+      .filter(level => estimates[level])
+      .map(level => ({
+        feeLevel: level,
+        speed: FEE_LEVEL_LABELS[level],
+        networkFee: estimates[level].networkFee,
+        description: `${FEE_LEVEL_LABELS[level]}: ${describeFee(estimates[level].networkFee)}`
+      }));
+
+    if (options.length === 0) {
+      return res.status(502).json({
+        error: 'No fee estimate',
+        message: "I couldn't get a fee estimate right now."
+      });
+    }
+
+    const sending = networkService.formatTokenAmount(amount, token);
+    console.log(`[Send/Estimate] ${sending} to ${contact.name}: ${options.map(o => `${o.feeLevel}=${o.networkFee}`).join(', ')}`);
+
+    res.json({
+      amount,
+      token,
+      recipient: contact.name,
+      defaultFeeLevel: circleService.DEFAULT_FEE_LEVEL,
+      options,
+      message: `The network fee for sending ${sending} to ${contact.name} is ${options.map(o => o.description).join(', ')}. I'll use standard unless you'd like another speed.`
+    });
+  } catch (error) {
+    console.error(`[Send/Estimate Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to estimate fee',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/request
+ * Ask another PayVoice user for money
+ * The payer is a contact (whose wallet belongs to a PayVoice user) or a phone number.
+ * Both sides get an alert; the payer hears about it at the start of their next call.
+ * Input: { phone: string, amount: string, contactName?: string, payerPhone?: string, note?: string }
+ * Output: { success: boolean, requestId: string, expiresAt: string, message: string }
+ * Security: Bearer token required, rate limited, transaction limits enforced
+ */
+router.post('/request', authenticateToolRequest, bindConversation, rateLimitByPhone, validateTransactionLimits, async (req, res) => {
+  try {
+    const { phone, amount, contactName, payerPhone, note } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone', 'amount']);
+    if (!validation.valid || (!contactName && !payerPhone)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.valid ? ['contactName or payerPhone'] : validation.missing
+      });
+    }
+
+    const amountNum = parseFloat(amount);
+    if (isNaN(amountNum) || amountNum <= 0) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    const requester = await dbService.getUserByPhone(phone);
+    if (!requester) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    if (!requester.wallet_id) {
+      return res.status(400).json({
+        error: 'No wallet',
+        message: 'You need a wallet before you can request money'
+      });
+    }
+
+    // Resolve the payer to a PayVoice account
+    let payer;
+    if (contactName) {
+      const resolved = await directoryService.resolveRecipient(requester, { recipientName: contactName });
+      if (resolved.error) {
+        return sendUnresolvedRecipient(res, resolved);
+      }
+      if (resolved.fuzzy) {
+        return sendUnresolvedRecipient(res, askAboutLooseMatch(resolved.contact.name, 'ask them for money'));
+      }
+      payer = resolved.recipientUser;
+      if (!payer) {
+        return res.status(404).json({
+          error: 'Not a PayVoice user',
+          message: `${resolved.contact.name} isn't on PayVoice, so I can't send them a request.`
+        });
+      }
+    } else {
+      payer = await dbService.getUserByPhone(sessionService.normalizePhone(payerPhone));
+      if (!payer) {
+        return res.status(404).json({
+          error: 'Not a PayVoice user',
+          message: "There's no PayVoice account for that phone number."
+        });
+      }
+    }
+
+    if (payer.id === requester.id) {
+      return res.status(400).json({
+        error: 'Invalid payer',
+        message: "You can't request money from yourself."
+      });
+    }
+
+    const request = await requestsService.createRequest({
+      requester,
+      payer,
+      amount: amountNum,
+      note: note || null
+    });
+
+    console.log(`[Request] ${phone} requested $${amountNum} from ${request.payer_name}`);
+
+    res.json({
+      success: true,
+      requestId: request.id,
+      payer: request.payer_name,
+      amount: amountNum,
+      expiresAt: request.expires_at,
+      message: `Done. I've asked ${request.payer_name} for $${amountNum}${note ? ` for ${note}` : ''}. I'll let you know when they respond.`
+    });
+  } catch (error) {
+    console.error(`[Request Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to create payment request',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/request/accept
+ * Pay a pending request through the normal /api/send policy path
+ * (budget, step-up, confirmation intent or auto-approval). The requester is
+ * added to the payer's contacts if they aren't there already. The request is
+ * claimed before the payment goes out and only marked paid once it settles.
+ * Input: { phone: string, requestId?: string, requesterName?: string, idempotencyKey?: string, async?: boolean }
+ * Output: same as /api/send
+ * Security: Bearer token required, rate limited, idempotent
+ */
+router.post('/request/accept', authenticateToolRequest, bindConversation, rateLimitByPhone, idempotent, async (req, res) => {
+  try {
+    const { phone, requestId, requesterName, async: asyncMode = paymentsService.isAsyncSendDefault() } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const sender = await dbService.getUserByPhone(phone);
+    if (!sender) {
+      return res.status(404).json({
+        error: 'Sender not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    if (!sender.wallet_id) {
+      return res.status(400).json({
+        error: 'No wallet',
+        message: 'Sender does not have a wallet yet'
+      });
+    }
+
+    const found = await requestsService.findPendingRequest(sender.id, { requestId, requesterName });
+    if (found.error) {
+      return res.status(404).json({
+        success: false,
+        error: 'Request not found',
+        message: found.error,
+        candidates: found.candidates?.map(r => ({ requestId: r.id, requester: r.requester_name, amount: r.amount, note: r.note }))
+      });
+    }
+
+    const { request } = found;
+    const { contact, created } = await requestsService.getOrCreateRequesterContact(sender.id, request);
+    if (created) {
+      console.log(`[Request/Accept] Added ${contact.name} to contacts for ${phone}`);
+    }
+
+    console.log(`[Request/Accept] Paying request ${request.id}: $${request.amount} to ${contact.name}`);
+
+    // The request's note becomes the memo
+    const details = await categoriesService.resolveSendCategory(sender.id, contact.name, { memo: request.note });
+
+    await processSend(req, res, {
+      sender,
+      contact,
+      amount: parseFloat(request.amount),
+      asyncMode,
+      idempotencyKey: req.idempotencyKey
+        ? circleService.deriveIdempotencyKey('request', request.id, req.idempotencyKey)
+        : undefined,
+      paymentRequest: request,
+      memo: details.memo,
+      category: details.category
+    });
+  } catch (error) {
+    console.error(`[Request/Accept Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to pay request',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/request/decline
+ * Decline a pending request; the requester gets an alert
+ * Input: { phone: string, requestId?: string, requesterName?: string }
+ * Output: { success: boolean, message: string }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/request/decline', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, requestId, requesterName } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    const found = await requestsService.findPendingRequest(user.id, { requestId, requesterName });
+    if (found.error) {
+      return res.status(404).json({
+        success: false,
+        error: 'Request not found',
+        message: found.error,
+        candidates: found.candidates?.map(r => ({ requestId: r.id, requester: r.requester_name, amount: r.amount, note: r.note }))
+      });
+    }
+
+    const declined = await requestsService.resolveRequest(found.request.id, 'declined');
+    if (!declined) {
+      return res.status(409).json({
+        success: false,
+        error: 'Request not pending',
+        message: 'That request was already answered.'
+      });
+    }
+
+    console.log(`[Request/Decline] ${phone} declined request ${declined.id}`);
+    res.json({
+      success: true,
+      message: `Okay, I declined ${declined.requester_name}'s request for $${parseFloat(declined.amount)} and let them know.`
+    });
+  } catch (error) {
+    console.error(`[Request/Decline Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to decline request',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/split
+ * Split a bill across contacts
+ * - mode 'request' (default): ask each participant for their share
+ * - mode 'pay': pay each participant their share; budget and step-up are
+ *   checked for the whole batch, and if any share needs confirmation the
+ *   batch is confirmed once (action 'confirm' with the returned batchId)
+ * Shares are equal unless `shares` maps participant names to amounts.
+ * Input: { phone: string, action?: 'create'|'confirm'|'cancel', amount?: string,
+ *          participants?: string[] | string, shares?: object, includeSelf?: boolean,
+ *          mode?: 'request'|'pay', note?: string, batchId?: string, async?: boolean }
+ * Output: { success: boolean, shares: array, selfShare: number, message: string, batchId?: string }
+ * Security: Bearer token required, rate limited, idempotent, transaction limits enforced
+ */
+router.post('/split', authenticateToolRequest, bindConversation, rateLimitByPhone, idempotent, validateTransactionLimits, async (req, res) => {
+  try {
+    const {
+      phone,
+      action = 'create',
+      amount,
+      participants,
+      shares,
+      includeSelf = true,
+      mode = 'request',
+      note,
+      batchId,
+      async: asyncMode = paymentsService.isAsyncSendDefault()
+    } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    if (!user.wallet_id) {
+      return res.status(400).json({
+        error: 'No wallet',
+        message: 'You need a wallet before you can split a bill'
+      });
+    }
+
+    // Confirm or cancel a batch created by a previous 'pay' split
+    if (action === 'confirm' || action === 'cancel') {
+      if (!batchId) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          missing: ['batchId']
+        });
+      }
+
+      const pendingIntents = await paymentsService.getPendingBatchIntents(user.id, batchId);
+      const claimed = [];
+      let claimError = null;
+      for (const pendingIntent of pendingIntents) {
+        const claim = await paymentsService.claimPaymentIntent(
+          user.id,
+          pendingIntent.id,
+          action === 'confirm' ? 'executing' : 'cancelled'
+        );
+        if (claim.error) {
+          claimError = claim.error;
+        } else {
+          claimed.push(claim.intent);
+        }
+      }
+
+      if (claimed.length === 0) {
+        return res.status(409).json({
+          success: false,
+          error: action === 'confirm' ? 'Split not confirmable' : 'Split not cancellable',
+          message: claimError || 'That split payment is no longer waiting for confirmation.'
+        });
+      }
+
+      const batchTotal = claimed.reduce((sum, i) => sum + parseFloat(i.amount), 0);
+
+      if (action === 'cancel') {
+        console.log(`[Split] Cancelled batch ${batchId} for ${phone}`);
+        return res.json({
+          success: true,
+          message: `Okay, I cancelled the split payments totalling ${networkService.formatTokenAmount(batchTotal, claimed[0].token)}.`
+        });
+      }
+
+      const failAll = async () => {
+        for (const i of claimed) {
+          await paymentsService.completePaymentIntent(i.id, 'failed');
+        }
+      };
+
+      const currentBalance = await circleService.getBalance(user.wallet_id);
+      if (parseFloat(currentBalance) < batchTotal) {
+        await failAll();
+        return res.status(400).json({
+          success: false,
+          error: 'Insufficient balance',
+          message: `Your balance (${currentBalance} USDC) is less than the split total (${batchTotal} USDC)`
+        });
+      }
+
+      const budgetCheck = await policyService.checkAutoApproval(user.id, claimed[0].contact_id, batchTotal);
+      if (budgetCheck.budgetExceeded) {
+        await failAll();
+        return res.status(400).json({
+          success: false,
+          error: 'Budget limit exceeded',
+          message: budgetCheck.reason,
+          budgetStatus: budgetCheck.budgetStatus,
+          blocked: true
+        });
+      }
+
+      const items = [];
+      const missing = [];
+      for (const i of claimed) {
+        const contact = await directoryService.getIntentRecipient(user, i);
+        if (!contact) {
+          await paymentsService.completePaymentIntent(i.id, 'failed');
+          missing.push({ name: i.recipient_name, amount: parseFloat(i.amount), status: 'failed', error: 'Contact no longer exists' });
+        } else if (directoryService.addressChangedSince(contact, i.created_at)) {
+          // Same rule as /send/confirm: the new address needs a split of its own
+          await paymentsService.completePaymentIntent(i.id, 'failed');
+          missing.push({ name: contact.name, amount: parseFloat(i.amount), status: 'failed', error: 'Payment address changed after the split was set up' });
+        } else {
+          items.push({ contact, amount: parseFloat(i.amount), intentId: i.id });
+        }
+      }
+
+      console.log(`[Split] Executing batch ${batchId}: ${items.length} payments, $${batchTotal}`);
+
+      const results = missing.concat(await splitsService.payShares({
+        sender: user,
+        items,
+        wasAutoApproved: false,
+        waitForConfirmation: !asyncMode,
+        // One intent can only ever be one Circle transfer
+        idempotencyKeyFor: item => circleService.deriveIdempotencyKey('intent', item.intentId)
+      }));
+
+      return res.json({
+        success: results.some(r => r.status !== 'failed'),
+        mode: 'pay',
+        shares: results,
+        message: splitsService.summarizeSplit(results, 0)
+      });
+    }
+
+    if (action !== 'create') {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: "Action must be 'create', 'confirm' or 'cancel'"
+      });
+    }
+
+    if (!splitsService.SPLIT_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Invalid mode',
+        message: `Mode must be one of: ${splitsService.SPLIT_MODES.join(', ')}`
+      });
+    }
+
+    const names = Array.isArray(participants)
+      ? participants
+      : String(participants || (shares ? Object.keys(shares).join(',') : '')).split(',');
+    const uniqueNames = [...new Set(names.map(n => String(n).trim()).filter(Boolean))];
+
+    const amountNum = parseFloat(amount);
+    if (uniqueNames.length === 0 || isNaN(amountNum) || amountNum <= 0) {
+      return res.status(400).json({
+        error: 'Invalid split',
+        message: 'Tell me the total and who to split it with'
+      });
+    }
+
+    // Resolve every participant before doing anything
+    const contacts = [];
+    const notFound = [];
+    const unclear = [];
+    const loose = [];
+    for (const name of uniqueNames) {
+      const resolved = await directoryService.resolveRecipient(user, { recipientName: name });
+      if (resolved.contact) {
+        contacts.push(resolved.contact);
+        if (resolved.fuzzy) loose.push({ name, contact: resolved.contact.name });
+      } else if (resolved.needsClarification) {
+        unclear.push({ name, candidates: resolved.candidates });
+      } else {
+        notFound.push(name);
+      }
+    }
+
+    if (unclear.length > 0) {
+      return res.status(400).json({
+        error: 'Ambiguous contact',
+        needsClarification: true,
+        ambiguous: unclear,
+        message: unclear
+          .map(({ name, candidates }) => `${name}: ${contactsService.describeCandidates(candidates)}`)
+          .join(' ')
+      });
+    }
+
+    if (notFound.length > 0) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        missing: notFound,
+        message: `I couldn't find ${notFound.join(' or ')} in your contacts`
+      });
+    }
+
+    // Two names for the same person would give them two shares
+    const seen = new Map();
+    for (const [index, contact] of contacts.entries()) {
+      const key = contact.id || contact.wallet_address?.toLowerCase() || contact.phone;
+      if (seen.has(key)) {
+        const first = uniqueNames[seen.get(key)];
+        return res.status(400).json({
+          error: 'Duplicate participant',
+          needsClarification: true,
+          duplicate: { names: [first, uniqueNames[index]], contact: contact.name },
+          message: `${first} and ${uniqueNames[index]} are both ${contact.name}. Did you mean someone else, or should ${contact.name} get just one share?`
+        });
+      }
+      seen.set(key, index);
+    }
+
+    const split = splitsService.computeShares({
+      total: amountNum,
+      participants: uniqueNames,
+      shares,
+      includeSelf: includeSelf !== false && includeSelf !== 'false'
+    });
+    if (split.error) {
+      return res.status(400).json({
+        error: 'Invalid split',
+        message: split.error
+      });
+    }
+
+    const items = split.shares.map((share, index) => ({ contact: contacts[index], amount: share.amount }));
+
+    // Loosely matched names are read back before anyone is asked or paid
+    const nameCheck = loose.map(({ name, contact }) => `I found ${contact} for "${name}".`).join(' ');
+    if (loose.length > 0 && mode === 'request') {
+      return res.status(400).json({
+        error: 'Ambiguous contact',
+        needsClarification: true,
+        ambiguous: loose.map(({ name, contact }) => ({ name, candidates: [contact] })),
+        message: `${nameCheck} If that's right, please say their names as saved to ask them for money.`
+      });
+    }
+
+    console.log(`[Split] ${phone} splitting $${amountNum} (${mode}) between ${uniqueNames.join(', ')}`);
+
+    if (mode === 'request') {
+      const results = await splitsService.requestShares({ requester: user, items, note: note || null });
+      return res.json({
+        success: results.some(r => r.status === 'requested'),
+        mode,
+        total: amountNum,
+        shares: results,
+        selfShare: split.selfShare,
+        message: splitsService.summarizeSplit(results, split.selfShare)
+      });
+    }
+
+    // ============================================
+    // PAY MODE: one policy decision for the whole batch
+    // ============================================
+    const batchTotal = items.reduce((sum, item) => sum + item.amount, 0);
+
+    const currentBalance = await circleService.getBalance(user.wallet_id);
+    if (parseFloat(currentBalance) < batchTotal) {
+      return res.status(400).json({
+        error: 'Insufficient balance',
+        message: `Your balance (${currentBalance} USDC) is less than the split total (${batchTotal} USDC)`
+      });
+    }
+
+    const checks = [];
+    for (const item of items) {
+      checks.push(await policyService.checkAutoApproval(user.id, item.contact.id, item.amount));
+    }
+
+    // Budget applies to the batch as a whole, not each share on its own
+    const budgetCheck = await policyService.checkAutoApproval(user.id, items[0].contact.id, batchTotal);
+    if (budgetCheck.budgetExceeded) {
+      console.log(`[Split] BLOCKED: Budget exceeded - ${budgetCheck.reason}`);
+      return res.status(400).json({
+        error: 'Budget limit exceeded',
+        message: budgetCheck.reason,
+        budgetStatus: budgetCheck.budgetStatus,
+        requiresConfirmation: false,
+        blocked: true
+      });
+    }
+
+    for (const item of items) {
+      const stepUp = await policyService.checkStepUpRequired(user.id, item.contact, item.amount, req.conversation);
+      if (stepUp.required) {
+        console.log(`[Split] Requires step-up: ${stepUp.reason}`);
+        const credential = await policyService.getVoiceCredential(user.id);
+        return res.json({
+          success: false,
+          requiresStepUp: true,
+          pinEnrolled: !!credential,
+          reason: stepUp.reason,
+          message: credential
+            ? `${stepUp.reason} Please say your PIN, then I'll continue with the split.`
+            : `${stepUp.reason} You haven't set a PIN yet. Tell me a PIN you'd like to use and I'll set it up first.`
+        });
+      }
+    }
+
+    const needsConfirmation = checks.filter(check => check.requiresConfirmation);
+    if (needsConfirmation.length > 0 || nameCheck) {
+      const reason = needsConfirmation.length > 0 ? needsConfirmation[0].reason : nameCheck;
+      const newBatchId = randomUUID();
+      let expiresAt;
+      for (const item of items) {
+        const intent = await paymentsService.createPaymentIntent({
+          userId: user.id,
+          contact: item.contact,
+          amount: item.amount,
+          reason,
+          batchId: newBatchId
+        });
+        expiresAt = intent.expires_at;
+      }
+
+      const listing = items.map(item => `$${item.amount} to ${item.contact.name}`).join(', ');
+      console.log(`[Split] Requires confirmation (batch ${newBatchId}): ${reason}`);
+      return res.json({
+        success: false,
+        requiresConfirmation: true,
+        batchId: newBatchId,
+        expiresAt,
+        reason,
+        budgetStatus: budgetCheck.budgetStatus,
+        shares: items.map(item => ({ name: item.contact.name, amount: item.amount, status: 'owes' })),
+        selfShare: split.selfShare,
+        message: `${nameCheck ? `${nameCheck} ` : ''}Please confirm: Send ${listing}, $${batchTotal} in total?`
+      });
+    }
+
+    console.log(`[Split] AUTO-APPROVED batch of ${items.length} payments`);
+
+    const results = await splitsService.payShares({
+      sender: user,
+      items,
+      wasAutoApproved: true,
+      waitForConfirmation: !asyncMode,
+      idempotencyKeyFor: item => (req.idempotencyKey
+        ? circleService.deriveIdempotencyKey('split', user.id, req.idempotencyKey, item.contact.id)
+        : undefined)
+    });
+
+    res.json({
+      success: results.some(r => r.status !== 'failed'),
+      autoApproved: true,
+      mode,
+      total: amountNum,
+      shares: results,
+      selfShare: split.selfShare,
+      message: splitsService.summarizeSplit(results, split.selfShare)
+    });
+  } catch (error) {
+    console.error(`[Split Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to split bill',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/payouts
+ * Batch payouts from a CSV or JSON list of recipients and amounts
+ * - action 'validate' (default): dry run; validates every row and the total
+ *   against balance and spending limits, stores the batch, returns a report
+ * - action 'execute': pays a validated batch; call again to resume
+ *   (continues remaining rows and retries failed ones). Asks for the PIN when
+ *   the total or a new recipient needs it, and reads back rows that loosely
+ *   matched a contact or pay a changed address until called with confirmed: true
+ * - action 'status': per-row report for a batch
+ * Rows: contact name or 0x wallet address, and amount. CSV may have a header
+ * (name/address/amount) or be "recipient,amount" per line.
+ * Input: { phone: string, action?: 'validate'|'execute'|'status', data?: string|array,
+ *          format?: 'csv'|'json', batchId?: string, confirmed?: boolean }
+ * Output: dry-run report, { success: false, requiresStepUp | requiresConfirmation, message },
+ *         or { success, report, remaining, message }
+ * Security: Bearer token required, rate limited, idempotent
+ */
+router.post('/payouts', authenticateToolRequest, bindConversation, rateLimitByPhone, idempotent, async (req, res) => {
+  try {
+    const { phone, action = 'validate', data, format, batchId, confirmed } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    if (!user.wallet_id) {
+      return res.status(400).json({
+        error: 'No wallet',
+        message: 'You need a wallet before you can send payouts'
+      });
+    }
+
+    if (action === 'validate') {
+      if (!data) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          missing: ['data']
+        });
+      }
+
+      let rows;
+      try {
+        rows = payoutsService.parsePayoutRows(data, format);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Invalid payout list',
+          message: parseError.message
+        });
+      }
+
+      if (rows.length === 0 || rows.length > payoutsService.MAX_PAYOUT_ROWS) {
+        return res.status(400).json({
+          error: 'Invalid payout list',
+          message: rows.length === 0
+            ? 'The payout list is empty'
+            : `A batch can have at most ${payoutsService.MAX_PAYOUT_ROWS} rows (got ${rows.length})`
+        });
+      }
+
+      const report = await payoutsService.createPayoutBatch(user, rows);
+      return res.json({
+        success: report.valid,
+        dryRun: true,
+        ...report,
+        message: report.valid
+          ? `${report.rowCount} payments totalling $${report.total} are ready. Execute batch ${report.batchId} to send them.` +
+            (report.toConfirm.length ? ` I'll check ${report.toConfirm.length === 1 ? 'one row' : `${report.toConfirm.length} rows`} with you first.` : '')
+          : `This batch can't be sent yet: ${report.problems.join('; ')}.`
+      });
+    }
+
+    if (action !== 'execute' && action !== 'status') {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: "Action must be 'validate', 'execute' or 'status'"
+      });
+    }
+
+    if (!batchId) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: ['batchId']
+      });
+    }
+
+    if (action === 'status') {
+      const report = await payoutsService.getPayoutReport(user.id, batchId);
+      if (!report) {
+        return res.status(404).json({
+          error: 'Batch not found',
+          message: 'That batch was not found.'
+        });
+      }
+      return res.json(report);
+    }
+
+    console.log(`[Payouts] Executing batch ${batchId} for ${phone}`);
+
+    const result = await payoutsService.executePayoutBatch(user, batchId, {
+      session: req.conversation,
+      confirmed: confirmed === true || confirmed === 'true'
+    });
+
+    if (result.requiresStepUp) {
+      console.log(`[Payouts] Batch ${batchId} requires step-up: ${result.reason}`);
+      const credential = await policyService.getVoiceCredential(user.id);
+      return res.json({
+        success: false,
+        requiresStepUp: true,
+        pinEnrolled: !!credential,
+        reason: result.reason,
+        message: credential
+          ? `${result.reason} Please say your PIN, then I'll send the batch.`
+          : `${result.reason} You haven't set a PIN yet. Tell me a PIN you'd like to use and I'll set it up first.`
+      });
+    }
+
+    if (result.requiresConfirmation) {
+      return res.json({
+        success: false,
+        requiresConfirmation: true,
+        batchId,
+        rows: result.rows,
+        message: result.message
+      });
+    }
+
+    if (!result.success) {
+      return res.status(409).json({
+        success: false,
+        error: 'Batch not executable',
+        message: result.error
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error(`[Payouts Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to process payouts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transaction/status
+ * Check the outcome of a send (e.g. one submitted in async mode)
+ * If the record is still pending, asks Circle directly and finalizes it,
+ * so the answer is right even if the webhook hasn't arrived yet.
+ * Sends still in their undo window are reported as 'queued'.
+ * Input: { phone: string, transactionId?: string } (latest send if omitted)
+ * Output: { status: string, message: string, txHash?: string, explorerUrl?: string, ... }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/transaction/status', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, transactionId } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    // Sends whose undo window has closed go out now, in case no timer fired (serverless),
+    // and sends a stopped process left half-done are finished
+    await undoService.releaseDueSends(user.id);
+    await undoService.resumeStaleSends(user.id);
+
+    if (!transactionId) {
+      const queued = await undoService.getQueuedSend(user.id);
+      if (queued) {
+        const secondsLeft = Math.max(0, Math.ceil((new Date(queued.release_at).getTime() - Date.now()) / 1000));
+        return res.json({
+          intentId: queued.id,
+          status: 'queued',
+          amount: queued.amount,
+          recipient: queued.recipient_name,
+          releaseAt: queued.release_at,
+          message: `Your payment of ${networkService.formatTokenAmount(queued.amount, queued.token)} to ${queued.recipient_name} goes out in ${secondsLeft} seconds. You can still cancel it.`
+        });
+      }
+    }
+
+    let record = await dbService.getUserTransaction(user.id, transactionId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: "I couldn't find that payment."
+      });
+    }
+
+    if (record.status === 'pending' && record.circle_tx_id) {
+      try {
+        const circleTx = await circleService.getTransaction(record.circle_tx_id);
+        const finalized = await paymentsService.finalizeTransfer(circleTx);
+        if (finalized) {
+          await payoutsService.settlePayoutItem(finalized);
+          record = finalized;
+        }
+      } catch (circleError) {
+        console.error(`[Transaction/Status] Circle lookup failed: ${circleError.message}`);
+      }
+    }
+
+    const payment = `Your payment of ${networkService.formatTokenAmount(record.amount, record.token)} to ${record.recipient_name}`;
+    const messages = {
+      pending: `${payment} is still being confirmed.`,
+      completed: `${payment} went through.`,
+      failed: `${payment} did not go through.`
+    };
+
+    console.log(`[Transaction/Status] ${record.circle_tx_id}: ${record.status}`);
+
+    res.json({
+      transactionId: record.circle_tx_id,
+      status: record.status,
+      amount: record.amount,
+      recipient: record.recipient_name,
+      txHash: record.tx_hash,
+      explorerUrl: networkService.explorerTxUrl(record.tx_hash, record, user),
+      blockHeight: record.block_height,
+      message: messages[record.status] || `Your payment is ${record.status}.`
+    });
+  } catch (error) {
+    console.error(`[Transaction/Status Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get transaction status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/transaction/categorize
+ * Recategorize past sends (e.g. "that payment to John was rent")
+ * Targets one transaction by ID, or the latest send to a recipient; applyToAll
+ * recategorizes every send to that recipient. A memo can be set on a single transaction.
+ * Input: { phone: string, category: string, transactionId?: string, recipientName?: string,
+ *          applyToAll?: boolean, memo?: string }
+ * Output: { success: boolean, updated: number, message: string }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/transaction/categorize', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, category, transactionId, recipientName, applyToAll = false, memo } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone', 'category']);
+    if (!validation.valid || (!transactionId && !recipientName)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.valid ? ['transactionId or recipientName'] : validation.missing
+      });
+    }
+
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    // Sends are recorded under the contact's saved name, so match what was heard
+    // to a contact first; past recipients who aren't contacts are matched as said
+    let matchedName = recipientName;
+    if (!transactionId) {
+      const match = await contactsService.resolveContactName(user.id, recipientName);
+      if (match.status === 'match') {
+        matchedName = match.contact.name;
+      } else if (match.status === 'ambiguous') {
+        return sendUnresolvedRecipient(res, contactsService.describeUnresolved(recipientName, match));
+      }
+    }
+
+    const updated = await categoriesService.recategorizeTransactions(user.id, {
+      category,
+      transactionId,
+      recipientName: matchedName,
+      applyToAll: applyToAll === true || applyToAll === 'true',
+      memo
+    });
+
+    if (updated.length === 0) {
+      return res.status(404).json({
+        error: 'Transaction not found',
+        message: "I couldn't find that payment."
+      });
+    }
+
+    const newCategory = updated[0].category;
+    console.log(`[Transaction/Categorize] ${updated.length} transaction(s) for ${phone} -> ${newCategory}`);
+
+    res.json({
+      success: true,
+      updated: updated.length,
+      category: newCategory,
+      message: updated.length === 1
+        ? `Done. Your payment of $${updated[0].amount} to ${updated[0].recipient_name} is now filed under ${newCategory}.`
+        : `Done. All ${updated.length} payments to ${updated[0].recipient_name} are now filed under ${newCategory}.`
+    });
+  } catch (error) {
+    console.error(`[Transaction/Categorize Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to recategorize transaction',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/schedules
+ * Manage scheduled and recurring payments
+ * Input: { phone: string, action: 'list'|'create'|'pause'|'resume'|'cancel',
+ *          recipientName?: string, amount?: string, frequency?: 'once'|'weekly'|'monthly',
+ *          startDate?: 'YYYY-MM-DD', dayOfWeek?: string, scheduleId?: string }
+ * Output: { schedules: array } or { success: boolean, message: string, schedule?: object }
+ * Security: Bearer token required, rate limited, transaction limits enforced
+ */
+router.post('/schedules', authenticateToolRequest, bindConversation, rateLimitByPhone, validateTransactionLimits, async (req, res) => {
+  try {
+    const {
+      phone,
+      action = 'list',
+      recipientName,
+      amount,
+      frequency,
+      startDate,
+      dayOfWeek,
+      scheduleId
+    } = req.body;
+
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    const formatSchedule = schedule => ({
+      id: schedule.id,
+      recipient: schedule.recipient_name,
+      amount: schedule.amount,
+      frequency: schedule.frequency,
+      nextRun: schedule.next_run_at,
+      status: schedule.status,
+      description: schedulesService.describeSchedule(schedule)
+    });
+
+    if (action === 'list') {
+      const schedules = await schedulesService.listSchedules(user.id);
+      return res.json({
+        schedules: schedules.map(formatSchedule)
+      });
+    }
+
+    if (action === 'create') {
+      const createValidation = validateRequiredFields(req.body, ['recipientName', 'amount', 'frequency']);
+      if (!createValidation.valid) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          missing: createValidation.missing
+        });
+      }
+
+      const amountNum = parseFloat(amount);
+      if (isNaN(amountNum) || amountNum <= 0) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          message: 'Amount must be a positive number'
+        });
+      }
+
+      const resolved = await resolveContactToChange(user.id, recipientName, 'schedule payments to them');
+      if (!resolved.contact) {
+        return sendUnresolvedRecipient(res, resolved);
+      }
+      const { contact } = resolved;
+
+      // A schedule is standing approval for every run, so it gets the same
+      // step-up check as a live send
+      const stepUp = await policyService.checkStepUpRequired(user.id, contact, amountNum, req.conversation);
+      if (stepUp.required) {
+        return res.json({
+          success: false,
+          requiresStepUp: true,
+          reason: stepUp.reason,
+          message: `${stepUp.reason} Please say your PIN, then I'll set up the scheduled payment.`
+        });
+      }
+
+      let schedule;
+      try {
+        schedule = await schedulesService.createSchedule({
+          userId: user.id,
+          contact,
+          amount: amountNum,
+          frequency,
+          startDate,
+          dayOfWeek
+        });
+      } catch (scheduleError) {
+        return res.status(400).json({
+          error: 'Invalid schedule',
+          message: scheduleError.message
+        });
+      }
+
+      console.log(`[Schedules] Created schedule for ${phone}: ${schedulesService.describeSchedule(schedule)}`);
+      return res.json({
+        success: true,
+        schedule: formatSchedule(schedule),
+        message: `Done. I'll send ${schedulesService.describeSchedule(schedule)}, starting ${schedule.next_run_at.split('T')[0]}.`
+      });
+    }
+
+    const statusByAction = { pause: 'paused', resume: 'active', cancel: 'cancelled' };
+    if (statusByAction[action]) {
+      if (!scheduleId && !recipientName) {
+        return res.status(400).json({
+          error: 'Missing schedule',
+          message: 'Please say which scheduled payment you mean'
+        });
+      }
+
+      const found = await schedulesService.findSchedule(user.id, { scheduleId, recipientName });
+      if (found.error) {
+        return res.status(found.candidates ? 409 : 404).json({
+          error: found.candidates ? 'Ambiguous schedule' : 'Schedule not found',
+          message: found.error,
+          candidates: found.candidates?.map(formatSchedule)
+        });
+      }
+
+      const updated = await schedulesService.setScheduleStatus(user.id, found.schedule.id, statusByAction[action]);
+      const verb = { pause: 'paused', resume: 'resumed', cancel: 'cancelled' }[action];
+
+      console.log(`[Schedules] ${verb} schedule ${updated.id} for ${phone}`);
+      return res.json({
+        success: true,
+        schedule: formatSchedule(updated),
+        message: `Your scheduled payment of ${schedulesService.describeSchedule(updated)} is ${verb}.`
+      });
+    }
+
+    res.status(400).json({
+      error: 'Invalid action',
+      message: 'Action must be "list", "create", "pause", "resume", or "cancel"'
+    });
+  } catch (error) {
+    console.error(`[Schedules Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to manage scheduled payments',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/cron/run-schedules
+ * Execute scheduled payments that are due (Vercel Cron uses GET, so both are accepted)
+ * Also expires payment requests, refunds expired pay-links, releases queued sends and
+ * resumes sends stuck mid-send.
+ * Output: { processed, sent, skipped, failed, results, expiredRequests, payLinkRefunds, releasedSends, resumedSends }
+ * Security: CRON_SECRET bearer token required
+ */
+async function runSchedulesHandler(req, res) {
+  try {
+    console.log('[Cron] Running due scheduled payments');
+    const summary = await schedulesService.runDueSchedules();
+    // Same daily sweep expires stale payment requests and alerts both sides
+    const expiredRequests = await requestsService.expireStaleRequests();
+    // ...and refunds pay-links nobody claimed
+    const payLinkRefunds = await claimsService.refundExpiredClaims();
+    // ...and sends any undo-window sends whose timer never fired
+    const releasedSends = await undoService.releaseDueSends();
+    // ...and finishes sends left stuck mid-send
+    const resumedSends = await undoService.resumeStaleSends();
+    res.json({ ...summary, expiredRequests, payLinkRefunds, releasedSends, resumedSends });
+  } catch (error) {
+    console.error(`[Cron Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to run scheduled payments',
+      message: error.message
+    });
+  }
+}
+
+router.post('/cron/run-schedules', authenticateCronRequest, runSchedulesHandler);
+router.get('/cron/run-schedules', authenticateCronRequest, runSchedulesHandler);
+
+/**
+ * POST /api/history
+ * Get recent transactions
+ * Input: { phone: string, limit?: number }
+ * Output: { transactions: Array<{type, amount, token, recipient, date, status, transactionId, txHash, explorerUrl, memo, category}> }
+ * Security: Bearer token required, rate limited
+ */
+router.post('/history', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, limit = 5 } = req.body;
+
+    // Validate required fields
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    console.log(`[History] Fetching ${limit} transactions for phone: ${phone}`);
+
+    // Get user from database
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    // Get transaction history from database
+    const transactions = await dbService.getRecentTransactions(user.id, limit);
+
+    console.log(`[History] Retrieved ${transactions.length} transactions for phone: ${phone}`);
+
+    res.json({
+      transactions: transactions.map(tx => ({
+        type: tx.type,
+        amount: tx.amount,
+        token: tx.token || networkService.DEFAULT_TOKEN,
+        recipient: tx.recipient_name,
+        date: tx.created_at,
+        status: tx.status,
+        transactionId: tx.circle_tx_id,
+        txHash: tx.tx_hash || null,
+        explorerUrl: networkService.explorerTxUrl(tx.tx_hash, tx, user),
+        memo: tx.memo || null,
+        category: tx.category || null
+      }))
+    });
+  } catch (error) {
+    console.error(`[History Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to fetch transaction history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/contacts
+ * List user's contacts, with the aliases each can be called by
+ * Input: { phone: string }
+ * Output: { contacts: Array<{name, walletAddress, phone, aliases}> }
+ */
+router.post('/contacts', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    // Validate required fields
+    const validation = validateRequiredFields(req.body, ['phone']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
+      });
+    }
+
+    console.log(`[Contacts] Fetching contacts for phone: ${phone}`);
+
+    // Get user from database
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    // Get contacts
+    const contacts = await contactsService.getContactsWithAliases(user.id);
+
+    console.log(`[Contacts] Retrieved ${contacts.length} contacts for phone: ${phone}`);
+
+    res.json({
+      contacts: contacts.map(contact => ({
+        name: contact.name,
+        walletAddress: contact.wallet_address,
+        phone: contact.phone || null,
+        aliases: contact.aliases
+      }))
+    });
+  } catch (error) {
+    console.error(`[Contacts Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to fetch contacts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/add
+ * Add a new contact, by wallet address or by the PayVoice user's phone number
+ * Wallet addresses are checksum-checked and read back for the user to confirm;
+ * nothing is saved until it's sent again with confirmed: true. An address
+ * almost the same as a saved contact's gets a 409 warning until it's sent
+ * again with confirmLookalike.
+ * Input: { phone: string, name: string, walletAddress?: string, contactPhone?: string,
+ *          confirmLookalike?: boolean, confirmed?: boolean }
+ * Output: { success: boolean, contact: object, readBack?: { short, spoken }, message: string },
+ *         or { success: false, requiresConfirmation: true, contact, readBack, message } for the read-back
+ */
+router.post('/contacts/add', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, name, walletAddress, contactPhone, confirmLookalike = false, confirmed = false } = req.body;
+
+    // Validate required fields
+    const validation = validateRequiredFields(req.body, ['phone', 'name']);
+    if (!validation.valid || (!walletAddress && !contactPhone)) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.valid ? ['walletAddress or contactPhone'] : validation.missing
+      });
+    }
+
+    console.log(`[Contacts/Add] Adding contact "${name}" for phone: ${phone}`);
+
+    // Get user from database
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
+      });
+    }
+
+    // Check if contact name already exists, as a name or an alias
+    const existing = await contactsService.findNameOwner(user.id, name);
+    if (existing) {
+      return res.status(400).json({
+        error: 'Contact already exists',
+        message: existing.isAlias
+          ? `"${name}" is already what you call ${existing.contact.name}`
+          : `A contact named "${name}" already exists`
+      });
+    }
+
+    // Checksum, zero address, own wallet, then lookalikes of saved contacts
+    let checkedAddress = null;
+    if (walletAddress) {
+      checkedAddress = addressesService.checkContactAddress(user, walletAddress, await dbService.getContacts(user.id), {
+        confirmLookalike: confirmLookalike === true || confirmLookalike === 'true'
+      });
+      if (!checkedAddress.address) {
+        const { status, ...body } = checkedAddress;
+        return res.status(status).json(body);
+      }
+
+      // A misheard address is only caught if the user hears it before it's saved
+      if (confirmed !== true && confirmed !== 'true') {
+        return res.json({
+          success: false,
+          requiresConfirmation: true,
+          contact: {
+            name,
+            walletAddress: checkedAddress.address,
+            phone: null
+          },
+          readBack: checkedAddress.readBack,
+          message: `${name}'s address ${checkedAddress.readBack.spoken}. Is that right? If so, I'll save them.`
+        });
+      }
+    }
+
+    // A phone contact must be a PayVoice user; its address is resolved at send time
+    let savedPhone = null;
+    if (!walletAddress) {
+      const contactUser = await directoryService.lookupByPhone(contactPhone);
+      if (!contactUser) {
+        return res.status(404).json({
+          error: 'Not a PayVoice user',
+          message: `There's no PayVoice account for that number, so I need ${name}'s wallet address instead.`
+        });
+      }
+      if (contactUser.id === user.id) {
+        return res.status(400).json({
+          error: 'Invalid contact',
+          message: "That's your own number."
+        });
+      }
+      savedPhone = sessionService.normalizePhone(contactPhone);
+    }
+
+    // Add contact
+    const newContact = await dbService.addContact(user.id, name, checkedAddress?.address || null, savedPhone);
+
+    console.log(`[Contacts/Add] Contact "${name}" added successfully for phone: ${phone}`);
+
+    res.json({
+      success: true,
+      contact: {
+        name: newContact.name,
+        walletAddress: newContact.wallet_address,
+        phone: newContact.phone || null
+      },
+      ...(checkedAddress && { readBack: checkedAddress.readBack }),
+      message: `Saved ${newContact.name}.`
+    });
+  } catch (error) {
+    console.error(`[Contacts/Add Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to add contact',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/contacts/update
+ * Rename a contact and/or change where they're paid
+ * A new wallet address or phone number removes them from trusted contacts,
+ * makes the next send to them need confirmation, pauses their schedules until
+ * then and raises an alert, so a hijacked session can't quietly redirect payments.
+ * Wallet addresses get the same checks and read-back as /api/contacts/add.
+ * Input: { phone: string, contactName: string, newName?: string, walletAddress?: string,
+ *          contactPhone?: string, confirmLookalike?: boolean }
+ * Output: { success: boolean, contact: object, addressChanged: boolean, readBack?: object, message: string }
  */
-router.post('/send', authenticateToolRequest, rateLimitByPhone, validateTransactionLimits, async (req, res) => {
+router.post('/contacts/update', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
   try {
-    const { phone, recipientName, amount, confirmed = false } = req.body;
+    const { phone, contactName, newName, walletAddress, contactPhone, confirmLookalike = false } = req.body;
 
-    // Validate required fields
-    const validation = validateRequiredFields(req.body, ['phone', 'recipientName', 'amount']);
-    if (!validation.valid) {
+    const validation = validateRequiredFields(req.body, ['phone', 'contactName']);
+    if (!validation.valid || (!newName && !walletAddress && !contactPhone)) {
       return res.status(400).json({
         error: 'Missing required fields',
-        missing: validation.missing
+        missing: validation.valid ? ['newName, walletAddress or contactPhone'] : validation.missing
       });
     }
 
-    // Validate amount is a positive number
-    const amountNum = parseFloat(amount);
-    if (isNaN(amountNum) || amountNum <= 0) {
+    if (walletAddress && contactPhone) {
       return res.status(400).json({
-        error: 'Invalid amount',
-        message: 'Amount must be a positive number'
+        error: 'Invalid request',
+        message: 'Give either a wallet address or a phone number, not both'
       });
     }
 
-    console.log(`[Send] Processing transfer: ${amount} USDC from ${phone} to ${recipientName}`);
-
-    // Get sender from database
-    const sender = await dbService.getUserByPhone(phone);
-    if (!sender) {
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
       return res.status(404).json({
-        error: 'Sender not found',
+        error: 'User not found',
         message: 'No account found for this phone number'
       });
     }
 
-    if (!sender.wallet_id) {
-      return res.status(400).json({
-        error: 'No wallet',
-        message: 'Sender does not have a wallet yet'
-      });
+    const resolved = await resolveContactToChange(user.id, contactName);
+    if (!resolved.contact) {
+      return sendUnresolvedRecipient(res, resolved);
     }
-
-    // Get recipient contact
-    const contact = await dbService.getContactByName(sender.id, recipientName);
-    if (!contact) {
-      return res.status(404).json({
-        error: 'Contact not found',
-        message: `No contact named "${recipientName}" found in your contacts`
+    let contact = resolved.contact;
+
+    // Correcting a typo in this contact's own address isn't a lookalike
+    let checkedAddress = null;
+    if (walletAddress) {
+      const others = (await dbService.getContacts(user.id)).filter(c => c.id !== contact.id);
+      checkedAddress = addressesService.checkContactAddress(user, walletAddress, others, {
+        confirmLookalike: confirmLookalike === true || confirmLookalike === 'true'
       });
+      if (!checkedAddress.address) {
+        const { status, ...body } = checkedAddress;
+        return res.status(status).json(body);
+      }
     }
 
-    // Check sender has sufficient balance
-    const currentBalance = await circleService.getBalance(sender.wallet_id);
-    if (parseFloat(currentBalance) < amountNum) {
-      return res.status(400).json({
-        error: 'Insufficient balance',
-        message: `Your balance (${currentBalance} USDC) is less than the transfer amount (${amount} USDC)`
-      });
+    if (contactPhone) {
+      const contactUser = await directoryService.lookupByPhone(contactPhone);
+      if (!contactUser) {
+        return res.status(404).json({
+          error: 'Not a PayVoice user',
+          message: `There's no PayVoice account for that number, so I need ${contact.name}'s wallet address instead.`
+        });
+      }
+      if (contactUser.id === user.id) {
+        return res.status(400).json({
+          error: 'Invalid contact',
+          message: "That's your own number."
+        });
+      }
     }
 
-    // ============================================
-    // PILLAR 2 & 3: POLICY CHECK & GUARDRAILS
-    // ============================================
-    const approvalCheck = await policyService.checkAutoApproval(sender.id, contact.id, amount);
+    const said = [];
 
-    // If budget would be exceeded, block the transaction
-    if (approvalCheck.budgetExceeded) {
-      console.log(`[Send] BLOCKED: Budget exceeded - ${approvalCheck.reason}`);
-      return res.status(400).json({
-        error: 'Budget limit exceeded',
-        message: approvalCheck.reason,
-        budgetStatus: approvalCheck.budgetStatus,
-        requiresConfirmation: false,
-        blocked: true
-      });
+    if (newName) {
+      const renamed = await contactsService.renameContact(user.id, contact, newName);
+      if (renamed.error) {
+        return res.status(400).json({
+          error: 'Name unavailable',
+          message: renamed.error
+        });
+      }
+      if (renamed.contact.name !== contact.name) {
+        said.push(`${contact.name} is now saved as ${renamed.contact.name}.`);
+      }
+      contact = renamed.contact;
     }
 
-    // If confirmation is required and not yet confirmed
-    if (approvalCheck.requiresConfirmation && !confirmed) {
-      console.log(`[Send] Requires confirmation: ${approvalCheck.reason}`);
-      return res.json({
-        success: false,
-        requiresConfirmation: true,
-        reason: approvalCheck.reason,
-        budgetStatus: approvalCheck.budgetStatus,
-        message: `Please confirm: Send $${amount} USDC to ${recipientName}?`
+    let addressChanged = false;
+    if (walletAddress || contactPhone) {
+      const change = await contactsService.changeContactAddress(user.id, contact, {
+        walletAddress: checkedAddress?.address,
+        phone: contactPhone
       });
+      addressChanged = change.changed;
+      contact = change.contact;
+      if (change.changed) {
+        said.push(
+          `I've updated where ${contact.name} gets paid.` +
+          `${change.wasTrusted ? ' They are no longer a trusted contact.' : ''}` +
+          " I'll ask you to confirm the next payment to them." +
+          `${checkedAddress ? ` The new address ${checkedAddress.readBack.spoken}.` : ''}`
+        );
+      } else {
+        said.push(`That's already where ${contact.name} gets paid.`);
+      }
     }
 
-    const wasAutoApproved = approvalCheck.canAutoApprove;
-    if (wasAutoApproved) {
-      console.log(`[Send] AUTO-APPROVED: ${approvalCheck.reason}`);
-    }
-
-    // ============================================
-    // EXECUTE TRANSFER WITH CONFIRMATION
-    // ============================================
-    console.log(`[Send] Executing transfer with confirmation polling...`);
+    console.log(`[Contacts/Update] Updated ${contact.name} for ${phone}${addressChanged ? ' (address changed)' : ''}`);
 
-    const txResult = await circleService.sendUSDCWithConfirmation(
-      sender.wallet_id,
-      contact.wallet_address,
-      amount
-    );
+    res.json({
+      success: true,
+      contact: {
+        name: contact.name,
+        walletAddress: contact.wallet_address,
+        phone: contact.phone || null
+      },
+      addressChanged,
+      ...(checkedAddress && { readBack: checkedAddress.readBack }),
+      message: said.join(' ') || `Nothing to change for ${contact.name}.`
+    });
+  } catch (error) {
+    console.error(`[Contacts/Update Error] ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to update contact',
+      message: error.message
+    });
+  }
+});
 
-    if (!txResult.success) {
-      console.error(`[Send] Transaction failed: ${txResult.errorReason}`);
+/**
+ * POST /api/contacts/delete
+ * Delete a contact, with their trusted status and aliases, and cancel their scheduled payments
+ * Input: { phone: string, contactName: string }
+ * Output: { success: boolean, cancelledSchedules: number, message: string }
+ */
+router.post('/contacts/delete', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
+  try {
+    const { phone, contactName } = req.body;
 
-      // Log failed transaction
-      await dbService.logTransactionWithDetails({
-        userId: sender.id,
-        type: 'send',
-        amount: amountNum,
-        recipientName,
-        circleTxId: txResult.transactionId,
-        status: 'failed',
-        wasAutoApproved
+    const validation = validateRequiredFields(req.body, ['phone', 'contactName']);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        missing: validation.missing
       });
+    }
 
-      return res.status(500).json({
-        error: 'Transaction failed',
-        message: txResult.errorReason || 'The transaction could not be completed',
-        transactionId: txResult.transactionId,
-        state: txResult.state
+    const user = await dbService.getUserByPhone(phone);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'No account found for this phone number'
       });
     }
 
-    // ============================================
-    // PILLAR 4: TREASURY - Update spending
-    // ============================================
-    await policyService.updateDailySpending(sender.id, amountNum);
-
-    // Log successful transaction with full details
-    await dbService.logTransactionWithDetails({
-      userId: sender.id,
-      type: 'send',
-      amount: amountNum,
-      recipientName,
-      circleTxId: txResult.transactionId,
-      status: 'completed',
-      txHash: txResult.txHash,
-      blockHeight: txResult.blockHeight,
-      wasAutoApproved
-    });
-
-    // Get new balance
-    const newBalance = await circleService.getBalance(sender.wallet_id);
+    const resolved = await resolveContactToChange(user.id, contactName);
+    if (!resolved.contact) {
+      return sendUnresolvedRecipient(res, resolved);
+    }
 
-    // Check for low balance alert
-    const lowBalanceAlert = await policyService.checkLowBalanceAlert(sender.id, newBalance);
+    const { contact, cancelledSchedules } = await contactsService.deleteContact(user.id, resolved.contact);
+    if (!contact) {
+      return res.status(404).json({
+        error: 'Contact not found',
+        message: `No contact named "${contactName}" found in your contacts`
+      });
+    }
 
-    console.log(`[Send] Transfer complete! TxHash: ${txResult.txHash}, New balance: ${newBalance} USDC`);
+    console.log(`[Contacts/Delete] Deleted ${contact.name} for ${phone}`);
 
-    // ============================================
-    // RETURN COMPREHENSIVE RESPONSE
-    // ============================================
     res.json({
       success: true,
-      autoApproved: wasAutoApproved,
-      transactionId: txResult.transactionId,
-      txHash: txResult.txHash,
-      blockHeight: txResult.blockHeight,
-      state: txResult.state,
-      amount: amount,
-      recipient: recipientName,
-      newBalance: newBalance,
-      confirmedAt: txResult.firstConfirmDate,
-      // Include budget status for agent context
-      budgetStatus: {
-        dailyRemaining: approvalCheck.budgetStatus.remainingToday - amountNum,
-        weeklyRemaining: approvalCheck.budgetStatus.remainingWeek - amountNum
-      },
-      // Alert if balance is low
-      lowBalanceWarning: lowBalanceAlert ? lowBalanceAlert.message : null
+      cancelledSchedules,
+      message: `${contact.name} is no longer in your contacts.` +
+        (cancelledSchedules ? ` I also cancelled ${cancelledSchedules} scheduled payment${cancelledSchedules === 1 ? '' : 's'} to them.` : '')
     });
-
   } catch (error) {
-    console.error(`[Send Error] ${error.message}`);
+    console.error(`[Contacts/Delete Error] ${error.message}`);
     res.status(500).json({
-      error: 'Failed to send USDC',
+      error: 'Failed to delete contact',
       message: error.message
     });
   }
 });
 
 /**
- * POST /api/history
- * Get recent transactions
- * Input: { phone: string, limit?: number }
- * Output: { transactions: Array<{type, amount, recipient, date}> }
- * Security: Bearer token required, rate limited
+ * POST /api/contacts/import
+ * Add many contacts from an address book export (vCard 3.0 / 4.0 or CSV)
+ * Phone numbers must belong to PayVoice users; wallet addresses are checked
+ * like /api/contacts/add. Nothing already saved is changed: existing people,
+ * name clashes and repeats are reported per entry. dryRun only reports.
+ * CSV may have a header (name, phone, wallet) or be "name,phone" per line.
+ * Input: { phone: string, data: string, format?: 'vcard'|'csv', dryRun?: boolean }
+ * Output: { success, dryRun, total, counts, entries: Array<{ entry, name, status, reason? }>, message }
  */
-router.post('/history', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/contacts/import', authenticateToolRequest, bindConversation, rateLimitByPhone, idempotent, async (req, res) => {
   try {
-    const { phone, limit = 5 } = req.body;
+    const { phone, data, format, dryRun = false } = req.body;
 
-    // Validate required fields
-    const validation = validateRequiredFields(req.body, ['phone']);
+    const validation = validateRequiredFields(req.body, ['phone', 'data']);
     if (!validation.valid) {
       return res.status(400).json({
         error: 'Missing required fields',
@@ -532,9 +3215,6 @@ router.post('/history', authenticateToolRequest, rateLimitByPhone, async (req, r
       });
     }
 
-    console.log(`[History] Fetching ${limit} transactions for phone: ${phone}`);
-
-    // Get user from database
     const user = await dbService.getUserByPhone(phone);
     if (!user) {
       return res.status(404).json({
@@ -543,40 +3223,55 @@ router.post('/history', authenticateToolRequest, rateLimitByPhone, async (req, r
       });
     }
 
-    // Get transaction history from database
-    const transactions = await dbService.getRecentTransactions(user.id, limit);
+    let entries;
+    try {
+      entries = addressbookService.parseAddressBook(data, format);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Invalid address book',
+        message: parseError.message
+      });
+    }
 
-    console.log(`[History] Retrieved ${transactions.length} transactions for phone: ${phone}`);
+    if (entries.length === 0 || entries.length > addressbookService.MAX_IMPORT_ENTRIES) {
+      return res.status(400).json({
+        error: 'Invalid address book',
+        message: entries.length === 0
+          ? "I couldn't find any contacts in that file"
+          : `An import can have at most ${addressbookService.MAX_IMPORT_ENTRIES} contacts (got ${entries.length})`
+      });
+    }
+
+    console.log(`[Contacts/Import] ${dryRun ? 'Checking' : 'Importing'} ${entries.length} entries for phone: ${phone}`);
+
+    const report = await addressbookService.importContacts(user, entries, { dryRun: dryRun === true || dryRun === 'true' });
 
     res.json({
-      transactions: transactions.map(tx => ({
-        type: tx.type,
-        amount: tx.amount,
-        recipient: tx.recipient_name,
-        date: tx.created_at,
-        status: tx.status
-      }))
+      success: true,
+      ...report,
+      message: addressbookService.summarizeImport(report)
     });
   } catch (error) {
-    console.error(`[History Error] ${error.message}`);
+    console.error(`[Contacts/Import Error] ${error.message}`);
     res.status(500).json({
-      error: 'Failed to fetch transaction history',
+      error: 'Failed to import contacts',
       message: error.message
     });
   }
 });
 
 /**
- * POST /api/contacts
- * List user's contacts
- * Input: { phone: string }
- * Output: { contacts: Array<{name, walletAddress}> }
+ * POST /api/contacts/aliases
+ * Manage the other names a contact can be called by ("Mom", "Mama", "Mother")
+ * Aliases work anywhere a contact name does: /api/send, /api/policy/trusted, ...
+ * Input: { phone: string, action: 'list'|'add'|'remove', contactName?: string, alias?: string }
+ *        (add needs contactName, as saved or an existing alias, and alias; remove needs alias)
+ * Output: { aliases: Array<{ alias, contactName }> } or { success: boolean, message: string }
  */
-router.post('/contacts', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/contacts/aliases', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, action = 'list', contactName, alias } = req.body;
 
-    // Validate required fields
     const validation = validateRequiredFields(req.body, ['phone']);
     if (!validation.valid) {
       return res.status(400).json({
@@ -585,9 +3280,6 @@ router.post('/contacts', authenticateToolRequest, rateLimitByPhone, async (req,
       });
     }
 
-    console.log(`[Contacts] Fetching contacts for phone: ${phone}`);
-
-    // Get user from database
     const user = await dbService.getUserByPhone(phone);
     if (!user) {
       return res.status(404).json({
@@ -596,38 +3288,100 @@ router.post('/contacts', authenticateToolRequest, rateLimitByPhone, async (req,
       });
     }
 
-    // Get contacts
-    const contacts = await dbService.getContacts(user.id);
+    if (action === 'list') {
+      const contacts = await contactsService.getContactsWithAliases(user.id);
+      return res.json({
+        aliases: contacts.flatMap(contact =>
+          contact.aliases.map(contactAlias => ({ alias: contactAlias, contactName: contact.name }))
+        )
+      });
+    }
 
-    console.log(`[Contacts] Retrieved ${contacts.length} contacts for phone: ${phone}`);
+    if (action === 'add') {
+      const addValidation = validateRequiredFields(req.body, ['contactName', 'alias']);
+      if (!addValidation.valid) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          missing: addValidation.missing
+        });
+      }
 
-    res.json({
-      contacts: contacts.map(contact => ({
-        name: contact.name,
-        walletAddress: contact.wallet_address
-      }))
+      // An alias on the wrong person would pay them from then on, so no guessing
+      const resolved = await resolveContactToChange(user.id, contactName, 'add the alias');
+      if (!resolved.contact) {
+        return sendUnresolvedRecipient(res, resolved);
+      }
+      const { contact } = resolved;
+
+      const result = await contactsService.addAlias(user.id, contact, alias);
+      if (result.error) {
+        return res.status(400).json({
+          error: 'Alias unavailable',
+          message: result.error
+        });
+      }
+
+      console.log(`[Contacts/Aliases] Added "${result.alias.alias}" for ${contact.name} (${phone})`);
+      return res.json({
+        success: true,
+        alias: result.alias.alias,
+        contactName: contact.name,
+        message: result.existing
+          ? `"${result.alias.alias}" already means ${contact.name}.`
+          : `Got it. "${result.alias.alias}" now means ${contact.name}.`
+      });
+    }
+
+    if (action === 'remove') {
+      if (!alias) {
+        return res.status(400).json({
+          error: 'Missing required fields',
+          missing: ['alias']
+        });
+      }
+
+      const removed = await contactsService.removeAlias(user.id, alias);
+      if (!removed) {
+        return res.status(404).json({
+          error: 'Alias not found',
+          message: `"${alias}" isn't a name for any of your contacts`
+        });
+      }
+
+      console.log(`[Contacts/Aliases] Removed "${removed.alias}" for ${phone}`);
+      return res.json({
+        success: true,
+        message: `Okay, "${removed.alias}" is no longer a name for anyone.`
+      });
+    }
+
+    res.status(400).json({
+      error: 'Invalid action',
+      message: 'Action must be "list", "add", or "remove"'
     });
   } catch (error) {
-    console.error(`[Contacts Error] ${error.message}`);
+    console.error(`[Contacts/Aliases Error] ${error.message}`);
     res.status(500).json({
-      error: 'Failed to fetch contacts',
+      error: 'Failed to manage aliases',
       message: error.message
     });
   }
 });
 
 /**
- * POST /api/contacts/add
- * Add a new contact
- * Input: { phone: string, name: string, walletAddress: string }
- * Output: { success: boolean, contact: object }
+ * POST /api/settings
+ * Get or update the user's display settings
+ * displayCurrency is the currency balances and budgets are also read out in
+ * (defaults to a guess from the phone's country code).
+ * Input: { phone: string, displayCurrency?: string, language?: string }
+ * Output: { settings: { displayCurrency, language }, supportedCurrencies: array }
+ * Security: Bearer token required
  */
-router.post('/contacts/add', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/settings', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
   try {
-    const { phone, name, walletAddress } = req.body;
+    const { phone, displayCurrency, language } = req.body;
 
-    // Validate required fields
-    const validation = validateRequiredFields(req.body, ['phone', 'name', 'walletAddress']);
+    const validation = validateRequiredFields(req.body, ['phone']);
     if (!validation.valid) {
       return res.status(400).json({
         error: 'Missing required fields',
@@ -635,18 +3389,7 @@ router.post('/contacts/add', authenticateToolRequest, rateLimitByPhone, async (r
       });
     }
 
-    // Validate wallet address format (basic check for Ethereum-style address)
-    if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-      return res.status(400).json({
-        error: 'Invalid wallet address',
-        message: 'Wallet address must be a valid Ethereum address (0x followed by 40 hex characters)'
-      });
-    }
-
-    console.log(`[Contacts/Add] Adding contact "${name}" for phone: ${phone}`);
-
-    // Get user from database
-    const user = await dbService.getUserByPhone(phone);
+    let user = await dbService.getUserByPhone(phone);
     if (!user) {
       return res.status(404).json({
         error: 'User not found',
@@ -654,31 +3397,36 @@ router.post('/contacts/add', authenticateToolRequest, rateLimitByPhone, async (r
       });
     }
 
-    // Check if contact name already exists
-    const existingContact = await dbService.getContactByName(user.id, name);
-    if (existingContact) {
-      return res.status(400).json({
-        error: 'Contact already exists',
-        message: `A contact named "${name}" already exists`
-      });
+    const updates = {};
+    if (displayCurrency !== undefined) {
+      if (!currencyService.isSupportedCurrency(displayCurrency)) {
+        return res.status(400).json({
+          error: 'Unsupported currency',
+          message: `Supported currencies: ${Object.keys(currencyService.CURRENCIES).join(', ')}`
+        });
+      }
+      updates.display_currency = displayCurrency.toUpperCase();
+    }
+    if (language !== undefined) {
+      updates.language = String(language).toLowerCase();
     }
 
-    // Add contact
-    const newContact = await dbService.addContact(user.id, name, walletAddress);
-
-    console.log(`[Contacts/Add] Contact "${name}" added successfully for phone: ${phone}`);
+    if (Object.keys(updates).length > 0) {
+      user = await dbService.updateUserSettings(user.id, updates);
+      console.log(`[Settings] Updated settings for ${phone}:`, updates);
+    }
 
     res.json({
-      success: true,
-      contact: {
-        name: newContact.name,
-        walletAddress: newContact.wallet_address
-      }
+      settings: {
+        displayCurrency: currencyService.currencyForUser(user),
+        language: user.language
+      },
+      supportedCurrencies: Object.keys(currencyService.CURRENCIES)
     });
   } catch (error) {
-    console.error(`[Contacts/Add Error] ${error.message}`);
+    console.error(`[Settings Error] ${error.message}`);
     res.status(500).json({
-      error: 'Failed to add contact',
+      error: 'Failed to get/update settings',
       message: error.message
     });
   }
@@ -687,13 +3435,38 @@ router.post('/contacts/add', authenticateToolRequest, rateLimitByPhone, async (r
 /**
  * POST /api/policy
  * Get or update user's policy settings
- * Input: { phone: string, auto_approve_limit?: number, daily_spending_limit?: number, weekly_spending_limit?: number }
- * Output: { policy: object }
+ * Input: { phone: string, auto_approve_limit?: number, daily_spending_limit?: number, weekly_spending_limit?: number,
+ *         step_up_threshold?: number|null, step_up_new_contacts?: boolean, undo_window_seconds?: number,
+ *         token?: 'USDC'|'EURC' }
+ *        (limits may be spoken amounts, "fifty dollars" or "20,000 naira"; a fixed amount is required)
+ *        (with token: 'EURC', the three limits are set for EURC sends, in euros; other settings
+ *         apply to every token and can't be combined with it. EURC limits not set follow the USDC ones)
+ *        (raising or removing step_up_threshold, or turning step_up_new_contacts off, needs a
+ *         PIN verified on this call; without one it returns { requiresStepUp: true } and changes nothing)
+ * Output: { policy: object, amountEchoes?: { [field]: string } }
+ *         policy.tokenLimits holds the effective limits per token other than USDC
  * Security: Bearer token required
  */
-router.post('/policy', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/policy', authenticateToolRequest, bindConversation, rateLimitByPhone, normalizeAmounts(POLICY_AMOUNT_FIELDS), async (req, res) => {
   try {
-    const { phone, auto_approve_limit, daily_spending_limit, weekly_spending_limit, low_balance_alert_threshold } = req.body;
+    const {
+      phone,
+      auto_approve_limit,
+      daily_spending_limit,
+      weekly_spending_limit,
+      low_balance_alert_threshold,
+      step_up_threshold,
+      step_up_new_contacts,
+      undo_window_seconds
+    } = req.body;
+
+    const { token, error: tokenError } = parseToken(req.body.token);
+    if (tokenError) {
+      return res.status(400).json({
+        error: 'Unsupported token',
+        message: tokenError
+      });
+    }
 
     const validation = validateRequiredFields(req.body, ['phone']);
     if (!validation.valid) {
@@ -717,13 +3490,60 @@ router.post('/policy', authenticateToolRequest, rateLimitByPhone, async (req, re
     if (daily_spending_limit !== undefined) sanitizedUpdates.daily_spending_limit = parseFloat(daily_spending_limit);
     if (weekly_spending_limit !== undefined) sanitizedUpdates.weekly_spending_limit = parseFloat(weekly_spending_limit);
     if (low_balance_alert_threshold !== undefined) sanitizedUpdates.low_balance_alert_threshold = parseFloat(low_balance_alert_threshold);
+    if (step_up_threshold !== undefined) sanitizedUpdates.step_up_threshold = step_up_threshold === null ? null : parseFloat(step_up_threshold);
+    if (step_up_new_contacts !== undefined) sanitizedUpdates.step_up_new_contacts = step_up_new_contacts === true || step_up_new_contacts === 'true';
+    if (undo_window_seconds !== undefined) {
+      const seconds = parseInt(undo_window_seconds, 10);
+      if (isNaN(seconds) || seconds < 0 || seconds > undoService.MAX_UNDO_WINDOW_SECONDS) {
+        return res.status(400).json({
+          error: 'Invalid undo window',
+          message: `The undo window must be between 0 and ${undoService.MAX_UNDO_WINDOW_SECONDS} seconds`
+        });
+      }
+      sanitizedUpdates.undo_window_seconds = seconds;
+    }
+
+    // Weakening step-up needs the PIN on this call, same as a send it would let through
+    const current = await policyService.getUserPolicy(user.id);
+    const stepUpReason = policyService.describeStepUpLoosening(current, sanitizedUpdates);
+    if (stepUpReason && !policyService.isStepUpVerified(req.conversation)) {
+      console.log(`[Policy] Requires step-up: ${stepUpReason}`);
+      const credential = await policyService.getVoiceCredential(user.id);
+      return res.json({
+        success: false,
+        requiresStepUp: true,
+        pinEnrolled: !!credential,
+        reason: stepUpReason,
+        message: credential
+          ? `${stepUpReason} Please say your PIN, then I'll make the change.`
+          : `${stepUpReason} You haven't set a PIN yet. Tell me a PIN you'd like to use and I'll set it up first.`
+      });
+    }
+
+    // Limits for another token go into token_limits, leaving the USDC ones alone
+    let updates = sanitizedUpdates;
+    if (token !== networkService.DEFAULT_TOKEN && Object.keys(sanitizedUpdates).length > 0) {
+      if (Object.keys(sanitizedUpdates).some(field => !TOKEN_LIMIT_FIELDS.includes(field))) {
+        return res.status(400).json({
+          error: 'Not a token limit',
+          message: `Only the auto-approve, daily and weekly limits can be set for ${token}. Please change the other settings without a token.`
+        });
+      }
+
+      updates = {
+        token_limits: {
+          ...current.token_limits,
+          [token]: { ...current.token_limits?.[token], ...sanitizedUpdates }
+        }
+      };
+    }
 
     let policy;
-    if (Object.keys(sanitizedUpdates).length > 0) {
-      policy = await policyService.updateUserPolicy(user.id, sanitizedUpdates);
-      console.log(`[Policy] Updated policy for ${phone}:`, sanitizedUpdates);
+    if (Object.keys(updates).length > 0) {
+      policy = await policyService.updateUserPolicy(user.id, updates);
+      console.log(`[Policy] Updated policy for ${phone}:`, updates);
     } else {
-      policy = await policyService.getUserPolicy(user.id);
+      policy = current;
     }
 
     res.json({
@@ -731,8 +3551,28 @@ router.post('/policy', authenticateToolRequest, rateLimitByPhone, async (req, re
         autoApproveLimit: policy.auto_approve_limit,
         dailySpendingLimit: policy.daily_spending_limit,
         weeklySpendingLimit: policy.weekly_spending_limit,
-        lowBalanceAlertThreshold: policy.low_balance_alert_threshold
-      }
+        lowBalanceAlertThreshold: policy.low_balance_alert_threshold,
+        stepUpThreshold: policy.step_up_threshold,
+        stepUpNewContacts: policy.step_up_new_contacts,
+        undoWindowSeconds: policy.undo_window_seconds || 0,
+        tokenLimits: Object.fromEntries(
+          Object.keys(networkService.TOKENS)
+            .filter(symbol => symbol !== networkService.DEFAULT_TOKEN)
+            .map(symbol => {
+              const limits = policyService.getTokenLimits(policy, symbol);
+              return [symbol, {
+                autoApproveLimit: limits.auto_approve_limit,
+                dailySpendingLimit: limits.daily_spending_limit,
+                weeklySpendingLimit: limits.weekly_spending_limit
+              }];
+            })
+        )
+      },
+      ...(Object.keys(req.spokenAmounts || {}).length > 0 && {
+        amountEchoes: Object.fromEntries(
+          Object.entries(req.spokenAmounts).map(([field, spoken]) => [field, spoken.echo])
+        )
+      })
     });
   } catch (error) {
     console.error(`[Policy Error] ${error.message}`);
@@ -746,10 +3586,11 @@ router.post('/policy', authenticateToolRequest, rateLimitByPhone, async (req, re
 /**
  * POST /api/policy/trusted
  * Manage trusted contacts
- * Input: { phone: string, action: 'list'|'add'|'remove', contactName?: string, autoApproveLimit?: number }
+ * Input: { phone: string, action: 'list'|'add'|'remove', contactName?: string, autoApproveLimit?: number|string }
+ *        (autoApproveLimit may be a spoken amount, "twenty bucks")
  * Output: { trustedContacts: array } or { success: boolean }
  */
-router.post('/policy/trusted', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/policy/trusted', authenticateToolRequest, bindConversation, rateLimitByPhone, normalizeAmounts(['autoApproveLimit']), async (req, res) => {
   try {
     const { phone, action = 'list', contactName, autoApproveLimit } = req.body;
 
@@ -788,13 +3629,11 @@ router.post('/policy/trusted', authenticateToolRequest, rateLimitByPhone, async
         });
       }
 
-      const contact = await dbService.getContactByName(user.id, contactName);
-      if (!contact) {
-        return res.status(404).json({
-          error: 'Contact not found',
-          message: `No contact named "${contactName}" found`
-        });
+      const resolved = await resolveContactToChange(user.id, contactName, 'trust them');
+      if (!resolved.contact) {
+        return sendUnresolvedRecipient(res, resolved);
       }
+      const { contact } = resolved;
 
       await policyService.addTrustedContact(
         user.id,
@@ -802,10 +3641,10 @@ router.post('/policy/trusted', authenticateToolRequest, rateLimitByPhone, async
         autoApproveLimit ? parseFloat(autoApproveLimit) : null
       );
 
-      console.log(`[Policy] Added trusted contact ${contactName} for ${phone}`);
+      console.log(`[Policy] Added trusted contact ${contact.name} for ${phone}`);
       return res.json({
         success: true,
-        message: `${contactName} is now a trusted contact${autoApproveLimit ? ` with $${autoApproveLimit} auto-approve limit` : ''}`
+        message: `${contact.name} is now a trusted contact${autoApproveLimit ? ` with ${req.spokenAmounts.autoApproveLimit.echo} auto-approve limit` : ''}`
       });
     }
 
@@ -817,19 +3656,17 @@ router.post('/policy/trusted', authenticateToolRequest, rateLimitByPhone, async
         });
       }
 
-      const contact = await dbService.getContactByName(user.id, contactName);
-      if (!contact) {
-        return res.status(404).json({
-          error: 'Contact not found',
-          message: `No contact named "${contactName}" found`
-        });
+      const resolved = await resolveContactToChange(user.id, contactName, 'stop trusting them');
+      if (!resolved.contact) {
+        return sendUnresolvedRecipient(res, resolved);
       }
+      const { contact } = resolved;
 
       await policyService.removeTrustedContact(user.id, contact.id);
-      console.log(`[Policy] Removed trusted contact ${contactName} for ${phone}`);
+      console.log(`[Policy] Removed trusted contact ${contact.name} for ${phone}`);
       return res.json({
         success: true,
-        message: `${contactName} is no longer a trusted contact`
+        message: `${contact.name} is no longer a trusted contact`
       });
     }
 
@@ -850,9 +3687,11 @@ router.post('/policy/trusted', authenticateToolRequest, rateLimitByPhone, async
  * POST /api/spending
  * Get spending summary and analytics (PILLAR 4: TREASURY)
  * Input: { phone: string, days?: number }
- * Output: { summary: object with spending analytics }
+ * Output: { summary: { token: 'USDC', totalSpent, topRecipients, byCategory, otherTokens, networkFees, budget, ... },
+ *   (totals, recipients and categories are USDC; otherTokens: Array<{ token, total, count }>)
+ *           displayCurrency: string, local: { totalSpent, dailyRemaining, weeklyRemaining, rate } | null }
  */
-router.post('/spending', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/spending', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
   try {
     const { phone, days = 7 } = req.body;
 
@@ -874,9 +3713,28 @@ router.post('/spending', authenticateToolRequest, rateLimitByPhone, async (req,
 
     const summary = await policyService.getSpendingSummary(user.id, Math.min(days, 30));
 
+    // Totals and budgets in the user's own currency, when it isn't USD
+    const displayCurrency = currencyService.currencyForUser(user);
+    let local = null;
+    try {
+      const totalSpent = await currencyService.toLocal(summary.totalSpent, displayCurrency);
+      if (totalSpent) {
+        local = {
+          currency: displayCurrency,
+          rate: totalSpent.rate,
+          rateSource: totalSpent.rateSource,
+          totalSpent: totalSpent.formatted,
+          dailyRemaining: currencyService.formatMoney(summary.budget.daily.remaining * totalSpent.rate, displayCurrency),
+          weeklyRemaining: currencyService.formatMoney(summary.budget.weekly.remaining * totalSpent.rate, displayCurrency)
+        };
+      }
+    } catch (rateError) {
+      console.error(`[Spending] No ${displayCurrency} rate: ${rateError.message}`);
+    }
+
     console.log(`[Spending] Retrieved ${days}-day summary for ${phone}`);
 
-    res.json({ summary });
+    res.json({ summary, displayCurrency, local });
   } catch (error) {
     console.error(`[Spending Error] ${error.message}`);
     res.status(500).json({
@@ -890,9 +3748,10 @@ router.post('/spending', authenticateToolRequest, rateLimitByPhone, async (req,
  * POST /api/alerts
  * Get user's unread alerts
  * Input: { phone: string, markAsRead?: boolean }
- * Output: { alerts: array }
+ * Output: { alerts: Array<{ type, title, message, explorerUrl, createdAt }> }
+ *   (explorerUrl is set for alerts about an on-chain transaction)
  */
-router.post('/alerts', authenticateToolRequest, rateLimitByPhone, async (req, res) => {
+router.post('/alerts', authenticateToolRequest, bindConversation, rateLimitByPhone, async (req, res) => {
   try {
     const { phone, markAsRead = false } = req.body;
 
@@ -923,6 +3782,7 @@ router.post('/alerts', authenticateToolRequest, rateLimitByPhone, async (req, re
         type: a.alert_type,
         title: a.title,
         message: a.message,
+        explorerUrl: networkService.explorerTxUrl(a.metadata?.txHash, a.metadata, user),
         createdAt: a.created_at
       }))
     });
@@ -940,8 +3800,9 @@ router.post('/alerts', authenticateToolRequest, rateLimitByPhone, async (req, re
  * Circle webhook endpoint for transaction notifications
  * Handles: transactions.inbound (deposits) and transactions.outbound (sends)
  * This enables proactive notifications when funds are received
+ * Security: Circle ECDSA notification signature required
  */
-router.post('/circle-webhook', async (req, res) => {
+router.post('/circle-webhook', verifyCircleSignature, async (req, res) => {
   try {
     const { subscriptionId, notificationId, notificationType, notification } = req.body;
 
@@ -956,40 +3817,54 @@ router.post('/circle-webhook', async (req, res) => {
         const user = await dbService.getUserByWalletId(transaction.walletId);
 
         if (user) {
-          // Find USDC amount
-          const usdcAmount = transaction.amounts?.find(a =>
-            a.token?.symbol === 'USDC'
-          );
-
-          const amount = usdcAmount?.amount || '0';
-
-          console.log(`[Circle Webhook] User ${user.phone} received ${amount} USDC`);
-
-          // Log the incoming transaction
-          await dbService.logTransactionWithDetails({
-            userId: user.id,
-            type: 'receive',
-            amount: parseFloat(amount),
-            recipientName: 'External',
-            circleTxId: transaction.id,
-            status: 'completed',
-            txHash: transaction.txHash,
-            blockHeight: transaction.blockHeight,
-            wasAutoApproved: false
-          });
-
-          // Create alert for user
-          await policyService.createAlert(
-            user.id,
-            'deposit_received',
-            'Funds Received!',
-            `You received ${amount} USDC. Your new balance is ready to use.`,
-            {
+          // Every token received (USDC, EURC, ...), not just USDC
+          const received = (transaction.amounts || [])
+            .map(entry => ({
+              token: networkService.tokenSymbolOf(entry.token) || entry.token?.symbol,
+              amount: entry.amount || '0'
+            }))
+            .filter(entry => entry.token);
+
+          // Name the sender: the recipient's contact, a PayVoice user, or 'External'
+          const { name: senderName, senderUser } = await directoryService.describeSender(user, transaction.sourceAddress);
+
+          for (const { token, amount } of received) {
+            console.log(`[Circle Webhook] User ${user.phone} received ${amount} ${token} from ${senderName}`);
+
+            // Log the incoming transaction
+            await dbService.logTransactionWithDetails({
+              userId: user.id,
+              type: 'receive',
+              amount: parseFloat(amount),
+              recipientName: senderName,
+              circleTxId: transaction.id,
+              status: 'completed',
               txHash: transaction.txHash,
-              amount,
-              from: transaction.sourceAddress
-            }
-          );
+              blockHeight: transaction.blockHeight,
+              blockchain: transaction.blockchain || null,
+              token,
+              wasAutoApproved: false
+            });
+
+            // Create alert for user
+            await policyService.createAlert(
+              user.id,
+              'deposit_received',
+              'Funds Received!',
+              senderName === 'External'
+                ? `You received ${amount} ${token}. Your new balance is ready to use.`
+                : `${senderName} sent you ${amount} ${token}. Your new balance is ready to use.`,
+              {
+                txHash: transaction.txHash,
+                blockchain: transaction.blockchain || null,
+                amount,
+                token,
+                from: transaction.sourceAddress,
+                senderName,
+                senderUserId: senderUser?.id || null
+              }
+            );
+          }
 
           // TODO: Send text notification via ElevenLabs when implemented
         }
@@ -1000,13 +3875,10 @@ router.post('/circle-webhook', async (req, res) => {
     if (notificationType === 'transactions.outbound') {
       const { transaction } = notification;
 
-      if (transaction.state === 'COMPLETE' || transaction.state === 'FAILED') {
-        // Update transaction record with final status
-        await dbService.updateTransactionDetails(transaction.id, {
-          status: transaction.state === 'COMPLETE' ? 'completed' : 'failed',
-          tx_hash: transaction.txHash,
-          block_height: transaction.blockHeight
-        });
+      // Finalize pending sends: status, txHash, spending and low-balance check
+      const finalized = await paymentsService.finalizeTransfer(transaction);
+      if (finalized) {
+        await payoutsService.settlePayoutItem(finalized);
       }
     }
 
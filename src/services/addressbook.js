@@ -0,0 +1,404 @@
+/**
+ * PayVoice Address Book Import
+ * Adds many contacts at once from a phone's address book export (vCard 3.0 / 4.0 or CSV).
+ *
+ * Each entry needs a name and either a phone number or a wallet address.
+ * Phone numbers are looked up as PayVoice users and saved like
+ * /api/contacts/add saves them, so they're paid at the user's current wallet;
+ * numbers that aren't on PayVoice are reported, not saved. Wallet addresses
+ * get the same checks as /api/contacts/add, and one that looks almost like a
+ * saved contact's is held back. Nothing existing is overwritten: people
+ * already saved, names already in use and repeats within the file are
+ * reported instead.
+ *
+ * Entry status: ready (dry run) | imported | exists | duplicate | conflict | not_on_payvoice | invalid
+ */
+
+import * as addressesService from './addresses.js';
+import * as contactsService from './contacts.js';
+import { csvLines, splitCsvLine } from './csv.js';
+import * as dbService from './db.js';
+import * as directoryService from './directory.js';
+import { normalizePhone } from './session.js';
+
+export const MAX_IMPORT_ENTRIES = 200;
+
+const MAX_NAME_LENGTH = 100;
+
+// vCard properties that can carry a wallet address (URLs too, as ethereum:0x...)
+const WALLET_PROPERTIES = ['X-WALLET', 'X-WALLET-ADDRESS', 'X-ETH', 'X-ETHEREUM', 'X-USDC', 'X-CRYPTO-ADDRESS'];
+
+// Accepted CSV column names for each field (lowercase, letters and digits only)
+const COLUMN_ALIASES = {
+  name: ['name', 'fullname', 'displayname', 'contact', 'contactname', 'nickname'],
+  firstName: ['firstname', 'givenname'],
+  lastName: ['lastname', 'familyname', 'surname'],
+  phone: ['msisdn'],
+  address: ['address', 'wallet', 'walletaddress']
+};
+
+// Other exports name their number and wallet columns freely: "Mobile Phone",
+// "Phone 2 - Value", "Home Number", "WhatsApp", "ETH Address". Google's
+// "Phone 1 - Type" and similar label columns are not numbers.
+const PHONE_COLUMN = /phone|mobile|cell|^tel|tel$|whatsapp|number$/;
+const ADDRESS_COLUMN = /wallet|ethereum|^eth|usdc|crypto/;
+const LABEL_COLUMN = /type|label/;
+
+// ============================================
+// PARSING
+// ============================================
+
+function unescapeVCardValue(value) {
+  return value.replace(/\\([\\,;nN])/g, (_, char) => (char.toLowerCase() === 'n' ? ' ' : char)).trim();
+}
+
+/**
+ * Split a vCard line into property name, parameters and value
+ * "item1.TEL;TYPE=CELL:+234 803..." -> { name: 'TEL', params: 'type=cell', value: '+234 803...' }
+ */
+function parseVCardLine(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) {
+    return null;
+  }
+
+  const [property, ...params] = line.slice(0, colon).split(';');
+  return {
+    name: property.replace(/^[^.]*\./, '').trim().toUpperCase(),
+    params: params.join(';').toLowerCase(),
+    value: line.slice(colon + 1)
+  };
+}
+
+function walletFromValue(value) {
+  const candidate = value.trim().replace(/^ethereum:/i, '').split(/[@/?]/)[0];
+  return /^0x/i.test(candidate) ? candidate : null;
+}
+
+/**
+ * Parse vCard text into entries of { entry, name, phones, address }
+ * Mobile and preferred numbers are tried first.
+ */
+function parseVCards(text) {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const entries = [];
+  let card = null;
+
+  for (const line of lines) {
+    const property = parseVCardLine(line);
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN' && /^vcard$/i.test(property.value.trim())) {
+      card = { entry: entries.length + 1, name: null, structuredName: null, phones: [], address: null };
+    } else if (!card) {
+      continue;
+    } else if (property.name === 'END') {
+      const { structuredName, ...entry } = card;
+      entries.push({ ...entry, name: entry.name || structuredName, phones: entry.phones.map(p => p.value) });
+      card = null;
+    } else if (property.name === 'FN') {
+      card.name = unescapeVCardValue(property.value);
+    } else if (property.name === 'N') {
+      // Family;Given;Additional;Prefix;Suffix
+      const [family = '', given = ''] = property.value.split(/(?<!\\);/).map(unescapeVCardValue);
+      card.structuredName = `${given} ${family}`.trim() || null;
+    } else if (property.name === 'TEL') {
+      const value = unescapeVCardValue(property.value).replace(/^tel:/i, '');
+      const preferred = /cell|mobile|pref/.test(property.params);
+      card.phones[preferred ? 'unshift' : 'push']({ value });
+    } else if (WALLET_PROPERTIES.includes(property.name) || property.name === 'URL') {
+      card.address = card.address || walletFromValue(unescapeVCardValue(property.value));
+    }
+  }
+
+  return entries;
+}
+
+function columnFor(header) {
+  const key = header.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const field = Object.keys(COLUMN_ALIASES).find(name => COLUMN_ALIASES[name].includes(key));
+  if (field || LABEL_COLUMN.test(key)) {
+    return field || null;
+  }
+  if (PHONE_COLUMN.test(key)) {
+    return 'phone';
+  }
+  return ADDRESS_COLUMN.test(key) ? 'address' : null;
+}
+
+// A phone number or wallet address, i.e. a contact rather than a column name
+function isContactDetail(field) {
+  return /^0x/i.test(field) || (/^\+?[\d\s().-]+$/.test(field) && field.replace(/\D/g, '').length >= 7);
+}
+
+/**
+ * Parse CSV into entries of { entry, name, phones, address }
+ * The first line is a header unless it holds a phone number or wallet address.
+ * With a header, columns are matched by name (Google Contacts and Outlook
+ * exports work) and every phone column is kept; without one, each line is
+ * "name,phone" or "name,0x address", optionally followed by a wallet address.
+ */
+function parseCsv(text) {
+  const lines = csvLines(text);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const firstLine = splitCsvLine(lines[0]);
+  const hasHeader = !firstLine.some(isContactDetail);
+  const header = firstLine.map(columnFor);
+
+  const rows = hasHeader
+    ? lines.slice(1).map(line => {
+      const fields = splitCsvLine(line);
+      const row = { phones: [] };
+      header.forEach((field, index) => {
+        if (!field || !fields[index]) return;
+        if (field === 'phone') {
+          row.phones.push(fields[index]);
+        } else if (!row[field]) {
+          row[field] = fields[index];
+        }
+      });
+      return row;
+    })
+    : lines.map(line => {
+      const [name, destination = '', address] = splitCsvLine(line);
+      return /^0x/i.test(destination) ? { name, phones: [], address: destination } : { name, phones: [destination], address };
+    });
+
+  return rows.map((row, index) => ({
+    entry: index + 1,
+    name: row.name || `${row.firstName || ''} ${row.lastName || ''}`.trim() || null,
+    // Google Contacts joins several numbers in one field with " ::: "
+    phones: row.phones.flatMap(phone => phone.split(/\s*(?::::|;)\s*/)).filter(Boolean),
+    address: row.address || null
+  }));
+}
+
+/**
+ * Parse an address book export
+ * @param {string} data - vCard or CSV text
+ * @param {string} [format] - 'vcard' or 'csv' (inferred when omitted)
+ * @returns {Array<Object>} Entries of { entry, name, phones, address }
+ */
+export function parseAddressBook(data, format) {
+  const inferred = format || (/BEGIN:VCARD/i.test(String(data)) ? 'vcard' : 'csv');
+  if (inferred !== 'vcard' && inferred !== 'csv') {
+    throw new Error("Format must be 'vcard' or 'csv'");
+  }
+  return inferred === 'vcard' ? parseVCards(data) : parseCsv(data);
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Numbers to look up for an address book phone
+ * Numbers saved in local format ("0803 123 4567") are also tried with the
+ * importing user's country code, taken from their own number.
+ */
+function phoneCandidates(phone, ownerPhone) {
+  const raw = String(phone).trim();
+  let digits = normalizePhone(raw);
+  if (!raw.startsWith('+') && digits.startsWith('00')) {
+    digits = digits.slice(2);
+  }
+  if (!digits) {
+    return [];
+  }
+
+  const candidates = [digits];
+  const owner = normalizePhone(ownerPhone);
+  const national = digits.slice(1);
+  if (!raw.startsWith('+') && /^0[1-9]/.test(digits) && owner.length > national.length) {
+    candidates.push(owner.slice(0, owner.length - national.length) + national);
+  }
+  return candidates;
+}
+
+/**
+ * Work out where an entry would be paid
+ * @returns {Promise<Object>} { walletAddress?, phone?, payee? } or { status, reason } if it can't be saved
+ */
+async function resolveDestination(user, entry, lookups) {
+  if (entry.address) {
+    const checked = addressesService.validateAddress(entry.address, { ownAddress: user.wallet_address });
+    if (!checked.valid) {
+      return { status: 'invalid', reason: checked.message };
+    }
+    return { walletAddress: checked.address };
+  }
+
+  if (entry.phones.length === 0) {
+    return { status: 'invalid', reason: 'No phone number or wallet address' };
+  }
+
+  let ownNumber = false;
+  for (const phone of entry.phones) {
+    for (const candidate of phoneCandidates(phone, user.phone)) {
+      if (!lookups.has(candidate)) {
+        lookups.set(candidate, await directoryService.lookupByPhone(candidate));
+      }
+      const payee = lookups.get(candidate);
+      if (payee?.id === user.id) {
+        ownNumber = true;
+      } else if (payee) {
+        return { phone: normalizePhone(payee.phone), payee };
+      }
+    }
+  }
+
+  return ownNumber
+    ? { status: 'invalid', reason: "That's your own number" }
+    : { status: 'not_on_payvoice', reason: 'Not on PayVoice yet' };
+}
+
+/**
+ * Check one entry against the user's contacts and the entries before it
+ * @returns {Promise<Object>} Report entry: { entry, name, status, reason?, walletAddress?, phone? }
+ */
+async function checkEntry(user, entry, existing, seen, lookups) {
+  const name = String(entry.name || '').trim().replace(/\s+/g, ' ').slice(0, MAX_NAME_LENGTH);
+  const result = { entry: entry.entry, name: name || null };
+  if (!name) {
+    return { ...result, status: 'invalid', reason: 'No name' };
+  }
+
+  const destination = await resolveDestination(user, entry, lookups);
+  if (destination.status) {
+    return { ...result, status: destination.status, reason: destination.reason };
+  }
+  result.walletAddress = destination.walletAddress || null;
+  result.phone = destination.phone || null;
+
+  // The same person, saved by phone or by the wallet their number pays
+  const payeeWallet = (destination.walletAddress || destination.payee?.wallet_address || '').toLowerCase();
+  const saved = existing.find(contact =>
+    (contact.wallet_address && contact.wallet_address.toLowerCase() === payeeWallet) ||
+    (destination.phone && contact.phone && normalizePhone(contact.phone) === destination.phone)
+  );
+  if (saved) {
+    const sameName = contactsService.normalizeName(saved.name) === contactsService.normalizeName(name);
+    return { ...result, status: 'exists', reason: sameName ? 'Already in your contacts' : `Already in your contacts as ${saved.name}` };
+  }
+
+  const lookalikes = destination.walletAddress
+    ? addressesService.findLookalikeContacts(destination.walletAddress, existing)
+    : [];
+  if (lookalikes.length > 0) {
+    return { ...result, status: 'conflict', reason: `Address is almost the same as ${lookalikes[0].contact.name}'s, so check it and add them by hand` };
+  }
+
+  const key = contactsService.normalizeName(name);
+  const owner = existing.find(contact =>
+    contactsService.normalizeName(contact.name) === key ||
+    contact.aliases.some(alias => contactsService.normalizeName(alias) === key)
+  );
+  if (owner) {
+    return {
+      ...result,
+      status: 'conflict',
+      reason: contactsService.normalizeName(owner.name) === key
+        ? `You already have a different contact called ${owner.name}`
+        : `"${name}" is already what you call ${owner.name}`
+    };
+  }
+
+  const repeat = seen.names.get(key) || seen.payees.get(payeeWallet);
+  if (repeat) {
+    return { ...result, status: 'duplicate', reason: `Same as entry ${repeat.entry} (${repeat.name})` };
+  }
+
+  seen.names.set(key, result);
+  seen.payees.set(payeeWallet, result);
+  return { ...result, status: 'ready' };
+}
+
+/**
+ * Check address book entries and save the new contacts
+ *
+ * @param {Object} user - Importing user
+ * @param {Array<Object>} entries - Parsed entries
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would be imported
+ * @returns {Promise<Object>} { dryRun, total, counts: { [status]: n }, entries }
+ */
+export async function importContacts(user, entries, { dryRun = false } = {}) {
+  if (entries.length === 0) {
+    throw new Error('The address book is empty');
+  }
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    throw new Error(`An import can have at most ${MAX_IMPORT_ENTRIES} contacts (got ${entries.length})`);
+  }
+
+  const existing = await contactsService.getContactsWithAliases(user.id);
+  const seen = { names: new Map(), payees: new Map() };
+  const lookups = new Map();
+  const results = [];
+
+  for (const entry of entries) {
+    results.push(await checkEntry(user, entry, existing, seen, lookups));
+  }
+
+  if (!dryRun) {
+    for (const result of results.filter(r => r.status === 'ready')) {
+      try {
+        await dbService.addContact(user.id, result.name, result.walletAddress, result.phone);
+        result.status = 'imported';
+      } catch (error) {
+        // Saved by another request since the check
+        console.error(`[AddressBook] Could not save ${result.name}: ${error.message}`);
+        result.status = 'conflict';
+        result.reason = error.message;
+      }
+    }
+  }
+
+  const counts = {};
+  for (const result of results) {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  }
+
+  console.log(`[AddressBook] ${dryRun ? 'Checked' : 'Imported'} ${entries.length} entries for ${user.id}: ${JSON.stringify(counts)}`);
+  return { dryRun, total: entries.length, counts, entries: results };
+}
+
+/**
+ * One spoken sentence about an import report
+ * "I added 12 contacts. 3 aren't on PayVoice yet and 1 clashes with a contact you already have."
+ */
+export function summarizeImport(report) {
+  const { counts, dryRun } = report;
+  const added = dryRun ? counts.ready || 0 : counts.imported || 0;
+  const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+  const lead = dryRun
+    ? `${plural(added, 'contact is', 'contacts are')} ready to add.`
+    : `I added ${plural(added, 'contact', 'contacts')}.`;
+
+  const notes = [
+    counts.exists && `${plural(counts.exists, 'is', 'are')} already saved`,
+    counts.not_on_payvoice && `${plural(counts.not_on_payvoice, "isn't", "aren't")} on PayVoice yet`,
+    counts.conflict && `${plural(counts.conflict, 'clashes', 'clash')} with a contact you already have`,
+    counts.duplicate && `${plural(counts.duplicate, 'is a repeat', 'are repeats')}`,
+    counts.invalid && `${plural(counts.invalid, 'is', 'are')} missing a name or a valid number or address`
+  ].filter(Boolean);
+
+  if (notes.length === 0) {
+    return lead;
+  }
+  const last = notes.pop();
+  return `${lead} ${notes.length ? `${notes.join(', ')} and ${last}` : last}.`;
+}
+
+export default {
+  MAX_IMPORT_ENTRIES,
+  parseAddressBook,
+  importContacts,
+  summarizeImport
+};
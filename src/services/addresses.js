@@ -0,0 +1,210 @@
+/**
+ * PayVoice Wallet Address Checks
+ * Catches the wallet address mistakes that lose money for good.
+ *
+ * A regex only proves an address has the right shape. On top of that:
+ * - Mixed-case addresses must pass their EIP-55 checksum, which catches
+ *   almost any single wrong character. All-lowercase (or all-uppercase)
+ *   addresses carry no checksum and are only shape-checked.
+ * - The zero address and the user's own wallet are refused.
+ * - A read-back of the first and last four characters ("starts seven echo
+ *   four alfa, ends bravo two zero foxtrot") is returned for the agent to
+ *   confirm out loud.
+ * - An address one or two characters away from a saved contact's, or sharing
+ *   its first and last four characters, is flagged. That's either a misheard
+ *   character or address poisoning: an attacker's lookalike address planted
+ *   in the user's history to be copied by mistake.
+ */
+
+import { keccak_256 as keccak256 } from '@noble/hashes/sha3';
+import { editDistance } from './contacts.js';
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Addresses this close to a saved contact's are flagged
+const MAX_LOOKALIKE_DISTANCE = 2;
+// Poisoned addresses are ground out to match what wallets display: 0x7e4a...b20f
+const DISPLAYED_CHARACTERS = 4;
+
+// NATO alphabet for the hex letters, so "B" isn't heard as "D" or "E"
+const SPOKEN_HEX = {
+  a: 'alfa', b: 'bravo', c: 'charlie', d: 'delta', e: 'echo', f: 'foxtrot',
+  0: 'zero', 1: 'one', 2: 'two', 3: 'three', 4: 'four', 5: 'five', 6: 'six', 7: 'seven', 8: 'eight', 9: 'nine'
+};
+
+// ============================================
+// CHECKSUM
+// ============================================
+
+/**
+ * The EIP-55 mixed-case form of an address
+ * Each letter is uppercased when the matching nibble of keccak256(lowercase hex) is 8 or more.
+ */
+export function toChecksumAddress(address) {
+  const hex = address.slice(2).toLowerCase();
+  const hash = Buffer.from(keccak256(hex)).toString('hex');
+
+  let result = '0x';
+  for (let i = 0; i < hex.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? hex[i].toUpperCase() : hex[i];
+  }
+  return result;
+}
+
+/**
+ * Check a wallet address someone wants to pay or save
+ *
+ * @param {string} address - Address as given
+ * @param {Object} [options]
+ * @param {string} [options.ownAddress] - The user's own wallet, which is refused
+ * @returns {Object} { valid: true, address } with the checksummed address,
+ *   or { valid: false, error, message } with a spoken explanation
+ */
+export function validateAddress(address, { ownAddress } = {}) {
+  const trimmed = String(address || '').trim();
+
+  if (!ADDRESS_PATTERN.test(trimmed)) {
+    return {
+      valid: false,
+      error: 'Invalid wallet address',
+      message: 'Wallet address must be a valid Ethereum address (0x followed by 40 hex characters)'
+    };
+  }
+
+  const hex = trimmed.slice(2);
+  const mixedCase = hex !== hex.toLowerCase() && hex !== hex.toUpperCase();
+  const checksummed = toChecksumAddress(trimmed);
+  if (mixedCase && trimmed !== checksummed) {
+    return {
+      valid: false,
+      error: 'Invalid checksum',
+      message: 'That address fails its checksum, so at least one character is wrong. Please check it and say it again.'
+    };
+  }
+
+  if (checksummed.toLowerCase() === ZERO_ADDRESS) {
+    return {
+      valid: false,
+      error: 'Invalid wallet address',
+      message: "That's the zero address. Money sent there can never be recovered."
+    };
+  }
+
+  if (ownAddress && checksummed.toLowerCase() === ownAddress.toLowerCase()) {
+    return {
+      valid: false,
+      error: 'Invalid wallet address',
+      message: "That's your own wallet address."
+    };
+  }
+
+  return { valid: true, address: checksummed };
+}
+
+// ============================================
+// READ-BACK & LOOKALIKES
+// ============================================
+
+/**
+ * How to read an address back for confirmation: its first and last four characters
+ * @returns {Object} { short: '0x7e4a...b20f', spoken: 'starts seven echo four alfa, ends bravo two zero foxtrot' }
+ */
+export function readBackAddress(address) {
+  const hex = address.slice(2).toLowerCase();
+  const start = hex.slice(0, DISPLAYED_CHARACTERS);
+  const end = hex.slice(-DISPLAYED_CHARACTERS);
+  const speak = chars => [...chars].map(char => SPOKEN_HEX[char]).join(' ');
+
+  return {
+    short: `0x${start}...${end}`,
+    spoken: `starts ${speak(start)}, ends ${speak(end)}`
+  };
+}
+
+/**
+ * Saved contacts whose address is suspiciously close to a new one
+ * Close means one or two characters away, or the same first and last four
+ * characters. Contacts with exactly this address aren't lookalikes.
+ *
+ * @param {string} address - New address
+ * @param {Array<Object>} contacts - Contact records (ones without a wallet_address are skipped)
+ * @returns {Array<Object>} [{ contact, distance }], closest first
+ */
+export function findLookalikeContacts(address, contacts) {
+  const hex = address.slice(2).toLowerCase();
+  const lookalikes = [];
+
+  for (const contact of contacts) {
+    const saved = contact.wallet_address?.slice(2).toLowerCase();
+    if (!saved || saved === hex) {
+      continue;
+    }
+
+    const distance = editDistance(hex, saved);
+    const sameDisplay = hex.slice(0, DISPLAYED_CHARACTERS) === saved.slice(0, DISPLAYED_CHARACTERS) &&
+      hex.slice(-DISPLAYED_CHARACTERS) === saved.slice(-DISPLAYED_CHARACTERS);
+    if (distance <= MAX_LOOKALIKE_DISTANCE || sameDisplay) {
+      lookalikes.push({ contact, distance });
+    }
+  }
+
+  return lookalikes.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Spoken warning about lookalike addresses
+ */
+export function describeLookalikes(lookalikes) {
+  const names = lookalikes.map(({ contact }) => contact.name);
+  const list = names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+  return `Careful: that address is almost the same as the one saved for ${list}, but not quite. ` +
+    "That can be a misheard character, or a scammer's lookalike address. Please check it before going ahead.";
+}
+
+/**
+ * Every check for an address being saved to a contact
+ * A lookalike needs confirmLookalike, i.e. the user has heard the warning and
+ * still wants that address.
+ *
+ * @param {Object} user - Owner of the contacts
+ * @param {string} address - Address as given
+ * @param {Array<Object>} contacts - The user's other contacts
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmLookalike=false]
+ * @returns {Object} { address, readBack } with the checksummed address, or
+ *   { status, error, message, needsConfirmation?, lookalikes?, readBack? } for the route to return
+ */
+export function checkContactAddress(user, address, contacts, { confirmLookalike = false } = {}) {
+  const checked = validateAddress(address, { ownAddress: user.wallet_address });
+  if (!checked.valid) {
+    return { status: 400, error: checked.error, message: checked.message };
+  }
+
+  const readBack = readBackAddress(checked.address);
+  const lookalikes = findLookalikeContacts(checked.address, contacts);
+  if (lookalikes.length > 0 && !confirmLookalike) {
+    console.log(`[Addresses] ${readBack.short} looks like the address of ${lookalikes.map(({ contact }) => contact.name).join(', ')}`);
+    return {
+      status: 409,
+      error: 'Lookalike address',
+      message: describeLookalikes(lookalikes),
+      needsConfirmation: true,
+      lookalikes: lookalikes.map(({ contact }) => contact.name),
+      readBack
+    };
+  }
+
+  return { address: checked.address, readBack };
+}
+
+export default {
+  ZERO_ADDRESS,
+  toChecksumAddress,
+  validateAddress,
+  readBackAddress,
+  findLookalikeContacts,
+  describeLookalikes,
+  checkContactAddress
+};
@@ -0,0 +1,414 @@
+/**
+ * PayVoice Amounts Service
+ * Turns amounts the way people say them into decimals.
+ *
+ * The agent passes amounts through as heard, so this has to cope with
+ * "five fifty", "ten bucks", "$20", "5,000 naira", "half my balance" and
+ * "everything except $5". Every parse returns an echo string to read back.
+ *
+ * Inputs that could mean two things are never guessed: "five fifty" could be
+ * $5.50 or $550, so the caller gets a clarifying question instead.
+ *
+ * Results:
+ * - { amount, currency, echo }          a fixed amount
+ * - { balance: { fraction, keep }, ... } a share of the balance; see resolveBalanceAmount()
+ * - { question }                        ambiguous, ask the user
+ * - null                                not an amount
+ */
+
+import * as currencyService from './currency.js';
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+};
+
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+
+const TENS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const SCALES = {
+  thousand: 1000, grand: 1000, k: 1000, million: 1000000
+};
+
+const FRACTIONS = {
+  'half': 1 / 2, 'a half': 1 / 2, 'one half': 1 / 2,
+  'a third': 1 / 3, 'one third': 1 / 3, 'two thirds': 2 / 3,
+  'a quarter': 1 / 4, 'one quarter': 1 / 4, 'three quarters': 3 / 4,
+  'a tenth': 1 / 10, 'one tenth': 1 / 10
+};
+
+// Multi-word currency names, folded to a code before tokenizing
+const CURRENCY_PHRASES = [
+  [/\b(?:us|u s|american) dollars?\b/g, 'usd'],
+  [/\bnigerian naira\b/g, 'ngn'],
+  [/\bkenyan shillings?\b/g, 'kes'],
+  [/\bugandan shillings?\b/g, 'ugx'],
+  [/\btanzanian shillings?\b/g, 'tzs'],
+  [/\bghana(?:ian)? cedis?\b/g, 'ghs'],
+  [/\bsouth african rands?\b/g, 'zar'],
+  // The rand symbol is a plain "R", so it only counts right before a number: "R100", "r 1,500"
+  [/(^|\s)r (?=\d)/g, '$1zar ']
+];
+
+// Words that mean the user hasn't settled on a number
+const VAGUE = /\b(?:a few|a couple|couple of|some|a bit|a little|about|around|roughly|approximately|or so|ish)\b/;
+
+const BALANCE_REF = '(?:(?:all\\s+(?:of\\s+)?)?(?:my|the)\\s+(?:whole\\s+|entire\\s+)?(?:balance|money|funds|wallet|account)|what\\s+i\\s+have|everything|all\\s+of\\s+it|all)';
+const KEEP_WORDS = '(?:except(?:\\s+for)?|but(?:\\s+keep)?|minus|less|apart\\s+from|save|(?:but\\s+)?(?:leave|leaving|keep|keeping)(?:\\s+me)?)';
+
+const WHOLE_BALANCE = new RegExp(`^${BALANCE_REF}(?:\\s+${KEEP_WORDS}\\s+(.+))?$`);
+const SHARE_OF_BALANCE = new RegExp(`^(.+?)\\s+(?:of\\s+)?${BALANCE_REF}$`);
+
+function normalizeText(input) {
+  let text = String(input).toLowerCase().trim()
+    .replace(/[’']/g, '')
+    .replace(/-/g, ' ')
+    .replace(/([$₦₵€])/g, ' $1 ')
+    .replace(/(\d)\s*%/g, '$1 percent')
+    // "ksh200" -> "ksh 200", "5k" -> "5 k"
+    .replace(/([a-z])(\d)/g, '$1 $2')
+    .replace(/(\d)([a-z])/g, '$1 $2')
+    .replace(/[^\w\s.,$₦₵€]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  for (const [pattern, code] of CURRENCY_PHRASES) {
+    text = text.replace(pattern, code);
+  }
+  return text;
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ============================================
+// NUMBERS
+// ============================================
+
+/**
+ * A digit token, with thousands separators ("5,000") removed
+ * "5,50" is a decimal comma or a typo for 550, so it's flagged as ambiguous.
+ */
+function parseDigits(token) {
+  if (/^\d+(\.\d+)?$/.test(token)) {
+    return { value: parseFloat(token) };
+  }
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(token)) {
+    return { value: parseFloat(token.replace(/,/g, '')) };
+  }
+  if (/^\d+,\d{2}$/.test(token)) {
+    const [whole, cents] = token.split(',');
+    return { ambiguous: [parseInt(whole, 10) + parseInt(cents, 10) / 100, parseInt(whole + cents, 10)] };
+  }
+  return null;
+}
+
+/**
+ * Parse number words and digits: "twenty five", "two thousand five hundred",
+ * "5 hundred", "1.5 k", "five point two five"
+ *
+ * Two numbers run together ("five fifty", "twenty twenty") could be dollars
+ * and cents or hundreds, so both readings are returned as ambiguous.
+ *
+ * @param {string[]} tokens
+ * @returns {Object|null} { value } or { ambiguous: [a, b] }, null if not a number
+ */
+function parseNumber(tokens) {
+  const words = tokens.filter(token => token !== 'and');
+  if (words.length === 0) {
+    return null;
+  }
+
+  const point = words.indexOf('point');
+  if (point !== -1) {
+    const whole = point === 0 ? { value: 0 } : parseNumber(words.slice(0, point));
+    const decimals = words.slice(point + 1).map(word => (word in UNITS ? UNITS[word] : /^\d$/.test(word) ? word : null));
+    if (!whole || whole.ambiguous || decimals.length === 0 || decimals.includes(null)) {
+      return null;
+    }
+    return { value: parseFloat(`${whole.value}.${decimals.join('')}`) };
+  }
+
+  let total = 0;
+  let current = 0;
+  let last = null;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    let value = null;
+    let kind = null;
+
+    if (word in UNITS) {
+      value = UNITS[word];
+      kind = 'unit';
+    } else if (word in TEENS) {
+      value = TEENS[word];
+      kind = 'teen';
+    } else if (word in TENS) {
+      value = TENS[word];
+      kind = 'tens';
+    } else if ((word === 'a' || word === 'an') && i === 0 && words.length > 1) {
+      value = 1;
+      kind = 'unit';
+    } else if (/\d/.test(word)) {
+      const digits = parseDigits(word);
+      if (!digits) {
+        return null;
+      }
+      if (digits.ambiguous) {
+        return words.length === 1 ? digits : null;
+      }
+      value = digits.value;
+      kind = 'digits';
+    }
+
+    if (value !== null) {
+      const fits =
+        last === null ||
+        last === 'hundred' || last === 'scale' ||
+        (kind === 'unit' && last === 'tens');
+
+      if (!fits) {
+        // "five fifty": dollars and cents, or hundreds?
+        const left = total + current;
+        const right = parseNumber(words.slice(i));
+        if (right && !right.ambiguous && Number.isInteger(left) && left < 100 &&
+            Number.isInteger(right.value) && right.value >= 10 && right.value < 100) {
+          return { ambiguous: [left + right.value / 100, left * 100 + right.value] };
+        }
+        return null;
+      }
+
+      current += value;
+      last = kind;
+      continue;
+    }
+
+    if (word === 'hundred') {
+      if (last === 'hundred' || last === 'scale' && current !== 0) {
+        return null;
+      }
+      current = (current || 1) * 100;
+      last = 'hundred';
+      continue;
+    }
+
+    if (word in SCALES) {
+      if (last === 'scale') {
+        return null;
+      }
+      total += (current || 1) * SCALES[word];
+      current = 0;
+      last = 'scale';
+      continue;
+    }
+
+    return null;
+  }
+
+  return { value: total + current };
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+function ambiguityQuestion([first, second], currency) {
+  return `Did you mean ${currencyService.formatMoney(first, currency)} or ${currencyService.formatMoney(second, currency)}?`;
+}
+
+/**
+ * A fixed amount, optionally naming its currency and cents
+ * "$20", "ten bucks", "five dollars and fifty cents", "fifty cents", "5000 naira"
+ */
+function parseFixedAmount(text, { currency, preferredCurrency }) {
+  const tokens = text.split(' ');
+  const currencies = [];
+  let currencyIndex = -1;
+  let centsIndex = -1;
+
+  tokens.forEach((token, index) => {
+    if (token === 'cent' || token === 'cents') {
+      centsIndex = index;
+      return;
+    }
+    const named = currencyService.currencyForWord(token, preferredCurrency);
+    if (named) {
+      currencies.push(named);
+      if (currencyIndex === -1) currencyIndex = index;
+    }
+  });
+
+  const distinct = [...new Set(currencies)];
+  if (distinct.length > 1) {
+    return { question: `Which currency did you mean, ${distinct.map(code => currencyService.CURRENCIES[code].plural).join(' or ')}?` };
+  }
+
+  const named = distinct[0] || currency;
+  const isCurrencyToken = (token, index) => index === centsIndex || currencyService.currencyForWord(token, preferredCurrency);
+
+  let majorTokens;
+  let minorTokens = [];
+  if (currencyIndex === -1) {
+    // "fifty cents" or a bare number
+    majorTokens = centsIndex === -1 ? tokens : [];
+    minorTokens = centsIndex === -1 ? [] : tokens.slice(0, centsIndex);
+  } else {
+    const before = tokens.slice(0, currencyIndex).filter((token, index) => !isCurrencyToken(token, index));
+    const after = tokens.slice(currencyIndex + 1, centsIndex === -1 ? tokens.length : centsIndex)
+      .filter((token, index) => !isCurrencyToken(token, index + currencyIndex + 1));
+
+    if (before.length > 0) {
+      // "five dollars fifty": what follows the currency is cents
+      majorTokens = before;
+      minorTokens = after;
+    } else {
+      // "$ 20", "ksh 200"
+      majorTokens = after;
+    }
+  }
+
+  if (centsIndex !== -1 && centsIndex !== tokens.length - 1) {
+    return null;
+  }
+  if (minorTokens.length > 0 && named !== currencyService.BASE_CURRENCY) {
+    return null;
+  }
+
+  // "a dollar", "a buck"
+  const isArticle = currencyIndex !== -1 && majorTokens.length === 1 && (majorTokens[0] === 'a' || majorTokens[0] === 'an');
+  const major = isArticle ? { value: 1 } : majorTokens.length > 0 ? parseNumber(majorTokens) : { value: 0 };
+  const minor = minorTokens.length > 0 ? parseNumber(minorTokens) : { value: 0 };
+  if (!major || !minor || (majorTokens.length === 0 && minorTokens.length === 0)) {
+    return null;
+  }
+  if (minor.ambiguous || !Number.isInteger(minor.value) || minor.value > 99) {
+    return null;
+  }
+  if (major.ambiguous) {
+    return minorTokens.length > 0 ? null : { question: ambiguityQuestion(major.ambiguous, named) };
+  }
+
+  const amount = roundCents(major.value + minor.value / 100);
+  return { amount, currency: named, echo: currencyService.formatMoney(amount, named) };
+}
+
+function parseFraction(text) {
+  if (text in FRACTIONS) {
+    return { fraction: FRACTIONS[text], label: text };
+  }
+
+  const percent = text.match(/^(.+?) percent$/);
+  if (percent) {
+    const number = parseNumber(percent[1].split(' '));
+    if (number && !number.ambiguous && number.value > 0 && number.value <= 100) {
+      return { fraction: number.value / 100, label: `${number.value}%` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a spoken or typed amount
+ *
+ * @param {string|number} input - Amount as heard
+ * @param {Object} [options]
+ * @param {string} [options.currency='USD'] - Currency to use when the input names none
+ * @param {string} [options.preferredCurrency] - Tie-breaker for ambiguous names ("shillings")
+ * @param {string} [options.balanceCurrency='USD'] - Currency the balance is in, for "everything except 5"
+ * @returns {Object|null} See the module comment for the result shapes
+ */
+export function parseSpokenAmount(input, {
+  currency = currencyService.BASE_CURRENCY,
+  preferredCurrency = currency,
+  balanceCurrency = currencyService.BASE_CURRENCY
+} = {}) {
+  if (typeof input === 'number') {
+    return isFinite(input)
+      ? { amount: input, currency, echo: currencyService.formatMoney(input, currency) }
+      : null;
+  }
+
+  // Hyphens are stripped below ("twenty-five"), so catch a minus sign first
+  if (/^\s*-\s*[\d$]/.test(String(input))) {
+    return { question: 'The amount has to be more than zero. How much would you like?' };
+  }
+
+  const text = normalizeText(input || '');
+  if (!text) {
+    return null;
+  }
+
+  // "5-10" is a range, not a number
+  if (VAGUE.test(text) || /\d\s*-\s*\d/.test(String(input))) {
+    return { question: 'What exact amount would you like?' };
+  }
+
+  const whole = text.match(WHOLE_BALANCE);
+  if (whole) {
+    if (!whole[1]) {
+      return { balance: { fraction: 1, keep: 0 }, label: 'your whole balance' };
+    }
+    const keep = parseFixedAmount(whole[1], { currency: balanceCurrency, preferredCurrency });
+    if (!keep || keep.question) {
+      return keep;
+    }
+    if (keep.currency !== balanceCurrency) {
+      return { question: `How much would you like to keep, in ${currencyService.CURRENCIES[balanceCurrency].plural}?` };
+    }
+    return { balance: { fraction: 1, keep: keep.amount }, label: `everything except ${keep.echo}` };
+  }
+
+  const share = text.match(SHARE_OF_BALANCE);
+  if (share) {
+    const fraction = parseFraction(share[1]);
+    if (fraction) {
+      return { balance: { fraction: fraction.fraction, keep: 0 }, label: `${fraction.label} of your balance` };
+    }
+  }
+
+  // "half" on its own: half of what?
+  if (parseFraction(text)) {
+    return { question: `Do you mean ${text} of your balance? If so, say '${text} my balance', or tell me the amount.` };
+  }
+
+  return parseFixedAmount(text, { currency, preferredCurrency });
+}
+
+/**
+ * Turn a share-of-balance parse into a fixed amount
+ * Rounded down to the cent, so it never exceeds the balance.
+ *
+ * @param {Object} parsed - Result of parseSpokenAmount() with a balance share
+ * @param {string|number} balance - Current balance (USDC, or the token being sent)
+ * @param {string} [currency='USD'] - Currency the balance is in ('EUR' for EURC)
+ * @returns {Object} { amount, currency, echo } or { question }
+ */
+export function resolveBalanceAmount(parsed, balance, currency = currencyService.BASE_CURRENCY) {
+  const available = parseFloat(balance) || 0;
+  const { fraction, keep } = parsed.balance;
+  const amount = Math.floor((available * fraction - keep) * 100 + 1e-6) / 100;
+
+  if (amount <= 0) {
+    return {
+      question: `Your balance is ${currencyService.formatMoney(available, currency)}, so that leaves nothing to send. How much would you like to send?`
+    };
+  }
+
+  return {
+    amount,
+    currency,
+    echo: `${parsed.label} (${currencyService.formatMoney(amount, currency)})`
+  };
+}
+
+export default {
+  parseSpokenAmount,
+  resolveBalanceAmount
+};
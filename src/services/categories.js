@@ -0,0 +1,190 @@
+/**
+ * PayVoice Categories Service
+ * Memos and spending categories on sends, so "what did I spend on rent?" has an answer.
+ *
+ * A send can carry a memo ("March rent") and a category ("rent"). When no
+ * category is given, one is suggested: first from keywords in the memo, then
+ * from the category the user most often used for that recipient. Categories
+ * are free-form but normalized (lowercase, trimmed) so they group cleanly.
+ */
+
+import { supabase } from './db.js';
+
+const MAX_CATEGORY_LENGTH = 40;
+const MAX_MEMO_LENGTH = 200;
+
+// Memo words that imply a category
+const CATEGORY_KEYWORDS = {
+  rent: ['rent', 'landlord', 'lease', 'housing'],
+  food: ['food', 'lunch', 'dinner', 'breakfast', 'groceries', 'grocery', 'restaurant', 'coffee', 'meal'],
+  transport: ['uber', 'taxi', 'bus', 'fuel', 'gas', 'petrol', 'fare', 'transport', 'ride'],
+  bills: ['bill', 'bills', 'electricity', 'water', 'internet', 'phone', 'utilities', 'airtime', 'data'],
+  family: ['mom', 'mum', 'dad', 'family', 'allowance', 'birthday', 'gift'],
+  health: ['doctor', 'hospital', 'pharmacy', 'medicine', 'clinic'],
+  education: ['school', 'tuition', 'fees', 'books', 'course'],
+  entertainment: ['movie', 'movies', 'concert', 'tickets', 'game', 'party']
+};
+
+/**
+ * Normalize a spoken or typed category ("Rent ", "RENT" -> "rent")
+ * @returns {string|null} The normalized category, or null if empty
+ */
+export function normalizeCategory(category) {
+  if (category === undefined || category === null) {
+    return null;
+  }
+  const normalized = String(category).trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_CATEGORY_LENGTH);
+  return normalized || null;
+}
+
+/**
+ * Trim a memo to what we store
+ * @returns {string|null} The memo, or null if empty
+ */
+export function normalizeMemo(memo) {
+  if (memo === undefined || memo === null) {
+    return null;
+  }
+  const trimmed = String(memo).trim().slice(0, MAX_MEMO_LENGTH);
+  return trimmed || null;
+}
+
+function categoryFromMemo(memo) {
+  if (!memo) {
+    return null;
+  }
+  const words = memo.toLowerCase().split(/[^a-z]+/);
+  return Object.keys(CATEGORY_KEYWORDS).find(category =>
+    CATEGORY_KEYWORDS[category].some(keyword => words.includes(keyword))
+  ) || null;
+}
+
+/**
+ * Suggest a category for a send
+ * Memo keywords win, then the category most often used for this recipient.
+ *
+ * @param {string} userId - Sender's user UUID
+ * @param {string} recipientName - Who the send is to
+ * @param {string} [memo] - The send's memo
+ * @returns {Promise<string|null>} Suggested category, or null if there's nothing to go on
+ */
+export async function suggestCategory(userId, recipientName, memo = null) {
+  const fromMemo = categoryFromMemo(memo);
+  if (fromMemo) {
+    return fromMemo;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('transactions')
+      .select('category')
+      .eq('user_id', userId)
+      .eq('type', 'send')
+      .eq('recipient_name', recipientName)
+      .not('category', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) throw error;
+
+    const counts = {};
+    for (const { category } of data || []) {
+      counts[category] = (counts[category] || 0) + 1;
+    }
+
+    // Ties go to the most recently used, since rows are newest first
+    let best = null;
+    for (const { category } of data || []) {
+      if (!best || counts[category] > counts[best]) {
+        best = category;
+      }
+    }
+    return best;
+  } catch (error) {
+    console.error('[Categories] Error suggesting category:', error);
+    return null;
+  }
+}
+
+/**
+ * Resolve the memo and category to record on a send
+ * @returns {Promise<Object>} { memo, category, categorySuggested }
+ */
+export async function resolveSendCategory(userId, recipientName, { memo, category }) {
+  const normalizedMemo = normalizeMemo(memo);
+  const explicit = normalizeCategory(category);
+  if (explicit) {
+    return { memo: normalizedMemo, category: explicit, categorySuggested: false };
+  }
+
+  const suggested = await suggestCategory(userId, recipientName, normalizedMemo);
+  return { memo: normalizedMemo, category: suggested, categorySuggested: !!suggested };
+}
+
+/**
+ * Recategorize past sends
+ * By Circle transaction ID, or the latest send to a recipient (all of them with applyToAll).
+ *
+ * @param {string} userId - Owner of the transactions
+ * @param {Object} params
+ * @param {string} params.category - New category
+ * @param {string} [params.transactionId] - Circle transaction ID
+ * @param {string} [params.recipientName] - Recipient of the send(s)
+ * @param {boolean} [params.applyToAll=false] - Every send to recipientName, not just the latest
+ * @param {string} [params.memo] - Replace the memo too (single transaction only)
+ * @returns {Promise<Array>} The updated transactions
+ */
+export async function recategorizeTransactions(userId, { category, transactionId, recipientName, applyToAll = false, memo }) {
+  const normalized = normalizeCategory(category);
+  if (!normalized) {
+    throw new Error('Category is required');
+  }
+
+  const updates = { category: normalized, updated_at: new Date().toISOString() };
+  // A memo describes one payment, so it's only replaced on a single transaction
+  if (memo !== undefined && (transactionId || !applyToAll)) {
+    updates.memo = normalizeMemo(memo);
+  }
+
+  let update = supabase
+    .from('transactions')
+    .update(updates)
+    .eq('user_id', userId);
+
+  if (transactionId) {
+    update = update.eq('circle_tx_id', transactionId);
+  } else {
+    let query = supabase
+      .from('transactions')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('type', 'send')
+      .eq('recipient_name', recipientName)
+      .order('created_at', { ascending: false });
+
+    if (!applyToAll) {
+      query = query.limit(1);
+    }
+
+    const { data: matches, error: matchError } = await query;
+    if (matchError) throw matchError;
+    if (!matches?.length) {
+      return [];
+    }
+    update = update.in('id', matches.map(tx => tx.id));
+  }
+
+  const { data, error } = await update.select();
+  if (error) throw error;
+
+  console.log(`[Categories] Recategorized ${data.length} transaction(s) for ${userId} as ${normalized}`);
+  return data || [];
+}
+
+export default {
+  normalizeCategory,
+  normalizeMemo,
+  suggestCategory,
+  resolveSendCategory,
+  recategorizeTransactions
+};
@@ -7,10 +7,13 @@
  * @requires @circle-fin/developer-controlled-wallets@9.2.0
  */
 
+import { createHash } from 'crypto';
 import { initiateDeveloperControlledWalletsClient } from '@circle-fin/developer-controlled-wallets';
+import * as networkService from './network.js';
 
-// Target blockchain for all operations
-export const BLOCKCHAIN = 'ARC-TESTNET';
+// Circle fee levels, slowest/cheapest first
+export const FEE_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+export const DEFAULT_FEE_LEVEL = 'MEDIUM';
 
 // Circle client instance (singleton)
 let client = null;
@@ -52,6 +55,27 @@ export function initializeClient() {
   }
 }
 
+/**
+ * Derive a deterministic, UUID-formatted idempotency key from a set of parts.
+ * Circle deduplicates requests that reuse a key, so retries of the same
+ * logical operation (e.g. onboarding the same phone twice) resolve to one result.
+ *
+ * @param {...string} parts - Values that uniquely identify the operation
+ * @returns {string} A UUID-formatted key stable for the given parts
+ */
+export function deriveIdempotencyKey(...parts) {
+  const hash = createHash('sha256').update(parts.join(':')).digest('hex');
+  const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+
+  return [
+    hash.slice(0, 8),
+    hash.slice(8, 12),
+    `5${hash.slice(13, 16)}`,
+    `${variant}${hash.slice(17, 20)}`,
+    hash.slice(20, 32),
+  ].join('-');
+}
+
 /**
  * Create a new wallet set (container for wallets).
  * This is typically a one-time setup operation.
@@ -81,22 +105,24 @@ export async function createWalletSet(name) {
 }
 
 /**
- * Create a new wallet on the Arc testnet blockchain for a user.
+ * Create a new wallet for a user, on this environment's network (CIRCLE_BLOCKCHAIN).
  *
  * @param {string} walletSetId - The ID of the wallet set to create the wallet in
  * @param {string} name - The name/identifier for the wallet (e.g., user's phone number)
- * @returns {Promise<Object>} The created wallet details including address and ID
+ * @param {string} [idempotencyKey] - Optional key so retries return the same wallet
+ * @returns {Promise<Object>} The created wallet details including address, ID and blockchain
  * @throws {Error} If wallet creation fails
  */
-export async function createWallet(walletSetId, name) {
+export async function createWallet(walletSetId, name, idempotencyKey) {
   try {
     const circleClient = initializeClient();
 
     const response = await circleClient.createWallets({
-      blockchains: [BLOCKCHAIN],
+      blockchains: [networkService.defaultNetwork().blockchain],
       count: 1,
       walletSetId,
       metadata: [{ name }],
+      ...(idempotencyKey && { idempotencyKey }),
     });
 
     if (!response.data?.wallets || response.data.wallets.length === 0) {
@@ -113,10 +139,13 @@ export async function createWallet(walletSetId, name) {
 }
 
 /**
- * Get the USDC balance for a wallet.
+ * Get the token balances for a wallet.
  *
  * @param {string} walletId - The ID of the wallet to check balance for
- * @returns {Promise<Object>} Balance information including token balances
+ * @returns {Promise<Object>} Balance information: the raw tokenBalances, the USDC
+ *   balance, and balances: [{ symbol, name, amount, tokenId, blockchain }] for every
+ *   token held, with supported tokens (USDC, EURC) under their PayVoice symbol and
+ *   any other token with symbol null
  * @throws {Error} If balance retrieval fails
  */
 export async function getWalletBalance(walletId) {
@@ -130,12 +159,19 @@ export async function getWalletBalance(walletId) {
     const tokenBalances = response.data?.tokenBalances || [];
 
     // Find USDC balance specifically
-    const usdcBalance = tokenBalances.find(
-      (token) => token.token?.symbol === 'USDC' || token.token?.name?.includes('USDC')
-    );
+    const usdcBalance = tokenBalances.find((token) => networkService.isToken(token.token, 'USDC'));
+
+    const balances = tokenBalances.map((balance) => ({
+      symbol: networkService.tokenSymbolOf(balance.token),
+      name: balance.token?.name || null,
+      amount: balance.amount || '0',
+      tokenId: balance.token?.id || null,
+      blockchain: balance.token?.blockchain || null,
+    }));
 
     return {
       tokenBalances,
+      balances,
       usdcBalance: usdcBalance?.amount || '0',
       usdcToken: usdcBalance?.token || null,
     };
@@ -146,52 +182,123 @@ export async function getWalletBalance(walletId) {
 }
 
 /**
- * Transfer USDC from one wallet to another wallet address.
+ * Find the wallet's balance of a token (token ID and amount).
+ *
+ * @param {Object} circleClient - Initialized Circle client
+ * @param {string} walletId - The ID of the wallet
+ * @param {string} [symbol='USDC'] - Token to find, e.g. 'EURC'
+ * @returns {Promise<Object>} The token balance entry
+ * @throws {Error} If the wallet holds none of the token
+ */
+async function getTokenBalance(circleClient, walletId, symbol = networkService.DEFAULT_TOKEN) {
+  const balanceResponse = await circleClient.getWalletTokenBalance({
+    id: walletId,
+  });
+
+  const tokenBalances = balanceResponse.data?.tokenBalances || [];
+  const tokenBalance = tokenBalances.find((token) => networkService.isToken(token.token, symbol));
+
+  if (!tokenBalance?.token?.id) {
+    throw new Error(`${symbol} token not found in wallet. Ensure the wallet has ${symbol} tokens.`);
+  }
+
+  return tokenBalance;
+}
+
+/**
+ * Estimate the network fee of a token transfer at each fee level.
  *
  * @param {string} fromWalletId - The ID of the source wallet
  * @param {string} toWalletAddress - The destination wallet blockchain address
- * @param {string} amount - The amount of USDC to transfer (e.g., "10" for 10 USDC)
- * @returns {Promise<Object>} Transaction details including ID and state
- * @throws {Error} If transfer fails or insufficient balance
+ * @param {string} amount - The amount of the token to transfer
+ * @param {string} [token='USDC'] - Token being transferred, e.g. 'EURC'
+ * @returns {Promise<Object>} Fee estimates keyed by level: { LOW, MEDIUM, HIGH }, each
+ *   { networkFee, gasLimit, maxFee, priorityFee } (networkFee in the chain's native token)
+ * @throws {Error} If fee estimation fails
  */
-export async function transferUSDC(fromWalletId, toWalletAddress, amount) {
+export async function estimateTransferFee(fromWalletId, toWalletAddress, amount, token = networkService.DEFAULT_TOKEN) {
   try {
     const circleClient = initializeClient();
+    const tokenBalance = await getTokenBalance(circleClient, fromWalletId, token);
 
-    // First, get the wallet's token balance to find the USDC token ID
-    const balanceResponse = await circleClient.getWalletTokenBalance({
-      id: fromWalletId,
+    const response = await circleClient.estimateTransferFee({
+      walletId: fromWalletId,
+      tokenId: tokenBalance.token.id,
+      destinationAddress: toWalletAddress,
+      amount: [String(amount)],
     });
 
-    const tokenBalances = balanceResponse.data?.tokenBalances || [];
-    const usdcToken = tokenBalances.find(
-      (token) => token.token?.symbol === 'USDC' || token.token?.name?.includes('USDC')
-    );
+    if (!response.data) {
+      throw new Error('No fee estimate returned');
+    }
+
+    const estimates = {};
+    for (const level of FEE_LEVELS) {
+      const fee = response.data[level.toLowerCase()];
+      if (fee) {
+        estimates[level] = {
+          networkFee: fee.networkFee || null,
+          gasLimit: fee.gasLimit || null,
+          maxFee: fee.maxFee || fee.gasPrice || null,
+          priorityFee: fee.priorityFee || null,
+        };
+      }
+    }
+
+    return estimates;
+  } catch (error) {
+    console.error('Error estimating transfer fee:', error.message);
+    throw new Error(`Failed to estimate transfer fee: ${error.message}`);
+  }
+}
+
+/**
+ * Transfer USDC (or another supported token) from one wallet to another wallet address.
+ *
+ * @param {string} fromWalletId - The ID of the source wallet
+ * @param {string} toWalletAddress - The destination wallet blockchain address
+ * @param {string} amount - The amount of the token to transfer (e.g., "10" for 10 USDC)
+ * @param {Object} [options]
+ * @param {string} [options.token='USDC'] - Token to transfer, e.g. 'EURC'
+ * @param {string} [options.idempotencyKey] - Circle dedupes transfers that reuse this key
+ * @param {string} [options.feeLevel='MEDIUM'] - 'LOW', 'MEDIUM' or 'HIGH'
+ * @returns {Promise<Object>} Transaction details including ID and state
+ * @throws {Error} If transfer fails or insufficient balance
+ */
+export async function transferUSDC(fromWalletId, toWalletAddress, amount, options = {}) {
+  try {
+    const circleClient = initializeClient();
 
-    if (!usdcToken?.token?.id) {
-      throw new Error('USDC token not found in wallet. Ensure the wallet has USDC tokens.');
+    const feeLevel = options.feeLevel || DEFAULT_FEE_LEVEL;
+    if (!FEE_LEVELS.includes(feeLevel)) {
+      throw new Error(`Unknown fee level: ${feeLevel}`);
     }
 
+    // First, get the wallet's token balance to find the token ID
+    const token = options.token || networkService.DEFAULT_TOKEN;
+    const tokenBalance = await getTokenBalance(circleClient, fromWalletId, token);
+
     // Check if there's sufficient balance
-    const currentBalance = parseFloat(usdcToken.amount || '0');
+    const currentBalance = parseFloat(tokenBalance.amount || '0');
     const transferAmount = parseFloat(amount);
 
     if (currentBalance < transferAmount) {
-      throw new Error(`Insufficient USDC balance. Available: ${currentBalance}, Requested: ${transferAmount}`);
+      throw new Error(`Insufficient ${token} balance. Available: ${currentBalance}, Requested: ${transferAmount}`);
     }
 
     // Create the transfer transaction
     const response = await circleClient.createTransaction({
       walletId: fromWalletId,
-      tokenId: usdcToken.token.id,
+      tokenId: tokenBalance.token.id,
       destinationAddress: toWalletAddress,
       amount: [amount],
       fee: {
         type: 'level',
         config: {
-          feeLevel: 'MEDIUM',
+          feeLevel,
         },
       },
+      ...(options.idempotencyKey && { idempotencyKey: options.idempotencyKey }),
     });
 
     if (!response.data) {
@@ -238,6 +345,7 @@ export async function getTransactionHistory(walletId, limit = 5) {
       sourceAddress: tx.sourceAddress,
       destinationAddress: tx.destinationAddress,
       txHash: tx.txHash,
+      blockchain: tx.blockchain,
       networkFee: tx.networkFee,
       createDate: tx.createDate,
       updateDate: tx.updateDate,
@@ -279,18 +387,25 @@ export async function getWallet(walletId) {
 
 /**
  * Request testnet tokens for a wallet (useful for testing).
+ * Only on testnets; mainnet has no faucet.
  *
  * @param {string} walletAddress - The blockchain address of the wallet
+ * @param {string} [blockchain] - The wallet's network (defaults to CIRCLE_BLOCKCHAIN)
  * @returns {Promise<void>}
- * @throws {Error} If token request fails
+ * @throws {Error} If the network is a mainnet or the token request fails
  */
-export async function requestTestnetTokens(walletAddress) {
+export async function requestTestnetTokens(walletAddress, blockchain) {
   try {
+    const network = networkService.networkFor({ blockchain });
+    if (!network.testnet) {
+      throw new Error(`the faucet is only available on testnets, not ${network.name}`);
+    }
+
     const circleClient = initializeClient();
 
     await circleClient.requestTestnetTokens({
       address: walletAddress,
-      blockchain: BLOCKCHAIN,
+      blockchain: network.blockchain,
       usdc: true,
       native: true,
     });
@@ -328,12 +443,49 @@ export async function getTransaction(transactionId) {
   }
 }
 
+// Notification public keys by key ID (keys are immutable, so cache forever)
+const notificationKeyCache = new Map();
+
+/**
+ * Get the public key Circle uses to sign webhook notifications.
+ *
+ * @param {string} keyId - The key ID from the X-Circle-Key-Id header
+ * @returns {Promise<Object>} Key details: { id, algorithm, publicKey (base64 DER) }
+ * @throws {Error} If the key cannot be retrieved
+ */
+export async function getNotificationPublicKey(keyId) {
+  try {
+    if (notificationKeyCache.has(keyId)) {
+      return notificationKeyCache.get(keyId);
+    }
+
+    const circleClient = initializeClient();
+
+    const response = await circleClient.getNotificationSignature(keyId);
+
+    if (!response.data?.publicKey) {
+      throw new Error('Public key not found');
+    }
+
+    notificationKeyCache.set(keyId, response.data);
+    return response.data;
+  } catch (error) {
+    console.error('Error getting notification public key:', error.message);
+    throw new Error(`Failed to get notification public key: ${error.message}`);
+  }
+}
+
 /**
  * Simplified getBalance function for webhook routes
+ * @param {string} walletId
+ * @param {string} [token='USDC'] - Token to read, e.g. 'EURC'
  */
-export async function getBalance(walletId) {
+export async function getBalance(walletId, token = networkService.DEFAULT_TOKEN) {
   const result = await getWalletBalance(walletId);
-  return result.usdcBalance;
+  if (token === networkService.DEFAULT_TOKEN) {
+    return result.usdcBalance;
+  }
+  return result.balances.find((balance) => balance.symbol === token)?.amount || '0';
 }
 
 /**
@@ -347,16 +499,20 @@ export async function sendUSDC(fromWalletId, toWalletAddress, amount) {
 /**
  * Send USDC and wait for confirmation (returns txHash)
  * Polls the transaction until COMPLETE or FAILED (max 30 seconds)
+ * Once Circle has accepted the transfer it is never reported as failed for
+ * want of a status: a poll that errors or times out returns state PENDING,
+ * and the transfer is finalized later (webhook or status check).
  *
  * @param {string} fromWalletId - Source wallet ID
  * @param {string} toWalletAddress - Destination address
  * @param {string} amount - Amount to send
+ * @param {Object} [options] - Passed through to transferUSDC (e.g. idempotencyKey, feeLevel, token)
  * @returns {Promise<Object>} Transaction result with txHash
  */
-export async function sendUSDCWithConfirmation(fromWalletId, toWalletAddress, amount) {
+export async function sendUSDCWithConfirmation(fromWalletId, toWalletAddress, amount, options = {}) {
   try {
     // Create the transfer
-    const txResult = await transferUSDC(fromWalletId, toWalletAddress, amount);
+    const txResult = await transferUSDC(fromWalletId, toWalletAddress, amount, options);
     const transactionId = txResult.transactionId;
 
     console.log(`[Circle] Transaction initiated: ${transactionId}, polling for confirmation...`);
@@ -368,7 +524,18 @@ export async function sendUSDCWithConfirmation(fromWalletId, toWalletAddress, am
     for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
       await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
 
-      const tx = await getTransaction(transactionId);
+      let tx;
+      try {
+        tx = await getTransaction(transactionId);
+      } catch (pollError) {
+        console.warn(`[Circle] Poll ${attempt}/${MAX_ATTEMPTS} failed for ${transactionId}: ${pollError.message}`);
+        return {
+          success: true, // Submitted; its outcome isn't known yet
+          transactionId,
+          state: 'PENDING',
+          message: 'Transaction submitted but its status could not be checked. Check back shortly.'
+        };
+      }
 
       console.log(`[Circle] Poll ${attempt}/${MAX_ATTEMPTS}: State = ${tx.state}`);
 
@@ -381,6 +548,7 @@ export async function sendUSDCWithConfirmation(fromWalletId, toWalletAddress, am
           blockHash: tx.blockHash,
           blockHeight: tx.blockHeight,
           state: tx.state,
+          blockchain: tx.blockchain,
           networkFee: tx.networkFee,
           amounts: tx.amounts,
           sourceAddress: tx.sourceAddress,
@@ -0,0 +1,503 @@
+/**
+ * PayVoice Pay-Link Claims Service
+ * Send money to someone who isn't on PayVoice yet.
+ *
+ * The sender's payment goes to a PayVoice escrow wallet and a claim is
+ * recorded for the recipient's phone number with a one-time code. When the
+ * recipient calls PayVoice from that number and says the code, they're
+ * onboarded and the escrow pays out to their new wallet. Unclaimed links are
+ * refunded to the sender when they expire.
+ *
+ * status: pending -> claiming -> claimed, or pending -> refunding -> refunded,
+ *         or pending -> cancelled (the funding transfer never landed)
+ *
+ * The escrow wallet pays network fees for payouts and refunds, so keep a
+ * small USDC float in it.
+ */
+
+import { createHash, randomInt } from 'crypto';
+import * as circleService from './circle.js';
+import * as dbService from './db.js';
+import * as policyService from './policy.js';
+import * as onboardingService from './onboarding.js';
+import { normalizePhone } from './session.js';
+import { supabase } from './db.js';
+
+const CLAIM_TTL_HOURS = parseInt(process.env.PAY_LINK_TTL_HOURS || '72', 10);
+
+// Wrong codes allowed per recipient phone before their pending links lock
+const MAX_CLAIM_ATTEMPTS = 5;
+
+// Max expired links refunded per cron invocation
+const MAX_REFUNDS_PER_BATCH = 25;
+
+// ============================================
+// ESCROW WALLET
+// ============================================
+
+let escrowWallet = null;
+
+/**
+ * Get the escrow wallet that holds unclaimed pay-links
+ * Uses CIRCLE_ESCROW_WALLET_ID when set; otherwise creates one in the
+ * PayVoice wallet set with a fixed idempotency key, so every instance
+ * resolves to the same wallet.
+ * @param {Object} [options]
+ * @param {boolean} [options.create=true] - Whether it may be created; if not, null when it would have to be
+ * @returns {Promise<Object|null>} { id, address }
+ */
+export async function getEscrowWallet({ create = true } = {}) {
+  if (escrowWallet) {
+    return escrowWallet;
+  }
+
+  let wallet;
+  if (process.env.CIRCLE_ESCROW_WALLET_ID) {
+    wallet = await circleService.getWallet(process.env.CIRCLE_ESCROW_WALLET_ID);
+  } else if (!create) {
+    return null;
+  } else {
+    const walletSetId = process.env.CIRCLE_WALLET_SET_ID;
+    if (!walletSetId) {
+      throw new Error('CIRCLE_WALLET_SET_ID environment variable is not set');
+    }
+    wallet = await circleService.createWallet(
+      walletSetId,
+      'payvoice-escrow',
+      circleService.deriveIdempotencyKey('escrow', walletSetId)
+    );
+  }
+
+  escrowWallet = { id: wallet.id, address: wallet.address };
+  return escrowWallet;
+}
+
+/**
+ * The pseudo-contact a pay-link send is made to, named after the recipient's
+ * number so history and confirmations read naturally. It has no address yet:
+ * getEscrowRecipient fills in the escrow wallet once the send actually runs.
+ * @param {string} recipientPhone - Phone number the link is for
+ * @returns {Object} Contact-shaped object
+ */
+export function getPayLinkRecipient(recipientPhone) {
+  const digits = normalizePhone(recipientPhone);
+
+  return {
+    id: null,
+    name: `the number ending ${digits.slice(-4)}`,
+    phone: digits,
+    wallet_address: null,
+    isPayLink: true
+  };
+}
+
+/**
+ * The pay-link pseudo-contact with the escrow wallet as its address
+ * @param {string} recipientPhone - Phone number the link is for
+ * @returns {Promise<Object>} Contact-shaped object for executeTransfer
+ */
+export async function getEscrowRecipient(recipientPhone) {
+  const escrow = await getEscrowWallet();
+  return { ...getPayLinkRecipient(recipientPhone), wallet_address: escrow.address };
+}
+
+// ============================================
+// CLAIM CODES
+// ============================================
+
+function hashCode(claimPhone, code) {
+  return createHash('sha256')
+    .update(`${normalizePhone(claimPhone)}:${String(code).replace(/\D/g, '')}`)
+    .digest('hex');
+}
+
+/**
+ * Spell a code digit by digit so the agent reads it clearly
+ */
+function spellCode(code) {
+  return String(code).split('').join(' ');
+}
+
+// ============================================
+// CREATE
+// ============================================
+
+/**
+ * Record a pay-link and return its one-time code
+ * Created before the escrow transfer, so money in escrow always has a claim;
+ * recordClaimFunding links the transfer (or cancels the claim) afterwards.
+ * The raw code is returned once, for the sender to pass on; only a hash is stored.
+ *
+ * @param {Object} params
+ * @param {Object} params.sender - Sending user
+ * @param {string} params.recipientPhone - Phone number that can claim it
+ * @param {number} params.amount - Amount in USDC
+ * @returns {Promise<Object>} { claim, code, message }
+ */
+export async function createClaim({ sender, recipientPhone, amount }) {
+  try {
+    const code = String(randomInt(0, 1000000)).padStart(6, '0');
+    const phone = normalizePhone(recipientPhone);
+    const expiresAt = new Date(Date.now() + CLAIM_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('payment_claims')
+      .insert({
+        sender_id: sender.id,
+        sender_name: sender.name || 'A PayVoice user',
+        recipient_phone: phone,
+        amount,
+        code_hash: hashCode(phone, code),
+        status: 'pending',
+        expires_at: expiresAt
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`[Claims] Created pay-link ${data.id}: $${amount} for ${phone.substring(0, 6)}...`);
+
+    return {
+      claim: data,
+      code,
+      message: `Tell them to call PayVoice from that number and say the code ${spellCode(code)}. ` +
+        `If they don't claim it within ${CLAIM_TTL_HOURS} hours, I'll refund you.`
+    };
+  } catch (error) {
+    console.error('[Claims] Error creating claim:', error);
+    throw error;
+  }
+}
+
+/**
+ * Link a claim to the transfer that funds its escrow
+ * Without a transfer (it failed or was never made) the claim is cancelled.
+ * @param {string} claimId - The claim
+ * @param {string|null} fundingTxId - Circle transaction that moved the funds to escrow
+ */
+export async function recordClaimFunding(claimId, fundingTxId) {
+  try {
+    const { error } = await supabase
+      .from('payment_claims')
+      .update(fundingTxId
+        ? { funding_tx_id: fundingTxId, updated_at: new Date().toISOString() }
+        : { status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', claimId)
+      .eq('status', 'pending');
+
+    if (error) throw error;
+    if (!fundingTxId) {
+      console.log(`[Claims] Cancelled pay-link ${claimId}: nothing was sent`);
+    }
+  } catch (error) {
+    console.error('[Claims] Error recording claim funding:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pending pay-links waiting for a phone number to claim them
+ */
+export async function getPendingClaimsForPhone(phone) {
+  try {
+    const { data, error } = await supabase
+      .from('payment_claims')
+      .select('*')
+      .eq('recipient_phone', normalizePhone(phone))
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('[Claims] Error getting pending claims:', error);
+    return [];
+  }
+}
+
+/**
+ * Describe a pending pay-link for the recipient
+ */
+export function describeClaim(claim) {
+  return `${claim.sender_name} sent you $${parseFloat(claim.amount)}`;
+}
+
+// ============================================
+// CLAIM
+// ============================================
+
+/**
+ * Where the funding transfer for a claim stands: 'completed', 'pending' or 'failed'
+ */
+async function getFundingStatus(claim) {
+  // The claim is created just before its escrow transfer
+  if (!claim.funding_tx_id) {
+    return 'pending';
+  }
+  const record = await dbService.getUserTransaction(claim.sender_id, claim.funding_tx_id);
+  return record?.status || 'pending';
+}
+
+/**
+ * Record a wrong code against all of a phone's pending links
+ * @returns {Promise<number>} Attempts used so far
+ */
+async function recordFailedAttempt(claims) {
+  const attempts = Math.max(...claims.map(c => c.failed_attempts || 0)) + 1;
+
+  await supabase
+    .from('payment_claims')
+    .update({ failed_attempts: attempts, updated_at: new Date().toISOString() })
+    .in('id', claims.map(c => c.id));
+
+  return attempts;
+}
+
+/**
+ * Claim a pay-link: onboard the caller if needed and pay out from escrow
+ *
+ * @param {string} callerPhone - Verified caller phone (from the conversation binding)
+ * @param {string} code - The one-time code the caller says
+ * @returns {Promise<Object>} { success, message, claim?, user?, transactionId? }
+ */
+export async function claimPayLink(callerPhone, code) {
+  const phone = normalizePhone(callerPhone);
+  const pending = await getPendingClaimsForPhone(phone);
+
+  if (pending.length === 0) {
+    return { success: false, message: "There's no money waiting to be claimed for this number." };
+  }
+
+  if (pending.some(c => (c.failed_attempts || 0) >= MAX_CLAIM_ATTEMPTS)) {
+    return {
+      success: false,
+      locked: true,
+      message: 'Too many wrong codes. Ask the sender to contact PayVoice support.'
+    };
+  }
+
+  const codeHash = hashCode(phone, code);
+  const match = pending.find(c => c.code_hash === codeHash);
+
+  if (!match) {
+    const attempts = await recordFailedAttempt(pending);
+    const remaining = MAX_CLAIM_ATTEMPTS - attempts;
+    console.warn(`[Claims] Wrong claim code for ${phone.substring(0, 6)}... (${attempts} attempts)`);
+
+    if (remaining <= 0) {
+      for (const claim of pending) {
+        await policyService.createAlert(
+          claim.sender_id,
+          'pay_link_locked',
+          'Pay-Link Locked',
+          `Someone entered the wrong code too many times for your $${parseFloat(claim.amount)} pay-link. It will be refunded to you when it expires.`,
+          { claimId: claim.id }
+        );
+      }
+    }
+
+    return {
+      success: false,
+      attemptsRemaining: Math.max(remaining, 0),
+      message: remaining > 0
+        ? `That code doesn't match. You have ${remaining} ${remaining === 1 ? 'try' : 'tries'} left.`
+        : 'That code doesn\'t match, and there are no tries left.'
+    };
+  }
+
+  const fundingStatus = await getFundingStatus(match);
+  if (fundingStatus !== 'completed') {
+    return {
+      success: false,
+      message: fundingStatus === 'failed'
+        ? "That payment never reached PayVoice, so there's nothing to claim."
+        : 'That payment is still on its way. Please try again in a minute.'
+    };
+  }
+
+  // Onboard the recipient (no-op if they already have a wallet)
+  const { user } = await onboardingService.onboardUser(phone);
+
+  // Only one caller can move the claim out of pending
+  const { data: claimed, error: claimError } = await supabase
+    .from('payment_claims')
+    .update({ status: 'claiming', claimed_by: user.id, updated_at: new Date().toISOString() })
+    .eq('id', match.id)
+    .eq('status', 'pending')
+    .gt('expires_at', new Date().toISOString())
+    .select()
+    .single();
+
+  if (claimError && claimError.code !== 'PGRST116') throw claimError;
+  if (!claimed) {
+    return { success: false, message: 'That money has already been claimed.' };
+  }
+
+  const escrow = await getEscrowWallet();
+
+  let payout;
+  try {
+    payout = await circleService.transferUSDC(
+      escrow.id,
+      user.wallet_address,
+      String(parseFloat(claimed.amount)),
+      { idempotencyKey: circleService.deriveIdempotencyKey('claim', claimed.id) }
+    );
+  } catch (error) {
+    // Put it back so the recipient can try again
+    await supabase
+      .from('payment_claims')
+      .update({ status: 'pending', claimed_by: null, updated_at: new Date().toISOString() })
+      .eq('id', claimed.id);
+    throw error;
+  }
+
+  await supabase
+    .from('payment_claims')
+    .update({
+      status: 'claimed',
+      payout_tx_id: payout.transactionId,
+      claimed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', claimed.id);
+
+  await policyService.createAlert(
+    claimed.sender_id,
+    'pay_link_claimed',
+    'Pay-Link Claimed',
+    `${user.name || `The number ending ${phone.slice(-4)}`} claimed the $${parseFloat(claimed.amount)} you sent.`,
+    { claimId: claimed.id, payoutTxId: payout.transactionId }
+  );
+
+  console.log(`[Claims] Pay-link ${claimed.id} claimed by user ${user.id}`);
+
+  return {
+    success: true,
+    claim: claimed,
+    user,
+    transactionId: payout.transactionId,
+    message: `${describeClaim(claimed)}. It's on its way to your new PayVoice wallet now.`
+  };
+}
+
+// ============================================
+// EXPIRY (cron)
+// ============================================
+
+/**
+ * Refund one expired pay-link to its sender
+ * @returns {Promise<string>} 'refunded' | 'cancelled' | 'waiting' | 'claimed_elsewhere'
+ */
+async function refundClaim(claim) {
+  const fundingStatus = await getFundingStatus(claim);
+
+  // Funds never arrived in escrow (or were never sent): nothing to send back
+  if (fundingStatus === 'failed' || !claim.funding_tx_id) {
+    await supabase
+      .from('payment_claims')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('id', claim.id)
+      .eq('status', 'pending');
+    return 'cancelled';
+  }
+
+  if (fundingStatus !== 'completed') {
+    return 'waiting';
+  }
+
+  const { data: claimed, error } = await supabase
+    .from('payment_claims')
+    .update({ status: 'refunding', updated_at: new Date().toISOString() })
+    .eq('id', claim.id)
+    .eq('status', 'pending')
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!claimed) {
+    return 'claimed_elsewhere';
+  }
+
+  const sender = await dbService.getUserById(claim.sender_id);
+  const escrow = await getEscrowWallet();
+
+  let refund;
+  try {
+    refund = await circleService.transferUSDC(
+      escrow.id,
+      sender.wallet_address,
+      String(parseFloat(claim.amount)),
+      { idempotencyKey: circleService.deriveIdempotencyKey('claim-refund', claim.id) }
+    );
+  } catch (refundError) {
+    // Leave it pending so the next run retries
+    await supabase
+      .from('payment_claims')
+      .update({ status: 'pending', updated_at: new Date().toISOString() })
+      .eq('id', claim.id);
+    throw refundError;
+  }
+
+  await supabase
+    .from('payment_claims')
+    .update({ status: 'refunded', refund_tx_id: refund.transactionId, updated_at: new Date().toISOString() })
+    .eq('id', claim.id);
+
+  await policyService.createAlert(
+    claim.sender_id,
+    'pay_link_refunded',
+    'Pay-Link Refunded',
+    `Nobody claimed the $${parseFloat(claim.amount)} you sent to the number ending ${claim.recipient_phone.slice(-4)}, so I've sent it back to you.`,
+    { claimId: claim.id, refundTxId: refund.transactionId }
+  );
+
+  console.log(`[Claims] Refunded expired pay-link ${claim.id}`);
+  return 'refunded';
+}
+
+/**
+ * Refund every expired, unclaimed pay-link
+ * @returns {Promise<Object>} { processed, refunded, cancelled, failed }
+ */
+export async function refundExpiredClaims() {
+  const { data: expired, error } = await supabase
+    .from('payment_claims')
+    .select('*')
+    .eq('status', 'pending')
+    .lte('expires_at', new Date().toISOString())
+    .order('expires_at', { ascending: true })
+    .limit(MAX_REFUNDS_PER_BATCH);
+
+  if (error) throw error;
+
+  const summary = { processed: 0, refunded: 0, cancelled: 0, failed: 0 };
+
+  for (const claim of expired || []) {
+    summary.processed++;
+    try {
+      const result = await refundClaim(claim);
+      if (result === 'refunded') summary.refunded++;
+      if (result === 'cancelled') summary.cancelled++;
+    } catch (refundError) {
+      console.error(`[Claims] Refund of pay-link ${claim.id} failed: ${refundError.message}`);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  getEscrowWallet,
+  getPayLinkRecipient,
+  getEscrowRecipient,
+  createClaim,
+  recordClaimFunding,
+  getPendingClaimsForPhone,
+  describeClaim,
+  claimPayLink,
+  refundExpiredClaims
+};
@@ -0,0 +1,632 @@
+/**
+ * PayVoice Contacts Service
+ * Finds the contact a spoken name refers to.
+ *
+ * Speech-to-text rarely spells names the way they were saved: "Jon" for John,
+ * "Shawn" for Sean, "Ade" for Adebayo. Each contact is scored against the name
+ * by exact and prefix matches, phonetic codes (Soundex and Metaphone) and edit
+ * distance, per word, so "John" finds "John Okafor".
+ *
+ * A contact can also have aliases ("Mom", "Mama", "Mother"), stored in
+ * contact_aliases and matched the same way as its name.
+ *
+ * Contacts can be renamed, repointed and deleted. Changing where a contact is
+ * paid is treated as a security event: trusted status is dropped, the next
+ * send to them needs confirmation (contacts.confirm_next_send) and an alert
+ * is raised, since a swapped address is how payments get stolen.
+ *
+ * The result is one of:
+ * - match:     one contact clearly wins; below a score of 1 it's a guess, which
+ *              callers read back ("I found John Okafor for Jon") before acting on
+ * - ambiguous: a few are close; ask "Did you mean John Okafor or John Bello?"
+ * - none:      nothing is close enough
+ */
+
+import * as dbService from './db.js';
+import * as policyService from './policy.js';
+import { normalizePhone } from './session.js';
+import { supabase } from './db.js';
+
+// A contact scoring at least this is a match, if nothing else is close
+const MATCH_SCORE = 0.85;
+// ...and the runner-up is at least this far behind
+const MATCH_MARGIN = 0.1;
+// Below this a contact isn't offered as a candidate
+const CANDIDATE_SCORE = 0.6;
+const MAX_CANDIDATES = 3;
+const MAX_ALIAS_LENGTH = 100;
+
+// ============================================
+// PHONETIC CODES
+// ============================================
+
+/**
+ * Lowercase, strip accents and punctuation: "Adébáyọ̀ O'Neil" -> "adebayo oneil"
+ */
+export function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const SOUNDEX_CODES = {
+  b: 1, f: 1, p: 1, v: 1,
+  c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2,
+  d: 3, t: 3,
+  l: 4,
+  m: 5, n: 5,
+  r: 6
+};
+
+/**
+ * American Soundex: "Robert" -> "R163"
+ */
+export function soundex(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) {
+    return '';
+  }
+
+  let code = letters[0].toUpperCase();
+  let previous = SOUNDEX_CODES[letters[0]];
+
+  for (const letter of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[letter];
+    if (digit && digit !== previous) {
+      code += digit;
+    }
+    // h and w don't separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') {
+      previous = digit;
+    }
+  }
+
+  return code.padEnd(4, '0').slice(0, 4);
+}
+
+const VOWELS = 'aeiou';
+
+/**
+ * Metaphone (after Lawrence Philips): "Philip" -> "FLP", "John" and "Jon" -> "JN"
+ */
+export function metaphone(word) {
+  let w = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!w) {
+    return '';
+  }
+
+  // Silent or changed first letters
+  if (/^(kn|gn|pn|ae|wr)/.test(w)) {
+    w = w.slice(1);
+  } else if (w[0] === 'x') {
+    w = `s${w.slice(1)}`;
+  } else if (w.startsWith('wh')) {
+    w = `w${w.slice(2)}`;
+  }
+
+  const at = i => w[i] || '';
+  const isVowel = i => VOWELS.includes(at(i));
+  let code = '';
+
+  for (let i = 0; i < w.length; i++) {
+    const c = w[i];
+
+    // Doubled letters count once, except c
+    if (c === at(i - 1) && c !== 'c') {
+      continue;
+    }
+
+    switch (c) {
+      case 'a': case 'e': case 'i': case 'o': case 'u':
+        if (i === 0) code += c.toUpperCase();
+        break;
+      case 'b':
+        if (!(at(i - 1) === 'm' && i === w.length - 1)) code += 'B';
+        break;
+      case 'c':
+        if (at(i + 1) === 'i' && at(i + 2) === 'a') code += 'X';
+        else if (at(i + 1) === 'h') code += at(i - 1) === 's' ? 'K' : 'X';
+        else if ('iey'.includes(at(i + 1)) && at(i + 1)) code += at(i - 1) === 's' ? '' : 'S';
+        else code += 'K';
+        break;
+      case 'd':
+        code += at(i + 1) === 'g' && 'eiy'.includes(at(i + 2)) && at(i + 2) ? 'J' : 'T';
+        break;
+      case 'g':
+        if (at(i + 1) === 'h' && i + 2 < w.length && !isVowel(i + 2)) break;
+        if (at(i + 1) === 'n' && (i + 2 === w.length || w.slice(i + 2) === 'ed')) break;
+        if (at(i - 1) === 'd' && 'eiy'.includes(at(i + 1)) && at(i + 1)) break;
+        code += 'eiy'.includes(at(i + 1)) && at(i + 1) ? 'J' : 'K';
+        break;
+      case 'h':
+        if ('cgpst'.includes(at(i - 1)) && at(i - 1)) break;
+        if (isVowel(i - 1) && !isVowel(i + 1)) break;
+        code += 'H';
+        break;
+      case 'k':
+        if (at(i - 1) !== 'c') code += 'K';
+        break;
+      case 'p':
+        code += at(i + 1) === 'h' ? 'F' : 'P';
+        break;
+      case 'q':
+        code += 'K';
+        break;
+      case 's':
+        if (at(i + 1) === 'h') code += 'X';
+        else if (at(i + 1) === 'i' && 'oa'.includes(at(i + 2)) && at(i + 2)) code += 'X';
+        else code += 'S';
+        break;
+      case 't':
+        if (at(i + 1) === 'i' && 'oa'.includes(at(i + 2)) && at(i + 2)) code += 'X';
+        else if (at(i + 1) === 'h') code += '0';
+        else if (!(at(i + 1) === 'c' && at(i + 2) === 'h')) code += 'T';
+        break;
+      case 'v':
+        code += 'F';
+        break;
+      case 'w':
+      case 'y':
+        if (isVowel(i + 1)) code += c.toUpperCase();
+        break;
+      case 'x':
+        code += 'KS';
+        break;
+      case 'z':
+        code += 'S';
+        break;
+      default:
+        code += c.toUpperCase();
+    }
+  }
+
+  return code;
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * How well one spoken word matches one word of a saved name, 0..1
+ */
+function scoreWord(spoken, saved) {
+  if (spoken === saved) {
+    return 1;
+  }
+
+  // "Jenn" for "Jen"
+  const collapse = word => word.replace(/(.)\1+/g, '$1');
+  const a = collapse(spoken);
+  const b = collapse(saved);
+  if (a === b) {
+    return 0.95;
+  }
+
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  let score = similarity;
+
+  // "Ade" for "Adebayo"
+  if (spoken.length >= 3 && saved.startsWith(spoken)) {
+    score = Math.max(score, 0.85);
+  }
+  // Sounding alike only counts for so much: "Jen" and "John" share a Metaphone code
+  if (metaphone(spoken) && metaphone(spoken) === metaphone(saved)) {
+    score = Math.max(score, 0.7 + 0.25 * similarity);
+  } else if (soundex(spoken) === soundex(saved)) {
+    score = Math.max(score, 0.6 + 0.25 * similarity);
+  }
+  return score;
+}
+
+/**
+ * How well a spoken name matches a saved one, 0..1
+ * The full name matching exactly scores 1; otherwise each spoken word is
+ * matched to its best word in the saved name, capped just below an exact match.
+ */
+export function scoreName(spoken, saved) {
+  const a = normalizeName(spoken);
+  const b = normalizeName(saved);
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const spokenWords = a.split(' ');
+  const savedWords = b.split(' ');
+  const wordScore = spokenWords.reduce((sum, word) =>
+    sum + Math.max(...savedWords.map(savedWord => scoreWord(word, savedWord))), 0) / spokenWords.length;
+
+  // Run together: "johnokafor", "mary jane" vs "maryjane"
+  const joined = scoreWord(a.replace(/ /g, ''), b.replace(/ /g, ''));
+
+  return Math.min(0.95, Math.max(wordScore, joined));
+}
+
+/**
+ * Contacts ranked by how well they match a spoken name, best first
+ * A contact's score is its best over its name and its aliases.
+ * @param {Array<Object>} contacts - Contact records, optionally with aliases: string[]
+ * @param {string} name - Name as heard
+ * @returns {Array<Object>} [{ contact, score }] for contacts scoring at least CANDIDATE_SCORE
+ */
+export function rankContacts(contacts, name) {
+  return contacts
+    .map(contact => ({
+      contact,
+      score: Math.max(...[contact.name, ...(contact.aliases || [])].map(saved => scoreName(name, saved)))
+    }))
+    .filter(({ score }) => score >= CANDIDATE_SCORE)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * "Did you mean John Okafor or John Bello?"
+ * @param {Array<string>} names - Candidate contact names
+ */
+export function describeCandidates(names) {
+  const list = names.length > 1
+    ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+    : names[0];
+  return `Did you mean ${list}?`;
+}
+
+/**
+ * Pick the contact a name refers to from a list
+ * @returns {Object} { status: 'match', contact, score } | { status: 'ambiguous', candidates, question } | { status: 'none' }
+ */
+export function matchContact(contacts, name) {
+  const ranked = rankContacts(contacts, name);
+  if (ranked.length === 0) {
+    return { status: 'none' };
+  }
+
+  const [best, runnerUp] = ranked;
+  if (best.score === 1 || (best.score >= MATCH_SCORE && (!runnerUp || best.score - runnerUp.score >= MATCH_MARGIN))) {
+    return { status: 'match', contact: best.contact, score: best.score };
+  }
+
+  const candidates = ranked
+    .filter(({ score }) => best.score - score < MATCH_MARGIN)
+    .slice(0, MAX_CANDIDATES)
+    .map(({ contact }) => contact);
+
+  return { status: 'ambiguous', candidates, question: describeCandidates(candidates.map(contact => contact.name)) };
+}
+
+/**
+ * Resolve a spoken contact name (or alias) for a user
+ *
+ * @param {string} userId - Owner of the contacts
+ * @param {string} name - Name as heard
+ * @returns {Promise<Object>} See matchContact()
+ */
+export async function resolveContactName(userId, name) {
+  const contacts = await getContactsWithAliases(userId);
+  const result = matchContact(contacts, name);
+
+  if (result.status === 'match' && result.score < 1) {
+    console.log(`[Contacts] Heard "${name}", matched ${result.contact.name} (${result.score.toFixed(2)})`);
+  } else if (result.status === 'ambiguous') {
+    console.log(`[Contacts] "${name}" is ambiguous: ${result.candidates.map(c => c.name).join(', ')}`);
+  }
+  return result;
+}
+
+// ============================================
+// ALIASES
+// ============================================
+
+/**
+ * Tidy an alias as said: trimmed, single-spaced
+ * @returns {string|null} The alias, or null if empty
+ */
+function normalizeAlias(alias) {
+  const trimmed = String(alias || '').trim().replace(/\s+/g, ' ').slice(0, MAX_ALIAS_LENGTH);
+  return trimmed || null;
+}
+
+/**
+ * All of a user's aliases
+ * @returns {Promise<Array>} contact_aliases rows
+ */
+export async function getAliases(userId) {
+  const { data, error } = await supabase
+    .from('contact_aliases')
+    .select('*')
+    .eq('user_id', userId)
+    .order('alias', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * A user's contacts, each with aliases: string[]
+ */
+export async function getContactsWithAliases(userId) {
+  const [contacts, aliases] = await Promise.all([
+    dbService.getContacts(userId),
+    getAliases(userId)
+  ]);
+
+  return contacts.map(contact => ({
+    ...contact,
+    aliases: aliases.filter(a => a.contact_id === contact.id).map(a => a.alias)
+  }));
+}
+
+/**
+ * The contact a name or alias already belongs to, compared exactly (case-insensitive)
+ * @returns {Promise<Object|null>} { contact, isAlias } or null if it's free
+ */
+export async function findNameOwner(userId, name) {
+  const key = normalizeName(name);
+  const contacts = await getContactsWithAliases(userId);
+
+  for (const contact of contacts) {
+    if (normalizeName(contact.name) === key) {
+      return { contact, isAlias: false };
+    }
+    if (contact.aliases.some(alias => normalizeName(alias) === key)) {
+      return { contact, isAlias: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * Give a contact another name it can be called by
+ * An alias can't be another contact's name or alias.
+ *
+ * @param {string} userId - Owner of the contact
+ * @param {Object} contact - Contact record
+ * @param {string} alias - The alias, as said
+ * @returns {Promise<Object>} { alias } (the row) or { error } with a spoken explanation
+ */
+export async function addAlias(userId, contact, alias) {
+  const normalized = normalizeAlias(alias);
+  if (!normalized) {
+    return { error: 'What would you like to call them?' };
+  }
+
+  const owner = await findNameOwner(userId, normalized);
+  if (owner && owner.contact.id !== contact.id) {
+    return {
+      error: owner.isAlias
+        ? `"${normalized}" already means ${owner.contact.name}.`
+        : `You already have a contact named ${owner.contact.name}.`
+    };
+  }
+  if (owner) {
+    return owner.isAlias
+      ? { alias: { contact_id: contact.id, alias: normalized }, existing: true }
+      : { error: `That's already ${contact.name}'s name.` };
+  }
+
+  const { data, error } = await supabase
+    .from('contact_aliases')
+    .insert({ user_id: userId, contact_id: contact.id, alias: normalized })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`[Contacts] ${contact.name} can now be called "${normalized}"`);
+  return { alias: data };
+}
+
+/**
+ * Remove an alias
+ * @returns {Promise<Object|null>} The removed row, or null if the user has no such alias
+ */
+export async function removeAlias(userId, alias) {
+  const key = normalizeName(alias);
+  const match = (await getAliases(userId)).find(row => normalizeName(row.alias) === key);
+  if (!match) {
+    return null;
+  }
+
+  const { error } = await supabase
+    .from('contact_aliases')
+    .delete()
+    .eq('id', match.id)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  console.log(`[Contacts] Removed alias "${match.alias}"`);
+  return match;
+}
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Rename a contact
+ * Renaming to one of its own aliases swaps them, so the alias isn't left pointing at itself.
+ *
+ * @param {string} userId - Owner of the contact
+ * @param {Object} contact - Contact record
+ * @param {string} newName - The new name, as said
+ * @returns {Promise<Object>} { contact } or { error } with a spoken explanation
+ */
+export async function renameContact(userId, contact, newName) {
+  const name = normalizeAlias(newName);
+  if (!name) {
+    return { error: 'What would you like to call them instead?' };
+  }
+
+  const owner = await findNameOwner(userId, name);
+  if (owner && owner.contact.id !== contact.id) {
+    return {
+      error: owner.isAlias
+        ? `"${name}" already means ${owner.contact.name}.`
+        : `You already have a contact named ${owner.contact.name}.`
+    };
+  }
+  if (owner?.isAlias) {
+    await removeAlias(userId, name);
+  }
+
+  const updated = await dbService.updateContact(userId, contact.id, { name });
+
+  // Schedules read the recipient back by name
+  const { error } = await supabase
+    .from('scheduled_payments')
+    .update({ recipient_name: name, updated_at: new Date().toISOString() })
+    .eq('contact_id', contact.id);
+
+  if (error) throw error;
+
+  console.log(`[Contacts] Renamed ${contact.name} to ${name}`);
+  return { contact: updated };
+}
+
+/**
+ * Change where a contact is paid: a new wallet address, or a PayVoice phone number
+ * Drops trusted status, makes the next send to them need confirmation and
+ * raises an alert. Setting the same destination again changes nothing.
+ *
+ * @param {string} userId - Owner of the contact
+ * @param {Object} contact - Contact record
+ * @param {Object} destination - { walletAddress } or { phone } (validated by the caller)
+ * @returns {Promise<Object>} { contact, changed, wasTrusted }
+ */
+export async function changeContactAddress(userId, contact, { walletAddress, phone }) {
+  const unchanged = walletAddress
+    ? contact.wallet_address?.toLowerCase() === walletAddress.toLowerCase() && !contact.phone
+    : !!contact.phone && normalizePhone(contact.phone) === normalizePhone(phone);
+  if (unchanged) {
+    return { contact, changed: false, wasTrusted: false };
+  }
+
+  const updated = await dbService.updateContact(userId, contact.id, {
+    wallet_address: walletAddress || null,
+    phone: walletAddress ? null : normalizePhone(phone),
+    confirm_next_send: true,
+    address_changed_at: new Date().toISOString()
+  });
+
+  const wasTrusted = !!(await policyService.isTrustedContact(userId, contact.id));
+  if (wasTrusted) {
+    await policyService.removeTrustedContact(userId, contact.id);
+  }
+
+  const describe = c => (c.wallet_address ? c.wallet_address : `PayVoice number ending ${normalizePhone(c.phone).slice(-4)}`);
+  await policyService.createAlert(
+    userId,
+    'contact_address_changed',
+    'Contact Address Changed',
+    `${contact.name}'s payment address was changed to ${describe(updated)}.` +
+      `${wasTrusted ? ' They are no longer a trusted contact.' : ''}` +
+      ' Your next payment to them will need your confirmation. If you did not make this change, check your account.',
+    {
+      contactId: contact.id,
+      previousAddress: contact.wallet_address || null,
+      previousPhone: contact.phone || null,
+      newAddress: updated.wallet_address || null,
+      newPhone: updated.phone || null,
+      wasTrusted
+    }
+  );
+
+  console.log(`[Contacts] Payment address of ${contact.name} changed${wasTrusted ? ', trust removed' : ''}`);
+  return { contact: updated, changed: true, wasTrusted };
+}
+
+/**
+ * Delete a contact, with its trusted status and aliases, and cancel its schedules
+ * Schedules and payment intents are kept for their history, without the contact.
+ * @returns {Promise<Object>} { contact, cancelledSchedules } (contact is null if it was already gone)
+ */
+export async function deleteContact(userId, contact) {
+  const { data: cancelled, error } = await supabase
+    .from('scheduled_payments')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('contact_id', contact.id)
+    .in('status', ['active', 'paused'])
+    .select('id');
+
+  if (error) throw error;
+
+  const count = (cancelled || []).length;
+  const deleted = await dbService.deleteContact(userId, contact.id);
+  if (deleted) {
+    console.log(`[Contacts] Deleted ${contact.name}${count ? ` and cancelled ${count} schedule(s)` : ''}`);
+  }
+  return { contact: deleted, cancelledSchedules: count };
+}
+
+/**
+ * The error a route returns when a name didn't resolve to one contact
+ * @returns {Object} { status, error, message, candidates?, needsClarification? }
+ */
+export function describeUnresolved(name, result) {
+  if (result.status === 'ambiguous') {
+    return {
+      status: 400,
+      error: 'Ambiguous contact',
+      message: result.question,
+      candidates: result.candidates.map(contact => contact.name),
+      needsClarification: true
+    };
+  }
+  return {
+    status: 404,
+    error: 'Contact not found',
+    message: `No contact named "${name}" found in your contacts`
+  };
+}
+
+export default {
+  normalizeName,
+  soundex,
+  metaphone,
+  editDistance,
+  scoreName,
+  rankContacts,
+  describeCandidates,
+  matchContact,
+  resolveContactName,
+  getAliases,
+  getContactsWithAliases,
+  findNameOwner,
+  addAlias,
+  removeAlias,
+  renameContact,
+  changeContactAddress,
+  deleteContact,
+  describeUnresolved
+};
@@ -0,0 +1,46 @@
+/**
+ * PayVoice CSV Helpers
+ * Shared by the uploads that take CSV: batch payouts and address book imports.
+ */
+
+/**
+ * Split one CSV line into fields, honouring double-quoted fields
+ * "Okafor, John",25 -> ['Okafor, John', '25']
+ */
+export function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === ',' && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * The non-blank lines of CSV text
+ */
+export function csvLines(text) {
+  return String(text).split(/\r?\n/).filter(line => line.trim());
+}
+
+export default {
+  splitCsvLine,
+  csvLines
+};
@@ -0,0 +1,278 @@
+/**
+ * PayVoice Currency Service
+ * Local-currency display and amount entry (naira, shillings, cedis...).
+ *
+ * Money moves in USDC, but users think in their own currency. Each user has a
+ * display currency (users.display_currency, or a guess from their phone's
+ * country code), and amounts like "5000 naira" are converted to USDC.
+ *
+ * Rates (units of local currency per 1 USD) come from a pluggable provider:
+ * - FX_PROVIDER=table (default): the rate table only
+ * - FX_PROVIDER=http: GET FX_RATES_URL, expecting { rates: { NGN: 1550, ... } } with USD base
+ * - or any provider added with registerFxProvider()
+ * If the provider fails, the local rate table is used: built-in approximate
+ * rates, overridden by FX_RATES (JSON, e.g. {"NGN":1550}).
+ */
+
+import { normalizePhone } from './session.js';
+
+export const BASE_CURRENCY = 'USD';
+
+// Spoken names and aliases per currency; "shillings" prefers the user's own shilling
+export const CURRENCIES = {
+  USD: { name: 'dollar', plural: 'dollars', symbol: '$', aliases: ['usd', 'usdc', 'dollar', 'dollars', 'bucks', '$'] },
+  NGN: { name: 'naira', plural: 'naira', symbol: '₦', aliases: ['ngn', 'naira', '₦'] },
+  KES: { name: 'Kenyan shilling', plural: 'Kenyan shillings', symbol: 'KSh', aliases: ['kes', 'ksh', 'shilling', 'shillings', 'bob'] },
+  UGX: { name: 'Ugandan shilling', plural: 'Ugandan shillings', symbol: 'USh', aliases: ['ugx', 'ush', 'shilling', 'shillings'] },
+  TZS: { name: 'Tanzanian shilling', plural: 'Tanzanian shillings', symbol: 'TSh', aliases: ['tzs', 'tsh', 'shilling', 'shillings'] },
+  GHS: { name: 'cedi', plural: 'cedis', symbol: 'GH₵', aliases: ['ghs', 'cedi', 'cedis', 'gh₵', '₵'] },
+  ZAR: { name: 'rand', plural: 'rand', symbol: 'R', aliases: ['zar', 'rand', 'rands'] },
+  EUR: { name: 'euro', plural: 'euros', symbol: '€', aliases: ['eur', 'eurc', 'euro', 'euros', '€'] }
+};
+
+// Approximate fallback rates per 1 USD; override with FX_RATES
+const DEFAULT_RATES = {
+  USD: 1,
+  NGN: 1500,
+  KES: 129,
+  UGX: 3700,
+  TZS: 2600,
+  GHS: 15,
+  ZAR: 18,
+  EUR: 0.92
+};
+
+// Country calling code -> currency, for users who haven't picked one
+const CALLING_CODE_CURRENCIES = {
+  234: 'NGN',
+  254: 'KES',
+  256: 'UGX',
+  255: 'TZS',
+  233: 'GHS',
+  27: 'ZAR'
+};
+
+const FX_CACHE_MINUTES = parseInt(process.env.FX_CACHE_MINUTES || '15', 10);
+
+// ============================================
+// RATE PROVIDERS
+// ============================================
+
+const providers = {
+  // No live source: every rate comes from the table
+  table: async () => null,
+
+  http: async () => {
+    const url = process.env.FX_RATES_URL;
+    if (!url) {
+      throw new Error('FX_RATES_URL is not set');
+    }
+
+    const response = await fetch(url, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) {
+      throw new Error(`FX provider returned ${response.status}`);
+    }
+
+    const body = await response.json();
+    return body.rates || body;
+  }
+};
+
+let cachedRates = null;
+
+/**
+ * Add an FX provider, selected with FX_PROVIDER=<name>
+ * @param {string} name - Provider name
+ * @param {Function} fetchRates - async () => ({ [currency]: units per 1 USD })
+ */
+export function registerFxProvider(name, fetchRates) {
+  providers[name] = fetchRates;
+  cachedRates = null;
+}
+
+function getRateTable() {
+  let overrides = {};
+  if (process.env.FX_RATES) {
+    try {
+      overrides = JSON.parse(process.env.FX_RATES);
+    } catch (error) {
+      console.error(`[Currency] Ignoring invalid FX_RATES: ${error.message}`);
+    }
+  }
+  return { ...DEFAULT_RATES, ...overrides };
+}
+
+/**
+ * Current rates, from the provider when it's available
+ * @returns {Promise<Object>} { rates, source: provider name | 'table', asOf }
+ */
+async function getRates() {
+  if (cachedRates && Date.now() - cachedRates.fetchedAt < FX_CACHE_MINUTES * 60 * 1000) {
+    return cachedRates;
+  }
+
+  const providerName = process.env.FX_PROVIDER || 'table';
+  const provider = providers[providerName];
+  const table = getRateTable();
+
+  try {
+    if (!provider) {
+      throw new Error(`Unknown FX provider: ${providerName}`);
+    }
+
+    const live = await provider();
+    if (live) {
+      cachedRates = {
+        rates: { ...table, ...live, USD: 1 },
+        source: providerName,
+        asOf: new Date().toISOString(),
+        fetchedAt: Date.now()
+      };
+      return cachedRates;
+    }
+  } catch (error) {
+    console.error(`[Currency] FX provider ${providerName} failed, using rate table: ${error.message}`);
+  }
+
+  // Don't cache a fallback for long, so the provider is retried
+  return { rates: table, source: 'table', asOf: null };
+}
+
+/**
+ * Units of a currency per 1 USD
+ * @returns {Promise<Object>} { currency, rate, source, asOf }
+ * @throws {Error} If there's no rate for the currency
+ */
+export async function getRate(currency) {
+  const { rates, source, asOf } = await getRates();
+  const rate = parseFloat(rates[currency]);
+  if (!rate || rate <= 0) {
+    throw new Error(`No exchange rate for ${currency}`);
+  }
+  return { currency, rate, source: currency === BASE_CURRENCY ? 'fixed' : source, asOf };
+}
+
+// ============================================
+// USER CURRENCY
+// ============================================
+
+/**
+ * Whether a code is a supported display currency
+ */
+export function isSupportedCurrency(currency) {
+  return !!CURRENCIES[String(currency || '').toUpperCase()];
+}
+
+/**
+ * The currency a user sees amounts in
+ * Their chosen display currency, else a guess from their phone's country code, else USD
+ */
+export function currencyForUser(user) {
+  if (user?.display_currency && isSupportedCurrency(user.display_currency)) {
+    return user.display_currency.toUpperCase();
+  }
+
+  const digits = normalizePhone(user?.phone);
+  for (const length of [3, 2, 1]) {
+    const currency = CALLING_CODE_CURRENCIES[digits.slice(0, length)];
+    if (currency) {
+      return currency;
+    }
+  }
+  return BASE_CURRENCY;
+}
+
+// ============================================
+// PARSING & CONVERSION
+// ============================================
+
+/**
+ * Find the currency a word refers to
+ * Ambiguous words ("shillings") resolve to the preferred currency when it matches.
+ * @returns {string|null} Currency code, or null if the word isn't a currency
+ */
+export function currencyForWord(word, preferredCurrency) {
+  const key = word.toLowerCase();
+  if (CURRENCIES[key.toUpperCase()]) {
+    return key.toUpperCase();
+  }
+
+  const matches = Object.keys(CURRENCIES).filter(code => CURRENCIES[code].aliases.includes(key));
+  if (matches.length === 0) {
+    return null;
+  }
+  return matches.includes(preferredCurrency) ? preferredCurrency : matches[0];
+}
+
+/**
+ * Convert a local-currency amount to USDC (rounded to the cent)
+ * @returns {Promise<Object>} { usdc, amount, currency, rate, source, asOf }
+ */
+export async function toUsdc(amount, currency) {
+  const quote = await getRate(currency);
+  const usdc = Math.round((amount / quote.rate) * 100) / 100;
+  return { usdc, amount, ...quote };
+}
+
+/**
+ * Format an amount for speech: "$3.33", "5,000 naira", "200 Kenyan shillings"
+ */
+export function formatMoney(amount, currency = BASE_CURRENCY) {
+  const value = parseFloat(amount) || 0;
+  if (currency === BASE_CURRENCY) {
+    return `$${value.toFixed(2)}`;
+  }
+
+  const info = CURRENCIES[currency];
+  const digits = value >= 100 ? 0 : 2;
+  const number = value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  return `${number} ${value === 1 ? info.name : info.plural}`;
+}
+
+/**
+ * A USD amount in the user's currency
+ * @returns {Promise<Object|null>} { currency, amount, formatted, rate, rateSource } or null for USD users
+ */
+export async function toLocal(usdAmount, currency) {
+  if (!currency || currency === BASE_CURRENCY) {
+    return null;
+  }
+
+  const { rate, source } = await getRate(currency);
+  const amount = (parseFloat(usdAmount) || 0) * rate;
+  return {
+    currency,
+    amount: Math.round(amount * 100) / 100,
+    formatted: formatMoney(amount, currency),
+    rate,
+    rateSource: source
+  };
+}
+
+/**
+ * "$3.33 (about 5,000 naira)", or just "$3.33" for USD users / when there's no rate
+ */
+export async function describeDual(usdAmount, currency) {
+  const usd = formatMoney(usdAmount);
+  try {
+    const local = await toLocal(usdAmount, currency);
+    return local ? `${usd} (about ${local.formatted})` : usd;
+  } catch (error) {
+    console.error(`[Currency] ${error.message}`);
+    return usd;
+  }
+}
+
+export default {
+  BASE_CURRENCY,
+  CURRENCIES,
+  registerFxProvider,
+  getRate,
+  isSupportedCurrency,
+  currencyForUser,
+  currencyForWord,
+  toUsdc,
+  formatMoney,
+  toLocal,
+  describeDual
+};
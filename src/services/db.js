@@ -123,21 +123,48 @@ export async function getUserByPhone(phone) {
   }
 }
 
+/**
+ * Get user by ID
+ * @param {string} userId - The user's UUID
+ * @returns {Promise<Object|null>} The user object or null if not found
+ * @throws {Error} If database operation fails
+ */
+export async function getUserById(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data || null;
+  } catch (error) {
+    console.error('Error in getUserById:', error);
+    throw new Error(`Failed to get user by ID: ${error.message}`);
+  }
+}
+
 /**
  * Update user's wallet information
  * @param {string} phone - The user's phone number
  * @param {string} walletId - The Circle wallet ID
  * @param {string} walletAddress - The wallet blockchain address
+ * @param {string} [blockchain] - Circle blockchain code of the wallet (e.g. 'ARC-TESTNET')
  * @returns {Promise<Object>} The updated user object
  * @throws {Error} If database operation fails
  */
-export async function updateUserWallet(phone, walletId, walletAddress) {
+export async function updateUserWallet(phone, walletId, walletAddress, blockchain = null) {
   try {
     const { data, error } = await supabase
       .from('users')
       .update({
         wallet_id: walletId,
         wallet_address: walletAddress,
+        ...(blockchain && { blockchain }),
         updated_at: new Date().toISOString()
       })
       .eq('phone', phone)
@@ -155,6 +182,66 @@ export async function updateUserWallet(phone, walletId, walletAddress) {
   }
 }
 
+/**
+ * Update user's display name
+ * @param {string} userId - The user's UUID
+ * @param {string} name - The name the user wants to be called
+ * @returns {Promise<Object>} The updated user object
+ * @throws {Error} If database operation fails
+ */
+export async function updateUserName(userId, name) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update({
+        name,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in updateUserName:', error);
+    throw new Error(`Failed to update user name: ${error.message}`);
+  }
+}
+
+/**
+ * Update a user's display settings
+ * @param {string} userId - The user's UUID
+ * @param {Object} settings - Columns to update (display_currency, language)
+ * @returns {Promise<Object>} The updated user object
+ * @throws {Error} If database operation fails
+ */
+export async function updateUserSettings(userId, settings) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .update({
+        ...settings,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) {
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error in updateUserSettings:', error);
+    throw new Error(`Failed to update user settings: ${error.message}`);
+  }
+}
+
 /**
  * Get all contacts for a user
  * @param {string} userId - The user's UUID
@@ -182,6 +269,7 @@ export async function getContacts(userId) {
 
 /**
  * Get a contact by name for a specific user
+ * Exact (case-insensitive) match only; spoken names go through contactsService.resolveContactName
  * @param {string} userId - The user's UUID
  * @param {string} name - The contact's name (case-insensitive search)
  * @returns {Promise<Object|null>} The contact object or null if not found
@@ -211,18 +299,20 @@ export async function getContactByName(userId, name) {
  * Add a new contact for a user
  * @param {string} userId - The user's UUID
  * @param {string} name - The contact's name
- * @param {string} walletAddress - The contact's wallet address
+ * @param {string|null} walletAddress - The contact's wallet address (null for a phone-only contact)
+ * @param {string|null} [phone] - The contact's PayVoice phone number, resolved to a wallet at send time
  * @returns {Promise<Object>} The created contact object
  * @throws {Error} If database operation fails or contact already exists
  */
-export async function addContact(userId, name, walletAddress) {
+export async function addContact(userId, name, walletAddress, phone = null) {
   try {
     const { data, error } = await supabase
       .from('contacts')
       .insert({
         user_id: userId,
         name,
-        wallet_address: walletAddress
+        wallet_address: walletAddress,
+        phone
       })
       .select()
       .single();
@@ -242,6 +332,71 @@ export async function addContact(userId, name, walletAddress) {
   }
 }
 
+/**
+ * Update a contact's columns (name, wallet_address, phone, confirm_next_send, address_changed_at)
+ * Trusted status, aliases and schedules reference the contact by ID, so they follow a rename.
+ * @param {string} userId - Owner of the contact
+ * @param {string} contactId - The contact's UUID
+ * @param {Object} updates - Columns to update
+ * @returns {Promise<Object|null>} The updated contact, or null if the user has no such contact
+ * @throws {Error} If database operation fails or the new name is taken
+ */
+export async function updateContact(userId, contactId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('contacts')
+      .update(updates)
+      .eq('id', contactId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      if (error.code === '23505') {
+        throw new Error(`Contact with name "${updates.name}" already exists`);
+      }
+      throw error;
+    }
+
+    return data || null;
+  } catch (error) {
+    console.error('Error in updateContact:', error);
+    throw new Error(`Failed to update contact: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a contact
+ * Its trusted status and aliases go with it (ON DELETE CASCADE). Payment
+ * intents and schedules are kept but unlinked (ON DELETE SET NULL), and past
+ * transactions keep the recipient name. Use contactsService.deleteContact,
+ * which cancels the contact's schedules first.
+ * @param {string} userId - Owner of the contact
+ * @param {string} contactId - The contact's UUID
+ * @returns {Promise<Object|null>} The deleted contact, or null if the user has no such contact
+ * @throws {Error} If database operation fails
+ */
+export async function deleteContact(userId, contactId) {
+  try {
+    const { data, error } = await supabase
+      .from('contacts')
+      .delete()
+      .eq('id', contactId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data || null;
+  } catch (error) {
+    console.error('Error in deleteContact:', error);
+    throw new Error(`Failed to delete contact: ${error.message}`);
+  }
+}
+
 /**
  * Log a transaction (cached from Circle)
  * @param {string} userId - The user's UUID
@@ -340,6 +495,30 @@ export async function getUserByWalletId(walletId) {
   }
 }
 
+/**
+ * Get user by wallet address (to tell whether a contact is a PayVoice user)
+ * @param {string} walletAddress - The 0x wallet address
+ * @returns {Promise<Object|null>} The user object or null if not found
+ */
+export async function getUserByWalletAddress(walletAddress) {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('*')
+      .ilike('wallet_address', walletAddress)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      throw error;
+    }
+
+    return data || null;
+  } catch (error) {
+    console.error('Error in getUserByWalletAddress:', error);
+    return null;
+  }
+}
+
 /**
  * Log a transaction with full details (including txHash and block info)
  * @param {Object} txDetails - Transaction details
@@ -352,10 +531,16 @@ export async function logTransactionWithDetails(txDetails) {
       type,
       amount,
       recipientName,
+      recipientAddress = null,
       circleTxId,
       status,
       txHash = null,
       blockHeight = null,
+      networkFee = null,
+      memo = null,
+      category = null,
+      blockchain = null,
+      token = 'USDC',
       wasAutoApproved = false
     } = txDetails;
 
@@ -366,10 +551,16 @@ export async function logTransactionWithDetails(txDetails) {
         type,
         amount,
         recipient_name: recipientName,
+        recipient_address: recipientAddress ? recipientAddress.toLowerCase() : null,
         circle_tx_id: circleTxId,
         status,
         tx_hash: txHash,
         block_height: blockHeight,
+        network_fee: networkFee,
+        memo,
+        category,
+        blockchain,
+        token,
         was_auto_approved: wasAutoApproved
       })
       .select()
@@ -408,6 +599,62 @@ export async function updateTransactionDetails(circleTxId, updates) {
   }
 }
 
+/**
+ * Finalize a pending transaction (only if it is still pending)
+ * Guards against double-processing when Circle retries a webhook or the
+ * status tool and the webhook race to finalize the same transfer
+ * @param {string} circleTxId - Circle transaction ID
+ * @param {Object} updates - Fields to update (status, tx_hash, ...)
+ * @returns {Promise<Object|null>} The updated record, or null if it was not pending
+ */
+export async function finalizePendingTransaction(circleTxId, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('transactions')
+      .update({
+        ...updates,
+        updated_at: new Date().toISOString()
+      })
+      .eq('circle_tx_id', circleTxId)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  } catch (error) {
+    console.error('Error in finalizePendingTransaction:', error);
+    throw new Error(`Failed to finalize transaction: ${error.message}`);
+  }
+}
+
+/**
+ * Get a user's transaction by Circle transaction ID, or their latest send
+ * @param {string} userId - The user's UUID
+ * @param {string} [circleTxId] - Circle transaction ID (latest send if omitted)
+ * @returns {Promise<Object|null>} The transaction record or null
+ */
+export async function getUserTransaction(userId, circleTxId = null) {
+  try {
+    let query = supabase
+      .from('transactions')
+      .select('*')
+      .eq('user_id', userId);
+
+    query = circleTxId
+      ? query.eq('circle_tx_id', circleTxId)
+      : query.eq('type', 'send').order('created_at', { ascending: false }).limit(1);
+
+    const { data, error } = await query.single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  } catch (error) {
+    console.error('Error in getUserTransaction:', error);
+    throw new Error(`Failed to get transaction: ${error.message}`);
+  }
+}
+
 /**
  * Get contact by ID
  * @param {string} contactId - The contact's UUID
@@ -429,5 +676,171 @@ export async function getContactById(contactId) {
   }
 }
 
+/**
+ * Store a conversation-scoped identity binding
+ * @param {Object} session - Session details
+ * @returns {Promise<Object>} The stored session record
+ */
+export async function createConversationSession(session) {
+  try {
+    const {
+      tokenHash,
+      callerPhone,
+      callSid = null,
+      conversationId = null,
+      userId = null,
+      expiresAt
+    } = session;
+
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .insert({
+        token_hash: tokenHash,
+        caller_phone: callerPhone,
+        call_sid: callSid,
+        conversation_id: conversationId,
+        user_id: userId,
+        expires_at: expiresAt
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error in createConversationSession:', error);
+    throw new Error(`Failed to create conversation session: ${error.message}`);
+  }
+}
+
+/**
+ * Get a conversation session by its token hash
+ * @param {string} tokenHash - SHA-256 hash of the session token
+ * @returns {Promise<Object|null>} The session record or null if not found
+ */
+export async function getConversationSession(tokenHash) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .select('*')
+      .eq('token_hash', tokenHash)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  } catch (error) {
+    console.error('Error in getConversationSession:', error);
+    throw new Error(`Failed to get conversation session: ${error.message}`);
+  }
+}
+
+/**
+ * Record a successful step-up (spoken PIN) verification on a conversation
+ * @param {string} sessionId - The conversation session UUID
+ * @returns {Promise<Object>} The updated session record
+ */
+export async function markConversationStepUp(sessionId) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_sessions')
+      .update({ step_up_verified_at: new Date().toISOString() })
+      .eq('id', sessionId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error in markConversationStepUp:', error);
+    throw new Error(`Failed to record step-up verification: ${error.message}`);
+  }
+}
+
+/**
+ * Reserve an idempotency key for a request
+ * Inserts a "processing" record; if the key was already used by this caller on
+ * this route, returns the existing record instead
+ * @param {Object} params - { phone, route, key, fingerprint }
+ * @returns {Promise<Object>} { record: Object, created: boolean }
+ * @throws {Error} If database operation fails
+ */
+export async function reserveIdempotencyKey({ phone, route, key, fingerprint }) {
+  try {
+    const { data, error } = await supabase
+      .from('idempotency_keys')
+      .insert({
+        phone,
+        route,
+        idempotency_key: key,
+        fingerprint,
+        status: 'processing'
+      })
+      .select()
+      .single();
+
+    if (data) {
+      return { record: data, created: true };
+    }
+
+    // Unique violation: the key has been seen before
+    if (error && error.code !== '23505') throw error;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('idempotency_keys')
+      .select('*')
+      .eq('phone', phone)
+      .eq('route', route)
+      .eq('idempotency_key', key)
+      .single();
+
+    if (fetchError) throw fetchError;
+    return { record: existing, created: false };
+  } catch (error) {
+    console.error('Error in reserveIdempotencyKey:', error);
+    throw new Error(`Failed to reserve idempotency key: ${error.message}`);
+  }
+}
+
+/**
+ * Store the final response for an idempotency key so replays can return it
+ * @param {string} id - The idempotency record UUID
+ * @param {number} statusCode - HTTP status code sent
+ * @param {Object} body - JSON body sent
+ */
+export async function saveIdempotentResponse(id, statusCode, body) {
+  try {
+    const { error } = await supabase
+      .from('idempotency_keys')
+      .update({
+        status: 'completed',
+        status_code: statusCode,
+        response_body: body,
+        completed_at: new Date().toISOString()
+      })
+      .eq('id', id);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error in saveIdempotentResponse:', error);
+  }
+}
+
+/**
+ * Release an idempotency key so the request can be retried
+ * @param {string} id - The idempotency record UUID
+ */
+export async function releaseIdempotencyKey(id) {
+  try {
+    const { error } = await supabase
+      .from('idempotency_keys')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error in releaseIdempotencyKey:', error);
+  }
+}
+
 // Export the Supabase client for advanced use cases
 export { supabase };
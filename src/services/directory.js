@@ -0,0 +1,257 @@
+/**
+ * PayVoice Directory Service
+ * Resolves recipients given as phone numbers to PayVoice wallets.
+ *
+ * Most users never see a 0x address. A recipient can be a phone number, or a
+ * contact saved with a phone instead of an address; either is looked up with
+ * getUserByPhone and paid at that user's wallet_address. The address is
+ * resolved at send time, so a contact keeps working if the user's wallet changes.
+ */
+
+import * as claimsService from './claims.js';
+import * as contactsService from './contacts.js';
+import * as dbService from './db.js';
+import { normalizePhone } from './session.js';
+
+// A full international number has 7 to 15 digits (E.164)
+const MIN_PHONE_DIGITS = 7;
+const MAX_PHONE_DIGITS = 15;
+
+/**
+ * Last four digits of a phone number, for naming people we only know by number
+ */
+function phoneSuffix(phone) {
+  return normalizePhone(phone).slice(-4);
+}
+
+/**
+ * Find the PayVoice user behind a phone number
+ * @param {string} phone - Phone number in any format
+ * @returns {Promise<Object|null>} The user, or null if there's no account with a wallet
+ */
+export async function lookupByPhone(phone) {
+  const digits = normalizePhone(phone);
+  if (!digits) {
+    return null;
+  }
+
+  const user = await dbService.getUserByPhone(digits);
+  return user?.wallet_address ? user : null;
+}
+
+/**
+ * Fill in the wallet address of a contact saved with a phone number
+ * @param {Object} contact - Contact record
+ * @returns {Promise<Object|null>} The contact with wallet_address set, or null if it can't be paid
+ */
+export async function resolveContactAddress(contact) {
+  if (!contact) {
+    return null;
+  }
+  if (contact.wallet_address) {
+    return contact;
+  }
+  if (!contact.phone) {
+    return null;
+  }
+
+  const user = await lookupByPhone(contact.phone);
+  return user ? { ...contact, wallet_address: user.wallet_address } : null;
+}
+
+/**
+ * Resolve who a payment is going to
+ *
+ * By name: a saved contact (address or phone), matched fuzzily so "Jon" finds
+ * John; several close matches come back as candidates to ask about. By phone: a PayVoice user,
+ * reusing the sender's contact for them if there is one, otherwise saving a
+ * new contact when saveContact is set, otherwise paying them unsaved.
+ *
+ * @param {Object} sender - Paying user
+ * @param {Object} params
+ * @param {string} [params.recipientName] - Contact name
+ * @param {string} [params.recipientPhone] - Recipient's phone number
+ * @param {boolean} [params.saveContact=false] - Save a phone recipient as a contact
+ * @param {string} [params.contactName] - Name to save them under (defaults to their PayVoice name)
+ * @returns {Promise<Object>} { contact, recipientUser, savedContact, fuzzy? } or
+ *   { status, error, message, unknownPhone?, candidates?, needsClarification? }
+ *   fuzzy: the name only loosely matched the contact's name or aliases
+ */
+export async function resolveRecipient(sender, { recipientName, recipientPhone, saveContact = false, contactName }) {
+  if (!recipientPhone) {
+    const match = await contactsService.resolveContactName(sender.id, recipientName);
+    if (match.status !== 'match') {
+      return contactsService.describeUnresolved(recipientName, match);
+    }
+
+    const saved = match.contact;
+    const contact = await resolveContactAddress(saved);
+    if (!contact) {
+      return {
+        status: 404,
+        error: 'Recipient not on PayVoice',
+        message: `${saved.name}'s number isn't on PayVoice yet, so I can't send to them.`
+      };
+    }
+
+    const recipientUser = saved.phone
+      ? await lookupByPhone(saved.phone)
+      : await dbService.getUserByWalletAddress(contact.wallet_address);
+    return { contact, recipientUser, savedContact: false, fuzzy: match.score < 1 };
+  }
+
+  const digits = normalizePhone(recipientPhone);
+  if (digits.length < MIN_PHONE_DIGITS || digits.length > MAX_PHONE_DIGITS) {
+    return {
+      status: 400,
+      error: 'Invalid phone number',
+      message: "That doesn't sound like a full phone number. Please say it again with the country code."
+    };
+  }
+
+  const recipientUser = await lookupByPhone(recipientPhone);
+  if (!recipientUser) {
+    return {
+      status: 404,
+      error: 'Recipient not on PayVoice',
+      message: "There's no PayVoice account for that phone number.",
+      unknownPhone: true
+    };
+  }
+
+  if (recipientUser.id === sender.id) {
+    return {
+      status: 400,
+      error: 'Invalid recipient',
+      message: "That's your own number, so there's nobody to send to."
+    };
+  }
+
+  // Reuse an existing contact for this person so trusted status applies
+  const contacts = await dbService.getContacts(sender.id);
+  const existing = contacts.find(c =>
+    (c.phone && normalizePhone(c.phone) === normalizePhone(recipientUser.phone)) ||
+    (c.wallet_address && c.wallet_address.toLowerCase() === recipientUser.wallet_address.toLowerCase())
+  );
+  if (existing) {
+    return { contact: { ...existing, wallet_address: recipientUser.wallet_address }, recipientUser, savedContact: false };
+  }
+
+  const name = contactName || recipientUser.name || `PayVoice ${phoneSuffix(recipientUser.phone)}`;
+
+  if (saveContact) {
+    const saved = await dbService.addContact(sender.id, name, null, normalizePhone(recipientUser.phone));
+    console.log(`[Directory] Saved ${name} as a contact for ${sender.id}`);
+    return { contact: { ...saved, wallet_address: recipientUser.wallet_address }, recipientUser, savedContact: true };
+  }
+
+  return {
+    contact: {
+      id: null,
+      user_id: sender.id,
+      name,
+      phone: normalizePhone(recipientUser.phone),
+      wallet_address: recipientUser.wallet_address
+    },
+    recipientUser,
+    savedContact: false
+  };
+}
+
+/**
+ * Resolve the recipient of a stored payment intent
+ * Intents to unsaved phone recipients carry recipient_phone instead of a contact;
+ * pay-link intents are paid to the escrow wallet.
+ * @param {Object} sender - Owner of the intent
+ * @param {Object} intent - Payment intent record
+ * @returns {Promise<Object|null>} A payable contact, or null if the recipient is gone
+ */
+export async function getIntentRecipient(sender, intent) {
+  if (intent.is_pay_link) {
+    return claimsService.getEscrowRecipient(intent.recipient_phone);
+  }
+
+  if (intent.contact_id) {
+    const contact = await dbService.getContactById(intent.contact_id);
+    if (!contact || contact.user_id !== sender.id) {
+      return null;
+    }
+    return resolveContactAddress(contact);
+  }
+
+  if (intent.recipient_phone) {
+    const user = await lookupByPhone(intent.recipient_phone);
+    if (!user) {
+      return null;
+    }
+    return {
+      id: null,
+      user_id: sender.id,
+      name: intent.recipient_name,
+      phone: intent.recipient_phone,
+      wallet_address: user.wallet_address
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Whether a contact's payment address changed after a payment to them was set up
+ * A confirmation given for the old address doesn't carry over to the new one.
+ * @param {Object} contact - Contact record
+ * @param {string} since - When the payment was set up (e.g. intent.created_at)
+ */
+export function addressChangedSince(contact, since) {
+  return !!contact?.address_changed_at && new Date(contact.address_changed_at) > new Date(since);
+}
+
+/**
+ * Name the sender of an incoming transfer from the recipient's point of view:
+ * their own contact name for the address, else the sender's PayVoice name,
+ * 'PayVoice pay-link' for escrow payouts/refunds, else 'External'.
+ * @param {Object} recipient - Receiving user
+ * @param {string} sourceAddress - Address the funds came from
+ * @returns {Promise<Object>} { name, senderUser }
+ */
+export async function describeSender(recipient, sourceAddress) {
+  if (!sourceAddress) {
+    return { name: 'External', senderUser: null };
+  }
+
+  const senderUser = await dbService.getUserByWalletAddress(sourceAddress);
+
+  try {
+    const contacts = await dbService.getContacts(recipient.id);
+    const contact = contacts.find(c =>
+      (c.wallet_address && c.wallet_address.toLowerCase() === sourceAddress.toLowerCase()) ||
+      (senderUser && c.phone && normalizePhone(c.phone) === normalizePhone(senderUser.phone))
+    );
+    if (contact) {
+      return { name: contact.name, senderUser };
+    }
+  } catch (error) {
+    console.error(`[Directory] Contact lookup failed: ${error.message}`);
+  }
+
+  if (senderUser) {
+    return { name: senderUser.name || `PayVoice ${phoneSuffix(senderUser.phone)}`, senderUser };
+  }
+
+  // Pay-link payouts and refunds come from the escrow wallet
+  const escrow = await claimsService.getEscrowWallet({ create: false }).catch(() => null);
+  if (escrow && escrow.address.toLowerCase() === sourceAddress.toLowerCase()) {
+    return { name: 'PayVoice pay-link', senderUser: null };
+  }
+
+  return { name: 'External', senderUser: null };
+}
+
+export default {
+  lookupByPhone,
+  resolveContactAddress,
+  resolveRecipient,
+  getIntentRecipient,
+  addressChangedSince,
+  describeSender
+};
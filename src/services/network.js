@@ -0,0 +1,249 @@
+/**
+ * PayVoice Network Configuration
+ * Which blockchain wallets live on, and how to link to its block explorer.
+ *
+ * New wallets are created on the network named by CIRCLE_BLOCKCHAIN (a Circle
+ * blockchain code, default ARC-TESTNET), so each environment picks its own.
+ * Existing wallets and transactions keep the network they were made on
+ * (users.blockchain, transactions.blockchain, or the blockchain field Circle
+ * returns), so switching an environment over doesn't break old explorer links.
+ *
+ * Wallets can hold and send any token in TOKENS (USDC and EURC). Each is
+ * pegged to a fiat currency, which is what amounts for that token are spoken in.
+ * Sends default to USDC. A balance only counts as a token when its contract
+ * address is the one configured for the network, never by its name or symbol,
+ * since anyone can deploy a token called "USDC" and airdrop it.
+ *
+ * NETWORK_CONFIG (JSON keyed by blockchain code) adjusts or adds networks, e.g.
+ * {"ARC-TESTNET":{"tokenIds":{"USDC":"...","EURC":"..."}}} to pin the token IDs
+ * Circle uses, or {"tokenAddresses":{"USDC":"0x..."}} for a network's contracts.
+ * Testnet-only features (the faucet) are off on mainnets.
+ */
+
+const DEFAULT_BLOCKCHAIN = 'ARC-TESTNET';
+
+export const DEFAULT_TOKEN = 'USDC';
+
+// Tokens PayVoice can send, by symbol, with the currency each is pegged to
+export const TOKENS = {
+  USDC: { symbol: 'USDC', currency: 'USD', sign: '$' },
+  EURC: { symbol: 'EURC', currency: 'EUR', sign: '€' }
+};
+
+// Explorer templates take {hash} and {address}
+// tokenAddresses: Circle's contract for each token; nativeToken: the token that is the chain's gas token
+const NETWORKS = {
+  'ARC-TESTNET': {
+    name: 'Arc Testnet',
+    chainId: 5042002,
+    tokenAddresses: {
+      USDC: '0x3600000000000000000000000000000000000000',
+      EURC: '0x89B50855Aa3bE2F677cD6303Cec089B5F319D72a'
+    },
+    nativeToken: 'USDC',
+    explorerTxUrl: 'https://testnet.arcscan.app/tx/{hash}',
+    explorerAddressUrl: 'https://testnet.arcscan.app/address/{address}',
+    testnet: true
+  },
+  'ETH-SEPOLIA': {
+    name: 'Ethereum Sepolia',
+    chainId: 11155111,
+    tokenAddresses: {
+      USDC: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238',
+      EURC: '0x08210F9170F89Ab7658F0B5E3fF39b0E03C594D4'
+    },
+    explorerTxUrl: 'https://sepolia.etherscan.io/tx/{hash}',
+    explorerAddressUrl: 'https://sepolia.etherscan.io/address/{address}',
+    testnet: true
+  },
+  ETH: {
+    name: 'Ethereum',
+    chainId: 1,
+    tokenAddresses: {
+      USDC: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+      EURC: '0x1aBaEA1f7C830bD89Acc67eC4af516284b1bC33c'
+    },
+    explorerTxUrl: 'https://etherscan.io/tx/{hash}',
+    explorerAddressUrl: 'https://etherscan.io/address/{address}',
+    testnet: false
+  },
+  'BASE-SEPOLIA': {
+    name: 'Base Sepolia',
+    chainId: 84532,
+    tokenAddresses: {
+      USDC: '0x036CbD53842c5426634e7929541eC2318f3dCF7e',
+      EURC: '0x808456652fdb597867f38412077A9182bf77359F'
+    },
+    explorerTxUrl: 'https://sepolia.basescan.org/tx/{hash}',
+    explorerAddressUrl: 'https://sepolia.basescan.org/address/{address}',
+    testnet: true
+  },
+  BASE: {
+    name: 'Base',
+    chainId: 8453,
+    tokenAddresses: {
+      USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+      EURC: '0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42'
+    },
+    explorerTxUrl: 'https://basescan.org/tx/{hash}',
+    explorerAddressUrl: 'https://basescan.org/address/{address}',
+    testnet: false
+  }
+};
+
+let cachedNetworks = null;
+
+function getNetworks() {
+  if (cachedNetworks) {
+    return cachedNetworks;
+  }
+
+  let overrides = {};
+  if (process.env.NETWORK_CONFIG) {
+    try {
+      overrides = JSON.parse(process.env.NETWORK_CONFIG);
+    } catch (error) {
+      console.error(`[Network] Ignoring invalid NETWORK_CONFIG: ${error.message}`);
+    }
+  }
+
+  cachedNetworks = {};
+  for (const code of new Set([...Object.keys(NETWORKS), ...Object.keys(overrides)])) {
+    cachedNetworks[code] = {
+      blockchain: code,
+      ...NETWORKS[code],
+      ...overrides[code],
+      tokenIds: { ...overrides[code]?.tokenIds },
+      tokenAddresses: { ...NETWORKS[code]?.tokenAddresses, ...overrides[code]?.tokenAddresses },
+      // Unknown networks are treated as mainnets, so nothing testnet-only switches on by accident
+      testnet: (overrides[code]?.testnet ?? NETWORKS[code]?.testnet) === true
+    };
+  }
+  return cachedNetworks;
+}
+
+/**
+ * Configuration of a network by Circle blockchain code
+ * @returns {Object|null} { blockchain, name, chainId, tokenIds, tokenAddresses, nativeToken?,
+ *   explorerTxUrl, explorerAddressUrl, testnet }, or null if it isn't configured
+ */
+export function getNetwork(blockchain) {
+  return getNetworks()[String(blockchain || '').toUpperCase()] || null;
+}
+
+/**
+ * The network this environment creates wallets on (CIRCLE_BLOCKCHAIN)
+ * @throws {Error} If CIRCLE_BLOCKCHAIN names a network that isn't configured
+ */
+export function defaultNetwork() {
+  const blockchain = process.env.CIRCLE_BLOCKCHAIN || DEFAULT_BLOCKCHAIN;
+  const network = getNetwork(blockchain);
+  if (!network) {
+    throw new Error(`Unknown CIRCLE_BLOCKCHAIN: ${blockchain}. Add it to NETWORK_CONFIG.`);
+  }
+  return network;
+}
+
+/**
+ * The network of a wallet, user or transaction
+ * Takes the first record with a configured blockchain, so a transaction can
+ * fall back to its user: networkFor(tx, user).
+ * @param {...Object} records - Anything with a blockchain field (Circle wallet or transaction, users or transactions row)
+ */
+export function networkFor(...records) {
+  for (const record of records) {
+    const network = record?.blockchain && getNetwork(record.blockchain);
+    if (network) {
+      return network;
+    }
+  }
+  return defaultNetwork();
+}
+
+/**
+ * Explorer link for a transaction hash
+ * @param {string} txHash - On-chain transaction hash
+ * @param {...Object} records - Where to find the network (see networkFor)
+ * @returns {string|null} The URL, or null without a hash or explorer
+ */
+export function explorerTxUrl(txHash, ...records) {
+  const template = networkFor(...records).explorerTxUrl;
+  return txHash && template ? template.replace('{hash}', txHash) : null;
+}
+
+/**
+ * Explorer link for a wallet address
+ * @returns {string|null} The URL, or null without an address or explorer
+ */
+export function explorerAddressUrl(address, ...records) {
+  const template = networkFor(...records).explorerAddressUrl;
+  return address && template ? template.replace('{address}', address) : null;
+}
+
+// ============================================
+// TOKENS
+// ============================================
+
+/**
+ * A supported token by symbol (case-insensitive)
+ * @returns {Object|null} { symbol, currency, sign }, or null if PayVoice doesn't support it
+ */
+export function getToken(symbol) {
+  return TOKENS[String(symbol || '').trim().toUpperCase()] || null;
+}
+
+/**
+ * Whether a Circle token balance entry is the given token on its network
+ * Matches the token ID pinned in tokenIds when the network has one, otherwise
+ * the contract address in tokenAddresses (or nativeToken for the gas token).
+ * A token on a network with neither configured never matches.
+ *
+ * @param {Object} token - Circle token ({ id, tokenAddress, isNative, blockchain })
+ * @param {string} [symbol='USDC'] - Token to match
+ */
+export function isToken(token, symbol = DEFAULT_TOKEN) {
+  const network = token?.blockchain ? getNetwork(token.blockchain) : null;
+  if (!network) {
+    return false;
+  }
+
+  const pinnedId = network.tokenIds[symbol];
+  if (pinnedId) {
+    return token.id === pinnedId;
+  }
+  if (token.isNative) {
+    return network.nativeToken === symbol;
+  }
+
+  const address = network.tokenAddresses[symbol];
+  return !!address && String(token.tokenAddress || '').toLowerCase() === address.toLowerCase();
+}
+
+/**
+ * The supported token a Circle token balance entry is, if any
+ * @returns {string|null} Its symbol, e.g. 'EURC'
+ */
+export function tokenSymbolOf(token) {
+  return Object.keys(TOKENS).find(symbol => isToken(token, symbol)) || null;
+}
+
+/**
+ * An amount of a token for speech and messages: "$25" or "€25"
+ */
+export function formatTokenAmount(amount, symbol = DEFAULT_TOKEN) {
+  return `${getToken(symbol || DEFAULT_TOKEN)?.sign || ''}${amount}`;
+}
+
+export default {
+  getNetwork,
+  defaultNetwork,
+  networkFor,
+  explorerTxUrl,
+  explorerAddressUrl,
+  DEFAULT_TOKEN,
+  TOKENS,
+  getToken,
+  isToken,
+  tokenSymbolOf,
+  formatTokenAmount
+};
@@ -0,0 +1,106 @@
+/**
+ * PayVoice Onboarding Service
+ * Provisions new callers: user record, Circle wallet and default policies.
+ *
+ * Every step is safe to repeat. If a call drops halfway through, running
+ * onboarding again for the same phone picks up where it left off and never
+ * creates a second wallet.
+ */
+
+import * as circleService from './circle.js';
+import * as dbService from './db.js';
+import * as policyService from './policy.js';
+
+/**
+ * Normalize a phone number to digits only, so "+234 810..." and "234810..."
+ * map to the same onboarding identity
+ */
+function phoneKey(phone) {
+  return String(phone).replace(/\D/g, '');
+}
+
+/**
+ * Find the user for a phone number, creating the row if needed.
+ * A concurrent onboarding of the same phone can win the insert race,
+ * in which case we fall back to the row it created.
+ */
+async function findOrCreateUser(phone) {
+  const existing = await dbService.getUserByPhone(phone);
+  if (existing) {
+    return existing;
+  }
+
+  try {
+    return await dbService.getOrCreateUser(phone);
+  } catch (error) {
+    const user = await dbService.getUserByPhone(phone);
+    if (user) {
+      return user;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the spoken welcome read back to the caller
+ */
+function buildWelcomeMessage(user, alreadyOnboarded) {
+  const greeting = user.name ? `Welcome to PayVoice, ${user.name}!` : 'Welcome to PayVoice!';
+
+  if (alreadyOnboarded) {
+    return `${greeting} Your wallet is already set up and ready to use.`;
+  }
+
+  return `${greeting} I've set up your wallet. Your balance is zero dollars for now. ` +
+    `Once someone sends you money, you can ask me for your balance, save contacts, or send payments just by talking.`;
+}
+
+/**
+ * Onboard a caller: create the user, create a Circle wallet in the configured
+ * wallet set, store it and seed a default policy.
+ *
+ * @param {string} phone - The caller's phone number
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name the caller wants to be called
+ * @returns {Promise<Object>} { user, policy, alreadyOnboarded, welcomeMessage }
+ * @throws {Error} If the wallet set is not configured or provisioning fails
+ */
+export async function onboardUser(phone, { name } = {}) {
+  // Stored as digits only, the form conversation-init and sessions look callers up by
+  let user = await findOrCreateUser(phoneKey(phone));
+
+  if (name && !user.name) {
+    user = await dbService.updateUserName(user.id, name);
+  }
+
+  const alreadyOnboarded = !!user.wallet_id;
+
+  if (!alreadyOnboarded) {
+    const walletSetId = process.env.CIRCLE_WALLET_SET_ID;
+    if (!walletSetId) {
+      throw new Error('CIRCLE_WALLET_SET_ID environment variable is not set');
+    }
+
+    // Same phone always yields the same key, so Circle returns the wallet
+    // from an earlier, interrupted attempt instead of creating another one
+    const idempotencyKey = circleService.deriveIdempotencyKey('onboard', phoneKey(phone));
+    const wallet = await circleService.createWallet(walletSetId, phoneKey(phone), idempotencyKey);
+
+    user = await dbService.updateUserWallet(user.phone, wallet.id, wallet.address, wallet.blockchain);
+    console.log(`[Onboarding] Wallet ${wallet.id} provisioned for user ${user.id}`);
+  }
+
+  // Creates the default row on first access
+  const policy = await policyService.getUserPolicy(user.id);
+
+  return {
+    user,
+    policy,
+    alreadyOnboarded,
+    welcomeMessage: buildWelcomeMessage(user, alreadyOnboarded)
+  };
+}
+
+export default {
+  onboardUser
+};
@@ -0,0 +1,523 @@
+/**
+ * PayVoice Payments Service
+ * Executes transfers and manages payment intents.
+ *
+ * A payment intent is the server-side record of a send that needs the user's
+ * confirmation. /api/send creates it with the exact amount and recipient,
+ * and /api/send/confirm executes that same intent at most once. The agent
+ * can't skip confirmation or change the details between the two calls.
+ */
+
+import * as circleService from './circle.js';
+import * as dbService from './db.js';
+import * as networkService from './network.js';
+import * as policyService from './policy.js';
+import * as requestsService from './requests.js';
+import { supabase } from './db.js';
+
+// How long the user has to confirm a payment
+const INTENT_TTL_MINUTES = parseInt(process.env.PAYMENT_INTENT_TTL_MINUTES || '5', 10);
+
+// Intent IDs are UUIDs; anything else would make Postgres reject the query
+const INTENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================
+// TRANSFER EXECUTION
+// ============================================
+
+// Circle states after which a transfer will not change again
+const TERMINAL_STATES = ['COMPLETE', 'FAILED', 'CANCELLED', 'DENIED'];
+
+/**
+ * Whether sends should return before blockchain confirmation by default
+ * (SEND_MODE=async). Long polling doesn't fit serverless function timeouts.
+ */
+export function isAsyncSendDefault() {
+  return process.env.SEND_MODE === 'async';
+}
+
+/**
+ * Execute a USDC (or EURC) transfer to a contact and record it
+ *
+ * Sync (default): waits for blockchain confirmation, logs the transaction,
+ * updates spending and checks for a low-balance alert.
+ * Async (waitForConfirmation: false): submits to Circle, logs a pending
+ * transaction and returns immediately; the transactions.outbound webhook
+ * (or /api/transaction/status) finalizes it via finalizeTransfer.
+ * A sync send that is still pending when polling gives up (or can't check
+ * its status) is handed over to the same async path.
+ * An error thrown after Circle accepted the transfer has error.transactionId set.
+ *
+ * @param {Object} params
+ * @param {Object} params.sender - Sender user record
+ * @param {Object} params.contact - Recipient contact record
+ * @param {number|string} params.amount - Amount in the token sent
+ * @param {string} [params.token='USDC'] - Token to send, e.g. 'EURC'
+ * @param {boolean} [params.wasAutoApproved=false] - Whether policies approved it without confirmation
+ * @param {string} [params.idempotencyKey] - Circle idempotency key, so a retried transfer is submitted once
+ * @param {boolean} [params.waitForConfirmation=true] - Poll until the transfer settles
+ * @param {string} [params.feeLevel] - Circle fee level ('LOW', 'MEDIUM', 'HIGH'; default MEDIUM)
+ * @param {string} [params.memo] - Note recorded on the transaction
+ * @param {string} [params.category] - Spending category recorded on the transaction
+ * @returns {Promise<Object>} { success, pending, txResult, newBalance?, lowBalanceAlert?, explorerUrl? }
+ */
+export async function executeTransfer({
+  sender,
+  contact,
+  amount,
+  token = networkService.DEFAULT_TOKEN,
+  wasAutoApproved = false,
+  idempotencyKey,
+  waitForConfirmation = true,
+  feeLevel,
+  memo = null,
+  category = null
+}) {
+  const amountNum = parseFloat(amount);
+  const { blockchain } = networkService.networkFor(sender);
+
+  const txResult = waitForConfirmation
+    ? await circleService.sendUSDCWithConfirmation(
+      sender.wallet_id,
+      contact.wallet_address,
+      String(amount),
+      { idempotencyKey, feeLevel, token }
+    )
+    : await circleService.transferUSDC(
+      sender.wallet_id,
+      contact.wallet_address,
+      String(amount),
+      { idempotencyKey, feeLevel, token }
+    );
+
+  // Circle has the transfer from here on. If the bookkeeping below fails, an
+  // error for a transfer that didn't fail carries its transactionId, so
+  // callers don't treat the money as unsent
+  try {
+    // A repeated idempotency key gets the original transfer back from Circle;
+    // it's already recorded, so don't log or count it a second time
+    const recorded = txResult.transactionId
+      ? await dbService.getUserTransaction(sender.id, txResult.transactionId)
+      : null;
+    if (recorded) {
+      console.log(`[Payments] Transfer ${txResult.transactionId} was already recorded (${recorded.status})`);
+      return {
+        success: recorded.status !== 'failed',
+        pending: recorded.status === 'pending',
+        txResult: { ...txResult, txHash: txResult.txHash || recorded.tx_hash }
+      };
+    }
+
+    if (waitForConfirmation && !txResult.success) {
+      console.error(`[Payments] Transaction failed: ${txResult.errorReason}`);
+
+      await dbService.logTransactionWithDetails({
+        userId: sender.id,
+        type: 'send',
+        amount: amountNum,
+        recipientName: contact.name,
+        recipientAddress: contact.wallet_address,
+        circleTxId: txResult.transactionId,
+        status: 'failed',
+        memo,
+        category,
+        blockchain,
+        token,
+        wasAutoApproved
+      });
+
+      return { success: false, pending: false, txResult };
+    }
+
+    // Not settled yet: record as pending, the webhook finishes the bookkeeping.
+    // Until then the pending row counts against the budget (policy.getQueuedSpending)
+    if (!waitForConfirmation || txResult.state !== 'COMPLETE') {
+      await dbService.logTransactionWithDetails({
+        userId: sender.id,
+        type: 'send',
+        amount: amountNum,
+        recipientName: contact.name,
+        recipientAddress: contact.wallet_address,
+        circleTxId: txResult.transactionId,
+        status: 'pending',
+        memo,
+        category,
+        blockchain,
+        token,
+        wasAutoApproved
+      });
+
+      console.log(`[Payments] Transfer ${txResult.transactionId} submitted, awaiting confirmation`);
+      return { success: true, pending: true, txResult };
+    }
+
+    // PILLAR 4: TREASURY - Update spending
+    await policyService.updateDailySpending(sender.id, amountNum, token);
+
+    // A confirmed send to a changed address is the confirmation it was waiting for.
+    // One still settling clears it from finalizeTransfer once it lands
+    if (!wasAutoApproved && contact.id && contact.confirm_next_send) {
+      await dbService.updateContact(sender.id, contact.id, { confirm_next_send: false });
+    }
+
+    await dbService.logTransactionWithDetails({
+      userId: sender.id,
+      type: 'send',
+      amount: amountNum,
+      recipientName: contact.name,
+      recipientAddress: contact.wallet_address,
+      circleTxId: txResult.transactionId,
+      status: 'completed',
+      txHash: txResult.txHash,
+      blockHeight: txResult.blockHeight,
+      networkFee: txResult.networkFee || null,
+      memo,
+      category,
+      blockchain,
+      token,
+      wasAutoApproved
+    });
+
+    // The low-balance alert watches the USDC balance
+    const newBalance = await circleService.getBalance(sender.wallet_id, token);
+    const lowBalanceAlert = token === networkService.DEFAULT_TOKEN
+      ? await policyService.checkLowBalanceAlert(sender.id, newBalance)
+      : null;
+
+    console.log(`[Payments] Transfer complete! TxHash: ${txResult.txHash}, New balance: ${newBalance} ${token}`);
+
+    return {
+      success: true,
+      pending: false,
+      txResult,
+      newBalance,
+      lowBalanceAlert,
+      explorerUrl: networkService.explorerTxUrl(txResult.txHash, txResult, sender)
+    };
+  } catch (error) {
+    if (txResult.success !== false) {
+      error.transactionId = txResult.transactionId;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finalize a pending send from a Circle transaction (webhook payload or
+ * getTransaction result): record status and txHash, update spending and
+ * check for a low-balance alert. Records the network fee Circle charged and
+ * settles the intent and payment request it was sent for, if any.
+ * Safe to call repeatedly; only the first
+ * call for a transaction does anything.
+ *
+ * @param {Object} transaction - Circle transaction ({ id, state, txHash, blockHeight, networkFee, errorReason })
+ * @returns {Promise<Object|null>} The finalized record, or null if not terminal / already finalized
+ */
+export async function finalizeTransfer(transaction) {
+  if (!TERMINAL_STATES.includes(transaction.state)) {
+    return null;
+  }
+
+  const completed = transaction.state === 'COMPLETE';
+
+  const record = await dbService.finalizePendingTransaction(transaction.id, {
+    status: completed ? 'completed' : 'failed',
+    tx_hash: transaction.txHash || null,
+    block_height: transaction.blockHeight || null,
+    network_fee: transaction.networkFee || null
+  });
+
+  if (!record) {
+    return null;
+  }
+
+  console.log(`[Payments] Finalized transfer ${transaction.id}: ${record.status}`);
+
+  // The intent it was sent for is done, and a payment request it was paying
+  // is paid now or can be paid again
+  await settleIntentTransfer(transaction.id, completed);
+  await requestsService.settleRequestTransfer(transaction.id, completed);
+
+  if (completed) {
+    const token = record.token || networkService.DEFAULT_TOKEN;
+    await policyService.updateDailySpending(record.user_id, record.amount, token);
+
+    try {
+      const sender = await dbService.getUserById(record.user_id);
+      if (sender?.wallet_id && token === networkService.DEFAULT_TOKEN) {
+        const balance = await circleService.getBalance(sender.wallet_id);
+        await policyService.checkLowBalanceAlert(sender.id, balance);
+      }
+    } catch (balanceError) {
+      console.error(`[Payments] Low balance check failed: ${balanceError.message}`);
+    }
+  } else {
+    await policyService.createAlert(
+      record.user_id,
+      'transaction_failed',
+      'Payment Failed',
+      `Your payment of ${networkService.formatTokenAmount(record.amount, record.token)} to ${record.recipient_name} did not go through.`,
+      { circleTxId: transaction.id, reason: transaction.errorReason || transaction.state }
+    );
+  }
+
+  return record;
+}
+
+/**
+ * Complete the intent whose transfer just settled, if any
+ * A confirmed send that landed is the confirmation a changed address was waiting for.
+ */
+async function settleIntentTransfer(circleTxId, completed) {
+  const { data, error } = await supabase
+    .from('payment_intents')
+    .update({ status: completed ? 'completed' : 'failed', updated_at: new Date().toISOString() })
+    .eq('circle_tx_id', circleTxId)
+    .eq('status', 'submitted')
+    .select('user_id, contact_id, auto_approved, created_at');
+
+  if (error) throw error;
+
+  for (const intent of data || []) {
+    if (completed && intent.contact_id && !intent.auto_approved) {
+      await clearAddressConfirmation(intent.user_id, intent.contact_id, intent.created_at);
+    }
+  }
+}
+
+/**
+ * Clear a contact's confirm_next_send once a confirmed send to them has landed
+ * An address change after the send was set up keeps it, since that new
+ * address hasn't been confirmed.
+ * @param {string} userId - Owner of the contact
+ * @param {string} contactId - The contact paid
+ * @param {string} confirmedSince - When the confirmed send was set up (intent or payout row created_at)
+ */
+export async function clearAddressConfirmation(userId, contactId, confirmedSince) {
+  const { error } = await supabase
+    .from('contacts')
+    .update({ confirm_next_send: false })
+    .eq('id', contactId)
+    .eq('user_id', userId)
+    .eq('confirm_next_send', true)
+    .lte('address_changed_at', confirmedSince);
+
+  if (error) throw error;
+}
+
+// ============================================
+// PAYMENT INTENTS
+// ============================================
+
+/**
+ * Create a pending payment intent awaiting the user's confirmation
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Sender's user UUID
+ * @param {Object} params.contact - Recipient contact record
+ * @param {number} params.amount - Amount in the token sent
+ * @param {string} [params.token='USDC'] - Token to send, e.g. 'EURC'
+ * @param {string} params.reason - Why confirmation is needed (from the policy check)
+ * @param {string} [params.paymentRequestId] - Payment request this intent pays, if any
+ * @param {string} [params.batchId] - Groups intents confirmed together (e.g. a bill split)
+ * @param {string} [params.releaseAt] - Queue an approved send until this time instead (undo window)
+ * @param {string} [params.feeLevel] - Fee level the send goes out with
+ * @param {string} [params.memo] - Memo to record on the transaction
+ * @param {string} [params.category] - Spending category to record on the transaction
+ * @returns {Promise<Object>} The created intent record
+ */
+export async function createPaymentIntent({
+  userId,
+  contact,
+  amount,
+  token = networkService.DEFAULT_TOKEN,
+  reason,
+  paymentRequestId = null,
+  batchId = null,
+  releaseAt = null,
+  feeLevel = null,
+  memo = null,
+  category = null
+}) {
+  try {
+    const expiresAt = releaseAt || new Date(Date.now() + INTENT_TTL_MINUTES * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('payment_intents')
+      .insert({
+        user_id: userId,
+        contact_id: contact.id,
+        recipient_name: contact.name,
+        // Unsaved phone recipients are re-resolved from this at confirm time
+        recipient_phone: contact.id ? null : contact.phone,
+        is_pay_link: !!contact.isPayLink,
+        amount,
+        token,
+        reason,
+        payment_request_id: paymentRequestId,
+        batch_id: batchId,
+        fee_level: feeLevel,
+        memo,
+        category,
+        // A queued send is already approved and only waits out the undo window
+        status: releaseAt ? 'queued' : 'pending',
+        release_at: releaseAt,
+        auto_approved: !!releaseAt,
+        expires_at: expiresAt
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    console.log(`[Payments] Created intent ${data.id}: ${networkService.formatTokenAmount(amount, token)} to ${contact.name}`);
+    return data;
+  } catch (error) {
+    console.error('[Payments] Error creating payment intent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Explain why an intent can't be used, in words the agent can read out
+ */
+function describeUnusableIntent(intent) {
+  if (!intent) {
+    return 'I could not find that payment. Please start the payment again.';
+  }
+  const amount = networkService.formatTokenAmount(intent.amount, intent.token);
+  if (intent.status === 'completed') {
+    return `That payment of ${amount} to ${intent.recipient_name} was already sent.`;
+  }
+  if (intent.status === 'executing') {
+    return `That payment of ${amount} to ${intent.recipient_name} is being sent right now. I'll let you know if it doesn't go through.`;
+  }
+  if (intent.status === 'queued' || intent.status === 'submitted') {
+    return `That payment of ${amount} to ${intent.recipient_name} is already on its way.`;
+  }
+  if (intent.status === 'cancelled') {
+    return `That payment of ${amount} to ${intent.recipient_name} was cancelled.`;
+  }
+  if (intent.status === 'failed') {
+    return `That payment of ${amount} to ${intent.recipient_name} already failed. Please start it again.`;
+  }
+  return `That payment of ${amount} to ${intent.recipient_name} has expired. Please ask me to send it again.`;
+}
+
+/**
+ * Atomically move a pending, unexpired intent to a new status
+ * Only one caller can win the transition, so an intent is used exactly once.
+ *
+ * @param {string} userId - Owner of the intent
+ * @param {string} intentId - The intent UUID
+ * @param {string} status - Target status ('executing' or 'cancelled')
+ * @returns {Promise<Object>} { intent, error? } - error is a spoken explanation when the transition failed;
+ *   intent is null when there's no such intent
+ */
+export async function claimPaymentIntent(userId, intentId, status) {
+  if (!INTENT_ID_PATTERN.test(String(intentId))) {
+    return { intent: null, error: describeUnusableIntent(null) };
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('payment_intents')
+      .update({ status, updated_at: new Date().toISOString() })
+      .eq('id', intentId)
+      .eq('user_id', userId)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .select()
+      .single();
+
+    if (data) {
+      return { intent: data };
+    }
+
+    if (error && error.code !== 'PGRST116') throw error;
+
+    // Nothing updated: find out why
+    const { data: existing, error: fetchError } = await supabase
+      .from('payment_intents')
+      .select('*')
+      .eq('id', intentId)
+      .eq('user_id', userId)
+      .single();
+
+    if (fetchError && fetchError.code !== 'PGRST116') throw fetchError;
+    return { intent: existing || null, error: describeUnusableIntent(existing) };
+  } catch (error) {
+    console.error('[Payments] Error claiming payment intent:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the intents of a batch that are still awaiting confirmation
+ * @param {string} userId - Owner of the batch
+ * @param {string} batchId - The batch UUID
+ * @returns {Promise<Array>} Pending intents, oldest first
+ */
+export async function getPendingBatchIntents(userId, batchId) {
+  if (!INTENT_ID_PATTERN.test(String(batchId))) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('payment_intents')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('batch_id', batchId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('[Payments] Error getting batch intents:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of an intent's transfer: completed once it settled,
+ * submitted while it's still settling (finalizeTransfer finishes it), failed otherwise
+ * @param {string} intentId - The executed intent
+ * @param {Object} transfer - Result of executeTransfer
+ */
+export async function recordIntentTransfer(intentId, transfer) {
+  const status = !transfer.success ? 'failed' : transfer.pending ? 'submitted' : 'completed';
+  await completePaymentIntent(intentId, status, transfer.txResult.transactionId);
+}
+
+/**
+ * Record the final outcome of an executed intent
+ */
+export async function completePaymentIntent(intentId, status, circleTxId = null) {
+  try {
+    const { error } = await supabase
+      .from('payment_intents')
+      .update({
+        status,
+        circle_tx_id: circleTxId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', intentId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('[Payments] Error completing payment intent:', error);
+  }
+}
+
+export default {
+  isAsyncSendDefault,
+  executeTransfer,
+  finalizeTransfer,
+  clearAddressConfirmation,
+  createPaymentIntent,
+  claimPaymentIntent,
+  getPendingBatchIntents,
+  recordIntentTransfer,
+  completePaymentIntent
+};
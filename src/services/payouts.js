@@ -0,0 +1,586 @@
+/**
+ * PayVoice Batch Payouts Service
+ * Pay many people at once from a CSV or JSON list (e.g. a trader paying helpers).
+ *
+ * Two steps:
+ * 1. Dry run: every row is validated (address format, contact exists, amount)
+ *    and the total is checked against balance and spending limits. The
+ *    validated batch is stored and a report returned.
+ * 2. Execute: the stored rows are submitted with transferUSDC (async sends,
+ *    finalized by the Circle webhook like any other). Rows are processed in
+ *    chunks, so a large batch or a partial failure is resumed by executing the
+ *    same batch again. The PIN is asked for when the batch total (or a first
+ *    payment to someone) needs it, and rows that loosely matched a contact or
+ *    pay a changed address are read back for confirmation first, and a
+ *    contact repointed after the dry run stops the batch until a new one.
+ *    One summary alert is sent once every submitted row has settled.
+ *
+ * Batch status: validated -> executing -> partial | submitted | completed
+ *   (submitted: everything is sent and waiting on the blockchain)
+ * Item status: ready | invalid | submitted -> paid | failed
+ */
+
+import { checkTransactionLimit } from '../middleware/auth.js';
+import * as addressesService from './addresses.js';
+import * as circleService from './circle.js';
+import { csvLines, splitCsvLine } from './csv.js';
+import * as dbService from './db.js';
+import * as directoryService from './directory.js';
+import * as paymentsService from './payments.js';
+import * as policyService from './policy.js';
+import { supabase } from './db.js';
+
+export const MAX_PAYOUT_ROWS = 50;
+
+// Rows submitted per execute call (keeps us inside function timeouts)
+const MAX_ITEMS_PER_RUN = 20;
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+
+// Accepted column names for each field
+const COLUMN_ALIASES = {
+  name: ['name', 'recipient', 'contact', 'contactname', 'recipientname'],
+  address: ['address', 'wallet', 'walletaddress', 'wallet_address'],
+  amount: ['amount', 'usdc', 'value']
+};
+
+// ============================================
+// PARSING
+// ============================================
+
+function columnFor(header) {
+  const key = header.toLowerCase().replace(/\s+/g, '');
+  return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+}
+
+/**
+ * Parse CSV into rows of { name, address, amount }
+ * With a header row, columns are matched by name; without one, each line is
+ * "recipient,amount" where recipient is a contact name or 0x address.
+ */
+function parseCsv(text) {
+  const lines = csvLines(text);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = splitCsvLine(lines[0]).map(columnFor);
+  const hasHeader = header.includes('amount');
+
+  if (hasHeader) {
+    return lines.slice(1).map(line => {
+      const fields = splitCsvLine(line);
+      const row = {};
+      header.forEach((field, index) => {
+        if (field) row[field] = fields[index];
+      });
+      return row;
+    });
+  }
+
+  return lines.map(line => {
+    const [recipient, amount] = splitCsvLine(line);
+    return ADDRESS_PATTERN.test(recipient) ? { address: recipient, amount } : { name: recipient, amount };
+  });
+}
+
+/**
+ * Normalize JSON rows, accepting the same field aliases as CSV headers
+ */
+function parseJson(data) {
+  const list = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!Array.isArray(list)) {
+    throw new Error('JSON payouts must be an array of rows');
+  }
+
+  return list.map(entry => {
+    const row = {};
+    for (const [key, value] of Object.entries(entry || {})) {
+      const field = columnFor(key);
+      if (field) row[field] = value;
+    }
+    return row;
+  });
+}
+
+/**
+ * Parse a payout list
+ * @param {string|Array} data - CSV text, JSON text or an array of rows
+ * @param {string} [format] - 'csv' or 'json' (inferred when omitted)
+ * @returns {Array<Object>} Rows of { name?, address?, amount }
+ */
+export function parsePayoutRows(data, format) {
+  const inferred = format || (Array.isArray(data) || String(data).trim().startsWith('[') ? 'json' : 'csv');
+  return inferred === 'json' ? parseJson(data) : parseCsv(data);
+}
+
+// ============================================
+// DRY RUN
+// ============================================
+
+/**
+ * Validate a single row and resolve where it pays
+ * @returns {Promise<Object>} Item fields ready to store
+ */
+async function validateRow(user, row, index, contacts) {
+  const item = {
+    row_number: index + 1,
+    recipient_name: row.name ? String(row.name).trim() : null,
+    wallet_address: row.address ? String(row.address).trim() : null,
+    amount: parseFloat(row.amount),
+    status: 'ready',
+    error: null
+  };
+
+  if (isNaN(item.amount) || item.amount <= 0) {
+    return { ...item, amount: 0, status: 'invalid', error: 'Amount must be a positive number' };
+  }
+  item.amount = Math.round(item.amount * 100) / 100;
+
+  const overLimit = checkTransactionLimit(item.amount);
+  if (overLimit) {
+    return { ...item, status: 'invalid', error: overLimit };
+  }
+
+  if (item.wallet_address) {
+    const checked = addressesService.validateAddress(item.wallet_address, { ownAddress: user.wallet_address });
+    if (!checked.valid) {
+      return { ...item, status: 'invalid', error: checked.message };
+    }
+    const lookalikes = addressesService.findLookalikeContacts(checked.address, contacts);
+    if (lookalikes.length > 0) {
+      return { ...item, status: 'invalid', error: `Almost the same as ${lookalikes[0].contact.name}'s saved address. Check it, or pay them by name` };
+    }
+    return {
+      ...item,
+      wallet_address: checked.address,
+      recipient_name: item.recipient_name || addressesService.readBackAddress(checked.address).short
+    };
+  }
+
+  if (!item.recipient_name) {
+    return { ...item, status: 'invalid', error: 'Row needs a contact name or a wallet address' };
+  }
+
+  const resolved = await directoryService.resolveRecipient(user, { recipientName: item.recipient_name });
+  if (resolved.needsClarification) {
+    return { ...item, status: 'invalid', error: `"${item.recipient_name}" matches more than one contact: ${resolved.candidates.join(', ')}` };
+  }
+  if (resolved.error) {
+    return { ...item, status: 'invalid', error: resolved.message };
+  }
+
+  // Read back before paying: a loose name match, and an address that changed since the last confirmed send
+  const reasons = [];
+  if (resolved.fuzzy) {
+    reasons.push(`"${item.recipient_name}" is ${resolved.contact.name}`);
+  }
+  if (resolved.contact.confirm_next_send) {
+    reasons.push(`${resolved.contact.name}'s payment address changed`);
+  }
+
+  return {
+    ...item,
+    contact_id: resolved.contact.id,
+    recipient_name: resolved.contact.name,
+    wallet_address: resolved.contact.wallet_address,
+    confirm_reason: reasons.length > 0 ? reasons.join(', and ') : null
+  };
+}
+
+/**
+ * Validate a payout list and store it as a batch ready to execute
+ *
+ * @param {Object} user - Paying user
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {Promise<Object>} Dry-run report: { batchId, valid, rows, total, invalidRows, toConfirm, balance, budgetStatus, problems }
+ */
+export async function createPayoutBatch(user, rows) {
+  if (rows.length === 0) {
+    throw new Error('The payout list is empty');
+  }
+  if (rows.length > MAX_PAYOUT_ROWS) {
+    throw new Error(`A batch can have at most ${MAX_PAYOUT_ROWS} rows (got ${rows.length})`);
+  }
+
+  const contacts = await dbService.getContacts(user.id);
+  const items = [];
+  for (let i = 0; i < rows.length; i++) {
+    items.push(await validateRow(user, rows[i], i, contacts));
+  }
+
+  const readyItems = items.filter(item => item.status === 'ready');
+  const total = Math.round(readyItems.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+  const balance = parseFloat(await circleService.getBalance(user.wallet_id));
+
+  // Budget applies to the batch as a whole
+  const budgetCheck = await policyService.checkAutoApproval(user.id, null, total);
+
+  const problems = [];
+  if (items.length !== readyItems.length) {
+    problems.push(`${items.length - readyItems.length} row(s) are invalid`);
+  }
+  if (balance < total) {
+    problems.push(`Your balance ($${balance}) is less than the batch total ($${total})`);
+  }
+  if (budgetCheck.budgetExceeded) {
+    problems.push(budgetCheck.reason);
+  }
+
+  const valid = problems.length === 0;
+
+  const { data: batch, error } = await supabase
+    .from('payout_batches')
+    .insert({
+      user_id: user.id,
+      status: valid ? 'validated' : 'invalid',
+      total,
+      row_count: items.length
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: itemsError } = await supabase
+    .from('payout_items')
+    .insert(items.map(item => ({ ...item, batch_id: batch.id })));
+
+  if (itemsError) throw itemsError;
+
+  console.log(`[Payouts] Dry run for batch ${batch.id}: ${items.length} rows, $${total}, ${valid ? 'valid' : 'invalid'}`);
+
+  return {
+    batchId: batch.id,
+    valid,
+    total,
+    rowCount: items.length,
+    rows: items.map(formatItem),
+    invalidRows: items.filter(item => item.status === 'invalid').map(formatItem),
+    toConfirm: items.filter(item => item.confirm_reason).map(formatItem),
+    balance,
+    budgetStatus: budgetCheck.budgetStatus,
+    problems
+  };
+}
+
+function formatItem(item) {
+  return {
+    row: item.row_number,
+    recipient: item.recipient_name,
+    walletAddress: item.wallet_address,
+    amount: parseFloat(item.amount),
+    status: item.status,
+    error: item.error || null,
+    confirm: item.confirm_reason || null,
+    transactionId: item.circle_tx_id || null
+  };
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+
+async function getBatch(userId, batchId) {
+  const { data, error } = await supabase
+    .from('payout_batches')
+    .select('*')
+    .eq('id', batchId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data || null;
+}
+
+async function getItems(batchId) {
+  const { data, error } = await supabase
+    .from('payout_items')
+    .select('*')
+    .eq('batch_id', batchId)
+    .order('row_number', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Current report for a batch
+ * @returns {Promise<Object|null>} { batchId, status, total, counts, rows } or null if not found
+ */
+export async function getPayoutReport(userId, batchId) {
+  const batch = await getBatch(userId, batchId);
+  if (!batch) {
+    return null;
+  }
+
+  const items = await getItems(batchId);
+  const counts = items.reduce((acc, item) => {
+    acc[item.status] = (acc[item.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    batchId,
+    status: batch.status,
+    total: parseFloat(batch.total),
+    counts,
+    rows: items.map(formatItem)
+  };
+}
+
+/**
+ * Execute (or resume) a validated batch
+ * Submits up to MAX_ITEMS_PER_RUN rows that are ready or failed earlier.
+ * Balance and budget are re-checked for what's left before anything is sent.
+ *
+ * @param {Object} user - Paying user
+ * @param {string} batchId - Batch from a valid dry run
+ * @param {Object} [options]
+ * @param {Object} [options.session] - Conversation session, for a PIN given on this call
+ * @param {boolean} [options.confirmed=false] - The user confirmed the rows read back to them
+ * @returns {Promise<Object>} { success, error?, requiresStepUp?, requiresConfirmation?, report, remaining, message }
+ */
+export async function executePayoutBatch(user, batchId, { session = null, confirmed = false } = {}) {
+  const batch = await getBatch(user.id, batchId);
+  if (!batch) {
+    return { success: false, error: 'That batch was not found.' };
+  }
+  if (batch.status === 'invalid') {
+    return { success: false, error: 'That batch has invalid rows. Fix the list and run a new dry run.' };
+  }
+  if (batch.status === 'completed') {
+    return { success: false, error: 'That batch has already been paid.' };
+  }
+  if (batch.status === 'submitted') {
+    return { success: false, error: 'That batch has been sent and is waiting for the blockchain to confirm it.' };
+  }
+
+  const outstanding = (await getItems(batchId)).filter(item => item.status === 'ready' || item.status === 'failed');
+  const remainingTotal = outstanding.reduce((sum, item) => sum + parseFloat(item.amount), 0);
+
+  // Rows pay the address checked in the dry run; a contact repointed since then needs a new one
+  for (const item of outstanding.filter(row => row.contact_id)) {
+    const contact = await dbService.getContactById(item.contact_id);
+    if (directoryService.addressChangedSince(contact, item.created_at)) {
+      return {
+        success: false,
+        error: `${contact.name}'s payment address changed after the dry run, so I haven't sent anything. Run a new dry run to check the new address.`
+      };
+    }
+  }
+
+  const toConfirm = outstanding.filter(item => item.confirm_reason);
+  if (toConfirm.length > 0 && !confirmed) {
+    return {
+      success: false,
+      requiresConfirmation: true,
+      rows: toConfirm.map(formatItem),
+      message: `Before I send this batch, please confirm: ${toConfirm.map(item => `row ${item.row_number}, ${item.confirm_reason}`).join('; ')}.`
+    };
+  }
+
+  // The PIN covers the batch total, and any row that's a first payment to someone
+  for (const item of outstanding) {
+    const stepUp = await policyService.checkStepUpRequired(
+      user.id,
+      { name: item.recipient_name, wallet_address: item.wallet_address },
+      remainingTotal,
+      session
+    );
+    if (stepUp.required) {
+      return { success: false, requiresStepUp: true, reason: stepUp.reason };
+    }
+  }
+
+  // Only one run at a time per batch
+  const { data: claimed, error: claimError } = await supabase
+    .from('payout_batches')
+    .update({ status: 'executing', updated_at: new Date().toISOString() })
+    .eq('id', batchId)
+    .in('status', ['validated', 'partial'])
+    .select()
+    .single();
+
+  if (claimError && claimError.code !== 'PGRST116') throw claimError;
+  if (!claimed) {
+    return { success: false, error: 'That batch is already being paid. Check its status in a moment.' };
+  }
+
+  try {
+    const balance = parseFloat(await circleService.getBalance(user.wallet_id));
+    const budgetCheck = await policyService.checkAutoApproval(user.id, null, remainingTotal);
+
+    if (balance < remainingTotal || budgetCheck.budgetExceeded) {
+      await setBatchStatus(batchId, 'partial');
+      return {
+        success: false,
+        error: budgetCheck.budgetExceeded
+          ? budgetCheck.reason
+          : `Your balance ($${balance}) is less than what's left to pay ($${remainingTotal}).`
+      };
+    }
+
+    for (const item of outstanding.slice(0, MAX_ITEMS_PER_RUN)) {
+      try {
+        const transfer = await paymentsService.executeTransfer({
+          sender: user,
+          contact: { name: item.recipient_name, wallet_address: item.wallet_address },
+          amount: parseFloat(item.amount),
+          wasAutoApproved: false,
+          waitForConfirmation: false,
+          // One row can only ever be one Circle transfer, however often it's resumed
+          idempotencyKey: circleService.deriveIdempotencyKey('payout', item.id)
+        });
+
+        await updateItem(item.id, {
+          status: transfer.success ? 'submitted' : 'failed',
+          circle_tx_id: transfer.txResult.transactionId,
+          error: transfer.success ? null : 'The transfer did not go through'
+        });
+      } catch (error) {
+        console.error(`[Payouts] Row ${item.row_number} of batch ${batchId} failed: ${error.message}`);
+        await updateItem(item.id, { status: 'failed', error: error.message });
+      }
+    }
+
+    const { report, settled } = await refreshBatch(user.id, batchId, ['executing']);
+    const remaining = (report.counts.ready || 0) + (report.counts.failed || 0);
+
+    // Normally the last row settles later, and settlePayoutItem sends the alert
+    if (settled) {
+      await sendSummaryAlert(user.id, report);
+    }
+
+    console.log(`[Payouts] Batch ${batchId}: ${report.counts.submitted || 0} submitted, ${report.counts.failed || 0} failed, ${report.counts.ready || 0} waiting`);
+
+    return {
+      success: true,
+      report,
+      remaining,
+      message: describeProgress(report)
+    };
+  } catch (error) {
+    await setBatchStatus(batchId, 'partial');
+    throw error;
+  }
+}
+
+/**
+ * Record the outcome of a payout row's transfer once it settles
+ * Called with the record finalizeTransfer returns; anything that isn't a
+ * payout row is ignored.
+ * @param {Object} record - Finalized transactions record
+ * @returns {Promise<Object|null>} The updated row, or null if the transfer wasn't a payout
+ */
+export async function settlePayoutItem(record) {
+  const completed = record.status === 'completed';
+
+  const { data: item, error } = await supabase
+    .from('payout_items')
+    .update({
+      status: completed ? 'paid' : 'failed',
+      error: completed ? null : 'The transfer did not go through',
+      updated_at: new Date().toISOString()
+    })
+    .eq('circle_tx_id', record.circle_tx_id)
+    .eq('status', 'submitted')
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!item) {
+    return null;
+  }
+
+  // A paid row the user confirmed is the confirmation a changed address was waiting for
+  if (completed && item.contact_id && item.confirm_reason) {
+    await paymentsService.clearAddressConfirmation(record.user_id, item.contact_id, item.created_at);
+  }
+
+  const { report, settled } = await refreshBatch(record.user_id, item.batch_id, ['submitted', 'partial']);
+  if (settled) {
+    await sendSummaryAlert(record.user_id, report);
+  }
+  return item;
+}
+
+/**
+ * Set a batch's status from its rows: partial while rows are left to send or
+ * retry, submitted while sent rows are still settling, completed once every
+ * valid row is paid
+ * @param {string} userId - Owner of the batch
+ * @param {string} batchId - The batch
+ * @param {Array<string>} fromStatuses - Statuses it may move from; a run in progress keeps 'executing' until it finishes
+ * @returns {Promise<Object>} { report, settled } - settled: the status moved and nothing is left to send or settle
+ */
+async function refreshBatch(userId, batchId, fromStatuses) {
+  const report = await getPayoutReport(userId, batchId);
+  const { ready = 0, failed = 0, submitted = 0 } = report.counts;
+  const status = ready || failed ? 'partial' : submitted ? 'submitted' : 'completed';
+
+  const { data, error } = await supabase
+    .from('payout_batches')
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('id', batchId)
+    .in('status', fromStatuses)
+    .select('id');
+
+  if (error) throw error;
+  return { report: { ...report, status }, settled: (data || []).length > 0 && !ready && !submitted };
+}
+
+async function updateItem(itemId, updates) {
+  const { error } = await supabase
+    .from('payout_items')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', itemId);
+
+  if (error) throw error;
+}
+
+async function setBatchStatus(batchId, status) {
+  await supabase
+    .from('payout_batches')
+    .update({ status, updated_at: new Date().toISOString() })
+    .eq('id', batchId);
+}
+
+function describeProgress(report) {
+  const paid = report.counts.paid || 0;
+  const settling = report.counts.submitted || 0;
+  const failed = report.counts.failed || 0;
+  const waiting = report.counts.ready || 0;
+
+  const parts = [`${paid + settling} of ${report.rows.filter(row => row.status !== 'invalid').length} payments sent`];
+  if (settling) parts.push(`${settling} still confirming on the blockchain`);
+  if (failed) parts.push(`${failed} failed, run the batch again to retry them`);
+  if (waiting) parts.push(`${waiting} still to go, run the batch again to continue`);
+  return parts.join('; ') + '.';
+}
+
+async function sendSummaryAlert(userId, report) {
+  const paid = report.rows.filter(row => row.status === 'paid');
+  const failed = report.rows.filter(row => row.status === 'failed');
+  const paidTotal = paid.reduce((sum, row) => sum + row.amount, 0);
+  const rowCount = paid.length + failed.length;
+
+  await policyService.createAlert(
+    userId,
+    'payout_batch_completed',
+    failed.length ? 'Batch Payout Finished With Errors' : 'Batch Payout Sent',
+    failed.length
+      ? `I paid ${paid.length} of ${rowCount} payments ($${paidTotal}). ${failed.length} failed: ${failed.map(row => row.recipient).join(', ')}.`
+      : `All ${paid.length} payments in your batch went through, $${paidTotal} in total.`,
+    { batchId: report.batchId, paid: paid.length, failed: failed.length, total: paidTotal }
+  );
+}
+
+export default {
+  MAX_PAYOUT_ROWS,
+  parsePayoutRows,
+  createPayoutBatch,
+  getPayoutReport,
+  executePayoutBatch,
+  settlePayoutItem
+};
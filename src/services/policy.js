@@ -7,7 +7,274 @@
  * - TREASURY: Spending tracking, analytics
  */
 
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
 import { supabase } from './db.js';
+import { formatTokenAmount } from './network.js';
+
+const scryptAsync = promisify(scrypt);
+
+// ============================================
+// PILLAR 1: IDENTITY
+// ============================================
+
+// Lock the spoken PIN after this many consecutive wrong attempts
+const MAX_PIN_ATTEMPTS = parseInt(process.env.VOICE_PIN_MAX_ATTEMPTS || '5', 10);
+const PIN_LOCKOUT_MINUTES = parseInt(process.env.VOICE_PIN_LOCKOUT_MINUTES || '15', 10);
+
+// A successful step-up covers sends for this long within the same call
+export const STEP_UP_VALIDITY_MINUTES = 10;
+
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+/**
+ * Normalize a spoken PIN/passphrase so transcription differences don't matter
+ * "One two three four", "1-2-3-4" and "1234" all normalize to "1234"
+ */
+function normalizeVoiceSecret(secret) {
+  return String(secret)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .map(word => DIGIT_WORDS[word] ?? word)
+    .join('');
+}
+
+async function hashVoiceSecret(secret, salt) {
+  const derived = await scryptAsync(normalizeVoiceSecret(secret), salt, 64);
+  return derived.toString('hex');
+}
+
+/**
+ * Get a user's voice credential (PIN/passphrase) record, or null if not enrolled
+ */
+export async function getVoiceCredential(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('voice_credentials')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code === 'PGRST116') return null;
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('[Identity] Error getting voice credential:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a PIN/passphrase someone wants to enroll
+ * @returns {string|null} What's wrong with it, or null if it can be used
+ */
+export function validateVoiceSecret(secret) {
+  if (normalizeVoiceSecret(secret).length < 4) {
+    return 'PIN or passphrase must be at least 4 characters';
+  }
+  return null;
+}
+
+/**
+ * Enroll (or replace) a user's spoken PIN/passphrase
+ * Stored as a scrypt hash with a fresh per-user salt
+ */
+export async function enrollVoiceCredential(userId, secret) {
+  try {
+    const invalid = validateVoiceSecret(secret);
+    if (invalid) {
+      throw new Error(invalid);
+    }
+
+    const salt = randomBytes(16).toString('hex');
+    const secretHash = await hashVoiceSecret(secret, salt);
+
+    const { error } = await supabase
+      .from('voice_credentials')
+      .upsert({
+        user_id: userId,
+        secret_hash: secretHash,
+        salt,
+        failed_attempts: 0,
+        locked_until: null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' });
+
+    if (error) throw error;
+    console.log(`[Identity] Enrolled voice credential for user ${userId}`);
+    return true;
+  } catch (error) {
+    console.error('[Identity] Error enrolling voice credential:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a spoken PIN/passphrase
+ * Returns: { verified: boolean, enrolled: boolean, locked: boolean, attemptsRemaining?: number, lockedUntil?: string }
+ * Locks the credential after MAX_PIN_ATTEMPTS failures and raises a security alert.
+ * Failures are counted in one atomic UPDATE (record_failed_pin_attempt), so
+ * guesses sent in parallel can't get past the limit, and a correct PIN only
+ * counts if the credential is still unlocked when it's recorded.
+ */
+export async function verifyVoiceCredential(userId, secret) {
+  try {
+    const credential = await getVoiceCredential(userId);
+    if (!credential) {
+      return { verified: false, enrolled: false, locked: false };
+    }
+
+    if (credential.locked_until && new Date(credential.locked_until) > new Date()) {
+      return { verified: false, enrolled: true, locked: true, lockedUntil: credential.locked_until };
+    }
+
+    const candidate = Buffer.from(await hashVoiceSecret(secret, credential.salt), 'hex');
+    const expected = Buffer.from(credential.secret_hash, 'hex');
+    const matches = candidate.length === expected.length && timingSafeEqual(candidate, expected);
+
+    if (matches) {
+      // Another request may have locked it since it was read above
+      const now = new Date().toISOString();
+      const { data: reset, error: resetError } = await supabase
+        .from('voice_credentials')
+        .update({ failed_attempts: 0, locked_until: null, updated_at: now })
+        .eq('user_id', userId)
+        .or(`locked_until.is.null,locked_until.lte.${now}`)
+        .select('user_id');
+
+      if (resetError) throw resetError;
+      if (!reset?.length) {
+        return { verified: false, enrolled: true, locked: true };
+      }
+      return { verified: true, enrolled: true, locked: false };
+    }
+
+    const { data: updated, error: attemptError } = await supabase.rpc('record_failed_pin_attempt', {
+      p_user_id: userId,
+      p_max_attempts: MAX_PIN_ATTEMPTS,
+      p_lockout_minutes: PIN_LOCKOUT_MINUTES
+    });
+
+    if (attemptError) throw attemptError;
+
+    const failedAttempts = updated.failed_attempts;
+    const lockedUntil = updated.locked_until;
+    if (lockedUntil && new Date(lockedUntil) > new Date()) {
+      // Only the attempt that tripped the lock raises the alert
+      if (failedAttempts === MAX_PIN_ATTEMPTS) {
+        console.warn(`[Identity] Voice credential locked for user ${userId} after ${failedAttempts} failures`);
+        await createAlert(
+          userId,
+          'security_lockout',
+          'PIN Locked',
+          `Someone entered the wrong PIN ${failedAttempts} times. Payments that need your PIN are locked for ${PIN_LOCKOUT_MINUTES} minutes.`,
+          { failedAttempts, lockedUntil }
+        );
+      }
+      return { verified: false, enrolled: true, locked: true, lockedUntil };
+    }
+
+    return {
+      verified: false,
+      enrolled: true,
+      locked: false,
+      attemptsRemaining: MAX_PIN_ATTEMPTS - failedAttempts
+    };
+  } catch (error) {
+    console.error('[Identity] Error verifying voice credential:', error);
+    throw error;
+  }
+}
+
+/**
+ * Whether the caller passed a PIN check on this conversation recently enough
+ * (within STEP_UP_VALIDITY_MINUTES)
+ * @param {Object|null} session - The conversation session (req.conversation)
+ */
+export function isStepUpVerified(session) {
+  const verifiedAt = session?.step_up_verified_at ? new Date(session.step_up_verified_at) : null;
+  return !!verifiedAt && Date.now() - verifiedAt.getTime() < STEP_UP_VALIDITY_MINUTES * 60 * 1000;
+}
+
+/**
+ * Whether a policy update weakens step-up: a higher (or no) step_up_threshold,
+ * or step_up_new_contacts turned off. Such changes need the PIN themselves,
+ * or anyone on the line could switch step-up off before sending.
+ *
+ * @param {Object} policy - Current user_policies record
+ * @param {Object} updates - Fields about to be written
+ * @returns {string|null} Spoken reason the PIN is needed, or null
+ */
+export function describeStepUpLoosening(policy, updates) {
+  if ('step_up_threshold' in updates && policy.step_up_threshold !== null && policy.step_up_threshold !== undefined) {
+    const current = parseFloat(policy.step_up_threshold);
+    if (updates.step_up_threshold === null || updates.step_up_threshold > current) {
+      return 'I need your PIN to raise or remove the amount that needs it.';
+    }
+  }
+  if (updates.step_up_new_contacts === false && policy.step_up_new_contacts) {
+    return 'I need your PIN to stop asking for it on payments to new contacts.';
+  }
+  return null;
+}
+
+/**
+ * Check whether a send needs step-up (spoken PIN) verification first
+ * Triggers: amount above the policy's step_up_threshold, or first payment to a
+ * contact's wallet address when step_up_new_contacts is on. A step-up done earlier in the same
+ * conversation (within STEP_UP_VALIDITY_MINUTES) satisfies the check.
+ * The threshold applies to other tokens at face value, like unset token limits.
+ * Returns: { required: boolean, reason: string }
+ */
+export async function checkStepUpRequired(userId, contact, amount, session = null, token = 'USDC') {
+  try {
+    const amountNum = parseFloat(amount);
+    const policy = await getUserPolicy(userId);
+
+    let reason = '';
+
+    if (policy.step_up_threshold !== null && policy.step_up_threshold !== undefined &&
+        amountNum > parseFloat(policy.step_up_threshold)) {
+      reason = `Payments over ${formatTokenAmount(policy.step_up_threshold, token)} need your PIN.`;
+    } else if (policy.step_up_new_contacts) {
+      // Matched on the wallet paid, not the name, which can be changed or reused.
+      // A recipient without an address yet (a pay-link) is always new
+      let count = 0;
+      if (contact.wallet_address) {
+        const { count: paid, error } = await supabase
+          .from('transactions')
+          .select('id', { count: 'exact', head: true })
+          .eq('user_id', userId)
+          .eq('type', 'send')
+          .eq('status', 'completed')
+          .eq('recipient_address', contact.wallet_address.toLowerCase());
+
+        if (error) throw error;
+        count = paid;
+      }
+      if (!count) {
+        reason = `This is your first payment to ${contact.name}, so I need your PIN.`;
+      }
+    }
+
+    if (!reason) {
+      return { required: false, reason: '' };
+    }
+
+    if (isStepUpVerified(session)) {
+      return { required: false, reason: 'PIN already verified on this call.' };
+    }
+
+    return { required: true, reason };
+  } catch (error) {
+    console.error('[Identity] Error checking step-up requirement:', error);
+    // Fail closed: if we can't tell, ask for the PIN
+    return { required: true, reason: 'Please verify with your PIN to continue.' };
+  }
+}
 
 // ============================================
 // PILLAR 2: POLICIES
@@ -69,10 +336,32 @@ export async function updateUserPolicy(userId, updates) {
   }
 }
 
+/**
+ * A user's spending limits for one token
+ * USDC uses the policy's own limits. Other tokens use user_policies.token_limits
+ * ({ "EURC": { auto_approve_limit, daily_spending_limit, weekly_spending_limit } }),
+ * and any limit not set there falls back to the USDC one at face value.
+ *
+ * @param {Object} policy - user_policies record
+ * @param {string} [token='USDC']
+ * @returns {Object} { auto_approve_limit, daily_spending_limit, weekly_spending_limit }
+ */
+export function getTokenLimits(policy, token = 'USDC') {
+  const limits = token === 'USDC' ? {} : policy.token_limits?.[token] || {};
+  return {
+    auto_approve_limit: limits.auto_approve_limit ?? policy.auto_approve_limit,
+    daily_spending_limit: limits.daily_spending_limit ?? policy.daily_spending_limit,
+    weekly_spending_limit: limits.weekly_spending_limit ?? policy.weekly_spending_limit
+  };
+}
+
 /**
  * Check if a contact is trusted
  */
 export async function isTrustedContact(userId, contactId) {
+  // Unsaved recipients (e.g. paid by phone number) are never trusted
+  if (!contactId) return null;
+
   try {
     const { data, error } = await supabase
       .from('trusted_contacts')
@@ -158,21 +447,29 @@ export async function getTrustedContacts(userId) {
 
 /**
  * Check if a payment can be auto-approved based on policies
- * Returns: { canAutoApprove: boolean, reason: string, requiresConfirmation: boolean }
+ * Budgets are per token: a EURC send is checked against the EURC limits and
+ * EURC spending only.
+ * Returns: { canAutoApprove: boolean, reason: string, requiresConfirmation: boolean,
+ *   budgetStatus, budgetExceeded?: 'daily'|'weekly'|'unverified', addressChanged? }
+ *   ('unverified' when the policies couldn't be read; the send must not go ahead)
  */
-export async function checkAutoApproval(userId, contactId, amount) {
+export async function checkAutoApproval(userId, contactId, amount, token = 'USDC') {
   try {
     const amountNum = parseFloat(amount);
+    const money = value => formatTokenAmount(value, token);
 
     // Get user policy
-    const policy = await getUserPolicy(userId);
+    const policy = getTokenLimits(await getUserPolicy(userId), token);
 
     // Check if contact is trusted
     const trustedContact = await isTrustedContact(userId, contactId);
 
-    // Get today's spending
-    const todaySpent = await getTodaySpending(userId);
-    const weekSpent = await getWeekSpending(userId);
+    // Get today's spending, plus sends that haven't settled yet
+    const reserved = await getQueuedSpending(userId, token);
+    const todaySpent = await getTodaySpending(userId, token);
+    const weekSpent = await getWeekSpending(userId, token);
+    const todayCommitted = todaySpent + reserved;
+    const weekCommitted = weekSpent + reserved;
 
     // Decision logic
     const result = {
@@ -182,67 +479,110 @@ export async function checkAutoApproval(userId, contactId, amount) {
       budgetStatus: {
         todaySpent,
         weekSpent,
+        reserved,
         dailyLimit: policy.daily_spending_limit,
         weeklyLimit: policy.weekly_spending_limit,
-        remainingToday: policy.daily_spending_limit - todaySpent,
-        remainingWeek: policy.weekly_spending_limit - weekSpent
+        remainingToday: policy.daily_spending_limit - todayCommitted,
+        remainingWeek: policy.weekly_spending_limit - weekCommitted,
+        token
       }
     };
 
+    const queuedNote = reserved > 0 ? `, plus ${money(reserved)} still going through` : '';
+
     // Check 1: Would this exceed daily limit?
-    if (todaySpent + amountNum > policy.daily_spending_limit) {
-      result.reason = `This would exceed your daily limit of $${policy.daily_spending_limit}. You've spent $${todaySpent} today.`;
+    if (todayCommitted + amountNum > policy.daily_spending_limit) {
+      result.reason = `This would exceed your daily limit of ${money(policy.daily_spending_limit)}. You've spent ${money(todaySpent)} today${queuedNote}.`;
       result.budgetExceeded = 'daily';
       return result;
     }
 
     // Check 2: Would this exceed weekly limit?
-    if (weekSpent + amountNum > policy.weekly_spending_limit) {
-      result.reason = `This would exceed your weekly limit of $${policy.weekly_spending_limit}. You've spent $${weekSpent} this week.`;
+    if (weekCommitted + amountNum > policy.weekly_spending_limit) {
+      result.reason = `This would exceed your weekly limit of ${money(policy.weekly_spending_limit)}. You've spent ${money(weekSpent)} this week${queuedNote}.`;
       result.budgetExceeded = 'weekly';
       return result;
     }
 
-    // Check 3: Is contact trusted?
+    // Check 3: Did the contact's payment address change since the last confirmed send?
+    if (contactId) {
+      const { data: contact, error: contactError } = await supabase
+        .from('contacts')
+        .select('name, confirm_next_send')
+        .eq('id', contactId)
+        .single();
+
+      if (contactError && contactError.code !== 'PGRST116') throw contactError;
+      if (contact?.confirm_next_send) {
+        result.reason = `${contact.name}'s payment address was changed recently, so I need you to confirm this one.`;
+        result.addressChanged = true;
+        return result;
+      }
+    }
+
+    // Check 4: Is contact trusted?
     if (!trustedContact) {
       result.reason = 'This contact is not in your trusted list.';
       return result;
     }
 
-    // Check 4: Is amount within auto-approve limit?
-    const effectiveLimit = trustedContact.auto_approve_limit || policy.auto_approve_limit;
+    // Check 5: Is amount within auto-approve limit?
+    // A contact's own limit is in USDC; other tokens use the token's limit
+    const effectiveLimit = (token === 'USDC' && trustedContact.auto_approve_limit) || policy.auto_approve_limit;
 
     if (amountNum <= effectiveLimit) {
       result.canAutoApprove = true;
       result.requiresConfirmation = false;
-      result.reason = `Auto-approved: $${amount} is within your $${effectiveLimit} limit for trusted contacts.`;
+      result.reason = `Auto-approved: ${money(amount)} is within your ${money(effectiveLimit)} limit for trusted contacts.`;
       return result;
     }
 
     // Amount exceeds auto-approve limit but contact is trusted
-    result.reason = `Amount $${amount} exceeds your auto-approve limit of $${effectiveLimit}.`;
+    result.reason = `Amount ${money(amount)} exceeds your auto-approve limit of ${money(effectiveLimit)}.`;
     return result;
 
   } catch (error) {
     console.error('[Policy] Error checking auto-approval:', error);
+    // Fail closed: a budget that can't be checked blocks the send, confirmed or not
     return {
       canAutoApprove: false,
       requiresConfirmation: true,
-      reason: 'Could not verify policies. Please confirm manually.'
+      budgetExceeded: 'unverified',
+      reason: "I couldn't check your spending limits just now, so I can't send this. Please try again shortly.",
+      budgetStatus: {
+        todaySpent: null,
+        weekSpent: null,
+        reserved: null,
+        dailyLimit: null,
+        weeklyLimit: null,
+        remainingToday: null,
+        remainingWeek: null,
+        token
+      }
     };
   }
 }
 
+/**
+ * A day's spending in one token
+ * total_spent is USDC; other tokens are kept in token_spending ({ "EURC": 40 })
+ */
+function spentInToken(day, token) {
+  return parseFloat((token === 'USDC' ? day?.total_spent : day?.token_spending?.[token]) || 0);
+}
+
 /**
  * Get today's total spending
+ * @param {string} userId
+ * @param {string} [token='USDC'] - Token to total
  */
-export async function getTodaySpending(userId) {
+export async function getTodaySpending(userId, token = 'USDC') {
   try {
     const today = new Date().toISOString().split('T')[0];
 
     const { data, error } = await supabase
       .from('daily_spending')
-      .select('total_spent')
+      .select('total_spent, token_spending')
       .eq('user_id', userId)
       .eq('date', today)
       .single();
@@ -250,7 +590,7 @@ export async function getTodaySpending(userId) {
     if (error && error.code === 'PGRST116') return 0;
     if (error) throw error;
 
-    return parseFloat(data?.total_spent || 0);
+    return spentInToken(data, token);
   } catch (error) {
     console.error('[Policy] Error getting today spending:', error);
     return 0;
@@ -259,8 +599,10 @@ export async function getTodaySpending(userId) {
 
 /**
  * Get this week's total spending
+ * @param {string} userId
+ * @param {string} [token='USDC'] - Token to total
  */
-export async function getWeekSpending(userId) {
+export async function getWeekSpending(userId, token = 'USDC') {
   try {
     // Get start of week (Monday)
     const now = new Date();
@@ -270,13 +612,13 @@ export async function getWeekSpending(userId) {
 
     const { data, error } = await supabase
       .from('daily_spending')
-      .select('total_spent')
+      .select('total_spent, token_spending')
       .eq('user_id', userId)
       .gte('date', weekStart);
 
     if (error) throw error;
 
-    const total = (data || []).reduce((sum, d) => sum + parseFloat(d.total_spent || 0), 0);
+    const total = (data || []).reduce((sum, d) => sum + spentInToken(d, token), 0);
     return total;
   } catch (error) {
     console.error('[Policy] Error getting week spending:', error);
@@ -284,10 +626,49 @@ export async function getWeekSpending(userId) {
   }
 }
 
+/**
+ * Total of sends committed but not yet in daily spending, in one token:
+ * sends queued in their undo window or being released from it, and sends
+ * submitted to Circle that haven't settled. Budget checks count them until
+ * they're undone, fail, or settle into daily spending.
+ */
+export async function getQueuedSpending(userId, token = 'USDC') {
+  try {
+    const { data: intents, error: intentsError } = await supabase
+      .from('payment_intents')
+      .select('amount')
+      .eq('user_id', userId)
+      .eq('token', token)
+      // Only intents that were queued: a confirmed intent being executed is the send under check
+      .or('status.eq.queued,and(status.eq.executing,release_at.not.is.null)');
+
+    if (intentsError) throw intentsError;
+
+    const { data: submitted, error: submittedError } = await supabase
+      .from('transactions')
+      .select('amount')
+      .eq('user_id', userId)
+      .eq('type', 'send')
+      .eq('status', 'pending')
+      .eq('token', token);
+
+    if (submittedError) throw submittedError;
+
+    return [...(intents || []), ...(submitted || [])]
+      .reduce((sum, row) => sum + parseFloat(row.amount || 0), 0);
+  } catch (error) {
+    console.error('[Policy] Error getting queued spending:', error);
+    return 0;
+  }
+}
+
 /**
  * Update daily spending after a transaction
+ * @param {string} userId
+ * @param {number|string} amount - Amount sent, in the token
+ * @param {string} [token='USDC'] - Token sent
  */
-export async function updateDailySpending(userId, amount) {
+export async function updateDailySpending(userId, amount, token = 'USDC') {
   try {
     const today = new Date().toISOString().split('T')[0];
     const amountNum = parseFloat(amount);
@@ -301,10 +682,14 @@ export async function updateDailySpending(userId, amount) {
       .single();
 
     if (existing) {
+      const spending = token === 'USDC'
+        ? { total_spent: parseFloat(existing.total_spent) + amountNum }
+        : { token_spending: { ...existing.token_spending, [token]: spentInToken(existing, token) + amountNum } };
+
       await supabase
         .from('daily_spending')
         .update({
-          total_spent: parseFloat(existing.total_spent) + amountNum,
+          ...spending,
           transaction_count: existing.transaction_count + 1,
           updated_at: new Date().toISOString()
         })
@@ -315,12 +700,13 @@ export async function updateDailySpending(userId, amount) {
         .insert({
           user_id: userId,
           date: today,
-          total_spent: amountNum,
+          total_spent: token === 'USDC' ? amountNum : 0,
+          token_spending: token === 'USDC' ? {} : { [token]: amountNum },
           transaction_count: 1
         });
     }
 
-    console.log(`[Policy] Updated daily spending for user ${userId}: +$${amount}`);
+    console.log(`[Policy] Updated daily spending for user ${userId}: +${formatTokenAmount(amount, token)}`);
   } catch (error) {
     console.error('[Policy] Error updating daily spending:', error);
   }
@@ -457,24 +843,45 @@ export async function getSpendingSummary(userId, days = 7) {
 
     if (dailyError) throw dailyError;
 
-    // Get transaction breakdown by recipient
+    // Get transaction breakdown by recipient, counting only sends that went through
     const { data: txData, error: txError } = await supabase
       .from('transactions')
-      .select('amount, recipient_name, created_at')
+      .select('amount, recipient_name, category, network_fee, token, created_at')
       .eq('user_id', userId)
       .eq('type', 'send')
+      .eq('status', 'completed')
       .gte('created_at', startDate.toISOString())
       .order('amount', { ascending: false });
 
     if (txError) throw txError;
 
-    // Calculate totals
-    const totalSpent = (dailyData || []).reduce((sum, d) => sum + parseFloat(d.total_spent || 0), 0);
-    const totalTransactions = (dailyData || []).reduce((sum, d) => sum + (d.transaction_count || 0), 0);
+    // Totals, recipients and categories are in USDC, like the budgets below;
+    // sends in other tokens are totalled on their own in otherTokens
+    const usdcTx = (txData || []).filter(tx => (tx.token || 'USDC') === 'USDC');
+    const totalSpent = usdcTx.reduce((sum, tx) => sum + parseFloat(tx.amount), 0);
+    const totalTransactions = usdcTx.length;
+
+    const byToken = {};
+    (txData || []).forEach(tx => {
+      const token = tx.token || 'USDC';
+      if (token === 'USDC') return;
+      if (!byToken[token]) {
+        byToken[token] = { total: 0, count: 0 };
+      }
+      byToken[token].total += parseFloat(tx.amount);
+      byToken[token].count += 1;
+    });
+    const otherTokens = Object.entries(byToken)
+      .map(([token, data]) => ({ token, total: data.total.toFixed(2), count: data.count }))
+      .sort((a, b) => b.count - a.count);
+
+    // Network fees Circle charged on these sends
+    const feeTransactions = (txData || []).filter(tx => tx.network_fee !== null && tx.network_fee !== undefined);
+    const totalNetworkFees = feeTransactions.reduce((sum, tx) => sum + parseFloat(tx.network_fee), 0);
 
     // Group by recipient
     const byRecipient = {};
-    (txData || []).forEach(tx => {
+    usdcTx.forEach(tx => {
       const name = tx.recipient_name || 'Unknown';
       if (!byRecipient[name]) {
         byRecipient[name] = { total: 0, count: 0 };
@@ -483,6 +890,28 @@ export async function getSpendingSummary(userId, days = 7) {
       byRecipient[name].count += 1;
     });
 
+    // Group by category
+    const byCategoryTotals = {};
+    usdcTx.forEach(tx => {
+      const category = tx.category || 'uncategorized';
+      if (!byCategoryTotals[category]) {
+        byCategoryTotals[category] = { total: 0, count: 0 };
+      }
+      byCategoryTotals[category].total += parseFloat(tx.amount);
+      byCategoryTotals[category].count += 1;
+    });
+
+    // Shares are of the categorized sends themselves so they always add up to 100%
+    const categorizedTotal = Object.values(byCategoryTotals).reduce((sum, data) => sum + data.total, 0);
+    const byCategory = Object.entries(byCategoryTotals)
+      .map(([category, data]) => ({
+        category,
+        total: data.total,
+        count: data.count,
+        percentage: categorizedTotal > 0 ? Math.round((data.total / categorizedTotal) * 100) : 0
+      }))
+      .sort((a, b) => b.total - a.total);
+
     // Sort recipients by amount
     const topRecipients = Object.entries(byRecipient)
       .map(([name, data]) => ({
@@ -501,10 +930,18 @@ export async function getSpendingSummary(userId, days = 7) {
 
     return {
       period: `Last ${days} days`,
+      token: 'USDC',
       totalSpent: totalSpent.toFixed(2),
       totalTransactions,
       averagePerTransaction: totalTransactions > 0 ? (totalSpent / totalTransactions).toFixed(2) : '0.00',
       topRecipients,
+      byCategory,
+      otherTokens,
+      networkFees: {
+        total: totalNetworkFees.toFixed(6),
+        transactions: feeTransactions.length,
+        averagePerTransaction: feeTransactions.length > 0 ? (totalNetworkFees / feeTransactions.length).toFixed(6) : '0.000000'
+      },
       budget: {
         daily: {
           limit: policy.daily_spending_limit,
@@ -528,9 +965,18 @@ export async function getSpendingSummary(userId, days = 7) {
 }
 
 export default {
+  // Identity
+  getVoiceCredential,
+  enrollVoiceCredential,
+  validateVoiceSecret,
+  verifyVoiceCredential,
+  isStepUpVerified,
+  describeStepUpLoosening,
+  checkStepUpRequired,
   // Policies
   getUserPolicy,
   updateUserPolicy,
+  getTokenLimits,
   isTrustedContact,
   addTrustedContact,
   removeTrustedContact,
@@ -539,6 +985,7 @@ export default {
   checkAutoApproval,
   getTodaySpending,
   getWeekSpending,
+  getQueuedSpending,
   updateDailySpending,
   // Alerts
   createAlert,
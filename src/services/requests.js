@@ -0,0 +1,376 @@
+/**
+ * PayVoice Payment Requests Service
+ * Lets one PayVoice user ask another for money.
+ *
+ * status: pending -> processing -> paid, or pending -> declined | expired
+ * A request is claimed ('processing') before a payment for it goes out, so two
+ * accepts can't both pay it, and only becomes 'paid' once the transfer settles;
+ * a payment that fails or is undone puts it back to 'pending'.
+ * Both sides get alerts when a request is created, answered or expires.
+ */
+
+import * as dbService from './db.js';
+import * as policyService from './policy.js';
+import { supabase } from './db.js';
+
+const REQUEST_TTL_DAYS = parseInt(process.env.PAYMENT_REQUEST_TTL_DAYS || '7', 10);
+
+/**
+ * How a user is named in messages to the other side
+ */
+function displayName(user) {
+  return user?.name || `the PayVoice user ending in ${String(user?.phone || '').slice(-4)}`;
+}
+
+/**
+ * Describe a request from the payer's point of view
+ */
+export function describeRequest(request) {
+  const note = request.note ? ` for ${request.note}` : '';
+  return `${request.requester_name} asked you for $${parseFloat(request.amount)}${note}`;
+}
+
+/**
+ * Create a payment request and alert both sides
+ *
+ * @param {Object} params
+ * @param {Object} params.requester - User asking for money
+ * @param {Object} params.payer - User being asked
+ * @param {number} params.amount - Amount in USDC
+ * @param {string} [params.note] - What it's for
+ * @returns {Promise<Object>} The created request
+ */
+export async function createRequest({ requester, payer, amount, note = null }) {
+  try {
+    const expiresAt = new Date(Date.now() + REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('payment_requests')
+      .insert({
+        requester_id: requester.id,
+        payer_id: payer.id,
+        requester_name: displayName(requester),
+        payer_name: displayName(payer),
+        amount,
+        note,
+        status: 'pending',
+        expires_at: expiresAt
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await policyService.createAlert(
+      payer.id,
+      'payment_request_received',
+      'Payment Request',
+      `${describeRequest(data)}. Just tell me if you want to pay or decline.`,
+      { requestId: data.id, amount, requesterId: requester.id }
+    );
+    await policyService.createAlert(
+      requester.id,
+      'payment_request_sent',
+      'Request Sent',
+      `You asked ${data.payer_name} for $${amount}${note ? ` for ${note}` : ''}. The request expires in ${REQUEST_TTL_DAYS} days.`,
+      { requestId: data.id, amount, payerId: payer.id }
+    );
+
+    console.log(`[Requests] Created request ${data.id}: ${requester.id} -> ${payer.id} $${amount}`);
+    return data;
+  } catch (error) {
+    console.error('[Requests] Error creating request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Expire pending requests past their expiry and alert both sides
+ * @param {string} [userId] - Only requests involving this user (all users if omitted)
+ * @returns {Promise<number>} Number of requests expired
+ */
+export async function expireStaleRequests(userId = null) {
+  try {
+    let query = supabase
+      .from('payment_requests')
+      .update({ status: 'expired', updated_at: new Date().toISOString() })
+      .eq('status', 'pending')
+      .lt('expires_at', new Date().toISOString());
+
+    if (userId) {
+      query = query.or(`requester_id.eq.${userId},payer_id.eq.${userId}`);
+    }
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+
+    for (const request of data || []) {
+      await policyService.createAlert(
+        request.requester_id,
+        'payment_request_expired',
+        'Request Expired',
+        `Your request to ${request.payer_name} for $${parseFloat(request.amount)} expired without being paid.`,
+        { requestId: request.id }
+      );
+      await policyService.createAlert(
+        request.payer_id,
+        'payment_request_expired',
+        'Request Expired',
+        `The request from ${request.requester_name} for $${parseFloat(request.amount)} has expired.`,
+        { requestId: request.id }
+      );
+    }
+
+    return (data || []).length;
+  } catch (error) {
+    console.error('[Requests] Error expiring requests:', error);
+    return 0;
+  }
+}
+
+/**
+ * Pending requests a user has been asked to pay (oldest first)
+ */
+export async function getPendingRequestsForPayer(userId) {
+  try {
+    await expireStaleRequests(userId);
+
+    const { data, error } = await supabase
+      .from('payment_requests')
+      .select('*')
+      .eq('payer_id', userId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('[Requests] Error getting pending requests:', error);
+    return [];
+  }
+}
+
+/**
+ * Requests a user has sent that are still waiting
+ */
+export async function getOutgoingRequests(userId) {
+  try {
+    await expireStaleRequests(userId);
+
+    const { data, error } = await supabase
+      .from('payment_requests')
+      .select('*')
+      .eq('requester_id', userId)
+      .eq('status', 'pending')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('[Requests] Error getting outgoing requests:', error);
+    return [];
+  }
+}
+
+/**
+ * Find the pending request a payer is referring to, by ID or requester name
+ * Returns: { request } or { error, candidates? }
+ */
+export async function findPendingRequest(payerId, { requestId, requesterName }) {
+  const pending = await getPendingRequestsForPayer(payerId);
+
+  if (requestId) {
+    const request = pending.find(r => r.id === requestId);
+    return request ? { request } : { error: 'That request is no longer waiting for payment.' };
+  }
+
+  const matches = requesterName
+    ? pending.filter(r => r.requester_name.toLowerCase().includes(String(requesterName).toLowerCase()))
+    : pending;
+
+  if (matches.length === 0) {
+    return { error: requesterName ? `You don't have a pending request from ${requesterName}.` : "You don't have any pending requests." };
+  }
+  if (matches.length > 1) {
+    return {
+      error: `You have ${matches.length} pending requests. Which one: ${matches.map(describeRequest).join(', or ')}?`,
+      candidates: matches
+    };
+  }
+  return { request: matches[0] };
+}
+
+/**
+ * Move a request to its final status and alert the requester
+ * 'paid' applies to a claimed ('processing') request, 'declined' to a pending
+ * one, so a request is answered only once.
+ * @returns {Promise<Object|null>} The updated request, or null if it was no longer pending / claimed
+ */
+export async function resolveRequest(requestId, status, circleTxId = null) {
+  try {
+    const { data, error } = await supabase
+      .from('payment_requests')
+      .update({
+        status,
+        circle_tx_id: circleTxId,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', requestId)
+      .eq('status', status === 'paid' ? 'processing' : 'pending')
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data) return null;
+
+    const amount = parseFloat(data.amount);
+    await policyService.createAlert(
+      data.requester_id,
+      status === 'paid' ? 'payment_request_paid' : 'payment_request_declined',
+      status === 'paid' ? 'Request Paid' : 'Request Declined',
+      status === 'paid'
+        ? `${data.payer_name} paid your request for $${amount}.`
+        : `${data.payer_name} declined your request for $${amount}.`,
+      { requestId: data.id, circleTxId }
+    );
+
+    console.log(`[Requests] Request ${requestId} is now ${status}`);
+    return data;
+  } catch (error) {
+    console.error('[Requests] Error resolving request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Claim a pending request for a payment that's about to go out
+ * Conditional on status = pending, so only one payment can claim it.
+ * @returns {Promise<Object|null>} The claimed request, or null if it's no longer pending
+ */
+export async function claimRequest(requestId) {
+  try {
+    const { data, error } = await supabase
+      .from('payment_requests')
+      .update({ status: 'processing', updated_at: new Date().toISOString() })
+      .eq('id', requestId)
+      .eq('status', 'pending')
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  } catch (error) {
+    console.error('[Requests] Error claiming request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Put a claimed request back to pending when its payment didn't go out
+ */
+export async function releaseRequest(requestId) {
+  try {
+    const { error } = await supabase
+      .from('payment_requests')
+      .update({ status: 'pending', circle_tx_id: null, updated_at: new Date().toISOString() })
+      .eq('id', requestId)
+      .eq('status', 'processing');
+
+    if (error) throw error;
+    console.log(`[Requests] Request ${requestId} is pending again`);
+  } catch (error) {
+    console.error('[Requests] Error releasing request:', error);
+  }
+}
+
+/**
+ * Record the outcome of the transfer that pays a claimed request
+ * Settled: paid. Failed: pending again. Still pending on-chain: the transfer
+ * is linked so settleRequestTransfer can finish it.
+ * @param {string} requestId - The claimed request
+ * @param {Object} transfer - Result of payments.executeTransfer
+ */
+export async function recordRequestTransfer(requestId, transfer) {
+  const circleTxId = transfer.txResult?.transactionId || null;
+
+  if (!transfer.success) {
+    return releaseRequest(requestId);
+  }
+  if (!transfer.pending) {
+    return resolveRequest(requestId, 'paid', circleTxId);
+  }
+
+  const { error } = await supabase
+    .from('payment_requests')
+    .update({ circle_tx_id: circleTxId, updated_at: new Date().toISOString() })
+    .eq('id', requestId)
+    .eq('status', 'processing');
+
+  if (error) throw error;
+}
+
+/**
+ * Finish the request paid by a transfer that just settled, if any
+ * @param {string} circleTxId - The finalized Circle transaction
+ * @param {boolean} completed - Whether the transfer went through
+ */
+export async function settleRequestTransfer(circleTxId, completed) {
+  const { data, error } = await supabase
+    .from('payment_requests')
+    .select('id')
+    .eq('circle_tx_id', circleTxId)
+    .eq('status', 'processing');
+
+  if (error) throw error;
+
+  for (const request of data || []) {
+    if (completed) {
+      await resolveRequest(request.id, 'paid', circleTxId);
+    } else {
+      await releaseRequest(request.id);
+    }
+  }
+}
+
+/**
+ * Get the payer's contact for the requester, creating one if needed
+ * Matches on wallet address first so an existing contact (and its trusted
+ * status) is reused; otherwise saves the requester under their name.
+ */
+export async function getOrCreateRequesterContact(payerId, request) {
+  const requester = await dbService.getUserById(request.requester_id);
+  if (!requester?.wallet_address) {
+    throw new Error(`${request.requester_name} does not have a wallet yet`);
+  }
+
+  const contacts = await dbService.getContacts(payerId);
+  const existing = contacts.find(
+    c => c.wallet_address?.toLowerCase() === requester.wallet_address.toLowerCase()
+  );
+  if (existing) {
+    return { contact: existing, created: false };
+  }
+
+  let name = requester.name || `PayVoice ${String(requester.phone).slice(-4)}`;
+  if (contacts.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+    name = `${name} ${String(requester.phone).slice(-4)}`;
+  }
+
+  const contact = await dbService.addContact(payerId, name, requester.wallet_address);
+  return { contact, created: true };
+}
+
+export default {
+  describeRequest,
+  createRequest,
+  expireStaleRequests,
+  getPendingRequestsForPayer,
+  getOutgoingRequests,
+  findPendingRequest,
+  resolveRequest,
+  claimRequest,
+  releaseRequest,
+  recordRequestTransfer,
+  settleRequestTransfer,
+  getOrCreateRequesterContact
+};
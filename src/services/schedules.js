@@ -0,0 +1,445 @@
+/**
+ * PayVoice Scheduled Payments Service
+ * One-off future payments and weekly/monthly recurring payments to a contact.
+ *
+ * A schedule is the user's standing approval for its payments, so runs don't
+ * ask for confirmation again. Budget guardrails still apply: a run that would
+ * exceed the daily/weekly limit, or that the balance can't cover, is skipped
+ * and the user gets an alert.
+ */
+
+import * as circleService from './circle.js';
+import * as contactsService from './contacts.js';
+import * as dbService from './db.js';
+import * as directoryService from './directory.js';
+import * as paymentsService from './payments.js';
+import * as policyService from './policy.js';
+import { supabase } from './db.js';
+
+export const FREQUENCIES = ['once', 'weekly', 'monthly'];
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Max schedules executed per cron invocation (keeps us inside function timeouts)
+const MAX_RUNS_PER_BATCH = 25;
+
+// ============================================
+// DATE HELPERS
+// ============================================
+
+/**
+ * Midnight UTC of the next given weekday (today counts if it matches)
+ */
+function nextWeekday(dayName, from = new Date()) {
+  const target = DAYS_OF_WEEK.indexOf(String(dayName).toLowerCase());
+  if (target === -1) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  date.setUTCDate(date.getUTCDate() + ((target - date.getUTCDay() + 7) % 7));
+  return date;
+}
+
+/**
+ * Add whole months, clamping to the last day when the anchor day doesn't exist
+ * (a schedule on the 31st runs on Feb 28/29)
+ */
+function addMonths(date, months, anchorDay) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(anchorDay, lastDay)));
+}
+
+/**
+ * Compute the run after `current` for a schedule, or null for one-off schedules
+ */
+function computeNextRun(schedule, current) {
+  if (schedule.frequency === 'weekly') {
+    const next = new Date(current);
+    next.setUTCDate(next.getUTCDate() + 7);
+    return next;
+  }
+
+  if (schedule.frequency === 'monthly') {
+    return addMonths(new Date(current), 1, schedule.anchor_day);
+  }
+
+  return null;
+}
+
+/**
+ * Describe a schedule the way the agent should say it
+ */
+export function describeSchedule(schedule) {
+  const firstRun = new Date(schedule.next_run_at);
+  const day = DAYS_OF_WEEK[firstRun.getUTCDay()];
+  const capitalizedDay = day.charAt(0).toUpperCase() + day.slice(1);
+  const amount = `$${parseFloat(schedule.amount)}`;
+
+  if (schedule.frequency === 'weekly') {
+    return `${amount} to ${schedule.recipient_name} every ${capitalizedDay}`;
+  }
+  if (schedule.frequency === 'monthly') {
+    return `${amount} to ${schedule.recipient_name} on day ${schedule.anchor_day} of every month`;
+  }
+  return `${amount} to ${schedule.recipient_name} on ${firstRun.toISOString().split('T')[0]}`;
+}
+
+// ============================================
+// SCHEDULE MANAGEMENT
+// ============================================
+
+/**
+ * Create a scheduled payment
+ *
+ * @param {Object} params
+ * @param {string} params.userId - Payer's user UUID
+ * @param {Object} params.contact - Recipient contact record
+ * @param {number} params.amount - Amount in USDC per payment
+ * @param {string} params.frequency - 'once', 'weekly' or 'monthly'
+ * @param {string} [params.startDate] - First run date (YYYY-MM-DD)
+ * @param {string} [params.dayOfWeek] - For weekly schedules without a start date (e.g. 'friday')
+ * @returns {Promise<Object>} The created schedule
+ * @throws {Error} If the dates are invalid
+ */
+export async function createSchedule({ userId, contact, amount, frequency, startDate, dayOfWeek }) {
+  try {
+    if (!FREQUENCIES.includes(frequency)) {
+      throw new Error(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    let firstRun;
+    if (startDate) {
+      firstRun = new Date(`${startDate}T00:00:00Z`);
+    } else if (dayOfWeek) {
+      firstRun = nextWeekday(dayOfWeek);
+    }
+
+    if (!firstRun || isNaN(firstRun.getTime())) {
+      throw new Error('A valid start date (YYYY-MM-DD) or day of the week is required');
+    }
+
+    const today = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth(), new Date().getUTCDate()));
+    if (firstRun < today) {
+      throw new Error('The first payment date cannot be in the past');
+    }
+
+    const { data, error } = await supabase
+      .from('scheduled_payments')
+      .insert({
+        user_id: userId,
+        contact_id: contact.id,
+        recipient_name: contact.name,
+        amount,
+        frequency,
+        anchor_day: firstRun.getUTCDate(),
+        next_run_at: firstRun.toISOString(),
+        status: 'active'
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    console.log(`[Schedules] Created ${frequency} schedule ${data.id} for user ${userId}`);
+    return data;
+  } catch (error) {
+    console.error('[Schedules] Error creating schedule:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a user's active and paused schedules
+ */
+export async function listSchedules(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('scheduled_payments')
+      .select('*')
+      .eq('user_id', userId)
+      .in('status', ['active', 'paused'])
+      .order('next_run_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('[Schedules] Error listing schedules:', error);
+    throw error;
+  }
+}
+
+/**
+ * Find the schedule a user is referring to, by ID or by recipient
+ * Returns: { schedule } or { error } when none or several match
+ */
+export async function findSchedule(userId, { scheduleId, recipientName }) {
+  const schedules = await listSchedules(userId);
+
+  if (scheduleId) {
+    const schedule = schedules.find(s => s.id === scheduleId);
+    return schedule ? { schedule } : { error: 'I could not find that scheduled payment.' };
+  }
+
+  // Match the name as heard against the recipients of the user's schedules
+  const recipients = [...new Set(schedules.map(s => s.recipient_name))].map(name => ({ name }));
+  const match = contactsService.matchContact(recipients, String(recipientName || ''));
+  if (match.status === 'none') {
+    return { error: `You don't have any scheduled payments to ${recipientName}.` };
+  }
+  if (match.status === 'ambiguous') {
+    return { error: match.question };
+  }
+
+  const matches = schedules.filter(s => s.recipient_name === match.contact.name);
+  if (matches.length > 1) {
+    return {
+      error: `You have ${matches.length} scheduled payments to ${match.contact.name}. Which one: ${matches.map(describeSchedule).join(', or ')}?`,
+      candidates: matches
+    };
+  }
+  return { schedule: matches[0] };
+}
+
+/**
+ * Pause, resume or cancel a schedule
+ * Resuming a schedule whose run date passed while paused moves it to the next
+ * future occurrence instead of paying the missed runs.
+ */
+export async function setScheduleStatus(userId, scheduleId, status) {
+  try {
+    const updates = { status, updated_at: new Date().toISOString() };
+
+    if (status === 'active') {
+      const { data: schedule, error: fetchError } = await supabase
+        .from('scheduled_payments')
+        .select('*')
+        .eq('id', scheduleId)
+        .eq('user_id', userId)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      let nextRun = new Date(schedule.next_run_at);
+      while (nextRun < new Date() && schedule.frequency !== 'once') {
+        nextRun = computeNextRun(schedule, nextRun);
+      }
+      updates.next_run_at = nextRun.toISOString();
+    }
+
+    const { data, error } = await supabase
+      .from('scheduled_payments')
+      .update(updates)
+      .eq('id', scheduleId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    console.log(`[Schedules] Schedule ${scheduleId} is now ${status}`);
+    return data;
+  } catch (error) {
+    console.error('[Schedules] Error updating schedule status:', error);
+    throw error;
+  }
+}
+
+// ============================================
+// EXECUTION (cron)
+// ============================================
+
+/**
+ * Claim a due run by advancing next_run_at (or completing a one-off schedule)
+ * Conditional on the old next_run_at, so overlapping cron invocations can't
+ * both execute the same run. next_run_at moves past now: runs missed while
+ * the cron wasn't running are counted, not paid one after another.
+ * @returns {Promise<Object|null>} { schedule, missedRuns }, or null if another run claimed it
+ */
+async function claimRun(schedule) {
+  const now = new Date();
+  let nextRun = computeNextRun(schedule, schedule.next_run_at);
+  let missedRuns = 0;
+  while (nextRun && nextRun <= now) {
+    missedRuns++;
+    nextRun = computeNextRun(schedule, nextRun);
+  }
+
+  const { data, error } = await supabase
+    .from('scheduled_payments')
+    .update({
+      next_run_at: nextRun ? nextRun.toISOString() : schedule.next_run_at,
+      status: nextRun ? schedule.status : 'completed',
+      last_run_at: now.toISOString(),
+      updated_at: now.toISOString()
+    })
+    .eq('id', schedule.id)
+    .eq('status', 'active')
+    .eq('next_run_at', schedule.next_run_at)
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  return data ? { schedule: data, missedRuns } : null;
+}
+
+async function recordRunResult(scheduleId, result) {
+  await supabase
+    .from('scheduled_payments')
+    .update({ last_result: result, updated_at: new Date().toISOString() })
+    .eq('id', scheduleId);
+}
+
+/**
+ * Execute one due run of a schedule
+ * @returns {Promise<Object>} { scheduleId, result: 'sent'|'skipped'|'failed'|'claimed_elsewhere', reason?, missedRuns? }
+ */
+async function runSchedule(schedule) {
+  const runDate = schedule.next_run_at;
+
+  const claimed = await claimRun(schedule);
+  if (!claimed) {
+    return { scheduleId: schedule.id, result: 'claimed_elsewhere' };
+  }
+
+  const description = describeSchedule(schedule);
+  const { missedRuns } = claimed;
+
+  if (missedRuns > 0) {
+    await policyService.createAlert(
+      schedule.user_id,
+      'scheduled_payment_skipped',
+      'Scheduled Payments Missed',
+      `${missedRuns} ${missedRuns === 1 ? 'run' : 'runs'} of your scheduled payment of ${description} came due while scheduled payments weren't running. I didn't pay ${missedRuns === 1 ? 'it' : 'them'} late; only this run goes ahead.`,
+      { scheduleId: schedule.id, runDate, missedRuns }
+    ).catch(() => {});
+  }
+
+  try {
+    const sender = await dbService.getUserById(schedule.user_id);
+    const savedContact = await dbService.getContactById(schedule.contact_id);
+    // Contacts saved by phone are paid at their current PayVoice wallet
+    const contact = await directoryService.resolveContactAddress(savedContact);
+
+    // A changed address needs a confirmed send before schedules pay it
+    if (!sender?.wallet_id || !contact || savedContact.confirm_next_send) {
+      const reason = !savedContact
+        ? `${schedule.recipient_name} is no longer in your contacts`
+        : !contact ? `${schedule.recipient_name}'s number is no longer on PayVoice`
+          : savedContact.confirm_next_send
+            ? `${savedContact.name}'s payment address changed. Make one confirmed payment to them and I'll pick the schedule back up`
+            : 'your wallet is not set up';
+      await recordRunResult(schedule.id, 'skipped');
+      await policyService.createAlert(
+        schedule.user_id,
+        'scheduled_payment_skipped',
+        'Scheduled Payment Skipped',
+        `I skipped your scheduled payment of ${description} because ${reason}.`,
+        { scheduleId: schedule.id, runDate, reason }
+      );
+      return { scheduleId: schedule.id, result: 'skipped', reason, missedRuns };
+    }
+
+    const amountNum = parseFloat(schedule.amount);
+
+    // GUARDRAILS: the same budget checks as a live send
+    const approvalCheck = await policyService.checkAutoApproval(sender.id, contact.id, amountNum);
+    const balance = parseFloat(await circleService.getBalance(sender.wallet_id));
+
+    let skipReason = null;
+    if (approvalCheck.budgetExceeded) {
+      skipReason = approvalCheck.reason;
+    } else if (balance < amountNum) {
+      skipReason = `your balance of $${balance.toFixed(2)} is not enough`;
+    }
+
+    if (skipReason) {
+      await recordRunResult(schedule.id, 'skipped');
+      await policyService.createAlert(
+        sender.id,
+        'scheduled_payment_skipped',
+        'Scheduled Payment Skipped',
+        `I skipped your scheduled payment of ${description}: ${skipReason}`,
+        { scheduleId: schedule.id, runDate, reason: skipReason, budgetExceeded: approvalCheck.budgetExceeded || null }
+      );
+      return { scheduleId: schedule.id, result: 'skipped', reason: skipReason, missedRuns };
+    }
+
+    const transfer = await paymentsService.executeTransfer({
+      sender,
+      contact,
+      amount: amountNum,
+      wasAutoApproved: true,
+      waitForConfirmation: false,
+      idempotencyKey: circleService.deriveIdempotencyKey('schedule', schedule.id, runDate)
+    });
+
+    await recordRunResult(schedule.id, 'sent');
+    await policyService.createAlert(
+      sender.id,
+      'scheduled_payment_sent',
+      'Scheduled Payment Sent',
+      `Your scheduled payment of ${description} was sent.`,
+      { scheduleId: schedule.id, runDate, circleTxId: transfer.txResult.transactionId }
+    );
+
+    return { scheduleId: schedule.id, result: 'sent', transactionId: transfer.txResult.transactionId, missedRuns };
+  } catch (error) {
+    console.error(`[Schedules] Run of schedule ${schedule.id} failed: ${error.message}`);
+    await recordRunResult(schedule.id, 'failed');
+    await policyService.createAlert(
+      schedule.user_id,
+      'scheduled_payment_failed',
+      'Scheduled Payment Failed',
+      `Your scheduled payment of ${description} could not be sent. I'll try again at the next scheduled time.`,
+      { scheduleId: schedule.id, runDate, error: error.message }
+    ).catch(() => {});
+    return { scheduleId: schedule.id, result: 'failed', reason: error.message, missedRuns };
+  }
+}
+
+/**
+ * Execute all schedules that are due
+ * @returns {Promise<Object>} { processed, sent, skipped, failed, results }
+ */
+export async function runDueSchedules() {
+  const { data: due, error } = await supabase
+    .from('scheduled_payments')
+    .select('*')
+    .eq('status', 'active')
+    .lte('next_run_at', new Date().toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(MAX_RUNS_PER_BATCH);
+
+  if (error) {
+    console.error('[Schedules] Error loading due schedules:', error);
+    throw error;
+  }
+
+  const results = [];
+  // Sequential to stay well inside Circle's API rate limits
+  for (const schedule of due || []) {
+    results.push(await runSchedule(schedule));
+  }
+
+  const count = result => results.filter(r => r.result === result).length;
+  console.log(`[Schedules] Processed ${results.length} due schedules`);
+
+  return {
+    processed: results.length,
+    sent: count('sent'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    results
+  };
+}
+
+export default {
+  FREQUENCIES,
+  describeSchedule,
+  createSchedule,
+  listSchedules,
+  findSchedule,
+  setScheduleStatus,
+  runDueSchedules
+};
@@ -0,0 +1,85 @@
+/**
+ * PayVoice Conversation Session Service
+ * Binds tool calls to the caller verified at conversation start.
+ *
+ * /api/conversation-init mints a random session token for the caller_id
+ * ElevenLabs reports for the call. The agent passes that token back on every
+ * tool call, and the user is resolved from the binding rather than from
+ * whatever phone number appears in the request body.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import * as dbService from './db.js';
+
+// How long a conversation binding stays valid
+const SESSION_TTL_MINUTES = parseInt(process.env.CONVERSATION_SESSION_TTL_MINUTES || '120', 10);
+
+/**
+ * Hash a session token for storage/lookup (raw tokens are never persisted)
+ */
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Reduce a phone number to digits so "+234 810..." and "234810..." compare equal
+ * @param {string} phone - Phone number in any format
+ * @returns {string} Digits only
+ */
+export function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+
+/**
+ * Mint a conversation-scoped identity for a caller
+ * @param {string} callerPhone - Caller ID reported by ElevenLabs
+ * @param {Object} [context]
+ * @param {string} [context.callSid] - Telephony call SID
+ * @param {string} [context.conversationId] - ElevenLabs conversation ID
+ * @param {string} [context.userId] - Resolved user ID, if known
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+export async function mintSession(callerPhone, { callSid, conversationId, userId } = {}) {
+  const token = randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MINUTES * 60 * 1000).toISOString();
+
+  await dbService.createConversationSession({
+    tokenHash: hashToken(token),
+    callerPhone: normalizePhone(callerPhone),
+    callSid,
+    conversationId,
+    userId,
+    expiresAt
+  });
+
+  console.log(`[Session] Bound conversation ${callSid || conversationId || 'unknown'} to caller ${normalizePhone(callerPhone).substring(0, 6)}...`);
+  return { token, expiresAt };
+}
+
+/**
+ * Resolve a session token to its binding
+ * @param {string} token - Session token from the tool call
+ * @returns {Promise<Object|null>} The session record, or null if unknown or expired
+ */
+export async function resolveSession(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const session = await dbService.getConversationSession(hashToken(token));
+  if (!session) {
+    return null;
+  }
+
+  if (new Date(session.expires_at).getTime() < Date.now()) {
+    return null;
+  }
+
+  return session;
+}
+
+export default {
+  normalizePhone,
+  mintSession,
+  resolveSession
+};
@@ -0,0 +1,209 @@
+/**
+ * PayVoice Bill Split Service
+ * "Split $60 dinner between John, Ada and me"
+ *
+ * A split divides a total into shares, then either asks each participant for
+ * their share (payment requests) or pays each participant their share. Paying
+ * goes through the normal policy checks; if any share needs confirmation the
+ * whole batch is confirmed once, with one intent per share sharing a batch_id.
+ */
+
+import * as paymentsService from './payments.js';
+import * as requestsService from './requests.js';
+import * as dbService from './db.js';
+
+export const SPLIT_MODES = ['request', 'pay'];
+
+// ============================================
+// SHARES
+// ============================================
+
+/**
+ * Compute each participant's share of a total, in whole cents
+ *
+ * Equal: the total is divided between the participants (and the user, if
+ * includeSelf). Leftover cents go to the user's share, or to the first
+ * participants when the user isn't part of the split.
+ * Custom: shares maps participant name -> amount. With includeSelf the user's
+ * share is whatever is left; otherwise the shares must add up to the total.
+ *
+ * @param {Object} params
+ * @param {number} params.total - Total to split
+ * @param {Array<string>} params.participants - Participant names
+ * @param {Object} [params.shares] - Custom amounts by participant name
+ * @param {boolean} [params.includeSelf=true] - Whether the user pays a share too
+ * @returns {Object} { shares: Array<{ name, amount }>, selfShare } or { error }
+ */
+export function computeShares({ total, participants, shares = null, includeSelf = true }) {
+  const totalCents = Math.round(total * 100);
+
+  if (shares) {
+    const customCents = participants.map(name => {
+      const key = Object.keys(shares).find(k => k.toLowerCase() === name.toLowerCase());
+      return { name, cents: Math.round(parseFloat(shares[key]) * 100) };
+    });
+
+    if (customCents.some(s => isNaN(s.cents) || s.cents <= 0)) {
+      return { error: 'Every share needs a positive amount.' };
+    }
+
+    const assigned = customCents.reduce((sum, s) => sum + s.cents, 0);
+    if (assigned > totalCents) {
+      return { error: `The shares add up to $${assigned / 100}, which is more than the $${total} total.` };
+    }
+    if (!includeSelf && assigned !== totalCents) {
+      return { error: `The shares add up to $${assigned / 100}, but the total is $${total}.` };
+    }
+
+    return {
+      shares: customCents.map(s => ({ name: s.name, amount: s.cents / 100 })),
+      selfShare: (totalCents - assigned) / 100
+    };
+  }
+
+  const people = participants.length + (includeSelf ? 1 : 0);
+  const baseCents = Math.floor(totalCents / people);
+  let leftover = totalCents - baseCents * people;
+
+  if (baseCents <= 0) {
+    return { error: `$${total} is too small to split between ${people} people.` };
+  }
+
+  const equalShares = participants.map(name => {
+    let cents = baseCents;
+    if (!includeSelf && leftover > 0) {
+      cents += 1;
+      leftover -= 1;
+    }
+    return { name, amount: cents / 100 };
+  });
+
+  return {
+    shares: equalShares,
+    selfShare: includeSelf ? (baseCents + leftover) / 100 : 0
+  };
+}
+
+/**
+ * Read a split back the way the agent should say it
+ * @param {Array<Object>} results - Per-participant results ({ name, amount, status })
+ * @param {number} selfShare - The user's own share
+ * @returns {string}
+ */
+export function summarizeSplit(results, selfShare) {
+  const phrases = {
+    requested: r => `${r.name} owes $${r.amount}, I've sent them a request`,
+    not_on_payvoice: r => `${r.name} owes $${r.amount}, but isn't on PayVoice so I couldn't send a request`,
+    paid: r => `paid ${r.name} $${r.amount}`,
+    pending: r => `sent ${r.name} $${r.amount}, still confirming`,
+    failed: r => `the $${r.amount} to ${r.name} didn't go through`,
+    owes: r => `${r.name} owes $${r.amount}`
+  };
+
+  const parts = results.map(r => (phrases[r.status] || phrases.owes)(r));
+  if (selfShare > 0) {
+    parts.push(`your share is $${selfShare}`);
+  }
+
+  const sentence = parts.join('; ');
+  return sentence.charAt(0).toUpperCase() + sentence.slice(1) + '.';
+}
+
+// ============================================
+// REQUEST MODE
+// ============================================
+
+/**
+ * Ask each participant who is a PayVoice user for their share
+ * @param {Object} params
+ * @param {Object} params.requester - User splitting the bill
+ * @param {Array<Object>} params.items - [{ contact, amount }]
+ * @param {string} [params.note] - What the bill was for
+ * @returns {Promise<Array>} [{ name, amount, status, requestId? }]
+ */
+export async function requestShares({ requester, items, note = null }) {
+  const results = [];
+
+  for (const { contact, amount } of items) {
+    const payer = await dbService.getUserByWalletAddress(contact.wallet_address);
+    if (!payer || payer.id === requester.id) {
+      results.push({ name: contact.name, amount, status: 'not_on_payvoice' });
+      continue;
+    }
+
+    try {
+      const request = await requestsService.createRequest({ requester, payer, amount, note });
+      results.push({ name: contact.name, amount, status: 'requested', requestId: request.id });
+    } catch (error) {
+      console.error(`[Splits] Request to ${contact.name} failed: ${error.message}`);
+      results.push({ name: contact.name, amount, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+// ============================================
+// PAY MODE
+// ============================================
+
+/**
+ * Pay each participant their share, one transfer per share
+ * A failed share doesn't stop the others.
+ *
+ * @param {Object} params
+ * @param {Object} params.sender - User paying
+ * @param {Array<Object>} params.items - [{ contact, amount, intentId? }]
+ * @param {boolean} params.wasAutoApproved - Whether policies approved the batch without confirmation
+ * @param {boolean} params.waitForConfirmation - Poll each transfer until it settles
+ * @param {Function} params.idempotencyKeyFor - (item) => Circle idempotency key or undefined
+ * @returns {Promise<Array>} [{ name, amount, status, transactionId?, txHash?, explorerUrl?, error? }]
+ */
+export async function payShares({ sender, items, wasAutoApproved, waitForConfirmation, idempotencyKeyFor }) {
+  const results = [];
+
+  for (const item of items) {
+    const { contact, amount, intentId } = item;
+
+    try {
+      const transfer = await paymentsService.executeTransfer({
+        sender,
+        contact,
+        amount,
+        wasAutoApproved,
+        waitForConfirmation,
+        idempotencyKey: idempotencyKeyFor(item)
+      });
+
+      if (intentId) {
+        await paymentsService.recordIntentTransfer(intentId, transfer);
+      }
+
+      results.push({
+        name: contact.name,
+        amount,
+        status: !transfer.success ? 'failed' : transfer.pending ? 'pending' : 'paid',
+        transactionId: transfer.txResult.transactionId,
+        txHash: transfer.txResult.txHash || null,
+        explorerUrl: transfer.explorerUrl || null,
+        error: transfer.success ? undefined : transfer.txResult.errorReason
+      });
+    } catch (error) {
+      console.error(`[Splits] Payment to ${contact.name} failed: ${error.message}`);
+      if (intentId) {
+        await paymentsService.completePaymentIntent(intentId, 'failed');
+      }
+      results.push({ name: contact.name, amount, status: 'failed', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+export default {
+  SPLIT_MODES,
+  computeShares,
+  summarizeSplit,
+  requestShares,
+  payShares
+};
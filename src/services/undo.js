@@ -0,0 +1,431 @@
+/**
+ * PayVoice Undo Window Service
+ * Holds approved sends for a few seconds so "wait, cancel that" can stop them.
+ *
+ * Voice misrecognition happens ("fifteen" vs "fifty"). With an undo window set
+ * in the user's policy (undo_window_seconds), an approved send is stored as a
+ * payment intent with status 'queued' and a release_at time instead of going
+ * straight to Circle. /api/send/undo cancels it until it's released.
+ *
+ * Release: a timer in the running process fires when the window closes. On
+ * serverless, where the process may be frozen after responding, due sends are
+ * also released by /api/transaction/status and the cron sweep.
+ *
+ * Queued amounts count against the daily/weekly budget (policy.getQueuedSpending)
+ * and stop counting once undone. A released send keeps counting, as a pending
+ * transaction, until it settles or fails.
+ *
+ * Intent status: queued -> executing -> submitted -> completed | failed,
+ * or queued -> cancelled. finalizeTransfer moves submitted intents on.
+ *
+ * Any intent left in 'executing' (here or by /api/send/confirm) by a process
+ * that stopped mid-send is resumed by the same sweeps (resumeStaleSends).
+ * It's resubmitted with the intent's idempotency key, so one that already
+ * reached Circle is not paid twice.
+ */
+
+import * as circleService from './circle.js';
+import * as dbService from './db.js';
+import * as directoryService from './directory.js';
+import * as networkService from './network.js';
+import * as paymentsService from './payments.js';
+import * as policyService from './policy.js';
+import * as requestsService from './requests.js';
+import { supabase } from './db.js';
+
+// Longest undo window a user can set
+export const MAX_UNDO_WINDOW_SECONDS = 60;
+
+// An intent still 'executing' after this long was abandoned mid-send
+const STALE_SEND_MINUTES = 5;
+
+/**
+ * The user's undo window in seconds (0 when off)
+ */
+export async function getUndoWindow(userId) {
+  const policy = await policyService.getUserPolicy(userId);
+  return Math.min(parseInt(policy.undo_window_seconds || 0, 10), MAX_UNDO_WINDOW_SECONDS);
+}
+
+function releaseTimeFor(windowSeconds) {
+  return new Date(Date.now() + windowSeconds * 1000).toISOString();
+}
+
+/**
+ * Release the send when its window closes, if this process is still running
+ */
+function scheduleRelease(intent) {
+  const delay = Math.max(0, new Date(intent.release_at).getTime() - Date.now());
+  const timer = setTimeout(() => {
+    releaseQueuedSend(intent.id).catch(error => {
+      console.error(`[Undo] Release of ${intent.id} failed: ${error.message}`);
+    });
+  }, delay);
+  timer.unref?.();
+}
+
+// ============================================
+// QUEUEING
+// ============================================
+
+/**
+ * Queue an auto-approved send for the undo window
+ *
+ * @param {Object} params
+ * @param {Object} params.sender - Sender user record
+ * @param {Object} params.contact - Recipient contact record
+ * @param {number} params.amount - Amount in the token sent
+ * @param {string} [params.token='USDC'] - Token to send, e.g. 'EURC'
+ * @param {number} params.windowSeconds - How long the send can be undone
+ * @param {string} [params.reason] - Policy decision that approved it
+ * @param {string} [params.paymentRequestId] - Payment request this send pays, if any
+ * @param {string} [params.feeLevel] - Fee level the send goes out with
+ * @param {string} [params.memo] - Memo to record on the transaction
+ * @param {string} [params.category] - Spending category to record on the transaction
+ * @returns {Promise<Object>} The queued intent
+ */
+export async function queueSend({
+  sender,
+  contact,
+  amount,
+  token = networkService.DEFAULT_TOKEN,
+  windowSeconds,
+  reason = null,
+  paymentRequestId = null,
+  feeLevel = null,
+  memo = null,
+  category = null
+}) {
+  const intent = await paymentsService.createPaymentIntent({
+    userId: sender.id,
+    contact,
+    amount,
+    token,
+    reason,
+    paymentRequestId,
+    feeLevel,
+    memo,
+    category,
+    releaseAt: releaseTimeFor(windowSeconds)
+  });
+
+  console.log(`[Undo] Queued intent ${intent.id} until ${intent.release_at}`);
+  scheduleRelease(intent);
+  return intent;
+}
+
+/**
+ * Queue a confirmed intent (already claimed as 'executing') for the undo window
+ * @returns {Promise<Object>} The queued intent
+ */
+export async function queueConfirmedIntent(intent, windowSeconds) {
+  const releaseAt = releaseTimeFor(windowSeconds);
+
+  const { data, error } = await supabase
+    .from('payment_intents')
+    .update({
+      status: 'queued',
+      release_at: releaseAt,
+      expires_at: releaseAt,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', intent.id)
+    .eq('status', 'executing')
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  console.log(`[Undo] Queued confirmed intent ${data.id} until ${data.release_at}`);
+  scheduleRelease(data);
+  return data;
+}
+
+// ============================================
+// UNDO
+// ============================================
+
+/**
+ * Cancel a queued send before it goes to Circle
+ * Without an intentId, the user's most recent queued send is undone.
+ *
+ * @param {string} userId - Owner of the send
+ * @param {string} [intentId] - The queued intent
+ * @returns {Promise<Object>} { intent } or { error } with a spoken explanation
+ */
+export async function undoQueuedSend(userId, intentId = null) {
+  let targetId = intentId;
+
+  if (!targetId) {
+    const latest = await getQueuedSend(userId);
+    if (!latest) {
+      return { error: "There's no payment waiting to go out, so there's nothing to undo." };
+    }
+    targetId = latest.id;
+  }
+
+  const { data: cancelled, error } = await supabase
+    .from('payment_intents')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('id', targetId)
+    .eq('user_id', userId)
+    .eq('status', 'queued')
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+
+  if (cancelled) {
+    // The request it was paying can be paid again
+    if (cancelled.payment_request_id) {
+      await requestsService.releaseRequest(cancelled.payment_request_id);
+    }
+    console.log(`[Undo] Cancelled queued intent ${cancelled.id}`);
+    return { intent: cancelled };
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('payment_intents')
+    .select('*')
+    .eq('id', targetId)
+    .eq('user_id', userId)
+    .single();
+
+  if (fetchError && fetchError.code !== 'PGRST116') throw fetchError;
+
+  if (!existing) {
+    return { error: 'I could not find that payment.' };
+  }
+  const amount = networkService.formatTokenAmount(existing.amount, existing.token);
+  if (existing.status === 'cancelled') {
+    return { intent: existing, error: `That payment of ${amount} to ${existing.recipient_name} was already cancelled.` };
+  }
+  if (existing.status === 'failed') {
+    return { intent: existing, error: `That payment of ${amount} to ${existing.recipient_name} didn't go through, so there's nothing to undo.` };
+  }
+  return {
+    intent: existing,
+    error: `Too late, the payment of ${amount} to ${existing.recipient_name} has already gone out.`
+  };
+}
+
+/**
+ * The user's most recent send still waiting out its undo window
+ * @returns {Promise<Object|null>} The queued intent, or null
+ */
+export async function getQueuedSend(userId) {
+  const { data, error } = await supabase
+    .from('payment_intents')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('status', 'queued')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+// ============================================
+// RELEASE
+// ============================================
+
+async function failIntent(intent, message) {
+  await paymentsService.completePaymentIntent(intent.id, 'failed');
+  if (intent.payment_request_id) {
+    await requestsService.releaseRequest(intent.payment_request_id);
+  }
+  await policyService.createAlert(
+    intent.user_id,
+    'transaction_failed',
+    'Payment Failed',
+    message,
+    { intentId: intent.id }
+  );
+}
+
+/**
+ * Send a queued payment once its window has closed
+ * Only one caller can move it out of 'queued', so it's submitted at most once.
+ *
+ * @param {string} intentId - The queued intent
+ * @returns {Promise<Object|null>} { intent, transfer? } or null if not due / already released / undone
+ */
+export async function releaseQueuedSend(intentId) {
+  const { data: intent, error } = await supabase
+    .from('payment_intents')
+    .update({ status: 'executing', updated_at: new Date().toISOString() })
+    .eq('id', intentId)
+    .eq('status', 'queued')
+    .lte('release_at', new Date().toISOString())
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error;
+  if (!intent) {
+    return null;
+  }
+
+  return submitIntent(intent);
+}
+
+/**
+ * Submit an intent already claimed as 'executing', with nobody on the line
+ * Budget was checked when it was approved, so only recipient and balance are re-checked.
+ * The Circle idempotency key comes from the intent, so an intent that already
+ * reached Circle gets its original transfer back instead of a second one.
+ *
+ * @param {Object} intent - The claimed intent
+ * @returns {Promise<Object>} { intent, transfer? }
+ */
+async function submitIntent(intent) {
+  const amountNum = parseFloat(intent.amount);
+  const token = intent.token || networkService.DEFAULT_TOKEN;
+  const amount = networkService.formatTokenAmount(intent.amount, token);
+  const sender = await dbService.getUserById(intent.user_id);
+
+  const contact = sender ? await directoryService.getIntentRecipient(sender, intent) : null;
+  if (!contact) {
+    await failIntent(intent, `Your payment of ${amount} to ${intent.recipient_name} was not sent because they're no longer in your contacts.`);
+    return { intent };
+  }
+
+  if (directoryService.addressChangedSince(contact, intent.created_at)) {
+    await failIntent(intent, `Your payment of ${amount} to ${contact.name} was not sent because their payment address changed while it was waiting.`);
+    return { intent };
+  }
+
+  const balance = parseFloat(await circleService.getBalance(sender.wallet_id, token));
+  if (balance < amountNum) {
+    await failIntent(intent, `Your payment of ${amount} to ${contact.name} was not sent: your ${token} balance is ${networkService.formatTokenAmount(balance, token)}.`);
+    return { intent };
+  }
+
+  console.log(`[Undo] Releasing intent ${intent.id}: ${amount} to ${contact.name}`);
+
+  let transfer;
+  try {
+    // Nobody is waiting on the line, so let the webhook finalize it
+    transfer = await paymentsService.executeTransfer({
+      sender,
+      contact,
+      amount: amountNum,
+      token,
+      wasAutoApproved: !!intent.auto_approved,
+      waitForConfirmation: false,
+      feeLevel: intent.fee_level || undefined,
+      memo: intent.memo,
+      category: intent.category,
+      idempotencyKey: circleService.deriveIdempotencyKey('intent', intent.id)
+    });
+  } catch (transferError) {
+    console.error(`[Undo] Transfer for intent ${intent.id} failed: ${transferError.message}`);
+    await failIntent(intent, `Your payment of ${amount} to ${contact.name} did not go through.`);
+    return { intent };
+  }
+
+  // Submitted until the webhook finalizes it; the pending transaction keeps it in the budget
+  await paymentsService.recordIntentTransfer(intent.id, transfer);
+
+  if (intent.payment_request_id) {
+    await requestsService.recordRequestTransfer(intent.payment_request_id, transfer);
+  }
+
+  return { intent, transfer };
+}
+
+/**
+ * Release every queued send whose window has closed
+ * @param {string} [userId] - Limit to one user's sends
+ * @returns {Promise<number>} How many sends were released
+ */
+export async function releaseDueSends(userId = null) {
+  let query = supabase
+    .from('payment_intents')
+    .select('id')
+    .eq('status', 'queued')
+    .lte('release_at', new Date().toISOString());
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  let released = 0;
+  for (const { id } of data || []) {
+    try {
+      if (await releaseQueuedSend(id)) released++;
+    } catch (releaseError) {
+      console.error(`[Undo] Release of ${id} failed: ${releaseError.message}`);
+    }
+  }
+
+  if (released) {
+    console.log(`[Undo] Released ${released} queued send(s)`);
+  }
+  return released;
+}
+
+/**
+ * Finish sends a stopped process left in 'executing' (e.g. a function that
+ * timed out between claiming an intent and recording its transfer)
+ * Each is taken over by bumping updated_at, so only one sweep resumes it.
+ *
+ * @param {string} [userId] - Limit to one user's sends
+ * @returns {Promise<number>} How many sends were resumed
+ */
+export async function resumeStaleSends(userId = null) {
+  const staleBefore = new Date(Date.now() - STALE_SEND_MINUTES * 60 * 1000).toISOString();
+
+  let query = supabase
+    .from('payment_intents')
+    .select('id, updated_at')
+    .eq('status', 'executing')
+    .lt('updated_at', staleBefore);
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  let resumed = 0;
+  for (const stale of data || []) {
+    try {
+      const { data: intent, error: takeOverError } = await supabase
+        .from('payment_intents')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', stale.id)
+        .eq('status', 'executing')
+        .eq('updated_at', stale.updated_at)
+        .select()
+        .single();
+
+      if (takeOverError && takeOverError.code !== 'PGRST116') throw takeOverError;
+      if (!intent) continue;
+
+      console.log(`[Undo] Resuming intent ${intent.id}, stuck executing since ${stale.updated_at}`);
+      await submitIntent(intent);
+      resumed++;
+    } catch (resumeError) {
+      console.error(`[Undo] Resume of ${stale.id} failed: ${resumeError.message}`);
+    }
+  }
+
+  return resumed;
+}
+
+export default {
+  MAX_UNDO_WINDOW_SECONDS,
+  getUndoWindow,
+  queueSend,
+  queueConfirmedIntent,
+  undoQueuedSend,
+  getQueuedSend,
+  releaseQueuedSend,
+  releaseDueSends,
+  resumeStaleSends
+};
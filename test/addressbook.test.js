@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseAddressBook } from '../src/services/addressbook.js';
+
+const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+describe('parseAddressBook', () => {
+  it('reads vCards, preferring mobile numbers and unfolding long lines', () => {
+    const vcard = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      'N:Okafor;John;;;',
+      'TEL;TYPE=HOME:+234 1',
+      'item1.TEL;TYPE=CELL:+234 803',
+      ' 555 0000',
+      `URL:ethereum:${ADDRESS}@5042002`,
+      'END:VCARD',
+      'BEGIN:VCARD',
+      'FN:Mary\\, Jane',
+      'END:VCARD'
+    ].join('\r\n');
+
+    assert.deepEqual(parseAddressBook(vcard), [
+      { entry: 1, name: 'John Okafor', phones: ['+234 803555 0000', '+234 1'], address: ADDRESS },
+      { entry: 2, name: 'Mary, Jane', phones: [], address: null }
+    ]);
+  });
+
+  it('reads Google Contacts CSV exports', () => {
+    const csv = 'Given Name,Family Name,Phone 1 - Value\nJohn,Okafor,+2348035550000 ::: +2341\n';
+    assert.deepEqual(parseAddressBook(csv), [
+      { entry: 1, name: 'John Okafor', phones: ['+2348035550000', '+2341'], address: null }
+    ]);
+  });
+
+  it('keeps every phone column and skips their label columns', () => {
+    const csv = 'Given Name,Family Name,Phone 1 - Type,Phone 1 - Value,Phone 2 - Type,Phone 2 - Value\n' +
+      'John,Okafor,Mobile,+2348035550000,Work,+2342222222\n';
+    assert.deepEqual(parseAddressBook(csv)[0].phones, ['+2348035550000', '+2342222222']);
+  });
+
+  it('recognizes other phone and wallet column names', () => {
+    const csv = `First Name,Last Name,Mobile Phone,Home Phone,ETH Address\nJohn,Okafor,+2348035550000,,${ADDRESS}\n`;
+    assert.deepEqual(parseAddressBook(csv), [
+      { entry: 1, name: 'John Okafor', phones: ['+2348035550000'], address: ADDRESS }
+    ]);
+    assert.deepEqual(parseAddressBook('Name,WhatsApp\nJane,+27 82 555 0000\n'), [
+      { entry: 1, name: 'Jane', phones: ['+27 82 555 0000'], address: null }
+    ]);
+  });
+
+  it('never imports a header line as a contact', () => {
+    assert.deepEqual(parseAddressBook('Full Name,Home Number\nJane,0803 555 0000\n'), [
+      { entry: 1, name: 'Jane', phones: ['0803 555 0000'], address: null }
+    ]);
+    assert.equal(parseAddressBook('Who,Where\nJane,0803 555 0000\n').length, 1);
+  });
+
+  it('reads headerless CSV as name and phone or address', () => {
+    assert.deepEqual(parseAddressBook(`John,+2348035550000\nMary,${ADDRESS}`), [
+      { entry: 1, name: 'John', phones: ['+2348035550000'], address: null },
+      { entry: 2, name: 'Mary', phones: [], address: ADDRESS }
+    ]);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => parseAddressBook('x', 'xml'), /Format must be/);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ZERO_ADDRESS,
+  toChecksumAddress,
+  validateAddress,
+  readBackAddress,
+  findLookalikeContacts,
+  checkContactAddress
+} from '../src/services/addresses.js';
+
+// EIP-55 test vector
+const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+describe('toChecksumAddress', () => {
+  it('produces the EIP-55 form', () => {
+    assert.equal(toChecksumAddress(ADDRESS.toLowerCase()), ADDRESS);
+    assert.equal(toChecksumAddress(ADDRESS.toUpperCase().replace('0X', '0x')), ADDRESS);
+  });
+});
+
+describe('validateAddress', () => {
+  it('checksums single-case addresses', () => {
+    assert.deepEqual(validateAddress(ADDRESS.toLowerCase()), { valid: true, address: ADDRESS });
+    assert.deepEqual(validateAddress(` ${ADDRESS} `), { valid: true, address: ADDRESS });
+  });
+
+  it('rejects mixed case with a bad checksum', () => {
+    const result = validateAddress(ADDRESS.slice(0, -1) + 'D');
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Invalid checksum');
+  });
+
+  it('rejects malformed, zero and own addresses', () => {
+    assert.equal(validateAddress('0x1234').valid, false);
+    assert.equal(validateAddress(ZERO_ADDRESS).valid, false);
+    assert.equal(validateAddress(ADDRESS, { ownAddress: ADDRESS.toLowerCase() }).valid, false);
+  });
+});
+
+describe('readBackAddress', () => {
+  it('reads the first and last four characters phonetically', () => {
+    assert.deepEqual(readBackAddress(ADDRESS), {
+      short: '0x5aae...eaed',
+      spoken: 'starts five alfa alfa echo, ends echo alfa echo delta'
+    });
+  });
+});
+
+describe('findLookalikeContacts', () => {
+  const oneOff = ADDRESS.slice(0, 20) + '0' + ADDRESS.slice(21);
+  const sameDisplay = '0x5aae' + '1'.repeat(32) + 'eaed';
+  const contacts = [
+    { name: 'Exact', wallet_address: ADDRESS },
+    { name: 'One off', wallet_address: oneOff },
+    { name: 'Same display', wallet_address: sameDisplay },
+    { name: 'Unrelated', wallet_address: '0x' + '2'.repeat(40) },
+    { name: 'Phone only', wallet_address: null }
+  ];
+
+  it('flags close and same-looking addresses, closest first', () => {
+    const lookalikes = findLookalikeContacts(ADDRESS, contacts);
+    assert.deepEqual(lookalikes.map(({ contact }) => contact.name), ['One off', 'Same display']);
+    assert.equal(lookalikes[0].distance, 1);
+  });
+
+  it('holds back a lookalike until confirmed', () => {
+    const user = { wallet_address: '0x' + '3'.repeat(40) };
+    const held = checkContactAddress(user, ADDRESS, contacts);
+    assert.equal(held.status, 409);
+    assert.equal(held.needsConfirmation, true);
+    assert.deepEqual(held.lookalikes, ['One off', 'Same display']);
+
+    const confirmed = checkContactAddress(user, ADDRESS, contacts, { confirmLookalike: true });
+    assert.equal(confirmed.address, ADDRESS);
+  });
+});
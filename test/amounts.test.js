@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseSpokenAmount, resolveBalanceAmount } from '../src/services/amounts.js';
+
+describe('parseSpokenAmount', () => {
+  it('parses digits, symbols and slang', () => {
+    assert.deepEqual(parseSpokenAmount('$20'), { amount: 20, currency: 'USD', echo: '$20.00' });
+    assert.deepEqual(parseSpokenAmount('12.50'), { amount: 12.5, currency: 'USD', echo: '$12.50' });
+    assert.deepEqual(parseSpokenAmount('ten bucks'), { amount: 10, currency: 'USD', echo: '$10.00' });
+    assert.equal(parseSpokenAmount('€10').currency, 'EUR');
+  });
+
+  it('parses spelled-out numbers', () => {
+    assert.equal(parseSpokenAmount('twenty-five dollars').amount, 25);
+    assert.equal(parseSpokenAmount('two hundred').amount, 200);
+    assert.equal(parseSpokenAmount('one thousand two hundred').amount, 1200);
+  });
+
+  it('reads local currency names and thousands separators', () => {
+    assert.deepEqual(parseSpokenAmount('5,000 naira'), { amount: 5000, currency: 'NGN', echo: '5,000 naira' });
+  });
+
+  it('reads the rand symbol only before a number', () => {
+    assert.deepEqual(parseSpokenAmount('R100'), { amount: 100, currency: 'ZAR', echo: '100 rand' });
+    assert.equal(parseSpokenAmount('r 1,500').amount, 1500);
+    assert.equal(parseSpokenAmount('ten r'), null);
+  });
+
+  it('passes numbers through in the requested currency', () => {
+    assert.deepEqual(parseSpokenAmount(25), { amount: 25, currency: 'USD', echo: '$25.00' });
+    assert.equal(parseSpokenAmount(NaN), null);
+  });
+
+  it('asks instead of guessing', () => {
+    assert.equal(parseSpokenAmount('five fifty').question, 'Did you mean $5.50 or $550.00?');
+    assert.ok(parseSpokenAmount('5-10').question);
+    assert.ok(parseSpokenAmount('some money').question);
+    assert.ok(parseSpokenAmount('half').question);
+    assert.match(parseSpokenAmount('-5').question, /more than zero/);
+  });
+
+  it('returns balance shares for the caller to resolve', () => {
+    assert.deepEqual(parseSpokenAmount('half my balance').balance, { fraction: 0.5, keep: 0 });
+    assert.deepEqual(parseSpokenAmount('everything except $5').balance, { fraction: 1, keep: 5 });
+  });
+
+  it('returns null for empty input', () => {
+    assert.equal(parseSpokenAmount(''), null);
+  });
+});
+
+describe('resolveBalanceAmount', () => {
+  it('rounds a share down to the cent', () => {
+    const resolved = resolveBalanceAmount(parseSpokenAmount('half my balance'), '10.05');
+    assert.equal(resolved.amount, 5.02);
+    assert.equal(resolved.echo, 'half of your balance ($5.02)');
+  });
+
+  it('asks again when nothing would be left to send', () => {
+    const resolved = resolveBalanceAmount(parseSpokenAmount('everything except $5'), '3');
+    assert.match(resolved.question, /leaves nothing to send/);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scoreName, matchContact } from '../src/services/contacts.js';
+
+describe('scoreName', () => {
+  it('scores an exact match, ignoring case and spacing, as 1', () => {
+    assert.equal(scoreName('John', 'john'), 1);
+    assert.equal(scoreName('john okafor', 'John Okafor'), 1);
+  });
+
+  it('scores near misses and sound-alikes below 1', () => {
+    for (const [spoken, saved] of [['Jon', 'John'], ['Katherine', 'Catherine'], ['johnokafor', 'John Okafor']]) {
+      const score = scoreName(spoken, saved);
+      assert.ok(score > 0.8 && score < 1, `${spoken} vs ${saved}: ${score}`);
+    }
+  });
+
+  it('scores unrelated names as 0', () => {
+    assert.equal(scoreName('Bob', 'Alice'), 0);
+    assert.equal(scoreName('', 'Alice'), 0);
+  });
+});
+
+describe('matchContact', () => {
+  const contacts = [
+    { id: 1, name: 'John Okafor' },
+    { id: 2, name: 'John Bello' },
+    { id: 3, name: 'Mary Jane', aliases: ['Mum'] }
+  ];
+
+  it('matches aliases exactly', () => {
+    const result = matchContact(contacts, 'mum');
+    assert.equal(result.status, 'match');
+    assert.equal(result.contact.id, 3);
+    assert.equal(result.score, 1);
+  });
+
+  it('matches a run-together name loosely', () => {
+    const result = matchContact(contacts, 'maryjane');
+    assert.equal(result.status, 'match');
+    assert.equal(result.contact.id, 3);
+    assert.ok(result.score < 1);
+  });
+
+  it('asks between contacts that match equally well', () => {
+    const result = matchContact(contacts, 'john');
+    assert.equal(result.status, 'ambiguous');
+    assert.deepEqual(result.candidates.map(contact => contact.id), [1, 2]);
+    assert.equal(result.question, 'Did you mean John Okafor or John Bello?');
+  });
+
+  it('reports no match', () => {
+    assert.deepEqual(matchContact(contacts, 'zed'), { status: 'none' });
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { splitCsvLine, csvLines } from '../src/services/csv.js';
+
+describe('splitCsvLine', () => {
+  it('splits on commas and trims fields', () => {
+    assert.deepEqual(splitCsvLine('John, 25 ,'), ['John', '25', '']);
+  });
+
+  it('keeps commas and escaped quotes inside quoted fields', () => {
+    assert.deepEqual(splitCsvLine('"Okafor, John","Say ""hi""",5'), ['Okafor, John', 'Say "hi"', '5']);
+  });
+});
+
+describe('csvLines', () => {
+  it('drops blank lines and handles CRLF', () => {
+    assert.deepEqual(csvLines('a,b\r\n\r\nc,d\n  \n'), ['a,b', 'c,d']);
+  });
+});
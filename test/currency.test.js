@@ -0,0 +1,175 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getRate, toUsdc, registerFxProvider, currencyForUser, formatMoney } from '../src/services/currency.js';
+import { normalizeAmounts, convertLocalAmount } from '../src/middleware/currency.js';
+
+const realFetch = globalThis.fetch;
+const realConsoleError = console.error;
+
+function resetProvider(name, rates) {
+  process.env.FX_PROVIDER = name;
+  if (rates === undefined) {
+    delete process.env.FX_RATES;
+  } else {
+    process.env.FX_RATES = JSON.stringify(rates);
+  }
+  // Registering a provider also drops cached rates
+  registerFxProvider('failing', async () => {
+    throw new Error('provider down');
+  });
+}
+
+function runMiddleware(middleware, body) {
+  return new Promise(resolve => {
+    const req = { body };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ req, status: this.statusCode, payload });
+      }
+    };
+    middleware(req, res, () => resolve({ req, status: null, payload: null }));
+  });
+}
+
+beforeEach(() => {
+  console.error = () => {};
+});
+
+afterEach(() => {
+  console.error = realConsoleError;
+  globalThis.fetch = realFetch;
+  delete process.env.FX_RATES_URL;
+  resetProvider('table');
+});
+
+describe('currency rates', () => {
+  it('reads the built-in table, with FX_RATES overriding it', async () => {
+    resetProvider('table');
+    assert.deepEqual(await getRate('NGN'), { currency: 'NGN', rate: 1500, source: 'table', asOf: null });
+
+    resetProvider('table', { NGN: 1600 });
+    assert.equal((await getRate('NGN')).rate, 1600);
+    assert.equal((await getRate('USD')).source, 'fixed');
+  });
+
+  it('takes live rates from the http provider', async () => {
+    resetProvider('http');
+    process.env.FX_RATES_URL = 'https://fx.example/latest';
+    let requested;
+    globalThis.fetch = async url => {
+      requested = url;
+      return { ok: true, json: async () => ({ rates: { NGN: 1550 } }) };
+    };
+
+    const quote = await getRate('NGN');
+    assert.equal(requested, 'https://fx.example/latest');
+    assert.equal(quote.rate, 1550);
+    assert.equal(quote.source, 'http');
+    assert.ok(quote.asOf);
+    // Currencies the provider leaves out still come from the table
+    assert.equal((await getRate('KES')).rate, 129);
+  });
+
+  it('falls back to the rate table when the provider fails', async () => {
+    resetProvider('http', { GHS: 16 });
+    globalThis.fetch = async () => ({ ok: false, status: 502 });
+    process.env.FX_RATES_URL = 'https://fx.example/latest';
+    assert.deepEqual(await getRate('GHS'), { currency: 'GHS', rate: 16, source: 'table', asOf: null });
+
+    resetProvider('failing');
+    assert.equal((await getRate('NGN')).source, 'table');
+
+    resetProvider('no-such-provider');
+    assert.equal((await getRate('NGN')).rate, 1500);
+  });
+
+  it('refuses currencies it has no rate for', async () => {
+    resetProvider('table');
+    await assert.rejects(getRate('XYZ'), /No exchange rate for XYZ/);
+  });
+
+  it('converts to USDC to the cent', async () => {
+    resetProvider('table');
+    const quote = await toUsdc(5000, 'NGN');
+    assert.equal(quote.usdc, 3.33);
+    assert.equal(quote.amount, 5000);
+  });
+});
+
+describe('currency for a user', () => {
+  it('prefers the chosen currency, then the phone country code', () => {
+    assert.equal(currencyForUser({ display_currency: 'kes', phone: '+2348012345678' }), 'KES');
+    assert.equal(currencyForUser({ phone: '+2348012345678' }), 'NGN');
+    assert.equal(currencyForUser({ phone: '+27821234567' }), 'ZAR');
+    assert.equal(currencyForUser({ phone: '+14155550100' }), 'USD');
+    assert.equal(formatMoney(5000, 'NGN'), '5,000 naira');
+    assert.equal(formatMoney(3.5), '$3.50');
+  });
+});
+
+describe('normalizeAmounts', () => {
+  it('converts local amounts to USDC and keeps what was heard', async () => {
+    resetProvider('table');
+    const { req, status } = await runMiddleware(normalizeAmounts(['amount']), { amount: '5000 naira' });
+    assert.equal(status, null);
+    assert.equal(req.body.amount, '3.33');
+    assert.equal(req.spokenAmounts.amount.local.currency, 'NGN');
+    assert.equal(req.spokenAmounts.amount.local.rate, 1500);
+  });
+
+  it('reads bare numbers in the currency given', async () => {
+    resetProvider('table', { KES: 100 });
+    const { req } = await runMiddleware(normalizeAmounts(['amount']), { amount: '250', currency: 'kes' });
+    assert.equal(req.body.amount, '2.5');
+  });
+
+  it('rejects an unknown currency', async () => {
+    const { status, payload } = await runMiddleware(normalizeAmounts(['amount']), { amount: '20', currency: 'XYZ' });
+    assert.equal(status, 400);
+    assert.equal(payload.error, 'Unsupported currency');
+  });
+
+  it('converts at the table rate when the provider fails', async () => {
+    resetProvider('failing', { NGN: 1000 });
+    const { req } = await runMiddleware(normalizeAmounts(['amount']), { amount: '5000 naira' });
+    assert.equal(req.body.amount, '5');
+    assert.equal(req.spokenAmounts.amount.local.source, 'table');
+  });
+
+  it('answers 503 when there is no rate at all', async () => {
+    resetProvider('failing', { NGN: 0 });
+    const { status, payload } = await runMiddleware(normalizeAmounts(['amount']), { amount: '5000 naira' });
+    assert.equal(status, 503);
+    assert.equal(payload.error, 'Amount conversion unavailable');
+  });
+
+  it('refuses a share of the balance unless allowed', async () => {
+    const { status } = await runMiddleware(normalizeAmounts(['limit']), { limit: 'half my balance' });
+    assert.equal(status, 400);
+  });
+});
+
+describe('convertLocalAmount', () => {
+  it('sets req.localAmount only for local-currency amounts', async () => {
+    resetProvider('table');
+    const local = await runMiddleware(convertLocalAmount, { amount: '18 rand' });
+    assert.equal(local.req.body.amount, '1');
+    assert.equal(local.req.localAmount.currency, 'ZAR');
+
+    const usd = await runMiddleware(convertLocalAmount, { amount: 'ten bucks' });
+    assert.equal(usd.req.body.amount, '10');
+    assert.equal(usd.req.localAmount, undefined);
+  });
+
+  it('passes through when there is no amount', async () => {
+    const { status, req } = await runMiddleware(convertLocalAmount, {});
+    assert.equal(status, null);
+    assert.equal(req.localAmount, undefined);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getNetwork, isToken, tokenSymbolOf } from '../src/services/network.js';
+
+// Read on first use, so it applies to every test in this file
+process.env.NETWORK_CONFIG = JSON.stringify({
+  'ETH-SEPOLIA': { chainId: 11155112 },
+  'OTHER-TESTNET': { name: 'Other Testnet', chainId: 777, testnet: true }
+});
+
+describe('getNetwork', () => {
+  it('holds the chain id of each network', () => {
+    assert.equal(getNetwork('ARC-TESTNET').chainId, 5042002);
+    assert.equal(getNetwork('eth').chainId, 1);
+    assert.equal(getNetwork('BASE').chainId, 8453);
+  });
+
+  it('lets NETWORK_CONFIG override or add a chain id', () => {
+    const sepolia = getNetwork('ETH-SEPOLIA');
+    assert.equal(sepolia.chainId, 11155112);
+    assert.equal(sepolia.tokenAddresses.USDC, '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238');
+
+    const other = getNetwork('OTHER-TESTNET');
+    assert.equal(other.chainId, 777);
+    assert.equal(other.testnet, true);
+  });
+});
+
+describe('isToken', () => {
+  it('matches a token by its configured contract address', () => {
+    const usdc = { blockchain: 'BASE', tokenAddress: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', symbol: 'USDC' };
+    assert.equal(isToken(usdc, 'USDC'), true);
+    assert.equal(isToken(usdc, 'EURC'), false);
+    assert.equal(tokenSymbolOf({ blockchain: 'BASE', tokenAddress: '0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42' }), 'EURC');
+  });
+
+  it('ignores lookalike tokens named or symbolled USDC', () => {
+    const spam = { blockchain: 'BASE', tokenAddress: '0x' + '1'.repeat(40), symbol: 'USDC', name: 'USDC Rewards' };
+    assert.equal(isToken(spam, 'USDC'), false);
+    assert.equal(tokenSymbolOf(spam), null);
+  });
+
+  it('matches the native gas token only where it is configured', () => {
+    assert.equal(isToken({ blockchain: 'ARC-TESTNET', isNative: true }, 'USDC'), true);
+    assert.equal(isToken({ blockchain: 'ETH', isNative: true, symbol: 'USDC' }, 'USDC'), false);
+  });
+
+  it('matches nothing on unknown networks', () => {
+    assert.equal(isToken({ blockchain: 'SOMECHAIN', tokenAddress: '0x3600000000000000000000000000000000000000' }, 'USDC'), false);
+  });
+});
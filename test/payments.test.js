@@ -0,0 +1,238 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateKeyPairSync, sign, randomUUID } from 'node:crypto';
+import express from 'express';
+
+process.env.CIRCLE_API_KEY = 'TEST_API_KEY:test:test';
+process.env.CIRCLE_ENTITY_SECRET = 'a'.repeat(64);
+
+const { supabase } = await import('../src/services/db.js');
+const circleService = await import('../src/services/circle.js');
+const paymentsService = await import('../src/services/payments.js');
+const { default: webhookRoutes } = await import('../src/routes/webhooks.js');
+
+// Enough of PostgREST for the payment bookkeeping: filters, insert/update
+// with select(), and single() reporting PGRST116 when there's no one row
+function fakeTables(tables) {
+  return table => {
+    const rows = tables[table] = tables[table] || [];
+    const filters = [];
+    let op = 'select';
+    let values = null;
+    let returning = false;
+
+    const run = single => {
+      let result;
+      if (op === 'insert') {
+        result = [].concat(values).map(row => ({ id: randomUUID(), created_at: new Date().toISOString(), ...row }));
+        rows.push(...result);
+      } else {
+        result = rows.filter(row => filters.every(filter => filter(row)));
+        if (op === 'update') {
+          result.forEach(row => Object.assign(row, values));
+        }
+      }
+
+      if (op !== 'select' && !returning) {
+        return { data: null, error: null };
+      }
+      const data = result.map(row => ({ ...row }));
+      if (!single) {
+        return { data, error: null };
+      }
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: 'Expected one row' } };
+    };
+
+    const query = {
+      select() {
+        returning = op !== 'select';
+        return query;
+      },
+      insert(row) {
+        op = 'insert';
+        values = row;
+        return query;
+      },
+      update(patch) {
+        op = 'update';
+        values = patch;
+        return query;
+      },
+      eq(column, value) {
+        filters.push(row => row[column] === value);
+        return query;
+      },
+      in(column, list) {
+        filters.push(row => list.includes(row[column]));
+        return query;
+      },
+      lte(column, value) {
+        filters.push(row => row[column] !== null && row[column] <= value);
+        return query;
+      },
+      gte(column, value) {
+        filters.push(row => row[column] >= value);
+        return query;
+      },
+      order: () => query,
+      limit: () => query,
+      single: async () => run(true),
+      maybeSingle: async () => {
+        const result = run(false);
+        return { data: result.data?.[0] || null, error: null };
+      },
+      then: (resolve, reject) => Promise.resolve(run(false)).then(resolve, reject)
+    };
+    return query;
+  };
+}
+
+const USDC = { id: 'usdc-token', blockchain: 'ARC-TESTNET', isNative: true, symbol: 'USDC' };
+
+let tables;
+let client;
+
+function stubCircle({ getTransaction }) {
+  client = circleService.initializeClient();
+  mock.method(client, 'getWalletTokenBalance', async () => ({
+    data: { tokenBalances: [{ token: USDC, amount: '100' }] }
+  }));
+  mock.method(client, 'createTransaction', async () => ({ data: { id: 'circle-tx-1', state: 'INITIATED' } }));
+  mock.method(client, 'getTransaction', getTransaction);
+}
+
+const pollFails = async () => {
+  throw new Error('socket hang up');
+};
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => {
+  mock.restoreAll();
+});
+
+describe('sendUSDCWithConfirmation', () => {
+  it('reports a submitted transfer as pending when polling throws', async () => {
+    stubCircle({ getTransaction: pollFails });
+
+    const result = await circleService.sendUSDCWithConfirmation('wallet-1', '0x' + '2'.repeat(40), '5');
+    assert.equal(result.success, true);
+    assert.equal(result.transactionId, 'circle-tx-1');
+    assert.equal(result.state, 'PENDING');
+    assert.equal(client.createTransaction.mock.callCount(), 1);
+  });
+});
+
+describe('executeTransfer', () => {
+  it('marks errors after Circle accepted the transfer with its transactionId', async () => {
+    stubCircle({ getTransaction: pollFails });
+    const from = fakeTables({});
+    mock.method(supabase, 'from', table => {
+      if (table === 'transactions') {
+        return { ...from(table), insert: () => { throw new Error('database unavailable'); } };
+      }
+      return from(table);
+    });
+
+    const sender = { id: 'user-1', wallet_id: 'wallet-1', blockchain: 'ARC-TESTNET' };
+    const contact = { name: 'Mary', wallet_address: '0x' + '2'.repeat(40) };
+    await assert.rejects(
+      paymentsService.executeTransfer({ sender, contact, amount: 5, waitForConfirmation: false }),
+      error => error.transactionId === 'circle-tx-1'
+    );
+  });
+
+  it('leaves errors before a transfer exists unmarked', async () => {
+    stubCircle({ getTransaction: pollFails });
+    mock.method(client, 'createTransaction', async () => {
+      throw new Error('insufficient funds');
+    });
+
+    const sender = { id: 'user-1', wallet_id: 'wallet-1', blockchain: 'ARC-TESTNET' };
+    const contact = { name: 'Mary', wallet_address: '0x' + '2'.repeat(40) };
+    await assert.rejects(
+      paymentsService.executeTransfer({ sender, contact, amount: 5, waitForConfirmation: false }),
+      error => error.transactionId === undefined
+    );
+  });
+});
+
+describe('a send whose confirmation poll failed', () => {
+  const sender = { id: 'user-1', wallet_id: 'wallet-1', blockchain: 'ARC-TESTNET' };
+  const contact = { id: 'contact-1', name: 'Mary', wallet_address: '0x' + '2'.repeat(40), confirm_next_send: true };
+
+  before(() => {
+    tables = {
+      users: [sender],
+      user_policies: [{ id: 'policy-1', user_id: sender.id, low_balance_alert_threshold: 10 }],
+      contacts: [{ ...contact, user_id: sender.id, address_changed_at: '2026-01-01T00:00:00.000Z' }],
+      payment_intents: [{ id: 'intent-1', user_id: sender.id, contact_id: contact.id, status: 'executing', auto_approved: false, created_at: new Date().toISOString() }]
+    };
+    mock.method(supabase, 'from', fakeTables(tables));
+  });
+
+  it('is recorded as pending rather than failed', async () => {
+    stubCircle({ getTransaction: pollFails });
+
+    const transfer = await paymentsService.executeTransfer({ sender, contact, amount: 5, wasAutoApproved: false });
+    await paymentsService.recordIntentTransfer('intent-1', transfer);
+
+    assert.equal(transfer.success, true);
+    assert.equal(transfer.pending, true);
+    assert.equal(tables.transactions.length, 1);
+    assert.equal(tables.transactions[0].status, 'pending');
+    assert.equal(tables.transactions[0].circle_tx_id, 'circle-tx-1');
+    assert.equal(tables.payment_intents[0].status, 'submitted');
+    // Still waiting on the transfer to land
+    assert.equal(tables.contacts[0].confirm_next_send, true);
+    assert.equal(tables.daily_spending, undefined);
+  });
+
+  it('is finalized by the signed Circle webhook', async () => {
+    const { publicKey, privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    mock.method(client, 'getNotificationSignature', async () => ({
+      data: { id: 'key-1', algorithm: 'ECDSA_SHA_256', publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64') }
+    }));
+
+    const app = express();
+    app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    app.use('/api', webhookRoutes);
+    const server = app.listen(0);
+
+    try {
+      const body = JSON.stringify({
+        subscriptionId: 'sub-1',
+        notificationId: 'notification-1',
+        notificationType: 'transactions.outbound',
+        notification: {
+          transaction: { id: 'circle-tx-1', state: 'COMPLETE', txHash: '0xabc', blockHeight: 7, networkFee: '0.01' }
+        }
+      });
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/api/circle-webhook`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-circle-key-id': 'key-1',
+          'x-circle-signature': sign('sha256', Buffer.from(body), privateKey).toString('base64')
+        },
+        body
+      });
+      assert.equal(response.status, 200);
+    } finally {
+      server.close();
+    }
+
+    const [record] = tables.transactions;
+    assert.equal(record.status, 'completed');
+    assert.equal(record.tx_hash, '0xabc');
+    assert.equal(tables.payment_intents[0].status, 'completed');
+    assert.equal(tables.contacts[0].confirm_next_send, false);
+    assert.equal(tables.daily_spending[0].total_spent, 5);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePayoutRows } from '../src/services/payouts.js';
+
+const ADDRESS = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+
+describe('parsePayoutRows', () => {
+  it('matches CSV columns by header name, honouring quotes', () => {
+    const rows = parsePayoutRows(`Name,Wallet Address,Amount\n"Okafor, John",,25\r\nBob,${ADDRESS},10\n`);
+    assert.deepEqual(rows, [
+      { name: 'Okafor, John', address: '', amount: '25' },
+      { name: 'Bob', address: ADDRESS, amount: '10' }
+    ]);
+  });
+
+  it('reads headerless CSV as recipient,amount', () => {
+    assert.deepEqual(parsePayoutRows(`John,5\n${ADDRESS},10`), [
+      { name: 'John', amount: '5' },
+      { address: ADDRESS, amount: '10' }
+    ]);
+  });
+
+  it('accepts JSON rows with the same aliases, dropping unknown fields', () => {
+    assert.deepEqual(parsePayoutRows([{ recipient: 'John', usdc: 5, note: 'x' }]), [{ name: 'John', amount: 5 }]);
+    assert.deepEqual(parsePayoutRows('[{"wallet": "0x1", "amount": "2"}]'), [{ address: '0x1', amount: '2' }]);
+  });
+
+  it('rejects JSON that is not a list', () => {
+    assert.throws(() => parsePayoutRows('{"amount": 1}', 'json'), /must be an array/);
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { supabase } from '../src/services/db.js';
+import { checkAutoApproval } from '../src/services/policy.js';
+
+describe('checkAutoApproval', () => {
+  before(() => {
+    mock.method(console, 'error', () => {});
+    mock.method(supabase, 'from', () => {
+      throw new Error('database unavailable');
+    });
+  });
+
+  after(() => {
+    mock.restoreAll();
+  });
+
+  it('blocks the send when the policies cannot be read', async () => {
+    const check = await checkAutoApproval('user-1', 'contact-1', 5, 'EURC');
+    assert.equal(check.canAutoApprove, false);
+    assert.equal(check.requiresConfirmation, true);
+    assert.equal(check.budgetExceeded, 'unverified');
+    assert.ok(check.reason);
+    assert.equal(check.budgetStatus.token, 'EURC');
+    assert.equal(check.budgetStatus.remainingToday, null);
+  });
+});
@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeShares } from '../src/services/splits.js';
+
+describe('computeShares', () => {
+  it('gives the user the leftover cents of an equal split', () => {
+    assert.deepEqual(computeShares({ total: 10, participants: ['A', 'B'] }), {
+      shares: [{ name: 'A', amount: 3.33 }, { name: 'B', amount: 3.33 }],
+      selfShare: 3.34
+    });
+  });
+
+  it('gives leftover cents to the first participants when the user is left out', () => {
+    assert.deepEqual(computeShares({ total: 10, participants: ['A', 'B', 'C'], includeSelf: false }), {
+      shares: [{ name: 'A', amount: 3.34 }, { name: 'B', amount: 3.33 }, { name: 'C', amount: 3.33 }],
+      selfShare: 0
+    });
+  });
+
+  it('leaves the rest of custom shares to the user, matching names case-insensitively', () => {
+    assert.deepEqual(computeShares({ total: 10, participants: ['A', 'B'], shares: { a: 3, B: 4 } }), {
+      shares: [{ name: 'A', amount: 3 }, { name: 'B', amount: 4 }],
+      selfShare: 3
+    });
+  });
+
+  it('rejects custom shares that do not add up', () => {
+    assert.ok(computeShares({ total: 10, participants: ['A', 'B'], shares: { A: 3, B: 4 }, includeSelf: false }).error);
+    assert.ok(computeShares({ total: 10, participants: ['A', 'B'], shares: { A: 6, B: 5 } }).error);
+    assert.ok(computeShares({ total: 10, participants: ['A', 'B'], shares: { A: 3 } }).error);
+  });
+
+  it('rejects totals too small to split', () => {
+    assert.ok(computeShares({ total: 0.02, participants: ['A', 'B'] }).error);
+  });
+});